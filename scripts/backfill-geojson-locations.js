@@ -0,0 +1,83 @@
+/**
+ * Script to fill in the GeoJSON `location` points for existing documents
+ * and build the 2dsphere indexes that nearby searches ($geoNear) rely on.
+ * Documents saved from now on get their point on save; older vendors,
+ * products, riders and user addresses only have latitude/longitude.
+ * Safe to run more than once - every point is recomputed from latitude/longitude.
+ *
+ * Usage: node scripts/backfill-geojson-locations.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vendor = require('../src/models/Vendor');
+const Product = require('../src/models/Product');
+const Rider = require('../src/models/Rider');
+const User = require('../src/models/User');
+const { toPointExpression } = require('../src/utils/geo');
+
+async function backfillGeoJsonLocations() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/rushbasket';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const vendors = await Vendor.updateMany(
+      { storeAddress: { $type: 'object' } },
+      [{ $set: { 'storeAddress.location': toPointExpression('$storeAddress.latitude', '$storeAddress.longitude') } }]
+    );
+    console.log(`✅ Store locations updated for ${vendors.modifiedCount} vendor(s)`);
+
+    const products = await Product.updateMany(
+      {},
+      [{ $set: { location: toPointExpression('$latitude', '$longitude') } }]
+    );
+    console.log(`✅ Locations updated for ${products.modifiedCount} product(s)`);
+
+    const riders = await Rider.updateMany(
+      { currentAddress: { $type: 'object' } },
+      [{ $set: { 'currentAddress.location': toPointExpression('$currentAddress.latitude', '$currentAddress.longitude') } }]
+    );
+    console.log(`✅ Current locations updated for ${riders.modifiedCount} rider(s)`);
+
+    const userAddresses = await User.updateMany(
+      { address: { $type: 'object' } },
+      [{ $set: { 'address.location': toPointExpression('$address.latitude', '$address.longitude') } }]
+    );
+    const savedAddresses = await User.updateMany(
+      { 'addresses.0': { $exists: true } },
+      [{
+        $set: {
+          addresses: {
+            $map: {
+              input: '$addresses',
+              in: {
+                $mergeObjects: [
+                  '$$this',
+                  { location: toPointExpression('$$this.latitude', '$$this.longitude') },
+                ],
+              },
+            },
+          },
+        },
+      }]
+    );
+    console.log(`✅ Address locations updated for ${userAddresses.modifiedCount + savedAddresses.modifiedCount} user(s)`);
+
+    // Only adds missing indexes, existing ones are left alone
+    for (const Model of [Vendor, Product, Rider, User]) {
+      await Model.createIndexes();
+    }
+    console.log('✅ 2dsphere indexes created');
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling GeoJSON locations:', error);
+    process.exit(1);
+  }
+}
+
+backfillGeoJsonLocations();
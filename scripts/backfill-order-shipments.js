@@ -0,0 +1,53 @@
+/**
+ * Script to split existing orders into per-vendor shipments
+ * Orders placed before shipments existed get one shipment per vendor,
+ * carrying over the order's status, rider and delivery details.
+ * Safe to run more than once - orders that already have shipments are skipped.
+ *
+ * Usage: node scripts/backfill-order-shipments.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const Shipment = require('../src/models/Shipment');
+const shipmentService = require('../src/services/shipmentService');
+
+async function backfillOrderShipments() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/rushbasket';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const splitOrderIds = await Shipment.distinct('order');
+    const cursor = Order.find({ _id: { $nin: splitOrderIds } }).cursor();
+
+    let created = 0;
+    let failed = 0;
+
+    for (let order = await cursor.next(); order; order = await cursor.next()) {
+      try {
+        const shipments = await shipmentService.ensureShipments(order);
+        created += shipments.length;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to split order ${order.orderNumber}:`, error.message);
+      }
+    }
+
+    console.log(`✅ Created ${created} shipment(s) for orders placed before shipments existed`);
+    if (failed > 0) {
+      console.log(`⚠️  ${failed} order(s) could not be split - re-run after fixing them`);
+    }
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error backfilling order shipments:', error);
+    process.exit(1);
+  }
+}
+
+backfillOrderShipments();
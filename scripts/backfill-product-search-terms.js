@@ -0,0 +1,60 @@
+/**
+ * Script to fill in Product.searchTerms for existing products
+ * New and edited products get their search terms on save; products created
+ * before search shipped have none and do not show up in /api/search results.
+ * Safe to run more than once - every product is recomputed.
+ *
+ * Usage: node scripts/backfill-product-search-terms.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../src/models/Product');
+const { buildSearchTerms } = require('../src/utils/searchTerms');
+
+const BATCH_SIZE = 500;
+
+async function backfillProductSearchTerms() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/rushbasket';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const cursor = Product.find().select('productName tags').lean().cursor();
+
+    let updated = 0;
+    let operations = [];
+
+    for (let product = await cursor.next(); product; product = await cursor.next()) {
+      operations.push({
+        updateOne: {
+          filter: { _id: product._id },
+          update: { $set: { searchTerms: buildSearchTerms([product.productName, ...(product.tags || [])]) } },
+        },
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await Product.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await Product.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+
+    console.log(`✅ Search terms updated for ${updated} product(s)`);
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling product search terms:', error);
+    process.exit(1);
+  }
+}
+
+backfillProductSearchTerms();
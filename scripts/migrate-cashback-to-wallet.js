@@ -0,0 +1,66 @@
+/**
+ * Script to move cashback balances into the wallet ledger
+ * `User.cashback` used to be the balance itself; it is now a cache of the
+ * ledger. Every user with a balance gets an opening balance credit for it,
+ * available straight away and without expiry.
+ * Safe to run more than once - users that already have one are skipped.
+ *
+ * Run this before deploying the wallet ledger, or the next balance sync
+ * resets the old balances to zero.
+ *
+ * Usage: node scripts/migrate-cashback-to-wallet.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const WalletTransaction = require('../src/models/WalletTransaction');
+
+async function migrateCashbackToWallet() {
+  try {
+    // Connect to MongoDB
+    const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/rushbasket';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    const migratedUserIds = await WalletTransaction.distinct('user', { source: 'opening_balance' });
+    const cursor = User.find({ cashback: { $gt: 0 }, _id: { $nin: migratedUserIds } }).select('cashback').cursor();
+
+    let migrated = 0;
+    let failed = 0;
+
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+      try {
+        const amount = Math.round((user.cashback + Number.EPSILON) * 100) / 100;
+        await WalletTransaction.create({
+          user: user._id,
+          type: 'credit',
+          source: 'opening_balance',
+          status: 'available',
+          amount,
+          remainingAmount: amount,
+          availableAt: new Date(),
+          description: 'Cashback balance carried over',
+        });
+        migrated++;
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to migrate cashback for user ${user._id}:`, error.message);
+      }
+    }
+
+    console.log(`✅ Moved the cashback balance of ${migrated} user(s) into the wallet ledger`);
+    if (failed > 0) {
+      console.log(`⚠️  ${failed} user(s) could not be migrated - re-run after fixing them`);
+    }
+
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error migrating cashback balances:', error);
+    process.exit(1);
+  }
+}
+
+migrateCashbackToWallet();
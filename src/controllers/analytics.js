@@ -4,6 +4,7 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Vendor = require('../models/Vendor');
+const ReturnRequest = require('../models/ReturnRequest');
 const logger = require('../utils/logger');
 
 const getDateRange = (period) => {
@@ -37,6 +38,54 @@ const getDateRange = (period) => {
   return { startDate, endDate: new Date() };
 };
 
+// Refund totals for processed returns/cancellations in a date range
+const getRefundSummary = async (match) => {
+  const [totals, byReason] = await Promise.all([
+    ReturnRequest.aggregate([
+      { $match: { ...match, status: 'refunded' } },
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          totalRefunded: { $sum: '$amounts.refundAmount' },
+          cashbackReversed: { $sum: '$amounts.cashbackReversed' },
+        },
+      },
+    ]),
+    ReturnRequest.aggregate([
+      { $match: { ...match, type: 'return' } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.reason',
+          count: { $sum: 1 },
+          quantity: { $sum: '$items.quantity' },
+        },
+      },
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  const pending = await ReturnRequest.countDocuments({ ...match, status: { $in: ['requested', 'failed'] } });
+
+  return {
+    totalRefunded: totals.reduce((sum, item) => sum + item.totalRefunded, 0),
+    cashbackReversed: totals.reduce((sum, item) => sum + item.cashbackReversed, 0),
+    count: totals.reduce((sum, item) => sum + item.count, 0),
+    pending,
+    byType: totals.map((item) => ({
+      type: item._id,
+      count: item.count,
+      totalRefunded: item.totalRefunded,
+    })),
+    byReason: byReason.map((item) => ({
+      reason: item._id,
+      count: item.count,
+      quantity: item.quantity,
+    })),
+  };
+};
+
 exports.getVendorDashboard = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -171,6 +220,11 @@ exports.getVendorDashboard = async (req, res) => {
       isActive: true,
     });
 
+    const refunds = await getRefundSummary({
+      vendor: vendorId,
+      createdAt: { $gte: startDate, $lte: endDate },
+    });
+
     const analytics = {
       period,
       dateRange: {
@@ -182,6 +236,9 @@ exports.getVendorDashboard = async (req, res) => {
         total: revenueData[0]?.totalRevenue || 0,
         totalOrders: revenueData[0]?.totalOrders || 0,
         averageOrderValue: revenueData[0]?.averageOrderValue || 0,
+        // This vendor's returns and cancelled shipments; order.refund covers every store on the order
+        totalRefunded: refunds.totalRefunded,
+        netTotal: (revenueData[0]?.totalRevenue || 0) - refunds.totalRefunded,
         // All-time revenue
         allTimeTotal: allTimeRevenueData[0]?.totalRevenue || 0,
         allTimeTotalOrders: allTimeRevenueData[0]?.totalOrders || 0,
@@ -202,6 +259,7 @@ exports.getVendorDashboard = async (req, res) => {
           revenue: item.revenue,
         })),
       },
+      refunds,
       products: {
         total: totalProducts,
         approved: approvedProducts,
@@ -429,6 +487,7 @@ exports.getAdminDashboard = async (req, res) => {
           totalOrders: { $sum: 1 },
           averageOrderValue: { $avg: '$pricing.total' },
           totalDiscount: { $sum: '$pricing.discount' },
+          totalRefunded: { $sum: { $ifNull: ['$refund.amount', 0] } },
           totalTax: { $sum: '$pricing.tax' },
           totalShipping: { $sum: { $ifNull: ['$pricing.shipping', 0] } },
         },
@@ -546,6 +605,10 @@ exports.getAdminDashboard = async (req, res) => {
       approvalStatus: 'pending',
     });
 
+    const refunds = await getRefundSummary({
+      createdAt: { $gte: startDate, $lte: endDate },
+    });
+
     const analytics = {
       period,
       dateRange: {
@@ -559,7 +622,10 @@ exports.getAdminDashboard = async (req, res) => {
         totalDiscount: revenueData[0]?.totalDiscount || 0,
         totalTax: revenueData[0]?.totalTax || 0,
         totalShipping: revenueData[0]?.totalShipping || 0,
+        totalRefunded: revenueData[0]?.totalRefunded || 0,
+        netTotal: (revenueData[0]?.totalRevenue || 0) - (revenueData[0]?.totalRefunded || 0),
       },
+      refunds,
       orders: {
         statusDistribution: statusDistribution.map((item) => ({
           status: item._id,
@@ -1,14 +1,41 @@
 const checkoutService = require('../services/checkoutService');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
+/**
+ * Start the online payment for a new order. A gateway failure must not lose
+ * the order - the client can retry through /api/payment/order/:orderId/intent
+ */
+const createPaymentIntentSafely = async (order) => {
+  if (!paymentService.isGatewayMethod(order.payment?.method)) {
+    return null;
+  }
+  try {
+    return await paymentService.createPaymentIntent(order);
+  } catch (error) {
+    logger.error(`Payment intent creation failed for order ${order.orderNumber}:`, error);
+    return null;
+  }
+};
+
 exports.getCart = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     // Ensure we're getting cart for the authenticated user only
     const userId = req.user._id;
     logger.info(`Fetching cart for user: ${userId}`);
     
-    const result = await checkoutService.getCartWithTotals(userId);
+    const { latitude, longitude, walletAmount, tip } = req.query;
+    const result = await checkoutService.getCartWithTotals(userId, { latitude, longitude }, { walletAmount, tip });
     if (result.unavailableItems && result.unavailableItems.length > 0) {
       return res.status(200).json({
         success: true,
@@ -38,17 +65,19 @@ exports.addToCart = async (req, res, next) => {
       });
     }
 
-    const { productId, quantity, sku } = req.body;
+    const { productId, quantity, sku, latitude, longitude, pinCode } = req.body;
 
     // Ensure we're adding to the authenticated user's cart only
     const userId = req.user._id;
     logger.info(`Adding product ${productId} to cart for user: ${userId}`);
 
+    const hasLocation = (latitude !== undefined && longitude !== undefined) || pinCode !== undefined;
     const cart = await checkoutService.addToCart(
       userId,
       productId,
       quantity,
-      sku
+      sku,
+      hasLocation ? { latitude, longitude, pinCode } : null
     );
 
     const totals = await cart.calculateTotals();
@@ -284,7 +313,7 @@ exports.createOrder = async (req, res, next) => {
       });
     }
 
-    const { shippingAddress, paymentMethod, notes } = req.body;
+    const { shippingAddress, paymentMethod, notes, deliverySlot, walletAmount, tip } = req.body;
 
     // Ensure we're creating order from the authenticated user's cart only
     const userId = req.user._id;
@@ -294,15 +323,21 @@ exports.createOrder = async (req, res, next) => {
       userId,
       shippingAddress,
       paymentMethod,
-      notes
+      notes,
+      deliverySlot?.startTime || null,
+      parseFloat(walletAmount) || 0,
+      parseFloat(tip) || 0
     );
 
     logger.info(`Order created: ${order.orderNumber} by User: ${req.user._id}`);
 
+    const paymentIntent = await createPaymentIntentSafely(order);
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
       data: order,
+      paymentIntent,
     });
   } catch (error) {
     logger.error('Create order error:', error);
@@ -361,15 +396,25 @@ exports.getOrder = async (req, res, next) => {
 
 exports.getVendorOrders = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const status = req.query.status || null;
+    const { slotDate, slotFrom, slotTo, sortBy } = req.query;
 
     const result = await checkoutService.getVendorOrders(
       req.vendor._id,
       page,
       limit,
-      status
+      status,
+      { slotDate, slotFrom, slotTo, sortBy }
     );
 
     res.status(200).json({
@@ -434,9 +479,9 @@ exports.updateOrderStatus = async (req, res, next) => {
     }
 
     const { orderId } = req.params;
-    const { status, deliveryAmount } = req.body;
+    const { status, deliveryAmount, note } = req.body;
 
-    const order = await checkoutService.updateOrderStatus(orderId, req.vendor._id, status, deliveryAmount);
+    const order = await checkoutService.updateOrderStatus(orderId, req.vendor._id, status, deliveryAmount, note);
 
     logger.info(`Order status updated: ${order.orderNumber} to ${status} by Vendor: ${req.vendor.storeId}`);
 
@@ -454,6 +499,67 @@ exports.updateOrderStatus = async (req, res, next) => {
   }
 };
 
+exports.updateOrderStatusByAdmin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { orderId } = req.params;
+    const { status, note } = req.body;
+
+    const order = await checkoutService.updateOrderStatusByAdmin(orderId, req.admin._id, status, note);
+
+    logger.info(`Order status updated: ${order.orderNumber} to ${status} by Admin: ${req.admin._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order,
+    });
+  } catch (error) {
+    logger.error('Admin update order status error:', error);
+    res.status(error.message.includes('not found') ? 404 : 400).json({
+      success: false,
+      error: error.message || 'Failed to update order status',
+    });
+  }
+};
+
+/**
+ * Mark a shipment delivered without proof of delivery (admin only, audited)
+ */
+exports.overrideDeliveryByAdmin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { orderId, shipmentId } = req.params;
+    const order = await checkoutService.overrideDeliveryByAdmin(orderId, shipmentId, req.admin._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment marked as delivered by admin override',
+      data: order,
+    });
+  } catch (error) {
+    logger.error('Admin delivery override error:', error);
+    res.status(error.message.includes('not found') ? 404 : 400).json({
+      success: false,
+      error: error.message || 'Failed to override delivery',
+    });
+  }
+};
+
 exports.cancelOrder = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -547,10 +653,13 @@ exports.reorder = async (req, res, next) => {
 
     logger.info(`Order reordered: ${order.orderNumber} by User: ${req.user._id}`);
 
+    const paymentIntent = await createPaymentIntentSafely(order);
+
     res.status(201).json({
       success: true,
       message: 'Order reordered successfully',
       data: order,
+      paymentIntent,
     });
   } catch (error) {
     logger.error('Reorder error:', error);
@@ -613,11 +722,68 @@ exports.getAllOrders = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin: zip of rendered invoices for orders placed in a date range
+ */
+exports.exportInvoices = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { startDate, endDate, vendor } = req.query;
+    const format = req.query.format || 'pdf';
+
+    if (new Date(startDate) > new Date(endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date must be before end date',
+      });
+    }
+
+    let filter;
+    try {
+      filter = await invoiceService.getBulkInvoiceFilter({ startDate, endDate, vendorId: vendor });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    const filename = `invoices-${startDate.slice(0, 10)}-to-${endDate.slice(0, 10)}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const count = await invoiceService.writeInvoiceArchive(res, filter, { format, vendorId: vendor || null });
+
+    logger.info(`Exported ${count} ${format} invoice(s) from ${startDate} to ${endDate} by Admin: ${req.admin.email}`);
+  } catch (error) {
+    logger.error('Export invoices error:', error);
+    // Headers are gone once the zip has started streaming
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
 exports.getOrderInvoice = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const { orderId } = req.params;
     const mongoose = require('mongoose');
-    const Order = require('../models/Order');
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({
         success: false,
@@ -628,16 +794,10 @@ exports.getOrderInvoice = async (req, res, next) => {
     let order;
     let hasAccess = false;
     if (req.user) {
-      order = await Order.findOne({
+      order = await invoiceService.findInvoiceOrder({
         _id: orderId,
         user: req.user._id,
-      })
-        .populate('user', 'userName email contactNumber address')
-        .populate('items.product', 'productName skuHsn')
-        .populate('items.vendor', 'vendorName storeName storeAddress contactNumber email')
-        .populate('rider', 'fullName mobileNumber')
-        .populate('assignedBy', 'vendorName storeName')
-        .lean();
+      });
 
       if (order) {
         hasAccess = true;
@@ -645,34 +805,18 @@ exports.getOrderInvoice = async (req, res, next) => {
     }
 
     if (!hasAccess && req.vendor) {
-      order = await Order.findOne({
+      order = await invoiceService.findInvoiceOrder({
         _id: orderId,
         'items.vendor': req.vendor._id,
-      })
-        .populate('user', 'userName email contactNumber address')
-        .populate('items.product', 'productName skuHsn')
-        .populate('items.vendor', 'vendorName storeName storeAddress contactNumber email')
-        .populate('rider', 'fullName mobileNumber')
-        .populate('assignedBy', 'vendorName storeName')
-        .lean();
+      });
 
       if (order) {
         hasAccess = true;
-        order.items = order.items.filter((item) => {
-          const itemVendorId = item.vendor?._id || item.vendor;
-          return itemVendorId && itemVendorId.toString() === req.vendor._id.toString();
-        });
       }
     }
 
     if (!hasAccess && req.admin) {
-      order = await Order.findById(orderId)
-        .populate('user', 'userName email contactNumber address')
-        .populate('items.product', 'productName skuHsn')
-        .populate('items.vendor', 'vendorName storeName storeAddress contactNumber email')
-        .populate('rider', 'fullName mobileNumber')
-        .populate('assignedBy', 'vendorName storeName')
-        .lean();
+      order = await invoiceService.findInvoiceOrder({ _id: orderId });
 
       if (order) {
         hasAccess = true;
@@ -686,105 +830,25 @@ exports.getOrderInvoice = async (req, res, next) => {
       });
     }
 
-    let invoiceSubtotal = order.pricing.subtotal;
-    let invoiceDiscount = order.pricing.discount;
-    let invoiceTax = order.pricing.tax;
-    let invoiceHandlingCharge = order.pricing.handlingCharge || 0;
-    let invoiceTotal = order.pricing.total;
-    let invoiceCashback = order.pricing.totalCashback;
-
-    if (req.vendor && order.items && order.items.length > 0) {
-      invoiceSubtotal = order.items.reduce((sum, item) => sum + item.totalPrice, 0);
-      invoiceCashback = order.items.reduce((sum, item) => sum + (item.cashback || 0), 0);
-      const vendorItemPercentage = invoiceSubtotal / order.pricing.subtotal;
-      invoiceDiscount = order.pricing.discount * vendorItemPercentage;
-      invoiceTax = order.pricing.tax * vendorItemPercentage;
-      invoiceHandlingCharge = (order.pricing.handlingCharge || 0) * vendorItemPercentage;
-      invoiceTotal = invoiceSubtotal - invoiceDiscount + invoiceTax + invoiceHandlingCharge;
-    }
-
-    const invoice = {
-      invoiceNumber: order.orderNumber,
-      invoiceDate: order.createdAt,
-      orderDate: order.createdAt,
-      deliveryDate: order.deliveredAt || order.estimatedDelivery,
-      customer: {
-        name: order.user?.userName || 'N/A',
-        email: order.user?.email || 'N/A',
-        contactNumber: order.user?.contactNumber || 'N/A',
-        address: order.shippingAddress,
-      },
-
-      vendors: req.vendor 
-        ? [{
-            name: order.items[0]?.vendor?.vendorName || 'N/A',
-            storeName: order.items[0]?.vendor?.storeName || 'N/A',
-            contactNumber: order.items[0]?.vendor?.contactNumber || 'N/A',
-            email: order.items[0]?.vendor?.email || 'N/A',
-            address: order.items[0]?.vendor?.storeAddress || {},
-          }]
-        : [...new Set(order.items.map(item => {
-            const vendor = item.vendor?._id || item.vendor;
-            return vendor?.toString();
-          }))].map(vendorId => {
-            const vendorItem = order.items.find(item => {
-              const itemVendorId = item.vendor?._id || item.vendor;
-              return itemVendorId?.toString() === vendorId;
-            });
-            return {
-              name: vendorItem?.vendor?.vendorName || 'N/A',
-              storeName: vendorItem?.vendor?.storeName || 'N/A',
-              contactNumber: vendorItem?.vendor?.contactNumber || 'N/A',
-              email: vendorItem?.vendor?.email || 'N/A',
-              address: vendorItem?.vendor?.storeAddress || {},
-            };
-          }),
-      items: order.items.map((item) => ({
-        productName: item.productName,
-        sku: item.sku || item.product?.skuHsn || 'N/A',
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        salePrice: item.salePrice,
-        totalPrice: item.totalPrice,
-        cashback: item.cashback || 0,
-        vendor: req.vendor ? undefined : {
-          name: item.vendor?.vendorName || 'N/A',
-          storeName: item.vendor?.storeName || 'N/A',
-        },
-      })),
-      pricing: {
-        subtotal: invoiceSubtotal,
-        discount: invoiceDiscount,
-        tax: invoiceTax,
-        handlingCharge: invoiceHandlingCharge,
-        total: invoiceTotal,
-        totalCashback: invoiceCashback,
-      },
-      payment: {
-        method: order.payment.method,
-        status: order.payment.status,
-        amount: order.payment.amount,
-        transactionId: order.payment.transactionId || 'N/A',
-        paidAt: order.payment.paidAt,
-      },
-      coupon: order.coupon?.code ? {
-        code: order.coupon.code,
-        discount: order.coupon.discount,
-      } : null,
-
-      status: order.status,
-      rider: order.rider ? {
-        name: order.rider.fullName || 'N/A',
-        mobileNumber: order.rider.mobileNumber || 'N/A',
-        assignedAt: order.assignedAt,
-      } : null,
-      notes: order.notes || null,
-      cancellationReason: order.cancellationReason || null,
-      cancelledAt: order.cancelledAt || null,
-    };
+    // A vendor invoices its own shipment
+    const invoice = await invoiceService.buildInvoice(order, {
+      vendorId: !req.user && req.vendor ? req.vendor._id : null,
+    });
 
     logger.info(`Invoice generated for order ${order.orderNumber} by ${req.user ? 'User' : req.vendor ? 'Vendor' : 'Admin'}`);
 
+    // ?format=pdf or ?format=html downloads a rendered invoice instead of JSON
+    const format = req.query.format || 'json';
+    if (format !== 'json') {
+      const file = await invoiceService.renderInvoiceFile(invoice, format);
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `${format === 'pdf' ? 'attachment' : 'inline'}; filename="${file.filename}"`
+      );
+      return res.status(200).send(file.buffer);
+    }
+
     res.status(200).json({
       success: true,
       data: invoice,
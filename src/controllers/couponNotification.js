@@ -1,7 +1,7 @@
 const Coupon = require('../models/Coupon');
 const User = require('../models/User');
 const logger = require('../utils/logger');
-// const { sendNotification } = require('../utils/notificationService'); // Uncomment when notification service is available
+const { addNotificationJob } = require('../utils/queue');
 
 // Function to send daily notifications for today's offers
 exports.sendTodayOfferNotifications = async () => {
@@ -69,22 +69,25 @@ exports.sendTodayOfferNotifications = async () => {
             `Time remaining: ${hours}h ${minutes}m ${seconds}s\n` +
             `Use code: ${offer.code}`;
 
-          // Send notification (implement based on your notification service)
-          // TODO: Implement notification sending
-          // await sendNotification(user._id, {
-          //   title: 'Today\'s Special Offer',
-          //   message: message,
-          //   type: 'today_offer',
-          //   couponId: offer._id,
-          //   countdown: {
-          //     hours,
-          //     minutes,
-          //     seconds,
-          //     endTime: endDateTime.toISOString(),
-          //   },
-          // });
+          await addNotificationJob({
+            userId: user._id,
+            recipientType: 'user',
+            type: 'today_offer',
+            title: 'Today\'s Special Offer',
+            message,
+            data: {
+              couponId: offer._id,
+              code: offer.code,
+              countdown: {
+                hours,
+                minutes,
+                seconds,
+                endTime: endDateTime.toISOString(),
+              },
+            },
+          });
           
-          logger.info(`Notification prepared for user ${user.contactNumber}: ${message}`);
+          logger.info(`Notification queued for user ${user.contactNumber}: ${message}`);
 
           notificationCount++;
         } catch (error) {
@@ -0,0 +1,166 @@
+const Vendor = require('../models/Vendor');
+const deliverySlotService = require('../services/deliverySlotService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const SETTINGS_FIELDS = ['enabled', 'startTime', 'endTime', 'slotDurationMinutes', 'capacity', 'leadTimeMinutes', 'daysAhead'];
+
+/**
+ * Vendor: slot settings plus the schedule with bookings
+ */
+exports.getVendorDeliverySlots = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const vendor = await Vendor.findById(req.vendor._id).select('storeName deliverySlotSettings');
+
+    const from = req.query.date ? deliverySlotService.parseLocalDate(req.query.date) : new Date();
+    const days = req.query.days ? parseInt(req.query.days, 10) : undefined;
+
+    const slots = await deliverySlotService.getVendorSlots(vendor, { from, days });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        settings: vendor.deliverySlotSettings,
+        slots,
+      },
+    });
+  } catch (error) {
+    logger.error('Get vendor delivery slots error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Vendor: update slot settings (window, duration, capacity, horizon)
+ */
+exports.updateDeliverySlotSettings = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const vendor = await Vendor.findById(req.vendor._id);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vendor not found',
+      });
+    }
+
+    SETTINGS_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        vendor.deliverySlotSettings[field] = req.body[field];
+      }
+    });
+
+    const { startTime, endTime, slotDurationMinutes } = vendor.deliverySlotSettings;
+    const [startHours, startMinutes] = startTime.split(':').map(Number);
+    const [endHours, endMinutes] = endTime.split(':').map(Number);
+    if ((endHours * 60 + endMinutes) - (startHours * 60 + startMinutes) < slotDurationMinutes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Delivery window must be at least one slot long',
+      });
+    }
+
+    await vendor.save();
+
+    logger.info(`Delivery slot settings updated for vendor ${vendor.storeId || vendor._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery slot settings updated successfully',
+      data: vendor.deliverySlotSettings,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    logger.error('Update delivery slot settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Vendor: change capacity of, block or unblock a single slot
+ */
+exports.overrideDeliverySlot = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { startTime, capacity, isBlocked } = req.body;
+    const vendor = await Vendor.findById(req.vendor._id).select('storeName deliverySlotSettings');
+
+    const slot = await deliverySlotService.overrideSlot(vendor, startTime, {
+      capacity: capacity !== undefined ? parseInt(capacity, 10) : undefined,
+      isBlocked,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery slot updated successfully',
+      data: slot,
+    });
+  } catch (error) {
+    logger.error('Override delivery slot error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to update delivery slot',
+    });
+  }
+};
+
+/**
+ * User: slots that can be picked for the current cart and address
+ */
+exports.getAvailableDeliverySlots = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { latitude, longitude } = req.query;
+
+    const result = await deliverySlotService.getAvailableSlotsForCart(req.user._id, {
+      latitude: latitude !== undefined ? parseFloat(latitude) : undefined,
+      longitude: longitude !== undefined ? parseFloat(longitude) : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Get available delivery slots error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to get delivery slots',
+    });
+  }
+};
@@ -0,0 +1,124 @@
+const dispatchService = require('../services/dispatchService');
+const shipmentService = require('../services/shipmentService');
+const Order = require('../models/Order');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+exports.getVendorEscalations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await dispatchService.getEscalatedShipments({ vendor: req.vendor._id }, page, limit);
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get vendor dispatch escalations error:', error);
+    next(error);
+  }
+};
+
+exports.retryVendorDispatch = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    const shipment = order && await shipmentService.getVendorShipment(order, req.vendor._id);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+      });
+    }
+
+    const dispatched = await dispatchService.retryDispatch(shipment._id, req.vendor._id);
+
+    res.status(200).json({
+      success: true,
+      message: dispatched.dispatch?.status === 'escalated'
+        ? 'No riders are available for this order. Please assign a rider.'
+        : 'Riders are being asked for this order',
+      data: dispatched,
+    });
+  } catch (error) {
+    logger.error('Retry vendor dispatch error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to dispatch order',
+    });
+  }
+};
+
+exports.getAllEscalations = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await dispatchService.getEscalatedShipments({ vendor: req.query.vendor }, page, limit);
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get dispatch escalations error:', error);
+    next(error);
+  }
+};
+
+exports.retryDispatch = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const dispatched = await dispatchService.retryDispatch(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: dispatched.dispatch?.status === 'escalated'
+        ? 'No riders are available for this shipment'
+        : 'Riders are being asked for this shipment',
+      data: dispatched,
+    });
+  } catch (error) {
+    logger.error('Retry dispatch error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to dispatch shipment',
+    });
+  }
+};
@@ -0,0 +1,177 @@
+const HsnCode = require('../models/HsnCode');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+exports.createHsnCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { code, description, gstRate, isActive } = req.body;
+
+    const existingCode = await HsnCode.findOne({ code });
+    if (existingCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'A GST rate for this HSN code already exists',
+      });
+    }
+
+    const hsnCode = await HsnCode.create({
+      code,
+      description,
+      gstRate: parseFloat(gstRate),
+      isActive: isActive !== undefined ? isActive : true,
+      createdBy: req.admin._id,
+    });
+
+    logger.info(`HSN code ${hsnCode.code} created at ${hsnCode.gstRate}% GST by Admin: ${req.admin.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'HSN code created successfully',
+      data: hsnCode,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    logger.error('Create HSN code error:', error);
+    next(error);
+  }
+};
+
+exports.getHsnCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.search) {
+      query.code = { $regex: `^${req.query.search}` };
+    }
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const [hsnCodes, total] = await Promise.all([
+      HsnCode.find(query).sort({ code: 1 }).skip(skip).limit(limit),
+      HsnCode.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: hsnCodes.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+      data: hsnCodes,
+    });
+  } catch (error) {
+    logger.error('Get HSN codes error:', error);
+    next(error);
+  }
+};
+
+exports.updateHsnCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const hsnCode = await HsnCode.findById(req.params.id);
+
+    if (!hsnCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'HSN code not found',
+      });
+    }
+
+    const { description, gstRate, isActive } = req.body;
+
+    if (description !== undefined) {
+      hsnCode.description = description;
+    }
+    if (gstRate !== undefined) {
+      hsnCode.gstRate = parseFloat(gstRate);
+    }
+    if (isActive !== undefined) {
+      hsnCode.isActive = isActive;
+    }
+
+    await hsnCode.save();
+
+    logger.info(`HSN code ${hsnCode.code} updated by Admin: ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'HSN code updated successfully',
+      data: hsnCode,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    logger.error('Update HSN code error:', error);
+    next(error);
+  }
+};
+
+exports.deleteHsnCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const hsnCode = await HsnCode.findByIdAndDelete(req.params.id);
+
+    if (!hsnCode) {
+      return res.status(404).json({
+        success: false,
+        error: 'HSN code not found',
+      });
+    }
+
+    logger.info(`HSN code ${hsnCode.code} deleted by Admin: ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'HSN code deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete HSN code error:', error);
+    next(error);
+  }
+};
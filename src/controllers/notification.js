@@ -0,0 +1,174 @@
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+// The same handlers serve the user, vendor and rider apps
+const getRecipient = (req) => {
+  if (req.rider) {
+    return { type: 'rider', id: req.rider._id };
+  }
+  if (req.vendor) {
+    return { type: 'vendor', id: req.vendor._id };
+  }
+  return { type: 'user', id: req.user._id };
+};
+
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recipient = getRecipient(req);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await notificationService.getInbox(
+      recipient.type,
+      recipient.id,
+      { unread: req.query.unread === 'true' },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    next(error);
+  }
+};
+
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const recipient = getRecipient(req);
+    const unreadCount = await notificationService.getUnreadCount(recipient.type, recipient.id);
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    logger.error('Get unread notification count error:', error);
+    next(error);
+  }
+};
+
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recipient = getRecipient(req);
+    const notification = await notificationService.markRead(recipient.type, recipient.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+    });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to mark notification as read',
+    });
+  }
+};
+
+exports.markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const recipient = getRecipient(req);
+    const updated = await notificationService.markAllRead(recipient.type, recipient.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${updated} notifications marked as read`,
+      data: { updated },
+    });
+  } catch (error) {
+    logger.error('Mark all notifications read error:', error);
+    next(error);
+  }
+};
+
+exports.registerDevice = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recipient = getRecipient(req);
+    const device = await notificationService.registerDevice(recipient.type, recipient.id, {
+      token: req.body.token,
+      platform: req.body.platform,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device registered for push notifications',
+      data: {
+        _id: device._id,
+        platform: device.platform,
+        lastSeenAt: device.lastSeenAt,
+      },
+    });
+  } catch (error) {
+    logger.error('Register device error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to register device',
+    });
+  }
+};
+
+exports.unregisterDevice = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recipient = getRecipient(req);
+    await notificationService.unregisterDevice(recipient.type, recipient.id, req.body.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered from push notifications',
+    });
+  } catch (error) {
+    logger.error('Unregister device error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to unregister device',
+    });
+  }
+};
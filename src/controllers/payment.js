@@ -0,0 +1,179 @@
+const paymentService = require('../services/paymentService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('signature')) {
+    return 401;
+  }
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.includes('not registered') || error.message.includes('disabled')) {
+    return 403;
+  }
+  return 400;
+};
+
+exports.createOrderPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { orderId } = req.params;
+
+    const paymentIntent = await paymentService.createPaymentIntentForUser(orderId, req.user._id);
+
+    logger.info(`Payment intent ${paymentIntent.intentId} ready for order ${orderId} by User: ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment intent created successfully',
+      data: paymentIntent,
+    });
+  } catch (error) {
+    logger.error('Create order payment error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to create payment intent',
+    });
+  }
+};
+
+exports.verifyPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { intentId, transactionId, status, signature } = req.body;
+
+    const { payment, order, duplicate } = await paymentService.verifyPaymentCallback(req.user._id, {
+      intentId,
+      transactionId,
+      status,
+      signature,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: payment.status === 'completed' ? 'Payment completed successfully' : 'Payment failed',
+      data: {
+        paymentStatus: payment.status,
+        duplicate,
+        payment: order ? order.payment : null,
+        orderId: payment.order,
+      },
+    });
+  } catch (error) {
+    logger.error('Verify payment error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to verify payment',
+    });
+  }
+};
+
+exports.paymentWebhook = async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    const { payment, duplicate } = await paymentService.handleWebhook(
+      provider,
+      req.rawBody,
+      req.headers,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        intentId: payment.intentId,
+        status: payment.status,
+        duplicate,
+      },
+    });
+  } catch (error) {
+    logger.error('Payment webhook error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to process payment webhook',
+    });
+  }
+};
+
+exports.simulateMockPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { intentId } = req.params;
+    const { outcome, failureReason } = req.body;
+
+    const { payment, order, duplicate } = await paymentService.simulateMockPayment(
+      req.user._id,
+      intentId,
+      outcome || 'success',
+      failureReason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Mock payment ${payment.status}`,
+      data: {
+        paymentStatus: payment.status,
+        duplicate,
+        payment: order ? order.payment : null,
+        orderId: payment.order,
+      },
+    });
+  } catch (error) {
+    logger.error('Simulate mock payment error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to simulate payment',
+    });
+  }
+};
+
+exports.getOrderPayments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await paymentService.getOrderPayments(req.params.orderId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Get order payments error:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+};
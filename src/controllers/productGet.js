@@ -1,22 +1,9 @@
 const Product = require('../models/Product');
+const { getNearbyVendors } = require('../services/vendorService');
+const storeHoursService = require('../services/storeHoursService');
 const { checkAndDisableExpiredOffer } = require('../utils/offerExpiryService');
 const logger = require('../utils/logger');
-
-/**
- * Calculate distance between two coordinates using Haversine formula
- * Returns distance in kilometers
- */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-};
+const { validationResult } = require('express-validator');
 
 /**
  * Calculate discount percentage based on regular price and sale price
@@ -388,7 +375,15 @@ exports.getAllProducts = async (req, res, next) => {
  */
 exports.getNearbyProducts = async (req, res, next) => {
   try {
-    const { latitude, longitude, radius = 10, page = 1, limit = 20, category, subCategory, search } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { latitude, longitude, radius = 10, page = 1, limit = 20, category, subCategory, search, minRating, sortBy, pinCode } = req.query;
 
     const hasLocation = latitude && longitude;
     let userLat, userLon, searchRadius;
@@ -424,10 +419,15 @@ exports.getNearbyProducts = async (req, res, next) => {
       isActive: true,
     };
 
-    // If location is provided, require products to have coordinates
+    // If location is provided, only stores that deliver there. The client's
+    // radius does not widen this: checkout would reject anything further.
+    const vendorDistances = {};
     if (hasLocation) {
-      query.latitude = { $exists: true, $ne: null };
-      query.longitude = { $exists: true, $ne: null };
+      const nearbyVendors = await getNearbyVendors(userLat, userLon, 0, { pinCode });
+      nearbyVendors.forEach((vendor) => {
+        vendorDistances[vendor._id.toString()] = vendor.distance;
+      });
+      query.vendor = { $in: nearbyVendors.map(vendor => vendor._id) };
     }
 
     // Optional filters
@@ -457,6 +457,10 @@ exports.getNearbyProducts = async (req, res, next) => {
       query.$text = { $search: search };
     }
 
+    if (minRating) {
+      query.averageRating = { $gte: parseFloat(minRating) };
+    }
+
     // Get all products matching the filters
     const products = await Product.find(query)
       .populate('category', 'name categoryName')
@@ -469,73 +473,13 @@ exports.getNearbyProducts = async (req, res, next) => {
     let total;
 
     if (hasLocation) {
-      // Calculate distance for each product and filter by user query radius OR vendor serviceRadius
-      // Product will be shown if:
-      // 1. Product location is within user's query radius, OR
-      // 2. User location is within vendor's serviceRadius (even if product is not in user's query radius)
       const productsWithDistance = products
-        .map(product => {
-          // Check if vendor exists and has storeAddress with coordinates and serviceRadius
-          if (!product.vendor || !product.vendor.storeAddress) {
-            return null;
-          }
-
-          const vendorLat = product.vendor.storeAddress.latitude;
-          const vendorLon = product.vendor.storeAddress.longitude;
-          const vendorServiceRadius = product.vendor.serviceRadius || 0;
-
-          if (!vendorLat || !vendorLon || vendorServiceRadius <= 0) {
-            return null;
-          }
-
-          // Calculate distance from user location to vendor store location
-          const vendorStoreDistance = calculateDistance(
-            userLat,
-            userLon,
-            vendorLat,
-            vendorLon
-          );
-
-          // Calculate distance from user location to product location (if product has coordinates)
-          let productDistance = null;
-          if (product.latitude && product.longitude) {
-            productDistance = calculateDistance(
-              userLat,
-              userLon,
-              product.latitude,
-              product.longitude
-            );
-          }
-
-          // Product should be shown if EITHER:
-          // 1. Product is within user's query radius, OR
-          // 2. User is within vendor's serviceRadius (regardless of product location)
-          let shouldShow = false;
-          let displayDistance = null;
-
-          // Check if product location is within user's query radius
-          if (productDistance !== null && productDistance <= searchRadius) {
-            shouldShow = true;
-            displayDistance = productDistance;
-          }
-          // Check if user is within vendor's serviceRadius
-          else if (vendorStoreDistance <= vendorServiceRadius) {
-            shouldShow = true;
-            // Use vendor store distance for sorting if product distance is not available
-            displayDistance = productDistance !== null ? productDistance : vendorStoreDistance;
-          }
-
-          if (!shouldShow) {
-            return null;
-          }
-
-          return {
-            ...product,
-            distance: parseFloat(displayDistance.toFixed(2)), // Distance in km, rounded to 2 decimals
-            discountPercentage: calculateDiscountPercentage(product.regularPrice, product.salePrice),
-          };
-        })
-        .filter(product => product !== null)
+        .filter(product => product.vendor && vendorDistances[product.vendor._id.toString()] !== undefined)
+        .map(product => ({
+          ...product,
+          distance: vendorDistances[product.vendor._id.toString()],
+          discountPercentage: calculateDiscountPercentage(product.regularPrice, product.salePrice),
+        }))
         .sort((a, b) => a.distance - b.distance); // Sort by distance (nearest first)
 
       total = productsWithDistance.length;
@@ -551,11 +495,17 @@ exports.getNearbyProducts = async (req, res, next) => {
       total = finalProducts.length;
     }
 
+    // Best rated first, more ratings breaking ties
+    if (sortBy === 'rating') {
+      finalProducts.sort((a, b) => (b.averageRating || 0) - (a.averageRating || 0)
+        || (b.ratingCount || 0) - (a.ratingCount || 0));
+    }
+
     // Apply pagination
     const paginatedProducts = finalProducts.slice(skip, skip + limitNum);
 
     // Apply offer discounts to products (overrides salePrice if active offer exists)
-    const productsWithOffers = await applyOfferToProducts(paginatedProducts);
+    const productsWithOffers = await storeHoursService.markStoreStatus(await applyOfferToProducts(paginatedProducts));
 
     const logMessage = hasLocation
       ? `Products retrieved: Lat: ${userLat}, Lon: ${userLon}, Radius: ${searchRadius}km, Found: ${total}, Page: ${pageNum}${subCategory ? `, SubCategory: ${subCategory}` : ''}${category ? `, Category: ${category}` : ''}`
@@ -576,6 +526,8 @@ exports.getNearbyProducts = async (req, res, next) => {
         ...(subCategory && { subCategory }),
         ...(category && { category }),
         ...(search && { search }),
+        ...(minRating && { minRating: parseFloat(minRating) }),
+        ...(sortBy && { sortBy }),
       },
       data: productsWithOffers,
     };
@@ -751,7 +703,7 @@ exports.getProductById = async (req, res, next) => {
     }
 
     // Apply offer discount to product (overrides salePrice if active offer exists)
-    const productWithOffer = await applyOfferToProducts(product);
+    const [productWithOffer] = await storeHoursService.markStoreStatus([await applyOfferToProducts(product)]);
 
     logger.info(`Product retrieved by ID: ${id}`);
 
@@ -0,0 +1,132 @@
+const productImportService = require('../services/productImportService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+const sendFile = (res, file) => {
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  return res.status(200).send(file.buffer);
+};
+
+exports.importProducts = async (req, res, next) => {
+  try {
+    const job = await productImportService.startImport(req.vendor, req.file);
+
+    logger.info(`Product import ${job._id} queued with ${job.totalRows} rows by Vendor: ${req.vendor._id}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started. Check the import status for progress.',
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Import products error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to start import',
+    });
+  }
+};
+
+exports.getImports = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await productImportService.getImports(req.vendor._id, page, limit);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get product imports error:', error);
+    next(error);
+  }
+};
+
+exports.getImport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const job = await productImportService.getImport(req.vendor._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    logger.error('Get product import error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get import',
+    });
+  }
+};
+
+exports.downloadImportErrors = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const file = await productImportService.getErrorReport(req.vendor._id, req.params.id, req.query.format || 'csv');
+
+    return sendFile(res, file);
+  } catch (error) {
+    logger.error('Download import errors error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to download error report',
+    });
+  }
+};
+
+exports.exportProducts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const file = await productImportService.exportCatalog(req.vendor._id, req.query.format || 'csv');
+
+    logger.info(`Catalog of ${file.count} products exported by Vendor: ${req.vendor._id}`);
+
+    return sendFile(res, file);
+  } catch (error) {
+    logger.error('Export products error:', error);
+    next(error);
+  }
+};
@@ -2,6 +2,8 @@ const Product = require('../models/Product');
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
+const { getNearbyVendors } = require('../services/vendorService');
+const storeHoursService = require('../services/storeHoursService');
 
 exports.toggleProductOffer = async (req, res, next) => {
   try {
@@ -312,17 +314,18 @@ exports.getVendorDailyOffers = async (req, res, next) => {
       .limit(parseInt(limit));
 
     const total = await Product.countDocuments(query);
+    const productsWithStatus = await storeHoursService.markStoreStatus(products.map(product => product.toObject()));
 
     res.status(200).json({
       success: true,
-      count: products.length,
+      count: productsWithStatus.length,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
         total,
         pages: Math.ceil(total / parseInt(limit)),
       },
-      data: products,
+      data: productsWithStatus,
     });
   } catch (error) {
     logger.error('Get vendor daily offers error:', error);
@@ -330,18 +333,6 @@ exports.getVendorDailyOffers = async (req, res, next) => {
   }
 };
 
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-};
-
 exports.getAllDailyOffers = async (req, res, next) => {
   try {
     const { latitude, longitude, radius = 10, page = 1, limit = 20, category, subCategory, search, vendorId } = req.query;
@@ -395,11 +386,6 @@ exports.getAllDailyOffers = async (req, res, next) => {
       ],
     };
 
-    if (hasLocation) {
-      query.latitude = { $exists: true, $ne: null };
-      query.longitude = { $exists: true, $ne: null };
-    }
-
     if (vendorId) {
       if (!/^[0-9a-fA-F]{24}$/.test(vendorId)) {
         return res.status(400).json({
@@ -410,6 +396,19 @@ exports.getAllDailyOffers = async (req, res, next) => {
       query.vendor = vendorId;
     }
 
+    // Only stores that deliver to the user
+    const vendorDistances = {};
+    if (hasLocation) {
+      const nearbyVendors = await getNearbyVendors(userLat, userLon, 0);
+      nearbyVendors.forEach((vendor) => {
+        vendorDistances[vendor._id.toString()] = vendor.distance;
+      });
+      query.vendor = {
+        ...(vendorId && { $eq: vendorId }),
+        $in: nearbyVendors.map(vendor => vendor._id),
+      };
+    }
+
     if (category) {
       if (!/^[0-9a-fA-F]{24}$/.test(category)) {
         return res.status(400).json({
@@ -447,58 +446,12 @@ exports.getAllDailyOffers = async (req, res, next) => {
 
     if (hasLocation) {
       const productsWithDistance = products
-        .map(product => {
-          if (!product.vendor || !product.vendor.storeAddress) {
-            return null;
-          }
-
-          const vendorLat = product.vendor.storeAddress.latitude;
-          const vendorLon = product.vendor.storeAddress.longitude;
-          const vendorServiceRadius = product.vendor.serviceRadius || 0;
-
-          if (!vendorLat || !vendorLon || vendorServiceRadius <= 0) {
-            return null;
-          }
-
-          const vendorStoreDistance = calculateDistance(
-            userLat,
-            userLon,
-            vendorLat,
-            vendorLon
-          );
-
-          let productDistance = null;
-          if (product.latitude && product.longitude) {
-            productDistance = calculateDistance(
-              userLat,
-              userLon,
-              product.latitude,
-              product.longitude
-            );
-          }
-
-          let shouldShow = false;
-          let displayDistance = null;
-
-          if (productDistance !== null && productDistance <= searchRadius) {
-            shouldShow = true;
-            displayDistance = productDistance;
-          } else if (vendorStoreDistance <= vendorServiceRadius) {
-            shouldShow = true;
-            displayDistance = vendorStoreDistance;
-          }
-
-          if (!shouldShow) {
-            return null;
-          }
-
-          return {
-            ...product,
-            distance: parseFloat(displayDistance.toFixed(2)),
-            discountPercentage: product.offerDiscountPercentage || 0,
-          };
-        })
-        .filter(product => product !== null)
+        .filter(product => product.vendor && vendorDistances[product.vendor._id.toString()] !== undefined)
+        .map(product => ({
+          ...product,
+          distance: vendorDistances[product.vendor._id.toString()],
+          discountPercentage: product.offerDiscountPercentage || 0,
+        }))
         .sort((a, b) => a.distance - b.distance);
 
       total = productsWithDistance.length;
@@ -513,7 +466,7 @@ exports.getAllDailyOffers = async (req, res, next) => {
       total = finalProducts.length;
     }
 
-    const paginatedProducts = finalProducts.slice(skip, skip + limitNum);
+    const paginatedProducts = await storeHoursService.markStoreStatus(finalProducts.slice(skip, skip + limitNum));
 
     const logMessage = hasLocation
       ? `Daily offers retrieved: Lat: ${userLat}, Lon: ${userLon}, Radius: ${searchRadius}km, Found: ${total}, Page: ${pageNum}${subCategory ? `, SubCategory: ${subCategory}` : ''}${category ? `, Category: ${category}` : ''}`
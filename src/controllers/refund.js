@@ -0,0 +1,159 @@
+const refundService = require('../services/refundService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  return 400;
+};
+
+exports.createReturnRequest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { orderId } = req.params;
+    const { items, refundTo } = req.body;
+
+    const returnRequests = await refundService.createReturnRequest(req.user._id, orderId, {
+      items,
+      refundTo,
+    });
+
+    logger.info(`Return requested for order ${orderId} by User: ${req.user._id} (${returnRequests.map(r => r.returnNumber).join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted successfully',
+      data: returnRequests,
+    });
+  } catch (error) {
+    logger.error('Create return request error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to create return request',
+    });
+  }
+};
+
+exports.getUserReturnRequests = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await refundService.getReturnRequests(
+      { user: req.user._id, status: req.query.status },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get user return requests error:', error);
+    next(error);
+  }
+};
+
+exports.getVendorReturnRequests = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await refundService.getReturnRequests(
+      { vendor: req.vendor._id, status: req.query.status },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get vendor return requests error:', error);
+    next(error);
+  }
+};
+
+exports.getAllReturnRequests = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await refundService.getReturnRequests(
+      {
+        status: req.query.status,
+        type: req.query.type,
+        vendor: req.query.vendor,
+        user: req.query.user,
+        order: req.query.order,
+      },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get all return requests error:', error);
+    next(error);
+  }
+};
+
+exports.reviewReturnRequest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { returnId } = req.params;
+    const { action, note, rejectionReason, restock } = req.body;
+
+    const reviewer = req.admin
+      ? { type: 'admin', id: req.admin._id }
+      : { type: 'vendor', id: req.vendor._id };
+
+    const returnRequest = await refundService.reviewReturnRequest(returnId, reviewer, {
+      action,
+      note,
+      rejectionReason,
+      restock: restock === true || restock === 'true',
+    });
+
+    logger.info(`Return ${returnRequest.returnNumber} ${action}d by ${reviewer.type}: ${reviewer.id} - status ${returnRequest.status}`);
+
+    const messages = {
+      refunded: 'Return approved and refund processed successfully',
+      rejected: 'Return request rejected',
+      failed: 'Return approved but the refund could not be processed. Approve again to retry',
+    };
+
+    res.status(200).json({
+      success: true,
+      message: messages[returnRequest.status] || 'Return request updated',
+      data: returnRequest,
+    });
+  } catch (error) {
+    logger.error('Review return request error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to review return request',
+    });
+  }
+};
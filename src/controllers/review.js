@@ -0,0 +1,337 @@
+const reviewService = require('../services/reviewService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Multipart forms send a single value as a string
+const toArray = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+exports.getProductReviews = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { rating, sortBy, withImages } = req.query;
+
+    const result = await reviewService.getProductReviews(
+      req.params.productId,
+      { rating, sortBy, withImages: withImages === 'true' },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get product reviews error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get reviews',
+    });
+  }
+};
+
+exports.getReviewableItems = async (req, res, next) => {
+  try {
+    const items = await reviewService.getReviewableItems(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items,
+    });
+  } catch (error) {
+    logger.error('Get reviewable items error:', error);
+    next(error);
+  }
+};
+
+exports.getMyReviews = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await reviewService.getUserReviews(req.user._id, page, limit);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get my reviews error:', error);
+    next(error);
+  }
+};
+
+exports.createReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { orderId, orderItemId, rating, title, comment } = req.body;
+
+    const review = await reviewService.createReview(
+      req.user._id,
+      { orderId, orderItemId, rating: parseInt(rating), title, comment },
+      req.files || []
+    );
+
+    logger.info(`Review ${review._id} (${review.rating}★) created for product ${review.product} by User: ${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Create review error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to submit review',
+    });
+  }
+};
+
+exports.updateReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { rating, title, comment, removeImages } = req.body;
+
+    const review = await reviewService.updateReview(
+      req.user._id,
+      req.params.id,
+      {
+        rating: rating !== undefined ? parseInt(rating) : undefined,
+        title,
+        comment,
+        removeImages: toArray(removeImages),
+      },
+      req.files || []
+    );
+
+    logger.info(`Review ${review._id} updated by User: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Update review error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update review',
+    });
+  }
+};
+
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    await reviewService.deleteReview(req.user._id, req.params.id);
+
+    logger.info(`Review ${req.params.id} deleted by User: ${req.user._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete review error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to delete review',
+    });
+  }
+};
+
+exports.getVendorReviews = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { product, rating, unreplied } = req.query;
+
+    const result = await reviewService.getVendorReviews(
+      req.vendor._id,
+      { product, rating, unreplied: unreplied === 'true' },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get vendor reviews error:', error);
+    next(error);
+  }
+};
+
+exports.replyToReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const review = await reviewService.replyToReview(req.vendor, req.params.id, req.body.reply);
+
+    logger.info(`Review ${review._id} replied to by Vendor: ${req.vendor._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply posted successfully',
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Reply to review error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to reply to review',
+    });
+  }
+};
+
+exports.getAllReviews = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, product, vendor, user, rating } = req.query;
+
+    const result = await reviewService.getReviews({ status, product, vendor, user, rating }, page, limit);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get all reviews error:', error);
+    next(error);
+  }
+};
+
+exports.moderateReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { status, note } = req.body;
+    const review = await reviewService.moderateReview(req.admin._id, req.params.id, status, note);
+
+    logger.info(`Review ${review._id} marked ${status} by Admin: ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${status === 'hidden' ? 'hidden' : 'published'} successfully`,
+      data: review,
+    });
+  } catch (error) {
+    logger.error('Moderate review error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to moderate review',
+    });
+  }
+};
+
+exports.removeReview = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    await reviewService.removeReview(req.params.id);
+
+    logger.info(`Review ${req.params.id} deleted by Admin: ${req.admin.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Remove review error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to delete review',
+    });
+  }
+};
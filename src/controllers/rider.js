@@ -1,12 +1,22 @@
 const Rider = require('../models/Rider');
 const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
 const RiderJobApplication = require('../models/RiderJobApplication');
 const RiderJobPost = require('../models/RiderJobPost');
-const { notificationQueue } = require('../utils/queue');
+const { addNotificationJob } = require('../utils/queue');
 const { notifyRiderOrderUpdate } = require('../utils/socket');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 const { updateRiderProfileData } = require('../services/riderService');
+const { buildHistoryEntry } = require('../services/orderStatusService');
+const shipmentService = require('../services/shipmentService');
+const deliverySlotService = require('../services/deliverySlotService');
+const dispatchService = require('../services/dispatchService');
+const deliveryProofService = require('../services/deliveryProofService');
+const riderAvailabilityService = require('../services/riderAvailabilityService');
+const riderShiftService = require('../services/riderShiftService');
+const tripService = require('../services/tripService');
+const riderTrackingService = require('../services/riderTrackingService');
 
 exports.getProfile = async (req, res, next) => {
   try {
@@ -216,6 +226,11 @@ exports.suspendRider = async (req, res, next) => {
     rider.isActive = !rider.isActive;
     await rider.save();
 
+    // A suspended rider stops getting orders straight away
+    if (!rider.isActive) {
+      await riderAvailabilityService.goOffline(rider._id, 'deactivated');
+    }
+
     const action = rider.isActive ? 'activated' : 'suspended';
     logger.info(`Rider ${action}: ${rider.mobileNumber} (ID: ${rider._id}) by Admin: ${req.admin.email || req.admin._id}`);
 
@@ -269,9 +284,18 @@ exports.getPendingRiders = async (req, res, next) => {
 
 /**
  * Get available orders for rider (orders that need assignment)
+ * Riders see their vendor's shipment of each order.
  */
 exports.getAvailableOrders = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const riderId = req.rider._id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -294,45 +318,41 @@ exports.getAvailableOrders = async (req, res, next) => {
       });
     }
 
-    const vendorIds = [rider.vendor.toString()];
-
-    // Find orders that are ready and have assignment requests for this rider
-    const orders = await Order.find({
+    // Shipments that are ready, have no rider yet and are waiting for this
+    // rider's answer. Other stops of a trip are offered through its lead shipment.
+    const query = {
       status: 'ready',
-      'items.vendor': { $in: vendorIds },
-      $or: [
-        { rider: null }, // No rider assigned yet
-        { 'assignmentRequestSentTo.rider': riderId, 'assignmentRequestSentTo.status': 'pending' },
-      ],
-    })
-      .populate('user', 'userName contactNumber')
-      .populate('items.product', 'productName thumbnail')
-      .populate('items.vendor', 'vendorName storeName storeAddress')
-      .sort({ createdAt: -1 })
+      vendor: rider.vendor,
+      rider: null,
+      'dispatch.status': { $ne: 'batched' },
+      assignmentRequestSentTo: { $elemMatch: { rider: riderId, status: 'pending' } },
+    };
+
+    const slotRange = deliverySlotService.buildSlotRange(req.query);
+    if (slotRange) {
+      query['deliverySlot.startTime'] = slotRange;
+    }
+
+    const shipments = await Shipment.find(query)
+      .populate({
+        path: 'order',
+        select: 'orderNumber user shippingAddress payment notes',
+        populate: { path: 'user', select: 'userName contactNumber' },
+      })
+      .populate('vendor', 'vendorName storeName storeAddress')
+      .sort(deliverySlotService.buildSlotSort(req.query.sortBy, { createdAt: -1 }))
       .skip(skip)
       .limit(limit)
       .lean();
 
-    // Filter orders to only show those where this rider has a pending request or no rider is assigned
-    const availableOrders = orders.filter(order => {
-      // If rider is already assigned, skip
-      if (order.rider) {
-        return false;
+    const availableOrders = shipments.map(shipmentService.formatShipmentForRider);
+    for (const availableOrder of availableOrders) {
+      if (availableOrder.trip) {
+        availableOrder.trip = await tripService.getTripSummary(availableOrder.trip);
       }
-      
-      // Check if this rider has a pending assignment request
-      const riderRequest = order.assignmentRequestSentTo?.find(
-        req => req.rider?.toString() === riderId.toString() && req.status === 'pending'
-      );
-      
-      return !order.rider || riderRequest;
-    });
+    }
 
-    const total = await Order.countDocuments({
-      status: 'ready',
-      'items.vendor': { $in: vendorIds },
-      rider: null,
-    });
+    const total = await Shipment.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -353,6 +373,7 @@ exports.getAvailableOrders = async (req, res, next) => {
 
 /**
  * Accept order assignment
+ * Assigns the rider to their vendor's shipment of the order.
  */
 exports.acceptOrderAssignment = async (req, res, next) => {
   try {
@@ -368,85 +389,128 @@ exports.acceptOrderAssignment = async (req, res, next) => {
     const { orderId } = req.params;
 
     // Find the order for initial validation
-    const initialOrder = await Order.findById(orderId);
+    const order = await Order.findById(orderId);
 
-    if (!initialOrder) {
+    if (!order) {
       return res.status(404).json({
         success: false,
         error: 'Order not found',
       });
     }
 
-    // Check if order is in ready status
-    if (initialOrder.status !== 'ready') {
-      return res.status(400).json({
+    // Verify rider works for the vendor
+    const rider = await Rider.findById(riderId);
+    if (!rider || !rider.vendor) {
+      return res.status(403).json({
         success: false,
-        error: `Order is not available for assignment. Current status: ${initialOrder.status}`,
+        error: 'You are not assigned to any vendor. Please get approved by a vendor first.',
       });
     }
 
-    // Check if rider is already assigned
-    if (initialOrder.rider) {
-      return res.status(400).json({
+    // Orders only go to riders who are online and on a booked shift, like the dispatch waves
+    if (rider.availability?.status !== 'online') {
+      return res.status(403).json({
         success: false,
-        error: 'This order has already been assigned to another rider',
+        error: 'You are offline. Go online to accept orders',
       });
     }
 
-    // Verify rider works for the vendor
-    const rider = await Rider.findById(riderId);
-    if (!rider || !rider.vendor) {
+    const onShift = await riderShiftService.getOnShiftRiderIds(rider.vendor, [riderId]);
+    if (!onShift.has(riderId.toString())) {
       return res.status(403).json({
         success: false,
-        error: 'You are not assigned to any vendor. Please get approved by a vendor first.',
+        error: 'You are not on a booked shift right now',
       });
     }
 
-    const vendorIds = [...new Set(initialOrder.items.map(item => {
-      const vendorId = item.vendor?._id || item.vendor;
-      return vendorId?.toString();
-    }).filter(Boolean))];
+    const initialShipment = await shipmentService.getVendorShipment(order, rider.vendor);
 
-    const riderVendorId = rider.vendor.toString();
-    const hasAccess = vendorIds.includes(riderVendorId);
-
-    if (!hasAccess) {
+    if (!initialShipment) {
       return res.status(403).json({
         success: false,
         error: 'You are not assigned to any vendor for this order. You can only accept orders from your assigned vendor.',
       });
     }
 
+    // Check if shipment is in ready status
+    if (initialShipment.status !== 'ready') {
+      return res.status(400).json({
+        success: false,
+        error: `Order is not available for assignment. Current status: ${initialShipment.status}`,
+      });
+    }
+
+    // Check if rider is already assigned
+    if (initialShipment.rider) {
+      return res.status(400).json({
+        success: false,
+        error: 'This order has already been assigned to another rider',
+      });
+    }
+
+    // Trips are taken through their lead shipment
+    if (initialShipment.dispatch?.status === 'batched') {
+      const trip = await tripService.getTripSummary(initialShipment.trip);
+      const lead = trip && await Shipment.findById(trip.leadShipmentId).select('orderNumber');
+      return res.status(400).json({
+        success: false,
+        error: lead
+          ? `This order is part of trip ${trip.tripNumber}. Accept order ${lead.orderNumber} to take the whole trip`
+          : 'This order is part of a trip and cannot be accepted on its own',
+      });
+    }
+
     // Check if rider has a pending assignment request
-    const riderRequest = initialOrder.assignmentRequestSentTo?.find(
+    const riderRequest = initialShipment.assignmentRequestSentTo?.find(
       req => req.rider?.toString() === riderId.toString()
     );
 
-    if (!riderRequest && initialOrder.assignmentRequestSentTo?.length > 0) {
+    if (!riderRequest) {
       return res.status(403).json({
         success: false,
         error: 'You were not notified about this order',
       });
     }
 
+    // Requests that timed out or were declined can no longer be accepted
+    if (riderRequest.status !== 'pending') {
+      return res.status(403).json({
+        success: false,
+        error: `Your assignment request for this order has ${riderRequest.status === 'rejected' ? 'been declined' : 'expired'}`,
+      });
+    }
+
     // Use atomic update to prevent race condition when multiple riders accept simultaneously
     // Only update if rider is still null (not assigned yet) - CRITICAL for preventing double assignment
-    const updateResult = await Order.findOneAndUpdate(
+    // and this rider's offer is still pending, so an accept cannot beat the wave expiry
+    const updateResult = await Shipment.findOneAndUpdate(
       {
-        _id: orderId,
+        _id: initialShipment._id,
         status: 'ready',
         rider: null, // CRITICAL: Only update if no rider assigned yet (atomic check)
+        'dispatch.status': { $ne: 'batched' },
+        assignmentRequestSentTo: { $elemMatch: { rider: riderId, status: 'pending' } },
       },
       {
         $set: {
           rider: riderId,
           assignedAt: new Date(),
           status: 'out_for_delivery',
+          updatedAt: new Date(),
           'assignmentRequestSentTo.$[acceptedElem].status': 'accepted',
           'assignmentRequestSentTo.$[acceptedElem].respondedAt': new Date(),
           'assignmentRequestSentTo.$[expiredElem].status': 'expired',
           'assignmentRequestSentTo.$[expiredElem].respondedAt': new Date(),
-        }
+          'dispatch.status': 'assigned',
+          'dispatch.waveExpiresAt': null,
+        },
+        $push: {
+          statusHistory: buildHistoryEntry('ready', 'out_for_delivery', {
+            actor: 'rider',
+            actorId: riderId,
+            note: 'Rider accepted the delivery',
+          }),
+        },
       },
       {
         arrayFilters: [
@@ -461,21 +525,30 @@ exports.acceptOrderAssignment = async (req, res, next) => {
     // If updateResult is null, another rider already accepted (race condition handled)
     if (!updateResult) {
       // Re-fetch to get current state
-      const currentOrder = await Order.findById(orderId).populate('rider', 'fullName mobileNumber');
-      if (currentOrder && currentOrder.rider) {
+      const currentShipment = await Shipment.findById(initialShipment._id).populate('rider', 'fullName mobileNumber');
+      if (currentShipment && currentShipment.rider) {
         return res.status(400).json({
           success: false,
           error: 'This order has already been assigned to another rider. Another rider accepted it just before you.',
           assignedRider: {
-            name: currentOrder.rider.fullName,
-            mobile: currentOrder.rider.mobileNumber
+            name: currentShipment.rider.fullName,
+            mobile: currentShipment.rider.mobileNumber
           }
         });
       }
-      if (currentOrder && currentOrder.status !== 'ready') {
+      if (currentShipment && currentShipment.status !== 'ready') {
         return res.status(400).json({
           success: false,
-          error: `Order is no longer available for assignment. Current status: ${currentOrder.status}`,
+          error: `Order is no longer available for assignment. Current status: ${currentShipment.status}`,
+        });
+      }
+      const currentRequest = currentShipment?.assignmentRequestSentTo?.find(
+        req => req.rider?.toString() === riderId.toString()
+      );
+      if (currentRequest && currentRequest.status !== 'pending') {
+        return res.status(403).json({
+          success: false,
+          error: `Your assignment request for this order has ${currentRequest.status === 'rejected' ? 'been declined' : 'expired'}`,
         });
       }
       // If still available but update failed, return conflict error
@@ -485,28 +558,88 @@ exports.acceptOrderAssignment = async (req, res, next) => {
       });
     }
 
-    // Use the updated order from atomic operation
-    const order = updateResult;
+    // Use the updated shipment from atomic operation
+    const shipment = updateResult;
+    riderTrackingService.refreshActiveShipments(riderId);
+
+    await shipmentService.syncOrderStatus(order._id, {
+      actor: 'rider',
+      actorId: riderId,
+      note: 'Rider accepted the delivery',
+    });
+
+    // The customer gets the code the rider asks for at the door
+    try {
+      await deliveryProofService.issueHandoverCode(shipment);
+    } catch (error) {
+      logger.error(`Issuing handover code for shipment ${shipment.shipmentNumber} failed:`, error);
+    }
+
+    // Taking a trip's lead shipment takes every stop
+    let trip = null;
+    if (shipment.trip) {
+      try {
+        const assignedTrip = await tripService.assignTrip(shipment.trip, riderId);
+        if (assignedTrip) {
+          const stops = await shipmentService.assignTripStops(assignedTrip, riderId, {
+            actor: 'rider',
+            actorId: riderId,
+            note: `Rider accepted trip ${assignedTrip.tripNumber}`,
+          });
+          for (const stop of stops) {
+            await addNotificationJob({
+              userId: stop.user,
+              recipientType: 'user',
+              type: 'rider_assigned',
+              title: 'Rider Assigned to Your Order',
+              message: `Rider ${rider.fullName || rider.mobileNumber} has been assigned to your order ${stop.orderNumber}`,
+              data: {
+                orderId: stop.order,
+                orderNumber: stop.orderNumber,
+                shipmentId: stop._id,
+                shipmentNumber: stop.shipmentNumber,
+                rider: {
+                  name: rider.fullName,
+                  mobileNumber: rider.mobileNumber,
+                },
+                type: 'user',
+              },
+            });
+          }
+          trip = await tripService.getRiderTrip(riderId, assignedTrip._id);
+        }
+      } catch (error) {
+        logger.error(`Assigning trip of shipment ${shipment.shipmentNumber} failed:`, error);
+      }
+    }
 
     // Notify user about rider assignment
-    const populatedOrder = await Order.findById(orderId)
-      .populate('user', 'userName contactNumber email')
-      .populate('items.product', 'productName thumbnail')
-      .populate('items.vendor', 'vendorName storeName')
-      .populate('rider', 'fullName mobileNumber');
-
-    if (notificationQueue && populatedOrder.user) {
-      await notificationQueue.add({
-        userId: populatedOrder.user._id,
+    const populatedShipment = await Shipment.findById(shipment._id)
+      .populate({
+        path: 'order',
+        select: 'orderNumber user shippingAddress payment notes',
+        populate: { path: 'user', select: 'userName contactNumber email' },
+      })
+      .populate('vendor', 'vendorName storeName')
+      .populate('rider', 'fullName mobileNumber')
+      .lean();
+    const riderOrder = shipmentService.formatShipmentForRider(populatedShipment);
+
+    if (riderOrder.user) {
+      await addNotificationJob({
+        userId: riderOrder.user._id,
+        recipientType: 'user',
         type: 'rider_assigned',
         title: 'Rider Assigned to Your Order',
-        message: `Rider ${populatedOrder.rider?.fullName || populatedOrder.rider?.mobileNumber} has been assigned to your order ${order.orderNumber}`,
+        message: `Rider ${riderOrder.rider?.fullName || riderOrder.rider?.mobileNumber} has been assigned to your order ${order.orderNumber}`,
         data: {
           orderId: order._id,
           orderNumber: order.orderNumber,
+          shipmentId: shipment._id,
+          shipmentNumber: shipment.shipmentNumber,
           rider: {
-            name: populatedOrder.rider?.fullName,
-            mobileNumber: populatedOrder.rider?.mobileNumber,
+            name: riderOrder.rider?.fullName,
+            mobileNumber: riderOrder.rider?.mobileNumber,
           },
           type: 'user',
         },
@@ -518,10 +651,12 @@ exports.acceptOrderAssignment = async (req, res, next) => {
       const orderUpdateData = {
         orderId: order._id,
         orderNumber: order.orderNumber,
+        shipmentId: shipment._id,
+        shipmentNumber: shipment.shipmentNumber,
         status: 'out_for_delivery',
-        amount: order.pricing?.total || 0,
-        deliveryAmount: order.deliveryAmount || 0,
-        pricing: order.pricing,
+        amount: shipment.pricing?.total || 0,
+        deliveryAmount: shipment.deliveryAmount || 0,
+        pricing: shipment.pricing,
         shippingAddress: order.shippingAddress,
         location: {
           address: [
@@ -539,7 +674,7 @@ exports.acceptOrderAssignment = async (req, res, next) => {
             longitude: order.shippingAddress?.longitude || null,
           }
         },
-        rider: populatedOrder.rider,
+        rider: riderOrder.rider,
       };
       
       notifyRiderOrderUpdate(riderId, orderUpdateData);
@@ -547,12 +682,12 @@ exports.acceptOrderAssignment = async (req, res, next) => {
       logger.error(`Error sending WebSocket notification to rider: ${socketError.message}`);
     }
 
-    logger.info(`Rider ${riderId} accepted assignment for order ${order.orderNumber}`);
+    logger.info(`Rider ${riderId} accepted assignment for shipment ${shipment.shipmentNumber}`);
 
     res.status(200).json({
       success: true,
-      message: 'Order assignment accepted successfully',
-      data: populatedOrder,
+      message: trip ? `Trip ${trip.tripNumber} with ${trip.stopCount} orders accepted successfully` : 'Order assignment accepted successfully',
+      data: trip ? { ...riderOrder, trip } : riderOrder,
     });
   } catch (error) {
     logger.error('Accept order assignment error:', error);
@@ -560,11 +695,102 @@ exports.acceptOrderAssignment = async (req, res, next) => {
   }
 };
 
+/**
+ * Complete a delivery. The rider proves the handover with the code the
+ * customer received, or with a doorstep photo when the customer can't give it.
+ */
+exports.markOrderDelivered = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const riderId = req.rider._id;
+    const { orderId } = req.params;
+
+    const shipment = await Shipment.findOne({ order: orderId, rider: riderId });
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+      });
+    }
+
+    if (shipment.status !== 'out_for_delivery') {
+      return res.status(400).json({
+        success: false,
+        error: `Order is not out for delivery. Current status: ${shipment.status}`,
+      });
+    }
+
+    let proof;
+    try {
+      proof = await deliveryProofService.buildRiderProof(shipment, riderId, {
+        handoverCode: req.body.handoverCode,
+        photo: req.file,
+        latitude: req.body.latitude ? parseFloat(req.body.latitude) : undefined,
+        longitude: req.body.longitude ? parseFloat(req.body.longitude) : undefined,
+        note: req.body.note,
+      });
+    } catch (proofError) {
+      return res.status(400).json({
+        success: false,
+        error: proofError.message,
+      });
+    }
+
+    const { shipment: deliveredShipment } = await shipmentService.changeShipmentStatus(shipment, 'delivered', {
+      actor: 'rider',
+      actorId: riderId,
+      note: proof.method === 'otp' ? 'Delivered with handover code' : 'Delivered with doorstep photo',
+      set: { deliveryProof: proof },
+    });
+
+    logger.info(`Rider ${riderId} delivered shipment ${deliveredShipment.shipmentNumber} (${proof.method})`);
+
+    // On a trip the rider moves on to the next stop
+    const trip = deliveredShipment.trip
+      ? await tripService.getRiderTrip(riderId, deliveredShipment.trip).catch(() => null)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      message: 'Order delivered successfully',
+      data: {
+        orderId: deliveredShipment.order,
+        orderNumber: deliveredShipment.orderNumber,
+        shipmentId: deliveredShipment._id,
+        shipmentNumber: deliveredShipment.shipmentNumber,
+        status: deliveredShipment.status,
+        deliveredAt: deliveredShipment.deliveredAt,
+        deliveryProof: deliveredShipment.deliveryProof,
+        trip,
+      },
+    });
+  } catch (error) {
+    logger.error('Mark order delivered error:', error);
+    next(error);
+  }
+};
+
 /**
  * Get rider's assigned orders
  */
 exports.getMyOrders = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const riderId = req.rider._id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -577,16 +803,26 @@ exports.getMyOrders = async (req, res, next) => {
       query.status = status;
     }
 
-    const orders = await Order.find(query)
-      .populate('user', 'userName contactNumber')
-      .populate('items.product', 'productName thumbnail')
-      .populate('items.vendor', 'vendorName storeName storeAddress')
-      .sort({ assignedAt: -1, createdAt: -1 })
+    const slotRange = deliverySlotService.buildSlotRange(req.query);
+    if (slotRange) {
+      query['deliverySlot.startTime'] = slotRange;
+    }
+
+    const shipments = await Shipment.find(query)
+      .populate({
+        path: 'order',
+        select: 'orderNumber user shippingAddress payment notes',
+        populate: { path: 'user', select: 'userName contactNumber' },
+      })
+      .populate('vendor', 'vendorName storeName storeAddress')
+      .sort(deliverySlotService.buildSlotSort(req.query.sortBy, { assignedAt: -1, createdAt: -1 }))
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const total = await Order.countDocuments(query);
+    const orders = shipments.map(shipmentService.formatShipmentForRider);
+
+    const total = await Shipment.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -622,26 +858,29 @@ exports.rejectOrderAssignment = async (req, res, next) => {
     const { orderId } = req.params;
     const { reason } = req.body; // Optional rejection reason
 
-    // Find the order
-    const order = await Order.findById(orderId);
+    // Find the shipment this rider was asked to deliver
+    const shipment = await Shipment.findOne({
+      order: orderId,
+      'assignmentRequestSentTo.rider': riderId,
+    });
 
-    if (!order) {
+    if (!shipment) {
       return res.status(404).json({
         success: false,
         error: 'Order not found',
       });
     }
 
-    // Check if order is in ready status
-    if (order.status !== 'ready') {
+    // Check if shipment is in ready status
+    if (shipment.status !== 'ready') {
       return res.status(400).json({
         success: false,
-        error: `Order is not available for assignment. Current status: ${order.status}`,
+        error: `Order is not available for assignment. Current status: ${shipment.status}`,
       });
     }
 
     // Check if rider is already assigned
-    if (order.rider) {
+    if (shipment.rider) {
       return res.status(400).json({
         success: false,
         error: 'This order has already been assigned to another rider',
@@ -649,7 +888,7 @@ exports.rejectOrderAssignment = async (req, res, next) => {
     }
 
     // Check if rider has a pending assignment request
-    const riderRequest = order.assignmentRequestSentTo?.find(
+    const riderRequest = shipment.assignmentRequestSentTo?.find(
       req => req.rider?.toString() === riderId.toString() && req.status === 'pending'
     );
 
@@ -667,16 +906,25 @@ exports.rejectOrderAssignment = async (req, res, next) => {
       riderRequest.rejectionReason = reason;
     }
 
-    await order.save();
+    await shipment.save();
 
-    logger.info(`Rider ${riderId} rejected assignment for order ${order.orderNumber}`);
+    logger.info(`Rider ${riderId} rejected assignment for shipment ${shipment.shipmentNumber}`);
+
+    // Ask the next riders straight away once the whole wave declined
+    try {
+      await dispatchService.handleRejection(shipment._id);
+    } catch (error) {
+      logger.error(`Advancing dispatch of shipment ${shipment.shipmentNumber} failed:`, error);
+    }
 
     res.status(200).json({
       success: true,
       message: 'Order assignment rejected successfully',
       data: {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
+        orderId: shipment.order,
+        orderNumber: shipment.orderNumber,
+        shipmentId: shipment._id,
+        shipmentNumber: shipment.shipmentNumber,
         status: 'rejected',
       },
     });
@@ -685,4 +933,3 @@ exports.rejectOrderAssignment = async (req, res, next) => {
     next(error);
   }
 };
-
@@ -0,0 +1,220 @@
+const riderEarningService = require('../services/riderEarningService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+/**
+ * Rider's own earnings: ?period=daily|weekly&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+exports.getMyEarnings = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const earnings = await riderEarningService.getRiderEarnings(req.rider._id, {
+      period: req.query.period,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: earnings,
+    });
+  } catch (error) {
+    logger.error('Get rider earnings error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get earnings',
+    });
+  }
+};
+
+exports.getMyLedger = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await riderEarningService.getLedger(
+      req.rider._id,
+      { type: req.query.type, date: req.query.date },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get rider ledger error:', error);
+    next(error);
+  }
+};
+
+exports.getCashReconciliation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const reconciliation = await riderEarningService.getCashReconciliation(req.vendor._id, req.query.date);
+
+    res.status(200).json({
+      success: true,
+      data: reconciliation,
+    });
+  } catch (error) {
+    logger.error('Get rider cash reconciliation error:', error);
+    next(error);
+  }
+};
+
+exports.getRiderLedger = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await riderEarningService.getLedger(
+      req.params.riderId,
+      { vendor: req.vendor._id, type: req.query.type, date: req.query.date },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get rider ledger error:', error);
+    next(error);
+  }
+};
+
+exports.recordCashDeposit = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const deposit = await riderEarningService.recordDeposit(req.vendor._id, req.params.riderId, {
+      amount: parseFloat(req.body.amount),
+      reference: req.body.reference,
+      note: req.body.note,
+      date: req.body.date,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash deposit recorded successfully',
+      data: deposit,
+    });
+  } catch (error) {
+    logger.error('Record rider cash deposit error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to record deposit',
+    });
+  }
+};
+
+exports.addRiderAdjustment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const entry = await riderEarningService.addAdjustment(req.vendor._id, req.params.riderId, {
+      type: req.body.type,
+      amount: parseFloat(req.body.amount),
+      description: req.body.description,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: req.body.type === 'incentive' ? 'Incentive credited successfully' : 'Adjustment recorded successfully',
+      data: entry,
+    });
+  } catch (error) {
+    logger.error('Add rider adjustment error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to record adjustment',
+    });
+  }
+};
+
+exports.settleRiderDay = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const settlement = await riderEarningService.settleDay(req.vendor._id, req.params.riderId, req.params.date, {
+      payout: parseFloat(req.body.payout) || 0,
+      reference: req.body.reference,
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Rider day settled successfully',
+      data: settlement,
+    });
+  } catch (error) {
+    logger.error('Settle rider day error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to settle day',
+    });
+  }
+};
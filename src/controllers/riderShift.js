@@ -0,0 +1,374 @@
+const riderShiftService = require('../services/riderShiftService');
+const riderAvailabilityService = require('../services/riderAvailabilityService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Rider availability
+
+exports.getMyAvailability = async (req, res, next) => {
+  try {
+    const [availability, currentShift] = await Promise.all([
+      riderAvailabilityService.getAvailability(req.rider._id),
+      riderShiftService.getCurrentShift(req.rider._id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...availability,
+        currentShift,
+      },
+    });
+  } catch (error) {
+    logger.error('Get rider availability error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get availability',
+    });
+  }
+};
+
+exports.updateMyAvailability = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const availability = req.body.status === 'online'
+      ? await riderAvailabilityService.goOnline(req.rider._id)
+      : await riderAvailabilityService.goOffline(req.rider._id);
+    const currentShift = await riderShiftService.getCurrentShift(req.rider._id);
+
+    res.status(200).json({
+      success: true,
+      message: availability.status === 'online'
+        ? (currentShift ? 'You are online' : 'You are online. Orders are offered only during your booked shifts')
+        : 'You are offline',
+      data: {
+        ...availability,
+        currentShift,
+      },
+    });
+  } catch (error) {
+    logger.error('Update rider availability error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update availability',
+    });
+  }
+};
+
+// Rider shifts
+
+exports.getAvailableShifts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const shifts = await riderShiftService.getAvailableShifts(req.rider._id, {
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      data: shifts,
+    });
+  } catch (error) {
+    logger.error('Get available shifts error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get shifts',
+    });
+  }
+};
+
+exports.getMyShifts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const shifts = await riderShiftService.getRiderShifts(req.rider._id, {
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      data: shifts,
+    });
+  } catch (error) {
+    logger.error('Get rider shifts error:', error);
+    next(error);
+  }
+};
+
+exports.bookShift = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const shift = await riderShiftService.bookShift(req.rider._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift booked successfully',
+      data: shift,
+    });
+  } catch (error) {
+    logger.error('Book shift error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to book shift',
+    });
+  }
+};
+
+exports.cancelShiftBooking = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const shift = await riderShiftService.cancelBooking(req.rider._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift booking cancelled',
+      data: shift,
+    });
+  } catch (error) {
+    logger.error('Cancel shift booking error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to cancel booking',
+    });
+  }
+};
+
+exports.getMyAttendance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const attendance = await riderShiftService.getAttendance(
+      { rider: req.rider._id },
+      { from: req.query.from, to: req.query.to }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: attendance.from,
+        to: attendance.to,
+        ...(attendance.riders[0] || {
+          loginMinutes: 0,
+          loginHours: 0,
+          shiftsBooked: 0,
+          shiftsAttended: 0,
+          noShows: 0,
+          lateArrivals: 0,
+          shiftMinutes: 0,
+          workedShiftMinutes: 0,
+          shifts: [],
+        }),
+      },
+    });
+  } catch (error) {
+    logger.error('Get rider attendance error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get attendance',
+    });
+  }
+};
+
+// Vendor shifts
+
+exports.createShift = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const shift = await riderShiftService.createShift(req.vendor._id, {
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      capacity: parseInt(req.body.capacity),
+      notes: req.body.notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift published successfully',
+      data: shift,
+    });
+  } catch (error) {
+    logger.error('Create rider shift error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to create shift',
+    });
+  }
+};
+
+exports.getVendorShifts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await riderShiftService.getVendorShifts(
+      req.vendor._id,
+      { from: req.query.from, to: req.query.to, status: req.query.status },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get vendor rider shifts error:', error);
+    next(error);
+  }
+};
+
+exports.updateShift = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const shift = await riderShiftService.updateShift(req.vendor._id, req.params.id, {
+      startTime: req.body.startTime,
+      endTime: req.body.endTime,
+      capacity: req.body.capacity !== undefined ? parseInt(req.body.capacity) : undefined,
+      notes: req.body.notes,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: shift,
+    });
+  } catch (error) {
+    logger.error('Update rider shift error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update shift',
+    });
+  }
+};
+
+exports.cancelShift = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const shift = await riderShiftService.cancelShift(req.vendor._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift cancelled successfully',
+      data: shift,
+    });
+  } catch (error) {
+    logger.error('Cancel rider shift error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to cancel shift',
+    });
+  }
+};
+
+exports.getVendorAttendance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const attendance = await riderShiftService.getAttendance(
+      { vendor: req.vendor._id, rider: req.query.rider },
+      { from: req.query.from, to: req.query.to }
+    );
+
+    res.status(200).json({
+      success: true,
+      count: attendance.riders.length,
+      data: attendance,
+    });
+  } catch (error) {
+    logger.error('Get rider attendance error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get attendance',
+    });
+  }
+};
@@ -0,0 +1,102 @@
+const searchService = require('../services/searchService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const parseOptionalFloat = (value) => (value !== undefined && value !== '' ? parseFloat(value) : undefined);
+
+exports.searchProducts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const {
+      q,
+      latitude,
+      longitude,
+      radius,
+      category,
+      subCategory,
+      vendor,
+      minPrice,
+      maxPrice,
+      onOffer,
+      tags,
+      minRating,
+      sortBy,
+    } = req.query;
+
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Latitude and longitude must be given together',
+      });
+    }
+
+    const result = await searchService.searchProducts(
+      {
+        q,
+        latitude: parseOptionalFloat(latitude),
+        longitude: parseOptionalFloat(longitude),
+        radius: parseOptionalFloat(radius),
+        category,
+        subCategory,
+        vendor,
+        minPrice: parseOptionalFloat(minPrice),
+        maxPrice: parseOptionalFloat(maxPrice),
+        onOffer: onOffer !== undefined ? onOffer === 'true' : undefined,
+        tags: tags ? tags.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag.length > 0) : [],
+        minRating: parseOptionalFloat(minRating),
+        sortBy,
+      },
+      page,
+      limit
+    );
+
+    logger.info(`Product search${q ? ` "${q}"` : ''}: Found: ${result.pagination.total}, Page: ${page}`);
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Search products error:', error);
+    if (error.message.includes('required')) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+exports.autocomplete = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const suggestions = await searchService.autocomplete(req.query.q, limit);
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions,
+    });
+  } catch (error) {
+    logger.error('Autocomplete error:', error);
+    next(error);
+  }
+};
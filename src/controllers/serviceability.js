@@ -0,0 +1,102 @@
+const serviceabilityService = require('../services/serviceabilityService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+exports.checkServiceability = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await serviceabilityService.getServiceability(
+      parseFloat(req.query.lat),
+      parseFloat(req.query.lng),
+      req.query.pinCode
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Check serviceability error:', error);
+    next(error);
+  }
+};
+
+exports.getVendorServiceArea = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (req.vendor && req.vendor._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view your own service area',
+      });
+    }
+
+    const serviceArea = await serviceabilityService.getServiceArea(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: serviceArea,
+    });
+  } catch (error) {
+    logger.error('Get vendor service area error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get service area',
+    });
+  }
+};
+
+exports.updateVendorServiceArea = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const serviceArea = await serviceabilityService.updateServiceArea(req.params.id, {
+      zones: req.body.zones,
+      pinCodes: req.body.pinCodes,
+    });
+
+    logger.info(`Service area of vendor ${req.params.id} updated by Admin: ${req.admin.email || req.admin._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vendor service area updated successfully',
+      data: serviceArea,
+    });
+  } catch (error) {
+    logger.error('Update vendor service area error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update service area',
+    });
+  }
+};
@@ -0,0 +1,254 @@
+const settlementService = require('../services/settlementService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+const sendFile = (res, file) => {
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  return res.status(200).send(file.buffer);
+};
+
+exports.getVendorSettlements = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await settlementService.getSettlements(
+      { vendor: req.vendor._id, status: req.query.status, from: req.query.from, to: req.query.to },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get vendor settlements error:', error);
+    next(error);
+  }
+};
+
+exports.getVendorStatement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      const file = await settlementService.renderStatementCsv(req.params.id, req.vendor._id);
+      return sendFile(res, file);
+    }
+
+    const statement = await settlementService.getSettlementStatement(req.params.id, req.vendor._id);
+
+    res.status(200).json({
+      success: true,
+      data: statement,
+    });
+  } catch (error) {
+    logger.error('Get vendor statement error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get statement',
+    });
+  }
+};
+
+exports.getAllSettlements = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await settlementService.getSettlements(
+      { vendor: req.query.vendor, status: req.query.status, from: req.query.from, to: req.query.to },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get all settlements error:', error);
+    next(error);
+  }
+};
+
+exports.getSettlement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (req.query.format === 'csv') {
+      const file = await settlementService.renderStatementCsv(req.params.id);
+      return sendFile(res, file);
+    }
+
+    const statement = await settlementService.getSettlementStatement(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: statement,
+    });
+  } catch (error) {
+    logger.error('Get settlement error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get settlement',
+    });
+  }
+};
+
+exports.exportPayouts = async (req, res, next) => {
+  try {
+    const file = await settlementService.renderPayoutCsv();
+    return sendFile(res, file);
+  } catch (error) {
+    logger.error('Export payouts error:', error);
+    next(error);
+  }
+};
+
+exports.approveSettlement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const settlement = await settlementService.approveSettlement(req.params.id, req.admin._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement approved for payout',
+      data: settlement,
+    });
+  } catch (error) {
+    logger.error('Approve settlement error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to approve settlement',
+    });
+  }
+};
+
+exports.holdSettlement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const settlement = await settlementService.holdSettlement(req.params.id, req.admin._id, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement put on hold',
+      data: settlement,
+    });
+  } catch (error) {
+    logger.error('Hold settlement error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to hold settlement',
+    });
+  }
+};
+
+exports.markSettlementPaid = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const settlement = await settlementService.markSettlementPaid(req.params.id, req.admin._id, {
+      reference: req.body.reference,
+      paidAt: req.body.paidAt,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement marked as paid',
+      data: settlement,
+    });
+  } catch (error) {
+    logger.error('Mark settlement paid error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to mark settlement as paid',
+    });
+  }
+};
+
+exports.updateVendorCommission = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const commission = await settlementService.updateCommission(req.params.id, req.body.commissionPercentage);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vendor commission percentage updated successfully',
+      data: commission,
+    });
+  } catch (error) {
+    logger.error('Update vendor commission error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update commission',
+    });
+  }
+};
@@ -0,0 +1,116 @@
+const storeHoursService = require('../services/storeHoursService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+exports.getStoreHours = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const storeHours = await storeHoursService.getStoreHours(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: storeHours,
+    });
+  } catch (error) {
+    logger.error('Get store hours error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get store hours',
+    });
+  }
+};
+
+exports.updateStoreHours = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    // Check if vendor is trying to update their own hours or admin is updating
+    if (req.vendor && req.vendor._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own store hours',
+      });
+    }
+
+    const storeHours = await storeHoursService.updateStoreHours(req.params.id, {
+      weekly: req.body.weekly,
+      holidays: req.body.holidays,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Store hours updated successfully',
+      data: storeHours,
+    });
+  } catch (error) {
+    logger.error('Update store hours error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update store hours',
+    });
+  }
+};
+
+exports.updateOrderPause = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    // Check if vendor is trying to pause their own store or admin is updating
+    if (req.vendor && req.vendor._id.toString() !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only pause orders for your own store',
+      });
+    }
+
+    const isPaused = req.body.isPaused === true || req.body.isPaused === 'true';
+    const storeHours = await storeHoursService.updateOrderPause(req.params.id, {
+      isPaused,
+      reason: req.body.reason,
+      resumeAt: req.body.resumeAt,
+    });
+
+    logger.info(`Orders ${isPaused ? 'paused' : 'resumed'} for vendor ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: isPaused ? 'Orders paused successfully' : 'Orders resumed successfully',
+      data: storeHours,
+    });
+  } catch (error) {
+    logger.error('Update order pause error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to update order pause',
+    });
+  }
+};
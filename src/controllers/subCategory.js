@@ -1,24 +1,11 @@
 const SubCategory = require('../models/SubCategory');
 const Category = require('../models/Category');
 const Product = require('../models/Product');
-const Vendor = require('../models/Vendor');
+const { getNearbyVendors } = require('../services/vendorService');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
-// Haversine formula to calculate distance between two coordinates in kilometers
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-};
-
 exports.createSubCategory = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -417,33 +404,9 @@ exports.getSubCategoriesByLocation = async (req, res, next) => {
       });
     }
 
-    // Get all vendors with location data within the radius
-    const vendors = await Vendor.find({
-      storeAddress: {
-        $exists: true,
-        $ne: null,
-      },
-      'storeAddress.latitude': { $exists: true, $ne: null },
-      'storeAddress.longitude': { $exists: true, $ne: null },
-      isActive: true,
-      storeId: { $exists: true },
-    }).select('_id storeAddress storeName vendorName serviceRadius');
-
-    // Filter vendors within the specified radius
-    const nearbyVendorIds = [];
-    vendors.forEach((vendor) => {
-      const vendorLat = vendor.storeAddress.latitude;
-      const vendorLon = vendor.storeAddress.longitude;
-      const distance = calculateDistance(latitude, longitude, vendorLat, vendorLon);
-      
-      // Check if vendor is within radius (considering both user radius and vendor service radius)
-      const vendorServiceRadius = vendor.serviceRadius || 5;
-      const maxRadius = Math.max(radius, vendorServiceRadius);
-      
-      if (distance <= maxRadius) {
-        nearbyVendorIds.push(vendor._id);
-      }
-    });
+    // Vendors that deliver to the location
+    const nearbyVendors = await getNearbyVendors(latitude, longitude, 0, { pinCode: req.query.pinCode });
+    const nearbyVendorIds = nearbyVendors.map(vendor => vendor._id);
 
     // If no vendors found within radius, return empty result
     if (nearbyVendorIds.length === 0) {
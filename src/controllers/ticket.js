@@ -109,7 +109,7 @@ exports.createTicket = async (req, res, next) => {
 
     // Populate other fields
     await ticket.populate('createdBy', 'userName contactNumber email');
-    await ticket.populate('orderId', 'orderNumber totalAmount status');
+    await ticket.populate('orderId', 'orderNumber totalAmount status deliveryProofs');
 
     res.status(201).json({
       success: true,
@@ -157,7 +157,7 @@ exports.getTickets = async (req, res, next) => {
       sort: { createdAt: -1 },
       pagination: { page: parseInt(page), limit: parseInt(limit) },
       populate: [
-        { path: 'orderId', select: 'orderNumber totalAmount status' },
+        { path: 'orderId', select: 'orderNumber totalAmount status deliveryProofs' },
         { path: 'createdBy', select: 'userName contactNumber email vendorName storeName' },
       ],
     });
@@ -207,7 +207,7 @@ exports.getTicket = async (req, res, next) => {
       _id: ticketId,
       user: userId,
     })
-      .populate('orderId', 'orderNumber totalAmount status createdAt')
+      .populate('orderId', 'orderNumber totalAmount status deliveryProofs createdAt')
       .populate('createdBy', 'userName contactNumber email vendorName storeName');
 
     // Manually populate messages with sender info
@@ -397,7 +397,7 @@ exports.addTicketMessage = async (req, res, next) => {
 
     // Also populate other fields
     await ticket.populate('createdBy', 'userName contactNumber email vendorName storeName');
-    await ticket.populate('orderId', 'orderNumber totalAmount status');
+    await ticket.populate('orderId', 'orderNumber totalAmount status deliveryProofs');
 
     res.status(200).json({
       success: true,
@@ -471,7 +471,7 @@ exports.updateTicketStatus = async (req, res, next) => {
     // Also populate other fields
     await ticket.populate('createdBy', 'userName contactNumber email vendorName storeName');
     await ticket.populate('user', 'userName contactNumber email');
-    await ticket.populate('orderId', 'orderNumber totalAmount status');
+    await ticket.populate('orderId', 'orderNumber totalAmount status deliveryProofs');
 
     res.status(200).json({
       success: true,
@@ -538,7 +538,7 @@ exports.addAdminMessage = async (req, res, next) => {
     // Also populate other fields
     await ticket.populate('createdBy', 'userName contactNumber email vendorName storeName');
     await ticket.populate('user', 'userName contactNumber email');
-    await ticket.populate('orderId', 'orderNumber totalAmount status');
+    await ticket.populate('orderId', 'orderNumber totalAmount status deliveryProofs');
 
     res.status(200).json({
       success: true,
@@ -594,7 +594,7 @@ exports.getAllTickets = async (req, res, next) => {
       pagination: { page: parseInt(page), limit: parseInt(limit) },
       populate: [
         { path: 'user', select: 'userName contactNumber email' },
-        { path: 'orderId', select: 'orderNumber totalAmount status' },
+        { path: 'orderId', select: 'orderNumber totalAmount status deliveryProofs' },
         { path: 'createdBy', select: 'userName contactNumber email vendorName storeName' },
         { path: 'resolvedBy', select: 'name email' },
         { path: 'statusChangedBy', select: 'name email' },
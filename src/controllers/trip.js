@@ -0,0 +1,174 @@
+const tripService = require('../services/tripService');
+const dispatchService = require('../services/dispatchService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.startsWith('Unauthorized') || error.message.startsWith('Access denied')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Rider trips
+
+exports.getMyActiveTrips = async (req, res, next) => {
+  try {
+    const trips = await tripService.getRiderActiveTrips(req.rider._id);
+
+    res.status(200).json({
+      success: true,
+      count: trips.length,
+      data: trips,
+    });
+  } catch (error) {
+    logger.error('Get rider trips error:', error);
+    next(error);
+  }
+};
+
+exports.getMyTrip = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await tripService.getRiderTrip(req.rider._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: trip,
+    });
+  } catch (error) {
+    logger.error('Get rider trip error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get trip',
+    });
+  }
+};
+
+// Vendor trips
+
+/**
+ * Batch ready orders into one trip. The trip is offered to riders right away.
+ */
+exports.createTrip = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await tripService.createTrip(req.vendor._id, req.body.orderIds);
+
+    try {
+      await dispatchService.dispatchTrip(trip);
+    } catch (error) {
+      logger.error(`Dispatching trip ${trip.tripNumber} failed:`, error);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Trip created with ${trip.stops.length} orders`,
+      data: await tripService.getVendorTrip(req.vendor._id, trip._id),
+    });
+  } catch (error) {
+    logger.error('Create trip error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to create trip',
+    });
+  }
+};
+
+exports.getVendorTrips = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const result = await tripService.getVendorTrips(req.vendor._id, { status: req.query.status }, page, limit);
+
+    res.status(200).json({
+      success: true,
+      count: result.data.length,
+      ...result,
+    });
+  } catch (error) {
+    logger.error('Get vendor trips error:', error);
+    next(error);
+  }
+};
+
+exports.getVendorTrip = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const trip = await tripService.getVendorTrip(req.vendor._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: trip,
+    });
+  } catch (error) {
+    logger.error('Get vendor trip error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to get trip',
+    });
+  }
+};
+
+/**
+ * Break up an open trip. Its orders are offered to riders one by one again.
+ */
+exports.cancelTrip = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const redispatch = await tripService.dissolveTrip(req.vendor._id, req.params.id);
+    await dispatchService.dispatchShipments(redispatch);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trip cancelled. Its orders are offered to riders separately',
+      data: await tripService.getVendorTrip(req.vendor._id, req.params.id),
+    });
+  } catch (error) {
+    logger.error('Cancel trip error:', error);
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      error: error.message || 'Failed to cancel trip',
+    });
+  }
+};
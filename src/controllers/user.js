@@ -2,6 +2,7 @@ const User = require('../models/User');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 const { updateUserProfileData } = require('../services/userService');
+const walletService = require('../services/walletService');
 const { getPostOfficeDetails } = require('../utils/postOfficeAPI');
 
 exports.getProfile = async (req, res, next) => {
@@ -163,26 +164,39 @@ exports.updateProfile = async (req, res, next) => {
 
 exports.getCashback = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id).select('cashback');
-
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'User not found',
+        errors: errors.array(),
       });
     }
 
-    // Get cashback directly from user schema
-    const cashbackData = {
-      cashback: user.cashback || 0,
-      currency: 'INR',
-    };
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { type, source, status } = req.query;
+
+    const summary = await walletService.getWalletSummary(req.user._id);
+    const { transactions, pagination } = await walletService.getTransactions(
+      req.user._id,
+      { type, source, status },
+      page,
+      limit
+    );
 
-    logger.info(`Cashback retrieved for user: ${req.user._id} - Balance: ${cashbackData.cashback}`);
+    logger.info(`Cashback retrieved for user: ${req.user._id} - Balance: ${summary.balance}`);
 
     res.status(200).json({
       success: true,
-      data: cashbackData,
+      count: transactions.length,
+      pagination,
+      data: {
+        cashback: summary.balance,
+        pendingCashback: summary.pendingCashback,
+        nextExpiry: summary.nextExpiry,
+        currency: summary.currency,
+        transactions,
+      },
     });
   } catch (error) {
     logger.error('Get cashback error:', error);
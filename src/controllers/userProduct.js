@@ -1,22 +1,10 @@
 const Product = require('../models/Product');
-const Vendor = require('../models/Vendor');
+const { getNearbyVendors } = require('../services/vendorService');
+const storeHoursService = require('../services/storeHoursService');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 
-// Haversine formula to calculate distance between two coordinates in kilometers
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-};
-
 exports.getNearbyProducts = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -44,38 +32,19 @@ exports.getNearbyProducts = async (req, res, next) => {
     const userLat = user.address.latitude;
     const userLon = user.address.longitude;
 
-    // Get all vendors with location data
-    const vendors = await Vendor.find({
-      storeAddress: {
-        $exists: true,
-        $ne: null,
-      },
-      'storeAddress.latitude': { $exists: true, $ne: null },
-      'storeAddress.longitude': { $exists: true, $ne: null },
-      isActive: true,
-      storeId: { $exists: true },
-    }).select('_id storeAddress storeName vendorName serviceRadius');
+    // Only vendors that deliver to the user; checkout rejects the others
+    const nearbyVendors = await getNearbyVendors(userLat, userLon, 0);
 
-    // Filter vendors within the specified radius
     const nearbyVendorIds = [];
     const vendorDistances = {};
 
-    vendors.forEach((vendor) => {
-      const vendorLat = vendor.storeAddress.latitude;
-      const vendorLon = vendor.storeAddress.longitude;
-      const distance = calculateDistance(userLat, userLon, vendorLat, vendorLon);
-      
-      // Check if vendor is within radius (considering both user radius and vendor service radius)
-      const maxRadius = Math.max(radius, vendor.serviceRadius || 5);
-      
-      if (distance <= maxRadius) {
-        nearbyVendorIds.push(vendor._id);
-        vendorDistances[vendor._id.toString()] = {
-          distance: parseFloat(distance.toFixed(2)),
-          storeName: vendor.storeName,
-          vendorName: vendor.vendorName,
-        };
-      }
+    nearbyVendors.forEach((vendor) => {
+      nearbyVendorIds.push(vendor._id);
+      vendorDistances[vendor._id.toString()] = {
+        distance: vendor.distance,
+        storeName: vendor.storeName,
+        vendorName: vendor.vendorName,
+      };
     });
 
     if (nearbyVendorIds.length === 0) {
@@ -110,10 +79,10 @@ exports.getNearbyProducts = async (req, res, next) => {
       .limit(limit)
       .sort({ createdAt: -1 });
 
-    // Add distance information to each product
-    const productsWithDistance = products.map((product) => {
-      const productObj = product.toObject();
-      const vendorId = product.vendor._id.toString();
+    // Add store open status and distance information to each product
+    const productsWithStatus = await storeHoursService.markStoreStatus(products.map(product => product.toObject()));
+    const productsWithDistance = productsWithStatus.map((productObj) => {
+      const vendorId = productObj.vendor._id.toString();
       if (vendorDistances[vendorId]) {
         productObj.distance = vendorDistances[vendorId].distance;
         productObj.vendorDistance = vendorDistances[vendorId];
@@ -198,38 +167,19 @@ exports.getAllProducts = async (req, res, next) => {
       });
     }
 
-    // Get all vendors with location data
-    const vendors = await Vendor.find({
-      storeAddress: {
-        $exists: true,
-        $ne: null,
-      },
-      'storeAddress.latitude': { $exists: true, $ne: null },
-      'storeAddress.longitude': { $exists: true, $ne: null },
-      isActive: true,
-      storeId: { $exists: true },
-    }).select('_id storeAddress storeName vendorName serviceRadius');
+    // Only vendors that deliver to the user; checkout rejects the others
+    const nearbyVendors = await getNearbyVendors(userLat, userLon, 0);
 
-    // Filter vendors within 10km radius
     const nearbyVendorIds = [];
     const vendorDistances = {};
 
-    vendors.forEach((vendor) => {
-      const vendorLat = vendor.storeAddress.latitude;
-      const vendorLon = vendor.storeAddress.longitude;
-      const distance = calculateDistance(userLat, userLon, vendorLat, vendorLon);
-      
-      // Check if vendor is within 10km radius (considering both user radius and vendor service radius)
-      const maxRadius = Math.max(radius, vendor.serviceRadius || 5);
-      
-      if (distance <= maxRadius) {
-        nearbyVendorIds.push(vendor._id);
-        vendorDistances[vendor._id.toString()] = {
-          distance: parseFloat(distance.toFixed(2)),
-          storeName: vendor.storeName,
-          vendorName: vendor.vendorName,
-        };
-      }
+    nearbyVendors.forEach((vendor) => {
+      nearbyVendorIds.push(vendor._id);
+      vendorDistances[vendor._id.toString()] = {
+        distance: vendor.distance,
+        storeName: vendor.storeName,
+        vendorName: vendor.vendorName,
+      };
     });
 
     if (nearbyVendorIds.length === 0) {
@@ -293,6 +243,13 @@ exports.getAllProducts = async (req, res, next) => {
       query.tags = { $in: [req.query.tag.toLowerCase()] };
     }
 
+    // Add minimum rating filter if provided
+    if (req.query.minRating) {
+      query.averageRating = { $gte: parseFloat(req.query.minRating) };
+    }
+
+    const sortByRating = req.query.sortBy === 'rating';
+
     // Get products
     const products = await Product.find(query)
       .populate('category', 'name')
@@ -301,12 +258,12 @@ exports.getAllProducts = async (req, res, next) => {
       .populate('createdBy', 'vendorName')
       .skip(skip)
       .limit(limit)
-      .sort({ createdAt: -1 });
+      .sort(sortByRating ? { averageRating: -1, ratingCount: -1 } : { createdAt: -1 });
 
-    // Add distance information to each product
-    const productsWithDistance = products.map((product) => {
-      const productObj = product.toObject();
-      const vendorId = product.vendor._id.toString();
+    // Add store open status and distance information to each product
+    const productsWithStatus = await storeHoursService.markStoreStatus(products.map(product => product.toObject()));
+    const productsWithDistance = productsWithStatus.map((productObj) => {
+      const vendorId = productObj.vendor._id.toString();
       if (vendorDistances[vendorId]) {
         productObj.distance = vendorDistances[vendorId].distance;
         productObj.vendorDistance = vendorDistances[vendorId];
@@ -314,12 +271,14 @@ exports.getAllProducts = async (req, res, next) => {
       return productObj;
     });
 
-    // Sort by distance (closest first)
-    productsWithDistance.sort((a, b) => {
-      const distA = a.distance || Infinity;
-      const distB = b.distance || Infinity;
-      return distA - distB;
-    });
+    // Sort by distance (closest first) unless sorted by rating
+    if (!sortByRating) {
+      productsWithDistance.sort((a, b) => {
+        const distA = a.distance || Infinity;
+        const distB = b.distance || Infinity;
+        return distA - distB;
+      });
+    }
 
     const total = await Product.countDocuments(query);
 
@@ -349,6 +308,12 @@ exports.getAllProducts = async (req, res, next) => {
     if (req.query.category) {
       response.filters = { ...response.filters, category: req.query.category };
     }
+    if (req.query.minRating) {
+      response.filters = { ...response.filters, minRating: parseFloat(req.query.minRating) };
+    }
+    if (sortByRating) {
+      response.filters = { ...response.filters, sortBy: 'rating' };
+    }
 
     res.status(200).json(response);
   } catch (error) {
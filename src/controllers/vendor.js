@@ -4,6 +4,11 @@ const Rider = require('../models/Rider');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const { createVendorData, updateVendorPermissions, updateVendorData } = require('../services/vendorService');
+const Shipment = require('../models/Shipment');
+const shipmentService = require('../services/shipmentService');
+const deliverySlotService = require('../services/deliverySlotService');
+const dispatchService = require('../services/dispatchService');
+const tripService = require('../services/tripService');
 const { deleteFromCloudinary } = require('../utils/cloudinary');
 
 exports.createVendor = async (req, res, next) => {
@@ -464,6 +469,81 @@ exports.updateVendorHandlingCharge = async (req, res, next) => {
   }
 };
 
+const DELIVERY_FEE_FIELDS = ['freeDeliveryThreshold', 'smallCartThreshold', 'smallCartFee', 'minimumOrderValue', 'riderPayoutPercentage'];
+
+exports.updateVendorDeliveryFee = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const vendor = await Vendor.findById(req.params.id);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vendor not found',
+      });
+    }
+
+    if (!vendor.storeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Vendor registration not completed',
+      });
+    }
+
+    // Check if vendor is trying to update their own delivery fees or admin is updating
+    if (req.vendor && req.vendor._id.toString() !== vendor._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own delivery fee settings',
+      });
+    }
+
+    if (req.body.slabs !== undefined) {
+      const slabs = req.body.slabs.map(slab => ({
+        upToKm: parseFloat(slab.upToKm),
+        fee: parseFloat(slab.fee),
+      }));
+      const distances = slabs.map(slab => slab.upToKm);
+      if (new Set(distances).size !== distances.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Each delivery fee slab must have a different distance',
+        });
+      }
+      vendor.deliveryFeeSettings.slabs = slabs.sort((a, b) => a.upToKm - b.upToKm);
+    }
+
+    DELIVERY_FEE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        vendor.deliveryFeeSettings[field] = parseFloat(req.body[field]);
+      }
+    });
+
+    await vendor.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Vendor delivery fee settings updated successfully',
+      data: vendor.deliveryFeeSettings,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
 exports.deleteVendor = async (req, res, next) => {
   try {
     const vendor = await Vendor.findById(req.params.id);
@@ -512,8 +592,34 @@ exports.deleteVendor = async (req, res, next) => {
   }
 };
 
+// Status, rider and delivery amount a vendor sees are those of its own shipment
+const withVendorShipment = (order, shipment) => {
+  if (!shipment) {
+    return order;
+  }
+  return {
+    ...order,
+    orderStatus: order.status,
+    status: shipment.status,
+    rider: shipment.rider || null,
+    assignedAt: shipment.assignedAt,
+    deliveryAmount: shipment.deliveryAmount || 0,
+    deliveryProofs: (order.deliveryProofs || [])
+      .filter(proof => proof.shipment?.toString() === shipment._id.toString()),
+    shipment,
+  };
+};
+
 exports.getVendorOrders = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const vendorId = req.vendor._id;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -524,19 +630,27 @@ exports.getVendorOrders = async (req, res, next) => {
       'items.vendor': vendorId,
     };
 
+    // Filter on the status of this vendor's shipment
     if (status) {
-      query.status = status;
+      query._id = { $in: await shipmentService.getVendorOrderIdsByStatus(vendorId, status) };
+    }
+
+    const slotRange = deliverySlotService.buildSlotRange(req.query);
+    if (slotRange) {
+      query['deliverySlot.startTime'] = slotRange;
     }
 
     const orders = await Order.find(query)
       .populate('user', 'name email contactNumber')
       .populate('items.product', 'name description')
       .populate('rider', 'riderName contactNumber')
-      .sort({ createdAt: -1 })
+      .sort(deliverySlotService.buildSlotSort(req.query.sortBy, { createdAt: -1 }))
       .skip(skip)
       .limit(limit)
       .lean();
 
+    const shipmentMap = await shipmentService.getVendorShipmentMap(orders.map(order => order._id), vendorId);
+
     const filteredOrders = orders.map((order) => {
       const vendorItems = order.items.filter((item) => {
         const itemVendorId = item.vendor?._id || item.vendor;
@@ -548,11 +662,11 @@ exports.getVendorOrders = async (req, res, next) => {
         0
       );
 
-      return {
+      return withVendorShipment({
         ...order,
         items: vendorItems,
         vendorSubtotal,
-      };
+      }, shipmentMap.get(order._id.toString()));
     });
 
     const total = await Order.countDocuments(query);
@@ -626,11 +740,13 @@ exports.getVendorOrderById = async (req, res, next) => {
       0
     );
 
-    const filteredOrder = {
+    const shipmentMap = await shipmentService.getVendorShipmentMap([order._id], vendorId);
+
+    const filteredOrder = withVendorShipment({
       ...order,
       items: vendorItems,
       vendorSubtotal,
-    };
+    }, shipmentMap.get(order._id.toString()));
 
     res.status(200).json({
       success: true,
@@ -659,7 +775,7 @@ exports.updateOrderStatus = async (req, res, next) => {
 
     const vendorId = req.vendor._id;
     const orderId = req.params.id;
-    const { status, notes, deliveryAmount } = req.body;
+    const { status, notes, deliveryAmount, statusNote } = req.body;
 
     const order = await Order.findById(orderId);
 
@@ -670,50 +786,18 @@ exports.updateOrderStatus = async (req, res, next) => {
       });
     }
 
-    const hasVendorItems = order.items.some((item) => {
-      const itemVendorId = item.vendor?._id || item.vendor;
-      return itemVendorId && itemVendorId.toString() === vendorId.toString();
-    });
+    // Vendors move their own shipment; the order status follows its shipments
+    let shipment = await shipmentService.getVendorShipment(order, vendorId);
 
-    if (!hasVendorItems) {
+    if (!shipment) {
       return res.status(403).json({
         success: false,
         error: 'You do not have permission to update this order',
       });
     }
 
-    const validStatuses = [
-      'pending',
-      'confirmed',
-      'processing',
-      'ready',
-      'out_for_delivery',
-      'delivered',
-      'cancelled',
-      'refunded',
-    ];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
-      });
-    }
-
-    const previousStatus = order.status;
-
-    order.status = status;
-
-    if (status === 'delivered' && !order.deliveredAt) {
-      order.deliveredAt = new Date();
-    } else if (status === 'cancelled' && !order.cancelledAt) {
-      order.cancelledAt = new Date();
-      order.cancelledBy = 'vendor';
-    }
-
-    if (notes !== undefined) {
-      order.notes = notes;
-    }
+    const previousStatus = shipment.status;
+    const set = {};
 
     // Update delivery amount if provided
     if (deliveryAmount !== undefined) {
@@ -724,36 +808,56 @@ exports.updateOrderStatus = async (req, res, next) => {
           error: 'Delivery amount must be a valid positive number',
         });
       }
-      order.deliveryAmount = deliveryAmountNum;
+      set.deliveryAmount = deliveryAmountNum;
+    }
+
+    if (notes !== undefined) {
+      await Order.updateOne({ _id: order._id }, { $set: { notes, updatedAt: new Date() } });
     }
 
-    await order.save();
+    if (status === previousStatus) {
+      // Same status - only notes/delivery amount change
+      Object.assign(shipment, set);
+      await shipment.save();
+      await shipmentService.syncOrderStatus(order._id);
+    } else {
+      try {
+        ({ shipment } = await shipmentService.changeShipmentStatus(shipment, status, {
+          actor: 'vendor',
+          actorId: vendorId,
+          note: statusNote,
+          set,
+        }));
+      } catch (transitionError) {
+        return res.status(400).json({
+          success: false,
+          error: transitionError.message,
+        });
+      }
+    }
 
-    // If status changed to 'ready', notify riders
+    // If status changed to 'ready', offer it to the best riders
     if (status === 'ready' && previousStatus !== 'ready') {
       try {
-        const checkoutService = require('../services/checkoutService');
-        // Get fresh order with populated fields
-        const orderForNotification = await Order.findById(orderId);
-        if (orderForNotification) {
-          await checkoutService.notifyRidersForOrder(orderForNotification);
-        }
+        await dispatchService.startDispatch(shipment);
       } catch (notifyError) {
-        // Don't fail the request if notification fails
+        // Don't fail the request if dispatch fails
       }
     }
 
-    // Notify rider about order status update with amount and location
-    if (order.rider && ['out_for_delivery', 'delivered', 'cancelled'].includes(status)) {
+    // Notify rider about shipment status update with amount and location
+    if (shipment.rider && ['out_for_delivery', 'delivered', 'cancelled'].includes(status)) {
       try {
         const { notifyRiderOrderUpdate } = require('../utils/socket');
         const orderUpdateData = {
           orderId: order._id,
           orderNumber: order.orderNumber,
+          shipmentId: shipment._id,
+          shipmentNumber: shipment.shipmentNumber,
           status: status,
-          amount: order.pricing?.total || 0,
-          deliveryAmount: order.deliveryAmount || 0,
-          pricing: order.pricing,
+          amount: shipment.pricing?.total || 0,
+          deliveryAmount: shipment.deliveryAmount || 0,
+          pricing: shipment.pricing,
           shippingAddress: order.shippingAddress,
           location: {
             address: [
@@ -773,7 +877,7 @@ exports.updateOrderStatus = async (req, res, next) => {
           },
         };
         
-        notifyRiderOrderUpdate(order.rider, orderUpdateData);
+        notifyRiderOrderUpdate(shipment.rider, orderUpdateData);
       } catch (notifyError) {
       }
     }
@@ -876,28 +980,27 @@ exports.assignRiderToOrder = async (req, res, next) => {
       });
     }
 
-    if (!hasVendorItems) {
-      return res.status(403).json({
+    // Riders are assigned to this vendor's shipment of the order
+    const shipment = await shipmentService.getVendorShipment(order, req.vendor._id);
+
+    if (!shipment) {
+      return res.status(404).json({
         success: false,
-        error: 'You do not have permission to assign riders to this order. This order does not contain items from your store.',
-        debug: process.env.NODE_ENV === 'development' ? {
-          orderVendors: order.items.map(item => item.vendor?.toString() || item.vendor),
-          yourVendorId: req.vendor._id.toString(),
-        } : undefined,
+        error: 'Shipment not found for this order',
       });
     }
 
-    // Check if order is in a state where rider can be assigned
+    // Check if shipment is in a state where rider can be assigned
     const assignableStatuses = ['ready', 'processing', 'confirmed'];
-    if (!assignableStatuses.includes(order.status)) {
+    if (!assignableStatuses.includes(shipment.status)) {
       return res.status(400).json({
         success: false,
-        error: `Cannot assign rider. Order must be in one of these statuses: ${assignableStatuses.join(', ')}. Current status: ${order.status}`,
+        error: `Cannot assign rider. Order must be in one of these statuses: ${assignableStatuses.join(', ')}. Current status: ${shipment.status}`,
       });
     }
 
     // Check if rider already assigned
-    if (order.rider) {
+    if (shipment.rider) {
       return res.status(400).json({
         success: false,
         error: 'A rider has already been assigned to this order',
@@ -927,32 +1030,82 @@ exports.assignRiderToOrder = async (req, res, next) => {
       });
     }
 
+    // A shipment on an open trip takes the rest of the trip with it. The trip
+    // is taken first so the shipment going out doesn't drop off it.
+    const trip = shipment.trip ? await tripService.assignTrip(shipment.trip, riderId) : null;
+
     // Assign rider to order
-    order.rider = riderId;
-    order.assignedBy = req.vendor._id;
-    order.assignedAt = new Date();
+    const assignment = {
+      rider: riderId,
+      assignedBy: req.vendor._id,
+      assignedAt: new Date(),
+    };
     if (assignmentNotes) {
-      order.assignmentNotes = assignmentNotes;
+      assignment.assignmentNotes = assignmentNotes;
     }
 
-    // Optionally update order status to 'out_for_delivery'
+    // Optionally update shipment status to 'out_for_delivery'
     if (updateStatus === true || updateStatus === 'true') {
-      order.status = 'out_for_delivery';
+      try {
+        await shipmentService.changeShipmentStatus(shipment, 'out_for_delivery', {
+          actor: 'vendor',
+          actorId: req.vendor._id,
+          note: 'Rider assigned by store',
+          set: assignment,
+        });
+      } catch (transitionError) {
+        return res.status(400).json({
+          success: false,
+          error: transitionError.message,
+        });
+      }
+    } else {
+      // Only assign if no rider took the shipment in the meantime
+      const assigned = await Shipment.findOneAndUpdate(
+        { _id: shipment._id, rider: null },
+        { $set: { ...assignment, updatedAt: new Date() } },
+        { new: true }
+      );
+      if (!assigned) {
+        return res.status(400).json({
+          success: false,
+          error: 'A rider has already been assigned to this order',
+        });
+      }
+      await shipmentService.syncOrderStatus(order._id);
     }
 
-    await order.save();
+    // Riders still being asked for this shipment no longer need to answer
+    await dispatchService.closeDispatch(shipment._id);
+
+    if (trip) {
+      const stops = await shipmentService.assignTripStops(trip, riderId, {
+        actor: 'vendor',
+        actorId: req.vendor._id,
+        note: `Rider assigned to trip ${trip.tripNumber} by store`,
+        updateStatus: updateStatus === true || updateStatus === 'true',
+        set: { assignedBy: req.vendor._id },
+      });
+      for (const stop of stops) {
+        await dispatchService.closeDispatch(stop._id);
+      }
+    }
 
     const populatedOrder = await Order.findById(orderId)
       .populate('user', 'name email contactNumber')
       .populate('items.product', 'productName description')
       .populate('items.vendor', 'vendorName storeName')
       .populate('rider', 'fullName mobileNumber')
-      .populate('assignedBy', 'vendorName storeName contactNumber');
+      .populate('assignedBy', 'vendorName storeName contactNumber')
+      .lean();
+    const assignedShipment = await Shipment.findById(shipment._id)
+      .populate('rider', 'fullName mobileNumber')
+      .lean();
 
     res.status(200).json({
       success: true,
       message: 'Rider assigned to order successfully',
-      data: populatedOrder,
+      data: withVendorShipment(populatedOrder, assignedShipment),
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+// A request still "processing" after this long is assumed to have died
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10) || 60;
+
+const HEADER = 'idempotency-key';
+
+// JSON.stringify with sorted keys so property order does not change the hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(stableStringify({
+    method: req.method,
+    path: req.baseUrl + req.path,
+    body: req.body || {},
+  }))
+  .digest('hex');
+
+/**
+ * Claim the key for this request. Returns the existing record when the key
+ * is already taken, or null when this request now owns it.
+ */
+const claimKey = async (userId, key, req, requestHash) => {
+  const now = new Date();
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      user: userId,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash,
+      expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000),
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const existing = await IdempotencyKey.findOne({ user: userId, key });
+
+  if (!existing) {
+    // Removed between our insert and lookup - try once more
+    return claimKey(userId, key, req, requestHash);
+  }
+
+  const expired = existing.expiresAt <= now;
+  const staleLock = existing.status === 'processing'
+    && existing.requestHash === requestHash
+    && now - existing.updatedAt > LOCK_TIMEOUT_SECONDS * 1000;
+
+  if (expired || staleLock) {
+    // Take over atomically so only one retry wins the key
+    const taken = await IdempotencyKey.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt },
+      {
+        $set: {
+          method: req.method,
+          path: req.baseUrl + req.path,
+          requestHash,
+          status: 'processing',
+          expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000),
+          updatedAt: now,
+        },
+        $unset: { responseStatus: 1, responseBody: 1 },
+      },
+      { new: true }
+    );
+    if (taken) {
+      return null;
+    }
+    return IdempotencyKey.findOne({ user: userId, key });
+  }
+
+  return existing;
+};
+
+/**
+ * Honor the `Idempotency-Key` header on user write endpoints.
+ * Must run after userAuth.protect.
+ *
+ * - First request with a key runs normally; a 2xx response is stored.
+ * - Repeats with the same payload replay the stored response until the TTL.
+ * - Repeats with a different payload are rejected with 422.
+ * - Repeats while the first request is still running are rejected with 409.
+ * - Non-2xx responses release the key so the client can retry with it.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get(HEADER);
+
+  if (key === undefined) {
+    return next();
+  }
+
+  const trimmedKey = key.trim();
+
+  if (!trimmedKey || trimmedKey.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key header must be between 1 and 255 characters',
+    });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized to access this route',
+    });
+  }
+
+  const userId = req.user._id;
+  const requestHash = hashRequest(req);
+
+  let existing;
+  try {
+    existing = await claimKey(userId, trimmedKey, req, requestHash);
+  } catch (error) {
+    logger.error('Idempotency key lookup error:', error);
+    return next(error);
+  }
+
+  if (existing) {
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key has already been used with a different request',
+      });
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed',
+      });
+    }
+
+    logger.info(`Replaying idempotent response for key ${trimmedKey} (User: ${userId})`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    const finalize = res.statusCode >= 200 && res.statusCode < 300
+      ? IdempotencyKey.updateOne(
+        { user: userId, key: trimmedKey, requestHash },
+        {
+          $set: {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            // Round-trip through JSON so populated documents are stored as plain data
+            responseBody: JSON.parse(JSON.stringify(body)),
+            updatedAt: new Date(),
+          },
+        }
+      )
+      : IdempotencyKey.deleteOne({ user: userId, key: trimmedKey, requestHash, status: 'processing' });
+
+    // Send only once the outcome is recorded so an immediate retry sees it
+    finalize
+      .catch((error) => {
+        logger.error(`Failed to finalize idempotency key ${trimmedKey}:`, error);
+      })
+      .then(() => originalJson(body));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,57 @@
+const multer = require('multer');
+const path = require('path');
+
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  const extname = /^\.(csv|xlsx)$/.test(path.extname(file.originalname).toLowerCase());
+
+  if (extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only CSV (.csv) and Excel (.xlsx) files are allowed'));
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1,
+  },
+  fileFilter: fileFilter,
+});
+
+const uploadImportFile = upload.single('file');
+
+const uploadImportFileWithErrorHandling = (req, res, next) => {
+  uploadImportFile(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            success: false,
+            error: 'File size too large. Maximum size is 10MB',
+          });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({
+            success: false,
+            error: 'Upload a single file in the "file" field',
+          });
+        }
+        return res.status(400).json({
+          success: false,
+          error: `File upload error: ${err.message}`,
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        error: err.message || 'File upload error',
+      });
+    }
+    next();
+  });
+};
+
+module.exports = { uploadImportFile: uploadImportFileWithErrorHandling };
@@ -0,0 +1,59 @@
+const multer = require('multer');
+const path = require('path');
+
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|webp/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only image files (jpeg, jpg, png, webp) are allowed'));
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB per photo
+    files: 5,
+  },
+  fileFilter: fileFilter,
+});
+
+const uploadReviewImages = upload.array('images', 5);
+
+const uploadReviewImagesWithErrorHandling = (req, res, next) => {
+  uploadReviewImages(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            success: false,
+            error: 'File size too large. Maximum size is 5MB per photo',
+          });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({
+            success: false,
+            error: 'Upload at most 5 photos in the "images" field',
+          });
+        }
+        return res.status(400).json({
+          success: false,
+          error: `File upload error: ${err.message}`,
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        error: err.message || 'File upload error',
+      });
+    }
+    next();
+  });
+};
+
+module.exports = { uploadReviewImages: uploadReviewImagesWithErrorHandling };
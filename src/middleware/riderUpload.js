@@ -73,5 +73,50 @@ const uploadRiderFilesWithErrorHandling = (req, res, next) => {
   });
 };
 
-module.exports = { uploadRiderFiles: uploadRiderFilesWithErrorHandling };
+// Doorstep photo taken as proof of delivery
+const uploadDeliveryPhoto = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|webp/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Only image files (jpeg, jpg, png, webp) are allowed'));
+  },
+}).single('photo');
+
+const uploadDeliveryPhotoWithErrorHandling = (req, res, next) => {
+  uploadDeliveryPhoto(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          error: 'File size too large. Maximum size is 10MB',
+        });
+      }
+      if (err instanceof multer.MulterError && err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          success: false,
+          error: `Unexpected field: "${err.field}". Upload the photo as "photo"`,
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        error: err.message || 'File upload error',
+      });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadRiderFiles: uploadRiderFilesWithErrorHandling,
+  uploadDeliveryPhoto: uploadDeliveryPhotoWithErrorHandling,
+};
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getStoreStatus, getClosedReason } = require('../utils/storeHours');
 
 const CartSchema = new mongoose.Schema({
   user: {
@@ -98,7 +99,7 @@ CartSchema.methods.calculateTotals = async function () {
     const product = await Product.findById(item.product)
       .populate('category', 'name')
       .populate('subCategory', 'name')
-      .populate('vendor', 'storeName storeId isActive');
+      .populate('vendor', 'storeName storeId isActive storeHours orderPause');
 
     if (!product) {
       unavailableItems.push({
@@ -118,6 +119,19 @@ CartSchema.methods.calculateTotals = async function () {
       continue;
     }
 
+    // Check the store is open and taking orders
+    const storeStatus = getStoreStatus(product.vendor);
+    if (!storeStatus.isOpen) {
+      unavailableItems.push({
+        itemId: item._id,
+        productName: product.productName,
+        reason: getClosedReason(storeStatus),
+        storeClosed: true,
+        nextOpenAt: storeStatus.nextOpenAt,
+      });
+      continue;
+    }
+
     // Check product status
     if (!product.isActive) {
       unavailableItems.push({
@@ -271,8 +285,9 @@ CartSchema.methods.calculateTotals = async function () {
     }
   });
 
-  // Calculate tax (GST - 5% for example, can be customized)
-  const tax = (subtotal - discount) * 0.05;
+  // GST per line from the product's HSN code
+  const taxService = require('../services/taxService');
+  const { tax } = await taxService.calculateTax(itemsWithDetails, { discount });
 
   const total = subtotal - discount + tax + totalHandlingCharge;
 
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * Booking counter for one delivery window of a vendor. Windows themselves
+ * come from the vendor's `deliverySlotSettings`; a document only exists once
+ * the window has been booked or the vendor has overridden it.
+ */
+const DeliverySlotSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Slot start time is required'],
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Slot end time is required'],
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: [0, 'Capacity must be greater than or equal to 0'],
+  },
+  bookedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Booked count must be greater than or equal to 0'],
+  },
+  isBlocked: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+DeliverySlotSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+DeliverySlotSchema.index({ vendor: 1, startTime: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliverySlot', DeliverySlotSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+/**
+ * Several ready shipments of one vendor with nearby drop points, delivered
+ * by one rider in a single run from the store. Stops are kept in delivery
+ * order. While the trip is `open` only its lead shipment (the first stop
+ * when it was planned) is offered to riders; the rider who accepts it gets
+ * every stop.
+ */
+const DeliveryTripSchema = new mongoose.Schema({
+  tripNumber: {
+    type: String,
+    unique: true,
+    required: true,
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'active', 'completed', 'cancelled'],
+    default: 'open',
+  },
+  // Shipment whose dispatch offers the trip to riders
+  leadShipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+  },
+  origin: {
+    latitude: Number,
+    longitude: Number,
+  },
+  stops: [{
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shipment',
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    orderNumber: String,
+    shipmentNumber: String,
+    latitude: Number,
+    longitude: Number,
+    address: String,
+    // Straight-line distance from the store or the previous stop
+    legDistanceKm: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'cancelled'],
+      default: 'pending',
+    },
+    completedAt: {
+      type: Date,
+    },
+  }],
+  totalDistanceKm: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: String,
+    enum: ['vendor', 'system'],
+    default: 'system',
+  },
+  assignedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+DeliveryTripSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate unique trip number
+DeliveryTripSchema.statics.generateTripNumber = async function () {
+  let tripNumber;
+  let exists = true;
+  let attempts = 0;
+  const maxAttempts = 10;
+
+  while (exists && attempts < maxAttempts) {
+    const timestamp = Date.now().toString().slice(-8);
+    const randomNum = Math.floor(1000 + Math.random() * 9000);
+    tripNumber = `TR${timestamp}${randomNum}`;
+    const trip = await this.findOne({ tripNumber });
+    if (!trip) {
+      exists = false;
+    }
+    attempts++;
+  }
+
+  if (exists) {
+    throw new Error('Failed to generate unique trip number after multiple attempts');
+  }
+
+  return tripNumber;
+};
+
+DeliveryTripSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+DeliveryTripSchema.index({ rider: 1, status: 1 });
+DeliveryTripSchema.index({ 'stops.shipment': 1 });
+
+module.exports = mongoose.model('DeliveryTrip', DeliveryTripSchema);
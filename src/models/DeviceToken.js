@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Push token of an app install. A token belongs to whoever registered it
+ * last, so a shared device follows the account that is logged in.
+ */
+const DeviceTokenSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Owner is required'],
+  },
+  ownerType: {
+    type: String,
+    enum: ['user', 'vendor', 'rider'],
+    required: [true, 'Owner type is required'],
+  },
+  token: {
+    type: String,
+    required: [true, 'Device token is required'],
+    unique: true,
+    trim: true,
+  },
+  platform: {
+    type: String,
+    enum: ['android', 'ios', 'web'],
+    required: [true, 'Platform is required'],
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+DeviceTokenSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+DeviceTokenSchema.index({ owner: 1, ownerType: 1 });
+
+module.exports = mongoose.model('DeviceToken', DeviceTokenSchema);
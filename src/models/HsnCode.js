@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * GST rate for an HSN code. Codes are hierarchical (chapter, heading,
+ * sub-heading), so a 4-digit entry also covers the 6 and 8-digit codes under it.
+ */
+const HsnCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'HSN code is required'],
+    unique: true,
+    trim: true,
+    match: [/^[0-9]{2,8}$/, 'HSN code must be 2 to 8 digits'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+  },
+  gstRate: {
+    type: Number,
+    required: [true, 'GST rate is required'],
+    enum: {
+      values: [0, 0.25, 3, 5, 12, 18, 28],
+      message: 'GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28',
+    },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+HsnCodeSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('HsnCode', HsnCodeSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-app inbox entry for a user, vendor or rider. Written by the
+ * notification worker for every queued notification; `jobId` keeps retried
+ * jobs from filling the inbox twice.
+ */
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Recipient is required'],
+  },
+  recipientType: {
+    type: String,
+    enum: ['user', 'vendor', 'rider'],
+    required: [true, 'Recipient type is required'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    trim: true,
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters'],
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot be more than 2000 characters'],
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  jobId: {
+    type: String,
+  },
+  push: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'no_devices', 'failed'],
+      default: 'pending',
+    },
+    provider: String,
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    sentAt: Date,
+    error: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+NotificationSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+NotificationSchema.index({ recipient: 1, recipientType: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, recipientType: 1, readAt: 1 });
+NotificationSchema.index(
+  { jobId: 1 },
+  { unique: true, partialFilterExpression: { jobId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -77,6 +77,26 @@ const OrderSchema = new mongoose.Schema({
       type: String,
       trim: true,
     },
+    // GST for the line, on its share of the order discount
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+    gstRate: Number,
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state'],
+    },
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    taxAmount: Number,
+    returnedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Returned quantity must be greater than or equal to 0'],
+    },
   }],
   pricing: {
     subtotal: {
@@ -99,6 +119,22 @@ const OrderSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Handling charge must be greater than or equal to 0'],
     },
+    deliveryFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Delivery fee must be greater than or equal to 0'],
+    },
+    smallCartFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Small cart fee must be greater than or equal to 0'],
+    },
+    // Tip for the delivery rider, paid on top of the order and passed on in full
+    tip: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tip must be greater than or equal to 0'],
+    },
     total: {
       type: Number,
       required: true,
@@ -109,7 +145,33 @@ const OrderSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Total cashback must be greater than or equal to 0'],
     },
+    // Part of the total paid from the wallet; `payment.amount` is the rest
+    walletRedeemed: {
+      type: Number,
+      default: 0,
+      min: [0, 'Wallet redemption must be greater than or equal to 0'],
+    },
   },
+  // Per-store delivery charges from the delivery fee engine
+  deliveryCharges: [{
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor',
+    },
+    distanceKm: Number,
+    deliveryFee: {
+      type: Number,
+      default: 0,
+    },
+    smallCartFee: {
+      type: Number,
+      default: 0,
+    },
+    riderPayout: {
+      type: Number,
+      default: 0,
+    },
+  }],
   coupon: {
     couponId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -170,13 +232,26 @@ const OrderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending',
     },
     transactionId: {
       type: String,
       trim: true,
     },
+    provider: {
+      type: String,
+      trim: true,
+    },
+    intentId: {
+      type: String,
+      trim: true,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Payment failure reason cannot be more than 500 characters'],
+    },
     paidAt: {
       type: Date,
     },
@@ -201,6 +276,37 @@ const OrderSchema = new mongoose.Schema({
     default: 'pending',
     index: true,
   },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true,
+    },
+    fromStatus: {
+      type: String,
+    },
+    actor: {
+      type: String,
+      enum: ['user', 'vendor', 'rider', 'admin', 'system'],
+      required: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Status note cannot be more than 1000 characters'],
+    },
+    // Set when an admin forced the move past the normal rules
+    override: {
+      type: Boolean,
+      default: false,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   rider: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Rider',
@@ -243,6 +349,14 @@ const OrderSchema = new mongoose.Schema({
       maxlength: [500, 'Rejection reason cannot be more than 500 characters'],
     },
   }],
+  deliverySlot: {
+    startTime: {
+      type: Date,
+    },
+    endTime: {
+      type: Date,
+    },
+  },
   estimatedDelivery: {
     type: Date,
   },
@@ -271,6 +385,74 @@ const OrderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Delivery amount must be greater than or equal to 0'],
   },
+  // Proof of delivery of each shipment, copied from the shipment when it is delivered
+  deliveryProofs: [{
+    shipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shipment',
+    },
+    shipmentNumber: {
+      type: String,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor',
+    },
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rider',
+    },
+    method: {
+      type: String,
+      enum: ['otp', 'photo', 'manual'],
+    },
+    photo: {
+      url: String,
+      publicId: String,
+    },
+    latitude: {
+      type: Number,
+    },
+    longitude: {
+      type: Number,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Delivery note cannot be more than 500 characters'],
+    },
+    recordedBy: {
+      type: String,
+      enum: ['rider', 'vendor', 'admin', 'system'],
+    },
+    recordedById: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    recordedAt: {
+      type: Date,
+    },
+  }],
+  refund: {
+    amount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refunded amount must be greater than or equal to 0'],
+    },
+    cashbackReversed: {
+      type: Number,
+      default: 0,
+      min: [0, 'Reversed cashback must be greater than or equal to 0'],
+    },
+    // Part of `amount` that went back to the wallet as returned redemption
+    walletRestored: {
+      type: Number,
+      default: 0,
+      min: [0, 'Restored wallet amount must be greater than or equal to 0'],
+    },
+    refundedAt: {
+      type: Date,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -317,6 +499,7 @@ OrderSchema.index({ user: 1, createdAt: -1 });
 OrderSchema.index({ status: 1, createdAt: -1 });
 OrderSchema.index({ 'items.vendor': 1, status: 1 });
 OrderSchema.index({ rider: 1, status: 1 });
+OrderSchema.index({ 'items.vendor': 1, 'deliverySlot.startTime': 1 });
 OrderSchema.index({ orderNumber: 1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
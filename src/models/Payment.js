@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true,
+  },
+  provider: {
+    type: String,
+    required: [true, 'Payment provider is required'],
+    trim: true,
+  },
+  method: {
+    type: String,
+    enum: ['prepaid', 'upi', 'card'],
+    required: true,
+  },
+  intentId: {
+    type: String,
+    required: [true, 'Payment intent ID is required'],
+    unique: true,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Payment amount must be greater than or equal to 0'],
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+  },
+  status: {
+    type: String,
+    enum: ['created', 'completed', 'failed'],
+    default: 'created',
+    index: true,
+  },
+  clientPayload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  transactionId: {
+    type: String,
+    trim: true,
+  },
+  failureReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Failure reason cannot be more than 500 characters'],
+  },
+  paidAt: {
+    type: Date,
+  },
+  events: [{
+    source: {
+      type: String,
+      enum: ['webhook', 'callback'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['completed', 'failed'],
+    },
+    transactionId: {
+      type: String,
+      trim: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount must be greater than or equal to 0'],
+  },
+  refunds: [{
+    // Our id for the refund (e.g. the return number), sent to the gateway as
+    // its idempotency key
+    reference: {
+      type: String,
+      trim: true,
+    },
+    refundId: {
+      type: String,
+      trim: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Refund amount must be greater than or equal to 0'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Refund reason cannot be more than 500 characters'],
+    },
+    status: {
+      type: String,
+      trim: true,
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+PaymentSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+PaymentSchema.index({ order: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
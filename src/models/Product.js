@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { buildSearchTerms } = require('../utils/searchTerms');
+const { toPoint } = require('../utils/geo');
 
 const ProductSchema = new mongoose.Schema({
   productName: {
@@ -115,6 +117,23 @@ const ProductSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   }],
+  // Words of the name and tags with their one-typo variants, kept up to date on save
+  searchTerms: {
+    type: [String],
+    select: false,
+  },
+  // Denormalized from published reviews
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: [0, 'Average rating cannot be negative'],
+    max: [5, 'Average rating cannot exceed 5'],
+  },
+  ratingCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rating count cannot be negative'],
+  },
   vendor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
@@ -130,6 +149,11 @@ const ProductSchema = new mongoose.Schema({
     min: [-180, 'Longitude must be between -180 and 180'],
     max: [180, 'Longitude must be between -180 and 180'],
   },
+  // GeoJSON mirror of latitude/longitude for 2dsphere queries, set on save
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined },
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Vendor',
@@ -198,6 +222,11 @@ const ProductSchema = new mongoose.Schema({
 
 ProductSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
+
+  if (this.isNew || this.isModified('productName') || this.isModified('tags')) {
+    this.searchTerms = buildSearchTerms([this.productName, ...(this.tags || [])]);
+  }
+  this.location = toPoint(this.latitude, this.longitude);
   
   const now = new Date();
   const regularPrice = parseFloat(this.regularPrice) || 0;
@@ -317,8 +346,11 @@ ProductSchema.index({ subCategory: 1 });
 ProductSchema.index({ approvalStatus: 1 });
 ProductSchema.index({ isActive: 1 });
 ProductSchema.index({ tags: 1 });
+ProductSchema.index({ searchTerms: 1 });
 ProductSchema.index({ createdAt: -1 });
+ProductSchema.index({ averageRating: -1, ratingCount: -1 });
 ProductSchema.index({ latitude: 1, longitude: 1 });
+ProductSchema.index({ location: '2dsphere' });
 ProductSchema.index({ approvalStatus: 1, isActive: 1, latitude: 1, longitude: 1 });
 ProductSchema.index({ offerEnabled: 1 });
 ProductSchema.index({ offerEnabled: 1, offerStartDate: 1, offerEndDate: 1 });
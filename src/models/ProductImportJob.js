@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * A vendor's bulk product upload. Rows are processed in the background;
+ * rejected rows are kept in `rowErrors` for the downloadable error report.
+ */
+const ProductImportJobSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  fileName: {
+    type: String,
+    trim: true,
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: [true, 'File format is required'],
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+  },
+  totalRows: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  processedRows: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  createdCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  updatedCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  unchangedCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  failedCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  rowErrors: [{
+    // Spreadsheet row number, the header being row 1
+    row: {
+      type: Number,
+      required: true,
+    },
+    sku: String,
+    skuHsn: String,
+    productName: String,
+    messages: [String],
+  }],
+  failureReason: {
+    type: String,
+    trim: true,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ProductImportJobSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ProductImportJobSchema.index({ vendor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProductImportJob', ProductImportJobSchema);
@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = [
+  'damaged',
+  'expired',
+  'wrong_item',
+  'missing_item',
+  'quality_issue',
+  'not_needed',
+  'other',
+];
+
+const ReturnRequestSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+    index: true,
+  },
+  orderNumber: {
+    type: String,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true,
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ['return', 'cancellation'],
+    default: 'return',
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    productName: {
+      type: String,
+      required: true,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Return quantity must be at least 1'],
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price must be greater than or equal to 0'],
+    },
+    totalPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Total price must be greater than or equal to 0'],
+    },
+    cashback: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cashback must be greater than or equal to 0'],
+    },
+    reason: {
+      type: String,
+      enum: RETURN_REASONS,
+      required: [true, 'Return reason is required'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot be more than 1000 characters'],
+    },
+  }],
+  refundTo: {
+    type: String,
+    enum: ['original', 'wallet'],
+    default: 'original',
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunded', 'failed'],
+    default: 'requested',
+    index: true,
+  },
+  amounts: {
+    itemsSubtotal: {
+      type: Number,
+      default: 0,
+    },
+    discountShare: {
+      type: Number,
+      default: 0,
+    },
+    taxShare: {
+      type: Number,
+      default: 0,
+    },
+    handlingChargeShare: {
+      type: Number,
+      default: 0,
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refund amount must be greater than or equal to 0'],
+    },
+    cashbackReversed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  refund: {
+    method: {
+      type: String,
+      enum: ['gateway', 'wallet', 'none'],
+    },
+    provider: {
+      type: String,
+      trim: true,
+    },
+    refundId: {
+      type: String,
+      trim: true,
+    },
+    // Progress of a refund in flight, so a retry after a partial failure
+    // resumes where it stopped instead of paying out the same part twice
+    paymentAmount: {
+      type: Number,
+    },
+    walletAmount: {
+      type: Number,
+    },
+    paymentRefundedAt: {
+      type: Date,
+    },
+    walletRestoredAt: {
+      type: Date,
+    },
+    processedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Failure reason cannot be more than 500 characters'],
+    },
+  },
+  restocked: {
+    type: Boolean,
+    default: false,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'reviewedByModel',
+  },
+  reviewedByModel: {
+    type: String,
+    enum: ['Vendor', 'Admin'],
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review note cannot be more than 1000 characters'],
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ReturnRequestSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate unique return number
+ReturnRequestSchema.statics.generateReturnNumber = async function () {
+  let returnNumber;
+  let exists = true;
+  let attempts = 0;
+  const maxAttempts = 10;
+
+  while (exists && attempts < maxAttempts) {
+    const timestamp = Date.now().toString().slice(-8);
+    const randomNum = Math.floor(1000 + Math.random() * 9000);
+    returnNumber = `RT${timestamp}${randomNum}`;
+    const existing = await this.findOne({ returnNumber });
+    if (!existing) {
+      exists = false;
+    }
+    attempts++;
+  }
+
+  if (exists) {
+    throw new Error('Failed to generate unique return number after multiple attempts');
+  }
+
+  return returnNumber;
+};
+
+ReturnRequestSchema.statics.RETURN_REASONS = RETURN_REASONS;
+
+ReturnRequestSchema.index({ user: 1, createdAt: -1 });
+ReturnRequestSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer review of a product, one per delivered order item.
+ * Only `published` reviews count towards the product's rating.
+ */
+const ReviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required'],
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+    index: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+  },
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Order item is required'],
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters'],
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters'],
+  },
+  images: [{
+    url: {
+      type: String,
+      required: true,
+    },
+    publicId: {
+      type: String,
+      required: true,
+    },
+  }],
+  isVerifiedPurchase: {
+    type: Boolean,
+    default: true,
+  },
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published',
+  },
+  moderation: {
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Moderation note cannot be more than 500 characters'],
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    moderatedAt: Date,
+  },
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot be more than 1000 characters'],
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vendor',
+    },
+    repliedAt: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ReviewSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ReviewSchema.index({ order: 1, orderItem: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const { toPoint } = require('../utils/geo');
 
 const RiderSchema = new mongoose.Schema({
   fullName: {
@@ -65,6 +66,11 @@ const RiderSchema = new mongoose.Schema({
     state: String,
     latitude: Number,
     longitude: Number,
+    // GeoJSON mirror of latitude/longitude for 2dsphere queries, set on save
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
   },
   language: {
     type: [String],
@@ -186,6 +192,42 @@ const RiderSchema = new mongoose.Schema({
   assignedToVendorAt: {
     type: Date,
   },
+  // Whether the rider is taking orders. Set by the rider; an online rider
+  // who has not been seen for a while is taken offline by the server.
+  availability: {
+    status: {
+      type: String,
+      enum: ['online', 'offline'],
+      default: 'offline',
+    },
+    since: {
+      type: Date,
+    },
+    lastSeenAt: {
+      type: Date,
+    },
+    // Open attendance session while online
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RiderSession',
+    },
+  },
+  // Latest GPS ping streamed over the socket while on an active order
+  liveLocation: {
+    latitude: Number,
+    longitude: Number,
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
+    // Degrees clockwise from north
+    heading: Number,
+    // km/h
+    speed: Number,
+    // Metres
+    accuracy: Number,
+    updatedAt: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -207,6 +249,7 @@ RiderSchema.pre('save', function (next) {
     }
     this.age = age;
   }
+  this.currentAddress.location = toPoint(this.currentAddress.latitude, this.currentAddress.longitude);
   this.updatedAt = Date.now();
   next();
 });
@@ -247,6 +290,9 @@ RiderSchema.methods.getSignedJwtToken = function () {
 RiderSchema.index({ vendor: 1 });
 RiderSchema.index({ vendor: 1, isActive: 1, approvalStatus: 1 });
 RiderSchema.index({ mobileNumber: 1 });
+RiderSchema.index({ 'currentAddress.location': '2dsphere' });
+RiderSchema.index({ 'liveLocation.location': '2dsphere' });
+RiderSchema.index({ 'availability.status': 1, 'availability.lastSeenAt': 1 });
 
 module.exports = mongoose.model('Rider', RiderSchema);
 
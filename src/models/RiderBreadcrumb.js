@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * A point of the trail a rider drove while on active shipments. Pings are
+ * thinned out before they are stored (see riderTrackingService); the latest
+ * position lives on `Rider.liveLocation`.
+ */
+const RiderBreadcrumbSchema = new mongoose.Schema({
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+    required: [true, 'Rider is required'],
+  },
+  // Orders the rider was carrying at the time
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  }],
+  shipments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+  }],
+  latitude: {
+    type: Number,
+    required: true,
+  },
+  longitude: {
+    type: Number,
+    required: true,
+  },
+  heading: Number,
+  speed: Number,
+  accuracy: Number,
+  recordedAt: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RiderBreadcrumbSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RiderBreadcrumbSchema.index({ orders: 1, recordedAt: 1 });
+RiderBreadcrumbSchema.index({ rider: 1, recordedAt: -1 });
+// MongoDB removes breadcrumbs once they pass expiresAt
+RiderBreadcrumbSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RiderBreadcrumb', RiderBreadcrumbSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * One entry of a rider's ledger. Two balances are kept apart:
+ *
+ * - earnings: `delivery_fee`, `incentive`, `tip` and `adjustment` (may be
+ *   negative) are owed to the rider; a `payout` is what the vendor paid out.
+ * - cash: `cod_collected` is COD cash the rider took at the door; a
+ *   `cod_deposit` is cash the rider handed over to the vendor.
+ *
+ * Amounts are positive except for negative adjustments.
+ */
+const RiderEarningSchema = new mongoose.Schema({
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+    required: [true, 'Rider is required'],
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RiderSettlement',
+    required: [true, 'Settlement is required'],
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ['delivery_fee', 'incentive', 'tip', 'adjustment', 'payout', 'cod_collected', 'cod_deposit'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  // Store-local day ("YYYY-MM-DD") the entry belongs to
+  date: {
+    type: String,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  orderNumber: {
+    type: String,
+    trim: true,
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+  },
+  // Receipt or transfer reference of a deposit or payout
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot be more than 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+  },
+  recordedBy: {
+    type: String,
+    enum: ['system', 'vendor', 'admin'],
+    default: 'system',
+  },
+  recordedById: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RiderEarningSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RiderEarningSchema.index({ rider: 1, createdAt: -1 });
+RiderEarningSchema.index({ vendor: 1, rider: 1, type: 1 });
+// A delivered shipment is credited (and its cash collected) once
+RiderEarningSchema.index(
+  { shipment: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { type: { $in: ['delivery_fee', 'tip', 'cod_collected'] } },
+  }
+);
+
+module.exports = mongoose.model('RiderEarning', RiderEarningSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Time a rider spent online, from going online until going offline (or
+ * being taken offline after going silent). Login hours and shift attendance
+ * are worked out from these.
+ */
+const RiderSessionSchema = new mongoose.Schema({
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+    required: [true, 'Rider is required'],
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: {
+    type: Date,
+  },
+  endReason: {
+    type: String,
+    enum: ['offline', 'timeout', 'deactivated'],
+  },
+  durationMinutes: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RiderSessionSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RiderSessionSchema.index({ rider: 1, startedAt: -1 });
+RiderSessionSchema.index({ vendor: 1, startedAt: -1 });
+
+module.exports = mongoose.model('RiderSession', RiderSessionSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * A rider's day with one vendor. Ledger entries of the day are added to the
+ * totals; at the end of the day the vendor counts the COD cash handed over,
+ * pays out earnings and marks the day `settled`. An entry recorded on a
+ * settled day opens it again.
+ */
+const RiderSettlementSchema = new mongoose.Schema({
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+    required: [true, 'Rider is required'],
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  // Store-local day ("YYYY-MM-DD")
+  date: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'settled'],
+    default: 'open',
+  },
+  totals: {
+    deliveries: {
+      type: Number,
+      default: 0,
+    },
+    deliveryFees: {
+      type: Number,
+      default: 0,
+    },
+    incentives: {
+      type: Number,
+      default: 0,
+    },
+    tips: {
+      type: Number,
+      default: 0,
+    },
+    adjustments: {
+      type: Number,
+      default: 0,
+    },
+    payouts: {
+      type: Number,
+      default: 0,
+    },
+    codCollected: {
+      type: Number,
+      default: 0,
+    },
+    codDeposited: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Daily delivery target bonus was credited
+  targetBonusAwarded: {
+    type: Boolean,
+    default: false,
+  },
+  settledAt: {
+    type: Date,
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+  },
+  // COD cash of the day still with the rider when the day was settled
+  cashShortfall: {
+    type: Number,
+    default: 0,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RiderSettlementSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RiderSettlementSchema.index({ rider: 1, vendor: 1, date: 1 }, { unique: true });
+RiderSettlementSchema.index({ vendor: 1, date: 1 });
+
+module.exports = mongoose.model('RiderSettlement', RiderSettlementSchema);
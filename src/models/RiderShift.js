@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * A shift a vendor publishes for its riders. Riders book a place until
+ * `capacity` is reached; only riders booked on a running shift are offered
+ * orders.
+ */
+const RiderShiftSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required'],
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['published', 'cancelled'],
+    default: 'published',
+  },
+  bookings: [{
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rider',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['booked', 'cancelled'],
+      default: 'booked',
+    },
+    bookedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  }],
+  // Bookings with status `booked`
+  bookedCount: {
+    type: Number,
+    default: 0,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+RiderShiftSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RiderShiftSchema.index({ vendor: 1, startTime: 1 });
+RiderShiftSchema.index({ 'bookings.rider': 1, startTime: 1 });
+
+module.exports = mongoose.model('RiderShift', RiderShiftSchema);
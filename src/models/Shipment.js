@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+
+/**
+ * Per-vendor fulfilment unit of an order. The parent Order stays the single
+ * checkout the user sees and pays for; each vendor packs, dispatches and
+ * invoices its own shipment.
+ */
+const ShipmentSchema = new mongoose.Schema({
+  shipmentNumber: {
+    type: String,
+    unique: true,
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required'],
+    index: true,
+  },
+  orderNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true,
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    productName: {
+      type: String,
+      required: true,
+    },
+    sku: {
+      type: String,
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price must be greater than or equal to 0'],
+    },
+    totalPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Total price must be greater than or equal to 0'],
+    },
+    cashback: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cashback must be greater than or equal to 0'],
+    },
+  }],
+  pricing: {
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: [0, 'Subtotal must be greater than or equal to 0'],
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount must be greater than or equal to 0'],
+    },
+    tax: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax must be greater than or equal to 0'],
+    },
+    handlingCharge: {
+      type: Number,
+      default: 0,
+      min: [0, 'Handling charge must be greater than or equal to 0'],
+    },
+    deliveryFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Delivery fee must be greater than or equal to 0'],
+    },
+    smallCartFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Small cart fee must be greater than or equal to 0'],
+    },
+    // Tip for the delivery rider, paid on top of the order and passed on in full
+    tip: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tip must be greater than or equal to 0'],
+    },
+    total: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total must be greater than or equal to 0'],
+    },
+    totalCashback: {
+      type: Number,
+      default: 0,
+      min: [0, 'Total cashback must be greater than or equal to 0'],
+    },
+  },
+  status: {
+    type: String,
+    enum: [
+      'pending',
+      'confirmed',
+      'processing',
+      'ready',
+      'out_for_delivery',
+      'delivered',
+      'cancelled',
+    ],
+    default: 'pending',
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true,
+    },
+    fromStatus: {
+      type: String,
+    },
+    actor: {
+      type: String,
+      enum: ['user', 'vendor', 'rider', 'admin', 'system'],
+      required: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Status note cannot be more than 1000 characters'],
+    },
+    // Set when an admin forced the move past the normal rules
+    override: {
+      type: Boolean,
+      default: false,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  deliverySlot: {
+    startTime: {
+      type: Date,
+    },
+    endTime: {
+      type: Date,
+    },
+  },
+  rider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rider',
+  },
+  assignedAt: {
+    type: Date,
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+  },
+  assignmentNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Assignment notes cannot be more than 1000 characters'],
+  },
+  assignmentRequestSentAt: {
+    type: Date,
+  },
+  assignmentRequestSentTo: [{
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Rider',
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected', 'expired'],
+      default: 'pending',
+    },
+    // Dispatch wave the request was sent in and when it lapses unanswered
+    wave: {
+      type: Number,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Rejection reason cannot be more than 500 characters'],
+    },
+  }],
+  // Auto-dispatch: riders are asked in waves until one accepts; when nobody
+  // does the shipment is escalated to the vendor and admins. Shipments
+  // `batched` into a trip are offered through the trip's lead shipment.
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['searching', 'assigned', 'escalated', 'cancelled', 'batched'],
+    },
+    wave: {
+      type: Number,
+      default: 0,
+    },
+    waveExpiresAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    escalatedAt: {
+      type: Date,
+    },
+    escalationReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  // Multi-stop trip the shipment is delivered on
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryTrip',
+    default: null,
+  },
+  deliveryAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery amount must be greater than or equal to 0'],
+  },
+  // Code the customer reads out to the rider at the door. Issued when the
+  // shipment goes out for delivery and never returned by default queries.
+  handover: {
+    // sha256 of the customer's code; the code itself is only sent to them
+    codeHash: {
+      type: String,
+      select: false,
+    },
+    issuedAt: {
+      type: Date,
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  // Evidence the shipment reached the customer: the handover code, a doorstep
+  // photo, or an admin's manual confirmation (delivery override)
+  deliveryProof: {
+    method: {
+      type: String,
+      enum: ['otp', 'photo', 'manual'],
+    },
+    photo: {
+      url: String,
+      publicId: String,
+    },
+    latitude: {
+      type: Number,
+    },
+    longitude: {
+      type: Number,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Delivery note cannot be more than 500 characters'],
+    },
+    recordedBy: {
+      type: String,
+      enum: ['rider', 'vendor', 'admin', 'system'],
+    },
+    recordedById: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    recordedAt: {
+      type: Date,
+    },
+  },
+  deliveredAt: {
+    type: Date,
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'vendor', 'admin', 'system'],
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot be more than 500 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ShipmentSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ShipmentSchema.index({ order: 1, vendor: 1 }, { unique: true });
+ShipmentSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+ShipmentSchema.index({ rider: 1, status: 1 });
+ShipmentSchema.index({ vendor: 1, 'deliverySlot.startTime': 1 });
+ShipmentSchema.index({ 'assignmentRequestSentTo.rider': 1, status: 1 });
+ShipmentSchema.index({ 'dispatch.status': 1, 'dispatch.waveExpiresAt': 1 });
+
+module.exports = mongoose.model('Shipment', ShipmentSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const { toPoint } = require('../utils/geo');
 
 const UserSchema = new mongoose.Schema({
   userName: {
@@ -53,6 +54,11 @@ const UserSchema = new mongoose.Schema({
     state: String,
     latitude: Number,
     longitude: Number,
+    // GeoJSON mirror of latitude/longitude for 2dsphere queries, set on save
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
   },
   addresses: [{
     label: {
@@ -90,6 +96,11 @@ const UserSchema = new mongoose.Schema({
     longitude: {
       type: Number,
     },
+    // GeoJSON mirror of latitude/longitude for 2dsphere queries, set on save
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
     isDefault: {
       type: Boolean,
       default: false,
@@ -103,6 +114,7 @@ const UserSchema = new mongoose.Schema({
     url: String,
     publicId: String,
   },
+  // Spendable wallet balance, cached from the WalletTransaction ledger
   cashback: {
     type: Number,
     default: 0,
@@ -139,6 +151,11 @@ UserSchema.pre('save', function (next) {
   if (this.email === null || this.email === '') {
     delete this.email;
   }
+
+  this.address.location = toPoint(this.address.latitude, this.address.longitude);
+  (this.addresses || []).forEach((address) => {
+    address.location = toPoint(address.latitude, address.longitude);
+  });
   
   this.updatedAt = Date.now();
   next();
@@ -177,6 +194,9 @@ UserSchema.methods.getSignedJwtToken = function () {
   });
 };
 
+UserSchema.index({ 'address.location': '2dsphere' });
+UserSchema.index({ 'addresses.location': '2dsphere' });
+
 module.exports = mongoose.model('User', UserSchema);
 
 
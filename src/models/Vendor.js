@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toPoint } = require('../utils/geo');
 const jwt = require('jsonwebtoken');
 
 const VendorSchema = new mongoose.Schema({
@@ -104,6 +105,11 @@ const VendorSchema = new mongoose.Schema({
     },
     latitude: Number,
     longitude: Number,
+    // GeoJSON mirror of latitude/longitude for 2dsphere queries, set on save
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },
+    },
   },
   documents: {
     panCardFront: {
@@ -201,12 +207,187 @@ const VendorSchema = new mongoose.Schema({
       return !!this.storeId;
     },
   },
+  // Delivery area drawn by admins. A store with zones or PIN codes delivers
+  // only inside them and its serviceRadius is no longer used.
+  serviceArea: {
+    zones: [{
+      name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        trim: true,
+      },
+      // GeoJSON Polygon or MultiPolygon, [longitude, latitude] positions
+      boundary: {
+        type: {
+          type: String,
+          enum: ['Polygon', 'MultiPolygon'],
+          required: true,
+        },
+        coordinates: {
+          type: Array,
+          required: true,
+        },
+      },
+    }],
+    pinCodes: [{
+      type: String,
+      match: [/^[0-9]{6}$/, 'Please provide a valid 6-digit PIN code'],
+    }],
+  },
+  // Opening hours in store-local time; without weekly hours the store is always open
+  storeHours: {
+    weekly: [{
+      // 0 = Sunday
+      day: {
+        type: Number,
+        required: [true, 'Day is required'],
+        min: [0, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Day must be between 0 (Sunday) and 6 (Saturday)'],
+      },
+      openTime: {
+        type: String,
+        required: [true, 'Opening time is required'],
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be in HH:mm format'],
+      },
+      // At or before openTime means the store closes after midnight
+      closeTime: {
+        type: String,
+        required: [true, 'Closing time is required'],
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be in HH:mm format'],
+      },
+    }],
+    holidays: [{
+      date: {
+        type: String,
+        required: [true, 'Holiday date is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be in YYYY-MM-DD format'],
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+    }],
+  },
+  // Vendor's "pause orders" switch; ends by itself at resumeAt when one is set
+  orderPause: {
+    isPaused: {
+      type: Boolean,
+      default: false,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    pausedAt: Date,
+    resumeAt: Date,
+  },
+  // GSTIN printed on tax invoices
+  gstNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please provide a valid GSTIN'],
+  },
   handlingChargePercentage: {
     type: Number,
     default: 0,
     min: [0, 'Handling charge percentage must be greater than or equal to 0'],
     max: [100, 'Handling charge percentage cannot exceed 100'],
   },
+  // Platform commission on the vendor's sales. Unset means the platform
+  // default (PLATFORM_COMMISSION_PERCENTAGE).
+  commissionPercentage: {
+    type: Number,
+    min: [0, 'Commission percentage must be greater than or equal to 0'],
+    max: [100, 'Commission percentage cannot exceed 100'],
+  },
+  // Delivery charges, all zero by default. Fees are per store, by distance from storeAddress.
+  deliveryFeeSettings: {
+    // Fee for deliveries up to `upToKm`; beyond the last slab the last fee applies
+    slabs: [{
+      upToKm: {
+        type: Number,
+        required: true,
+        min: [0.1, 'Slab distance must be at least 0.1 km'],
+      },
+      fee: {
+        type: Number,
+        required: true,
+        min: [0, 'Slab fee must be greater than or equal to 0'],
+      },
+    }],
+    // Subtotal from which delivery is free (0 = never free)
+    freeDeliveryThreshold: {
+      type: Number,
+      default: 0,
+      min: [0, 'Free delivery threshold must be greater than or equal to 0'],
+    },
+    // Extra fee for orders below `smallCartThreshold`
+    smallCartThreshold: {
+      type: Number,
+      default: 0,
+      min: [0, 'Small cart threshold must be greater than or equal to 0'],
+    },
+    smallCartFee: {
+      type: Number,
+      default: 0,
+      min: [0, 'Small cart fee must be greater than or equal to 0'],
+    },
+    minimumOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum order value must be greater than or equal to 0'],
+    },
+    // Share of the delivery fee paid out to the rider
+    riderPayoutPercentage: {
+      type: Number,
+      default: 100,
+      min: [0, 'Rider payout percentage must be greater than or equal to 0'],
+      max: [100, 'Rider payout percentage cannot exceed 100'],
+    },
+  },
+  deliverySlotSettings: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Daily delivery window in store-local time (HH:mm)
+    startTime: {
+      type: String,
+      default: '09:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:mm format'],
+    },
+    endTime: {
+      type: String,
+      default: '21:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in HH:mm format'],
+    },
+    slotDurationMinutes: {
+      type: Number,
+      default: 30,
+      min: [15, 'Slot duration must be at least 15 minutes'],
+      max: [240, 'Slot duration cannot exceed 240 minutes'],
+    },
+    capacity: {
+      type: Number,
+      default: 10,
+      min: [1, 'Slot capacity must be at least 1'],
+    },
+    // Minimum time between placing the order and the start of the slot
+    leadTimeMinutes: {
+      type: Number,
+      default: 30,
+      min: [0, 'Lead time must be greater than or equal to 0'],
+    },
+    daysAhead: {
+      type: Number,
+      default: 3,
+      min: [1, 'Slots must be offered for at least 1 day'],
+      max: [14, 'Slots cannot be offered more than 14 days ahead'],
+    },
+  },
+  // Legacy sales tracking, no longer written. Earnings are kept in
+  // VendorEarning and paid out through VendorSettlement.
   revenue: {
     type: Map,
     of: Number,
@@ -277,10 +458,28 @@ VendorSchema.pre('save', function (next) {
     }
     this.age = age;
   }
+  this.storeAddress.location = toPoint(this.storeAddress.latitude, this.storeAddress.longitude);
+  // Products carry the store's coordinates, so a moved store moves its products
+  this.$locals.storeMoved = !this.isNew && this.isModified('storeAddress.location');
   this.updatedAt = Date.now();
   next();
 });
 
+VendorSchema.post('save', async function () {
+  if (this.$locals.storeMoved) {
+    await mongoose.model('Product').updateMany(
+      { vendor: this._id },
+      {
+        $set: {
+          latitude: this.storeAddress.latitude,
+          longitude: this.storeAddress.longitude,
+          location: this.storeAddress.location,
+        },
+      }
+    );
+  }
+});
+
 VendorSchema.methods.generateOTP = function () {
   const otpCode = Math.floor(1000 + Math.random() * 9000).toString();
   this.otp = {
@@ -347,5 +546,11 @@ VendorSchema.index(
   }
 );
 
+VendorSchema.index({ 'storeAddress.location': '2dsphere' });
+VendorSchema.index({ 'serviceArea.zones.boundary': '2dsphere' });
+VendorSchema.index({ 'serviceArea.pinCodes': 1 });
+// Widest service radius, which bounds the nearby store search
+VendorSchema.index({ serviceRadius: -1 });
+
 module.exports = mongoose.model('Vendor', VendorSchema);
 
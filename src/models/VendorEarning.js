@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * One entry of a vendor's earnings ledger. A `sale` is written when a
+ * shipment is delivered, a `refund` when returned items of it are refunded
+ * (all amounts negative), and an `adjustment` when a cycle that ended below
+ * zero is carried into the next one.
+ *
+ * netAmount = itemsSubtotal - couponFunding + tax - commission
+ */
+const VendorEarningSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorSettlement',
+    required: [true, 'Settlement is required'],
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'refund', 'adjustment'],
+    required: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  orderNumber: {
+    type: String,
+    trim: true,
+  },
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipment',
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+  },
+  itemsSubtotal: {
+    type: Number,
+    default: 0,
+  },
+  // Coupon discount the vendor pays for (coupons the vendor created)
+  couponFunding: {
+    type: Number,
+    default: 0,
+  },
+  // Coupon discount the platform pays for; informational
+  platformDiscount: {
+    type: Number,
+    default: 0,
+  },
+  tax: {
+    type: Number,
+    default: 0,
+  },
+  commissionPercentage: {
+    type: Number,
+    default: 0,
+  },
+  commission: {
+    type: Number,
+    default: 0,
+  },
+  // Charged to the customer and kept by the platform; informational
+  handlingCharge: {
+    type: Number,
+    default: 0,
+  },
+  netAmount: {
+    type: Number,
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+VendorEarningSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+VendorEarningSchema.index({ vendor: 1, createdAt: -1 });
+// A shipment is earned once and a return refunded once
+VendorEarningSchema.index(
+  { shipment: 1 },
+  { unique: true, partialFilterExpression: { type: 'sale' } }
+);
+VendorEarningSchema.index(
+  { returnRequest: 1 },
+  { unique: true, partialFilterExpression: { type: 'refund' } }
+);
+
+module.exports = mongoose.model('VendorEarning', VendorEarningSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+/**
+ * A vendor's weekly settlement cycle. Earnings are added while it is `open`;
+ * once the week is over it waits for admin approval and is then paid out to
+ * the bank account copied from `Vendor.bankDetails` at approval.
+ *
+ * A cycle with nothing to pay is `carried_forward`: a negative balance moves
+ * into the next cycle as an adjustment.
+ */
+const VendorSettlementSchema = new mongoose.Schema({
+  settlementNumber: {
+    type: String,
+    unique: true,
+    required: true,
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required'],
+  },
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  // Exclusive
+  periodEnd: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'pending_approval', 'on_hold', 'approved', 'paid', 'carried_forward'],
+    default: 'open',
+  },
+  totals: {
+    itemsSubtotal: {
+      type: Number,
+      default: 0,
+    },
+    couponFunding: {
+      type: Number,
+      default: 0,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+    },
+    commission: {
+      type: Number,
+      default: 0,
+    },
+    // Net of refund entries (negative)
+    refunds: {
+      type: Number,
+      default: 0,
+    },
+    // Balance carried in from earlier cycles
+    adjustments: {
+      type: Number,
+      default: 0,
+    },
+    netPayable: {
+      type: Number,
+      default: 0,
+    },
+    entryCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  payout: {
+    amount: Number,
+    accountNumber: String,
+    ifsc: String,
+    bankName: String,
+    // Bank transfer reference (UTR)
+    reference: {
+      type: String,
+      trim: true,
+    },
+    paidAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  closedAt: Date,
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  holdReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Hold reason cannot be more than 500 characters'],
+  },
+  heldAt: Date,
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+VendorSettlementSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Generate unique settlement number
+VendorSettlementSchema.statics.generateSettlementNumber = async function () {
+  let settlementNumber;
+  let exists = true;
+  let attempts = 0;
+  const maxAttempts = 10;
+
+  while (exists && attempts < maxAttempts) {
+    const timestamp = Date.now().toString().slice(-8);
+    const randomNum = Math.floor(1000 + Math.random() * 9000);
+    settlementNumber = `ST${timestamp}${randomNum}`;
+    const settlement = await this.findOne({ settlementNumber });
+    if (!settlement) {
+      exists = false;
+    }
+    attempts++;
+  }
+
+  if (exists) {
+    throw new Error('Failed to generate unique settlement number after multiple attempts');
+  }
+
+  return settlementNumber;
+};
+
+VendorSettlementSchema.index({ vendor: 1, periodStart: 1 }, { unique: true });
+VendorSettlementSchema.index({ status: 1, periodEnd: 1 });
+
+module.exports = mongoose.model('VendorSettlement', VendorSettlementSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+/**
+ * One entry of a user's wallet ledger. Credits carry what is left of them in
+ * `remainingAmount` so redemptions and expiry can draw them down oldest-expiry
+ * first; debits record where the money went.
+ *
+ * Cashback credits start `pending` and become `available` once the order is
+ * delivered. The spendable balance is the sum of `remainingAmount` over
+ * available, unexpired credits (cached on `User.cashback`).
+ */
+const WalletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    index: true,
+  },
+  orderNumber: {
+    type: String,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: [
+      'cashback', // credit: cashback earned on an order
+      'refund', // credit: refund or returned redemption paid into the wallet
+      'opening_balance', // credit: balance carried over from before the ledger
+      'redemption', // debit: balance spent on an order
+      'reversal', // debit: cashback taken back after a return or cancellation
+      'expiry', // debit: credit that expired unspent
+    ],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'available', 'cancelled', 'expired', 'completed'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount must be greater than or equal to 0'],
+  },
+  // Unspent part of a credit
+  remainingAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Remaining amount must be greater than or equal to 0'],
+  },
+  // Credits a debit was drawn from, so a failed order can put them back
+  allocations: [{
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletTransaction',
+    },
+    amount: Number,
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+  },
+  availableAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+WalletTransactionSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+WalletTransactionSchema.index({ user: 1, createdAt: -1 });
+WalletTransactionSchema.index({ user: 1, status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('WalletTransaction', WalletTransactionSchema);
@@ -1,10 +1,14 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { query, param, body } = require('express-validator');
 const router = express.Router();
 
 // Controllers
 const { getAllProductsList } = require('../controllers/productGet');
-const { getAllOrders } = require('../controllers/checkout');
+const { getAllOrders, updateOrderStatusByAdmin, overrideDeliveryByAdmin, exportInvoices } = require('../controllers/checkout');
+const { getAllReturnRequests, reviewReturnRequest } = require('../controllers/refund');
+const { createHsnCode, getHsnCodes, updateHsnCode, deleteHsnCode } = require('../controllers/hsnCode');
+const { getAllEscalations, retryDispatch } = require('../controllers/dispatch');
+const { getAllSettlements, getSettlement, exportPayouts, approveSettlement, holdSettlement, markSettlementPaid } = require('../controllers/settlement');
 
 // Middleware
 const { protect } = require('../middleware/adminAuth');
@@ -78,7 +82,7 @@ router.get(
       .withMessage('Vendor must be a valid MongoDB ObjectId'),
     query('paymentStatus')
       .optional()
-      .isIn(['pending', 'processing', 'completed', 'failed', 'refunded'])
+      .isIn(['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'])
       .withMessage('Invalid payment status'),
     query('paymentMethod')
       .optional()
@@ -101,4 +105,384 @@ router.get(
   getAllOrders
 );
 
+// Update order status (Admin only)
+router.put(
+  '/orders/:orderId/status',
+  protect,
+  [
+    param('orderId')
+      .notEmpty()
+      .withMessage('Order ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+    body('status')
+      .notEmpty()
+      .withMessage('Status is required')
+      .bail()
+      .isIn(['pending', 'confirmed', 'processing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'])
+      .withMessage('Status must be one of: pending, confirmed, processing, ready, out_for_delivery, delivered, cancelled'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Status note cannot be more than 1000 characters'),
+  ],
+  updateOrderStatusByAdmin
+);
+
+// Mark a shipment delivered without a handover code or photo (Admin only, audited)
+router.post(
+  '/orders/:orderId/shipments/:shipmentId/deliver',
+  protect,
+  [
+    param('orderId')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+    param('shipmentId')
+      .isMongoId()
+      .withMessage('Invalid shipment ID'),
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Reason is required')
+      .isLength({ max: 1000 })
+      .withMessage('Reason cannot be more than 1000 characters'),
+  ],
+  overrideDeliveryByAdmin
+);
+
+// Bulk download invoices as a zip (Admin only)
+router.get(
+  '/invoices/export',
+  protect,
+  [
+    query('startDate')
+      .notEmpty()
+      .withMessage('Start date is required')
+      .bail()
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    query('endDate')
+      .notEmpty()
+      .withMessage('End date is required')
+      .bail()
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date'),
+    query('format')
+      .optional()
+      .isIn(['pdf', 'html'])
+      .withMessage('Format must be pdf or html'),
+    query('vendor')
+      .optional()
+      .isMongoId()
+      .withMessage('Vendor must be a valid MongoDB ObjectId'),
+  ],
+  exportInvoices
+);
+
+// Get ready shipments no rider accepted (Admin only)
+router.get(
+  '/dispatch/escalated',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('vendor')
+      .optional()
+      .isMongoId()
+      .withMessage('Vendor must be a valid MongoDB ObjectId'),
+  ],
+  getAllEscalations
+);
+
+// Offer a ready shipment to riders again (Admin only)
+router.post(
+  '/shipments/:id/dispatch',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid shipment ID'),
+  ],
+  retryDispatch
+);
+
+// Get all return and refund requests (Admin only)
+router.get(
+  '/returns',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['requested', 'approved', 'rejected', 'refunded', 'failed'])
+      .withMessage('Invalid return status'),
+    query('type')
+      .optional()
+      .isIn(['return', 'cancellation'])
+      .withMessage('Type must be return or cancellation'),
+    query('vendor')
+      .optional()
+      .isMongoId()
+      .withMessage('Vendor must be a valid MongoDB ObjectId'),
+    query('user')
+      .optional()
+      .isMongoId()
+      .withMessage('User must be a valid MongoDB ObjectId'),
+    query('order')
+      .optional()
+      .isMongoId()
+      .withMessage('Order must be a valid MongoDB ObjectId'),
+  ],
+  getAllReturnRequests
+);
+
+// Approve or reject a return request (Admin only)
+router.put(
+  '/returns/:returnId/review',
+  protect,
+  [
+    param('returnId')
+      .notEmpty()
+      .withMessage('Return request ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid return request ID'),
+    body('action')
+      .notEmpty()
+      .withMessage('Action is required')
+      .bail()
+      .isIn(['approve', 'reject'])
+      .withMessage('Action must be approve or reject'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Review note cannot be more than 1000 characters'),
+    body('rejectionReason')
+      .if(body('action').equals('reject'))
+      .trim()
+      .notEmpty()
+      .withMessage('Rejection reason is required when rejecting a return')
+      .bail()
+      .isLength({ max: 500 })
+      .withMessage('Rejection reason cannot be more than 500 characters'),
+    body('restock')
+      .optional()
+      .isBoolean()
+      .withMessage('Restock must be a boolean'),
+  ],
+  reviewReturnRequest
+);
+
+// GST rates per HSN code (Admin only)
+router.get(
+  '/hsn-codes',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('search')
+      .optional()
+      .matches(/^[0-9]{1,8}$/)
+      .withMessage('Search must be the leading digits of an HSN code'),
+    query('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ],
+  getHsnCodes
+);
+
+router.post(
+  '/hsn-codes',
+  protect,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('HSN code is required')
+      .bail()
+      .matches(/^[0-9]{2,8}$/)
+      .withMessage('HSN code must be 2 to 8 digits'),
+    body('gstRate')
+      .notEmpty()
+      .withMessage('GST rate is required')
+      .bail()
+      .isIn([0, 0.25, 3, 5, 12, 18, 28])
+      .withMessage('GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ],
+  createHsnCode
+);
+
+router.put(
+  '/hsn-codes/:id',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid HSN code ID'),
+    body('gstRate')
+      .optional()
+      .isIn([0, 0.25, 3, 5, 12, 18, 28])
+      .withMessage('GST rate must be one of 0, 0.25, 3, 5, 12, 18 or 28'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+  ],
+  updateHsnCode
+);
+
+router.delete(
+  '/hsn-codes/:id',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid HSN code ID'),
+  ],
+  deleteHsnCode
+);
+
+// Get vendor settlement cycles (Admin only)
+router.get(
+  '/settlements',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['open', 'pending_approval', 'on_hold', 'approved', 'paid', 'carried_forward'])
+      .withMessage('Invalid settlement status'),
+    query('vendor')
+      .optional()
+      .isMongoId()
+      .withMessage('Vendor must be a valid MongoDB ObjectId'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+  ],
+  getAllSettlements
+);
+
+// Download approved settlements as a bank payout file (Admin only)
+router.get('/settlements/payouts/export', protect, exportPayouts);
+
+// Get a settlement with its ledger entries; ?format=csv downloads the statement (Admin only)
+router.get(
+  '/settlements/:id',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid settlement ID'),
+    query('format')
+      .optional()
+      .isIn(['json', 'csv'])
+      .withMessage('Format must be json or csv'),
+  ],
+  getSettlement
+);
+
+// Approve a settlement for payout (Admin only)
+router.put(
+  '/settlements/:id/approve',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid settlement ID'),
+  ],
+  approveSettlement
+);
+
+// Hold a settlement back from payout (Admin only)
+router.put(
+  '/settlements/:id/hold',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid settlement ID'),
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Hold reason is required')
+      .bail()
+      .isLength({ max: 500 })
+      .withMessage('Hold reason cannot be more than 500 characters'),
+  ],
+  holdSettlement
+);
+
+// Record the bank transfer of an approved settlement (Admin only)
+router.put(
+  '/settlements/:id/paid',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid settlement ID'),
+    body('reference')
+      .trim()
+      .notEmpty()
+      .withMessage('Payment reference is required')
+      .bail()
+      .isLength({ max: 100 })
+      .withMessage('Payment reference cannot be more than 100 characters'),
+    body('paidAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Paid at must be a valid date'),
+  ],
+  markSettlementPaid
+);
+
 module.exports = router;
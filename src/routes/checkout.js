@@ -19,9 +19,17 @@ const {
   addItemsToOrder,
   getOrderInvoice,
 } = require('../controllers/checkout');
+const { getAvailableDeliverySlots } = require('../controllers/deliverySlot');
+const {
+  createReturnRequest,
+  getUserReturnRequests,
+  getVendorReturnRequests,
+  reviewReturnRequest,
+} = require('../controllers/refund');
 const { protect } = require('../middleware/userAuth');
 const { protect: protectVendor } = require('../middleware/vendorAuth');
 const { protectVendorOrAdmin } = require('../middleware/vendorOrAdminAuth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -41,6 +49,22 @@ router.get(
       .optional()
       .isIn(['pending', 'confirmed', 'processing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'])
       .withMessage('Invalid order status'),
+    query('slotDate')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Slot date must be in YYYY-MM-DD format'),
+    query('slotFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot from must be a valid date-time'),
+    query('slotTo')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot to must be a valid date-time'),
+    query('sortBy')
+      .optional()
+      .isIn(['createdAt', 'deliverySlot'])
+      .withMessage('Sort by must be createdAt or deliverySlot'),
   ],
   getVendorOrders
 );
@@ -69,6 +93,10 @@ router.get(
       .bail()
       .isMongoId()
       .withMessage('Invalid order ID'),
+    query('format')
+      .optional()
+      .isIn(['json', 'pdf', 'html'])
+      .withMessage('Format must be json, pdf or html'),
   ],
   getOrderInvoice
 );
@@ -93,6 +121,11 @@ router.put(
       .optional()
       .isFloat({ min: 0 })
       .withMessage('Delivery amount must be a valid positive number'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Status note cannot be more than 1000 characters'),
   ],
   updateOrderStatus
 );
@@ -131,6 +164,63 @@ router.post(
   addItemsToOrder
 );
 
+router.get(
+  '/vendor/returns',
+  protectVendor,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['requested', 'approved', 'rejected', 'refunded', 'failed'])
+      .withMessage('Invalid return status'),
+  ],
+  getVendorReturnRequests
+);
+
+router.put(
+  '/vendor/returns/:returnId/review',
+  protectVendor,
+  [
+    param('returnId')
+      .notEmpty()
+      .withMessage('Return request ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid return request ID'),
+    body('action')
+      .notEmpty()
+      .withMessage('Action is required')
+      .bail()
+      .isIn(['approve', 'reject'])
+      .withMessage('Action must be approve or reject'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Review note cannot be more than 1000 characters'),
+    body('rejectionReason')
+      .if(body('action').equals('reject'))
+      .trim()
+      .notEmpty()
+      .withMessage('Rejection reason is required when rejecting a return')
+      .bail()
+      .isLength({ max: 500 })
+      .withMessage('Rejection reason cannot be more than 500 characters'),
+    body('restock')
+      .optional()
+      .isBoolean()
+      .withMessage('Restock must be a boolean'),
+  ],
+  reviewReturnRequest
+);
+
 router.use((req, res, next) => {
   if (req.path.startsWith('/vendor/')) {
     return next();
@@ -139,7 +229,43 @@ router.use((req, res, next) => {
 });
 
 // Cart routes
-router.get('/cart', getCart);
+router.get(
+  '/cart',
+  [
+    query('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be a valid number'),
+    query('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be a valid number'),
+    query('walletAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Wallet amount must be a positive number'),
+    query('tip')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Tip must be between 0 and 1000'),
+  ],
+  getCart
+);
+
+router.get(
+  '/delivery-slots',
+  [
+    query('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be a valid number'),
+    query('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be a valid number'),
+  ],
+  getAvailableDeliverySlots
+);
 
 router.post(
   '/cart/add',
@@ -161,6 +287,19 @@ router.post(
       .trim()
       .notEmpty()
       .withMessage('SKU cannot be empty'),
+    body('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be a number between -90 and 90'),
+    body('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be a number between -180 and 180'),
+    body('pinCode')
+      .optional()
+      .trim()
+      .matches(/^[0-9]{6}$/)
+      .withMessage('Please provide a valid 6-digit PIN code'),
   ],
   addToCart
 );
@@ -256,6 +395,7 @@ router.delete('/cart/coupon/remove', removeCoupon);
 // Order routes
 router.post(
   '/order/create',
+  idempotent,
   [
     body('shippingAddress.line1')
       .trim()
@@ -305,6 +445,18 @@ router.post(
       .trim()
       .isLength({ max: 1000 })
       .withMessage('Notes cannot be more than 1000 characters'),
+    body('deliverySlot.startTime')
+      .optional()
+      .isISO8601()
+      .withMessage('Delivery slot start time must be a valid date-time'),
+    body('walletAmount')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Wallet amount must be a positive number'),
+    body('tip')
+      .optional()
+      .isFloat({ min: 0, max: 1000 })
+      .withMessage('Tip must be between 0 and 1000'),
   ],
   createOrder
 );
@@ -350,12 +502,17 @@ router.get(
       .bail()
       .isMongoId()
       .withMessage('Invalid order ID'),
+    query('format')
+      .optional()
+      .isIn(['json', 'pdf', 'html'])
+      .withMessage('Format must be json, pdf or html'),
   ],
   getOrderInvoice
 );
 
 router.post(
   '/order/:orderId/cancel',
+  idempotent,
   [
     param('orderId')
       .notEmpty()
@@ -372,8 +529,72 @@ router.post(
   cancelOrder
 );
 
+router.post(
+  '/order/:orderId/return',
+  [
+    param('orderId')
+      .notEmpty()
+      .withMessage('Order ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+    body('items')
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array'),
+    body('items.*.itemId')
+      .notEmpty()
+      .withMessage('Order item ID is required for each item')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid order item ID'),
+    body('items.*.quantity')
+      .notEmpty()
+      .withMessage('Quantity is required for each item')
+      .bail()
+      .isInt({ min: 1 })
+      .withMessage('Quantity must be a positive integer')
+      .toInt(),
+    body('items.*.reason')
+      .notEmpty()
+      .withMessage('Return reason is required for each item')
+      .bail()
+      .isIn(['damaged', 'expired', 'wrong_item', 'missing_item', 'quality_issue', 'not_needed', 'other'])
+      .withMessage('Reason must be one of: damaged, expired, wrong_item, missing_item, quality_issue, not_needed, other'),
+    body('items.*.description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot be more than 1000 characters'),
+    body('refundTo')
+      .optional()
+      .isIn(['original', 'wallet'])
+      .withMessage('Refund destination must be original or wallet'),
+  ],
+  createReturnRequest
+);
+
+router.get(
+  '/returns',
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['requested', 'approved', 'rejected', 'refunded', 'failed'])
+      .withMessage('Invalid return status'),
+  ],
+  getUserReturnRequests
+);
+
 router.post(
   '/order/:orderId/reorder',
+  idempotent,
   [
     param('orderId')
       .notEmpty()
@@ -0,0 +1,95 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  createOrderPayment,
+  verifyPayment,
+  paymentWebhook,
+  simulateMockPayment,
+  getOrderPayments,
+} = require('../controllers/payment');
+const { protect } = require('../middleware/userAuth');
+const { idempotent } = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Gateway server-to-server notifications (authenticated by signature, not token)
+router.post('/webhook/:provider', paymentWebhook);
+
+router.post(
+  '/order/:orderId/intent',
+  protect,
+  idempotent,
+  [
+    param('orderId')
+      .notEmpty()
+      .withMessage('Order ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  createOrderPayment
+);
+
+router.get(
+  '/order/:orderId',
+  protect,
+  [
+    param('orderId')
+      .notEmpty()
+      .withMessage('Order ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  getOrderPayments
+);
+
+router.post(
+  '/verify',
+  protect,
+  [
+    body('intentId')
+      .trim()
+      .notEmpty()
+      .withMessage('Intent ID is required'),
+    body('transactionId')
+      .trim()
+      .notEmpty()
+      .withMessage('Transaction ID is required'),
+    body('status')
+      .notEmpty()
+      .withMessage('Status is required')
+      .bail()
+      .isIn(['success', 'failed'])
+      .withMessage('Status must be success or failed'),
+    body('signature')
+      .trim()
+      .notEmpty()
+      .withMessage('Signature is required'),
+  ],
+  verifyPayment
+);
+
+// Local mock gateway - completes or fails an intent through the webhook path
+router.post(
+  '/mock/:intentId/simulate',
+  protect,
+  [
+    param('intentId')
+      .trim()
+      .notEmpty()
+      .withMessage('Intent ID is required'),
+    body('outcome')
+      .optional()
+      .isIn(['success', 'failed'])
+      .withMessage('Outcome must be success or failed'),
+    body('failureReason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Failure reason cannot be more than 500 characters'),
+  ],
+  simulateMockPayment
+);
+
+module.exports = router;
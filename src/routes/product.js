@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const router = express.Router();
 
 // Controllers
@@ -8,11 +8,13 @@ const { addProduct } = require('../controllers/productAdd');
 const { updateProduct, deleteProduct } = require('../controllers/productUpdate');
 const { approveProduct } = require('../controllers/productApproval');
 const { getAllDailyOffers, getVendorDailyOffers } = require('../controllers/productOffer');
+const { importProducts, getImports, getImport, downloadImportErrors, exportProducts } = require('../controllers/productImport');
 
 // Middleware
 const { protect } = require('../middleware/adminAuth');
 const { protect: protectVendor } = require('../middleware/vendorAuth');
 const { uploadMultiple } = require('../middleware/productUpload');
+const { uploadImportFile } = require('../middleware/importUpload');
 
 // Public Routes
 // Get approved products with optional location filtering (Public - no authentication required)
@@ -52,6 +54,19 @@ router.get(
       .trim()
       .isLength({ min: 1, max: 200 })
       .withMessage('Search query must be between 1 and 200 characters'),
+    query('minRating')
+      .optional()
+      .isFloat({ min: 0, max: 5 })
+      .withMessage('Minimum rating must be between 0 and 5'),
+    query('sortBy')
+      .optional()
+      .isIn(['distance', 'rating'])
+      .withMessage('Sort must be distance or rating'),
+    query('pinCode')
+      .optional()
+      .trim()
+      .matches(/^[0-9]{6}$/)
+      .withMessage('Please provide a valid 6-digit PIN code'),
   ],
   getNearbyProducts
 );
@@ -437,6 +452,67 @@ router.put(
   updateProduct
 );
 
+// Bulk import products from a CSV/XLSX file (Vendor only) - processed in the background
+router.post('/vendor/import', protectVendor, uploadImportFile, importProducts);
+
+// List the vendor's imports (Vendor only)
+router.get(
+  '/vendor/imports',
+  protectVendor,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  getImports
+);
+
+// Import progress with the first rejected rows (Vendor only)
+router.get(
+  '/vendor/imports/:id',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid import ID'),
+  ],
+  getImport
+);
+
+// Download all rejected rows of an import (Vendor only)
+router.get(
+  '/vendor/imports/:id/errors',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid import ID'),
+    query('format')
+      .optional()
+      .isIn(['csv', 'xlsx'])
+      .withMessage('Format must be csv or xlsx'),
+  ],
+  downloadImportErrors
+);
+
+// Export the vendor's catalog with inventory and prices, in the import layout (Vendor only)
+router.get(
+  '/vendor/export',
+  protectVendor,
+  [
+    query('format')
+      .optional()
+      .isIn(['csv', 'xlsx'])
+      .withMessage('Format must be csv or xlsx'),
+  ],
+  exportProducts
+);
+
 // Delete product (Vendor only - can only delete their own products)
 router.delete('/vendor/:id', protectVendor, deleteProduct);
 
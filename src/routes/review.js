@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const {
+  getProductReviews,
+  getReviewableItems,
+  getMyReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  getVendorReviews,
+  replyToReview,
+  getAllReviews,
+  moderateReview,
+  removeReview,
+} = require('../controllers/review');
+const { protect } = require('../middleware/userAuth');
+const { protect: protectVendor } = require('../middleware/vendorAuth');
+const { protect: protectAdmin } = require('../middleware/adminAuth');
+const { uploadReviewImages } = require('../middleware/reviewUpload');
+
+const router = express.Router();
+
+const paginationValidators = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+const ratingFilterValidator = query('rating')
+  .optional()
+  .isInt({ min: 1, max: 5 })
+  .withMessage('Rating must be between 1 and 5');
+
+// Public: published reviews of a product with its rating summary
+router.get(
+  '/product/:productId',
+  [
+    param('productId')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+    ...paginationValidators,
+    ratingFilterValidator,
+    query('sortBy')
+      .optional()
+      .isIn(['newest', 'oldest', 'rating_high', 'rating_low'])
+      .withMessage('Sort must be newest, oldest, rating_high or rating_low'),
+    query('withImages')
+      .optional()
+      .isBoolean()
+      .withMessage('withImages must be a boolean'),
+  ],
+  getProductReviews
+);
+
+// User routes
+router.get('/reviewable', protect, getReviewableItems);
+
+router.get('/my', protect, paginationValidators, getMyReviews);
+
+router.post(
+  '/',
+  protect,
+  uploadReviewImages,
+  [
+    body('orderId')
+      .notEmpty()
+      .withMessage('Order ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+    body('orderItemId')
+      .notEmpty()
+      .withMessage('Order item ID is required')
+      .bail()
+      .isMongoId()
+      .withMessage('Invalid order item ID'),
+    body('rating')
+      .notEmpty()
+      .withMessage('Rating is required')
+      .bail()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Title cannot be more than 100 characters'),
+    body('comment')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Comment cannot be more than 2000 characters'),
+  ],
+  createReview
+);
+
+// Vendor routes
+router.get(
+  '/vendor',
+  protectVendor,
+  [
+    ...paginationValidators,
+    ratingFilterValidator,
+    query('product')
+      .optional()
+      .isMongoId()
+      .withMessage('Product must be a valid MongoDB ObjectId'),
+    query('unreplied')
+      .optional()
+      .isBoolean()
+      .withMessage('unreplied must be a boolean'),
+  ],
+  getVendorReviews
+);
+
+router.put(
+  '/:id/reply',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid review ID'),
+    body('reply')
+      .trim()
+      .notEmpty()
+      .withMessage('Reply is required')
+      .isLength({ max: 1000 })
+      .withMessage('Reply cannot be more than 1000 characters'),
+  ],
+  replyToReview
+);
+
+// Admin moderation routes
+router.get(
+  '/admin',
+  protectAdmin,
+  [
+    ...paginationValidators,
+    ratingFilterValidator,
+    query('status')
+      .optional()
+      .isIn(['published', 'hidden'])
+      .withMessage('Status must be published or hidden'),
+    query('product')
+      .optional()
+      .isMongoId()
+      .withMessage('Product must be a valid MongoDB ObjectId'),
+    query('vendor')
+      .optional()
+      .isMongoId()
+      .withMessage('Vendor must be a valid MongoDB ObjectId'),
+    query('user')
+      .optional()
+      .isMongoId()
+      .withMessage('User must be a valid MongoDB ObjectId'),
+  ],
+  getAllReviews
+);
+
+router.put(
+  '/admin/:id/moderate',
+  protectAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid review ID'),
+    body('status')
+      .notEmpty()
+      .withMessage('Status is required')
+      .bail()
+      .isIn(['published', 'hidden'])
+      .withMessage('Status must be published or hidden'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Moderation note cannot be more than 500 characters'),
+  ],
+  moderateReview
+);
+
+router.delete(
+  '/admin/:id',
+  protectAdmin,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid review ID'),
+  ],
+  removeReview
+);
+
+// User routes on a single review
+router.put(
+  '/:id',
+  protect,
+  uploadReviewImages,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid review ID'),
+    body('rating')
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Title cannot be more than 100 characters'),
+    body('comment')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Comment cannot be more than 2000 characters'),
+  ],
+  updateReview
+);
+
+router.delete(
+  '/:id',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid review ID'),
+  ],
+  deleteReview
+);
+
+module.exports = router;
@@ -1,12 +1,16 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const { sendOTP, verifyOTP } = require('../controllers/riderOTP');
 const { riderLogin, riderVerifyOTP, riderLogout } = require('../controllers/riderAuth');
-const { getProfile, updateProfile, getRiders, getRider, approveRider, suspendRider, getPendingRiders, getAvailableOrders, acceptOrderAssignment, rejectOrderAssignment, getMyOrders } = require('../controllers/rider');
+const { getProfile, updateProfile, getRiders, getRider, approveRider, suspendRider, getPendingRiders, getAvailableOrders, acceptOrderAssignment, rejectOrderAssignment, markOrderDelivered, getMyOrders } = require('../controllers/rider');
 const { isRiderConnected, getConnectedRidersCount } = require('../utils/socket');
 const { protect } = require('../middleware/riderAuth');
 const { protect: protectAdmin } = require('../middleware/adminAuth');
-const { uploadRiderFiles } = require('../middleware/riderUpload');
+const { getMyEarnings, getMyLedger } = require('../controllers/riderEarning');
+const { getMyAvailability, updateMyAvailability, getAvailableShifts, getMyShifts, bookShift, cancelShiftBooking, getMyAttendance } = require('../controllers/riderShift');
+const { getMyActiveTrips, getMyTrip } = require('../controllers/trip');
+const { getNotifications, getUnreadCount, markNotificationRead, markAllNotificationsRead, registerDevice, unregisterDevice } = require('../controllers/notification');
+const { uploadRiderFiles, uploadDeliveryPhoto } = require('../middleware/riderUpload');
 
 const 
 
@@ -198,6 +202,217 @@ router.put(
   updateProfile
 );
 
+// Earnings routes (protected - rider sees their own ledger)
+// Must be placed before /:id route to ensure proper matching
+router.get(
+  '/earnings',
+  protect,
+  [
+    query('period')
+      .optional()
+      .isIn(['daily', 'weekly'])
+      .withMessage('Period must be daily or weekly'),
+    query('from')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('From must be in YYYY-MM-DD format'),
+    query('to')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('To must be in YYYY-MM-DD format'),
+  ],
+  getMyEarnings
+);
+
+router.get(
+  '/earnings/ledger',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('type')
+      .optional()
+      .isIn(['delivery_fee', 'incentive', 'tip', 'adjustment', 'payout', 'cod_collected', 'cod_deposit'])
+      .withMessage('Invalid entry type'),
+    query('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+  ],
+  getMyLedger
+);
+
+// Availability and shift routes (protected - rider goes online and books shifts)
+// Must be placed before /:id route to ensure proper matching
+router.get('/availability', protect, getMyAvailability);
+
+router.put(
+  '/availability',
+  protect,
+  [
+    body('status')
+      .isIn(['online', 'offline'])
+      .withMessage('Status must be online or offline'),
+  ],
+  updateMyAvailability
+);
+
+router.get(
+  '/shifts',
+  protect,
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+  ],
+  getAvailableShifts
+);
+
+router.get(
+  '/shifts/my',
+  protect,
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+  ],
+  getMyShifts
+);
+
+router.post(
+  '/shifts/:id/book',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid shift ID'),
+  ],
+  bookShift
+);
+
+router.delete(
+  '/shifts/:id/book',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid shift ID'),
+  ],
+  cancelShiftBooking
+);
+
+router.get(
+  '/attendance',
+  protect,
+  [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+  ],
+  getMyAttendance
+);
+
+// Trip routes (protected - rider's multi-stop trips with ordered stops)
+// Must be placed before /:id route to ensure proper matching
+router.get('/trips/active', protect, getMyActiveTrips);
+
+router.get(
+  '/trips/:id',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid trip ID'),
+  ],
+  getMyTrip
+);
+
+// Notification routes (protected - rider's in-app inbox and push devices)
+router.get(
+  '/notifications',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('unread')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Unread must be true or false'),
+  ],
+  getNotifications
+);
+
+router.get('/notifications/unread-count', protect, getUnreadCount);
+
+router.put('/notifications/read-all', protect, markAllNotificationsRead);
+
+router.put(
+  '/notifications/:id/read',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid notification ID'),
+  ],
+  markNotificationRead
+);
+
+router.post(
+  '/devices',
+  protect,
+  [
+    body('token')
+      .trim()
+      .notEmpty()
+      .withMessage('Device token is required')
+      .isLength({ max: 4096 })
+      .withMessage('Device token is too long'),
+    body('platform')
+      .isIn(['android', 'ios', 'web'])
+      .withMessage('Platform must be android, ios or web'),
+  ],
+  registerDevice
+);
+
+router.delete(
+  '/devices',
+  protect,
+  [
+    body('token')
+      .trim()
+      .notEmpty()
+      .withMessage('Device token is required'),
+  ],
+  unregisterDevice
+);
+
 // Admin routes
 router.get('/', protectAdmin, getRiders);
 router.get('/pending', protectAdmin, getPendingRiders);
@@ -229,6 +444,22 @@ router.get(
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage('Limit must be between 1 and 100'),
+    query('slotDate')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Slot date must be in YYYY-MM-DD format'),
+    query('slotFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot from must be a valid date-time'),
+    query('slotTo')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot to must be a valid date-time'),
+    query('sortBy')
+      .optional()
+      .isIn(['createdAt', 'deliverySlot'])
+      .withMessage('Sort by must be createdAt or deliverySlot'),
   ],
   getAvailableOrders
 );
@@ -252,6 +483,33 @@ router.post(
   rejectOrderAssignment
 );
 
+router.post(
+  '/orders/:orderId/deliver',
+  protect,
+  uploadDeliveryPhoto,
+  [
+    body('handoverCode')
+      .optional({ checkFalsy: true })
+      .trim()
+      .matches(/^[0-9]{4}$/)
+      .withMessage('Handover code must be a 4-digit number'),
+    body('latitude')
+      .optional({ checkFalsy: true })
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be a valid number'),
+    body('longitude')
+      .optional({ checkFalsy: true })
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be a valid number'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Delivery note cannot be more than 500 characters'),
+  ],
+  markOrderDelivered
+);
+
 router.get(
   '/orders/my-orders',
   protect,
@@ -268,6 +526,22 @@ router.get(
       .optional()
       .isIn(['pending', 'confirmed', 'processing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'])
       .withMessage('Invalid status'),
+    query('slotDate')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Slot date must be in YYYY-MM-DD format'),
+    query('slotFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot from must be a valid date-time'),
+    query('slotTo')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot to must be a valid date-time'),
+    query('sortBy')
+      .optional()
+      .isIn(['createdAt', 'deliverySlot'])
+      .withMessage('Sort by must be createdAt or deliverySlot'),
   ],
   getMyOrders
 );
@@ -0,0 +1,95 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { searchProducts, autocomplete } = require('../controllers/search');
+
+const router = express.Router();
+
+// Public: typo tolerant product search with facet counts
+router.get(
+  '/',
+  [
+    query('q')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Search query cannot be more than 200 characters'),
+    query('latitude')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    query('longitude')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180'),
+    query('radius')
+      .optional()
+      .isFloat({ min: 0.1, max: 100 })
+      .withMessage('Radius must be between 0.1 and 100 kilometers'),
+    query('category')
+      .optional()
+      .isMongoId()
+      .withMessage('Category must be a valid MongoDB ObjectId'),
+    query('subCategory')
+      .optional()
+      .isMongoId()
+      .withMessage('SubCategory must be a valid MongoDB ObjectId'),
+    query('vendor')
+      .optional()
+      .isMongoId()
+      .withMessage('Vendor must be a valid MongoDB ObjectId'),
+    query('minPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum price must be a number greater than or equal to 0'),
+    query('maxPrice')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Maximum price must be a number greater than or equal to 0'),
+    query('onOffer')
+      .optional()
+      .isBoolean()
+      .withMessage('onOffer must be a boolean'),
+    query('tags')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Tags cannot be more than 500 characters'),
+    query('minRating')
+      .optional()
+      .isFloat({ min: 0, max: 5 })
+      .withMessage('Minimum rating must be between 0 and 5'),
+    query('sortBy')
+      .optional()
+      .isIn(['relevance', 'price_low', 'price_high', 'rating', 'distance', 'newest'])
+      .withMessage('Sort must be relevance, price_low, price_high, rating, distance or newest'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  searchProducts
+);
+
+// Public: completions for the search box
+router.get(
+  '/autocomplete',
+  [
+    query('q')
+      .trim()
+      .notEmpty()
+      .withMessage('Search query is required')
+      .isLength({ max: 100 })
+      .withMessage('Search query cannot be more than 100 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 20 })
+      .withMessage('Limit must be between 1 and 20'),
+  ],
+  autocomplete
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { checkServiceability } = require('../controllers/serviceability');
+
+const router = express.Router();
+
+// Public: which stores deliver to a location
+router.get(
+  '/',
+  [
+    query('lat')
+      .notEmpty()
+      .withMessage('Latitude is required')
+      .bail()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be a number between -90 and 90'),
+    query('lng')
+      .notEmpty()
+      .withMessage('Longitude is required')
+      .bail()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be a number between -180 and 180'),
+    query('pinCode')
+      .optional()
+      .trim()
+      .matches(/^[0-9]{6}$/)
+      .withMessage('Please provide a valid 6-digit PIN code'),
+  ],
+  checkServiceability
+);
+
+module.exports = router;
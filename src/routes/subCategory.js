@@ -65,6 +65,11 @@ router.get(
       .optional()
       .isMongoId()
       .withMessage('Category must be a valid MongoDB ObjectId'),
+    query('pinCode')
+      .optional()
+      .trim()
+      .matches(/^[0-9]{6}$/)
+      .withMessage('Please provide a valid 6-digit PIN code'),
   ],
   getSubCategoriesByLocation
 );
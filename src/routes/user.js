@@ -5,6 +5,7 @@ const { userLogin, userVerifyOTP, userLogout } = require('../controllers/userAut
 const { getProfile, updateProfile, getCashback, addAddress, getAddresses, updateAddress, deleteAddress, setDefaultAddress } = require('../controllers/user');
 const { getAllProducts } = require('../controllers/userProduct');
 const { createTicket, getTickets, getTicket, updateTicket, addTicketMessage } = require('../controllers/ticket');
+const { getNotifications, getUnreadCount, markNotificationRead, markAllNotificationsRead, registerDevice, unregisterDevice } = require('../controllers/notification');
 const { protect } = require('../middleware/userAuth');
 const { uploadProfileImage } = require('../middleware/userUpload');
 
@@ -158,8 +159,34 @@ router.put(
   updateProfile
 );
 
-// Cashback route (protected)
-router.get('/cashback', protect, getCashback);
+// Cashback wallet balance and transaction history (protected)
+router.get(
+  '/cashback',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('type')
+      .optional()
+      .isIn(['credit', 'debit'])
+      .withMessage('Type must be credit or debit'),
+    query('source')
+      .optional()
+      .isIn(['cashback', 'refund', 'opening_balance', 'redemption', 'reversal', 'expiry'])
+      .withMessage('Invalid transaction source'),
+    query('status')
+      .optional()
+      .isIn(['pending', 'available', 'cancelled', 'expired', 'completed'])
+      .withMessage('Invalid transaction status'),
+  ],
+  getCashback
+);
 
 // Address routes (protected)
 router.post(
@@ -320,6 +347,14 @@ router.get(
       .trim()
       .isLength({ min: 1, max: 50 })
       .withMessage('Tag must be between 1 and 50 characters'),
+    query('minRating')
+      .optional()
+      .isFloat({ min: 0, max: 5 })
+      .withMessage('Minimum rating must be between 0 and 5'),
+    query('sortBy')
+      .optional()
+      .isIn(['distance', 'rating'])
+      .withMessage('Sort must be distance or rating'),
   ],
   getAllProducts
 );
@@ -448,5 +483,70 @@ router.post(
   addTicketMessage
 );
 
+// Notification routes (protected - user's in-app inbox and push devices)
+router.get(
+  '/notifications',
+  protect,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('unread')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Unread must be true or false'),
+  ],
+  getNotifications
+);
+
+router.get('/notifications/unread-count', protect, getUnreadCount);
+
+router.put('/notifications/read-all', protect, markAllNotificationsRead);
+
+router.put(
+  '/notifications/:id/read',
+  protect,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid notification ID'),
+  ],
+  markNotificationRead
+);
+
+router.post(
+  '/devices',
+  protect,
+  [
+    body('token')
+      .trim()
+      .notEmpty()
+      .withMessage('Device token is required')
+      .isLength({ max: 4096 })
+      .withMessage('Device token is too long'),
+    body('platform')
+      .isIn(['android', 'ios', 'web'])
+      .withMessage('Platform must be android, ios or web'),
+  ],
+  registerDevice
+);
+
+router.delete(
+  '/devices',
+  protect,
+  [
+    body('token')
+      .trim()
+      .notEmpty()
+      .withMessage('Device token is required'),
+  ],
+  unregisterDevice
+);
+
 module.exports = router;
 
@@ -1,14 +1,23 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const { sendOTP, verifyOTP } = require('../controllers/vendorOTP');
 const { vendorLogout } = require('../controllers/vendorAuth');
-const { createVendor, getVendors, getVendor, updateVendorPermissions, updateVendorDocuments, updateVendorRadius, updateVendorHandlingCharge, suspendVendor, deleteVendor, getVendorOrders, getVendorOrderById, updateOrderStatus, assignRiderToOrder, updateVendorProfile, getVendorProfile } = require('../controllers/vendor');
+const { createVendor, getVendors, getVendor, updateVendorPermissions, updateVendorDocuments, updateVendorRadius, updateVendorHandlingCharge, updateVendorDeliveryFee, suspendVendor, deleteVendor, getVendorOrders, getVendorOrderById, updateOrderStatus, assignRiderToOrder, updateVendorProfile, getVendorProfile } = require('../controllers/vendor');
 const { addItemsToOrder } = require('../controllers/checkout');
+const { getVendorDeliverySlots, updateDeliverySlotSettings, overrideDeliverySlot } = require('../controllers/deliverySlot');
 const { getVendorProducts } = require('../controllers/productGet');
 const { createJobPost, getJobPosts, getJobPost, updateJobPost, deleteJobPost, toggleJobPostStatus, getMyJobPosts } = require('../controllers/riderJobPost');
 const { getAllVendorApplications, getJobApplications, reviewApplication, assignRider, getAssignedRiders, getApplication } = require('../controllers/riderJobApplication');
 const { updateInventory, getInventory, getAllInventory } = require('../controllers/inventory');
 const { toggleProductOffer, getVendorOffers, getProductOffer } = require('../controllers/productOffer');
+const { getVendorServiceArea, updateVendorServiceArea } = require('../controllers/serviceability');
+const { getStoreHours, updateStoreHours, updateOrderPause } = require('../controllers/storeHours');
+const { getVendorSettlements, getVendorStatement, updateVendorCommission } = require('../controllers/settlement');
+const { getVendorEscalations, retryVendorDispatch } = require('../controllers/dispatch');
+const { getCashReconciliation, getRiderLedger, recordCashDeposit, addRiderAdjustment, settleRiderDay } = require('../controllers/riderEarning');
+const { createShift, getVendorShifts, updateShift, cancelShift, getVendorAttendance } = require('../controllers/riderShift');
+const { createTrip, getVendorTrips, getVendorTrip, cancelTrip } = require('../controllers/trip');
+const { getNotifications, getUnreadCount, markNotificationRead, markAllNotificationsRead, registerDevice, unregisterDevice } = require('../controllers/notification');
 const { protect } = require('../middleware/adminAuth');
 const { protectVendorOrAdmin } = require('../middleware/vendorOrAdminAuth');
 const { protect: protectVendor } = require('../middleware/vendorAuth');
@@ -143,6 +152,12 @@ router.post(
       .optional()
       .isFloat({ min: 0, max: 100 })
       .withMessage('Handling charge percentage must be between 0 and 100'),
+    body('gstNumber')
+      .optional({ values: 'falsy' })
+      .trim()
+      .toUpperCase()
+      .matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+      .withMessage('Please provide a valid GSTIN'),
     body().custom((value, { req }) => {
       const bankName = (req.body.bankName || req.body.bank_name || '').trim();
       if (!bankName) {
@@ -156,7 +171,136 @@ router.post(
 
 router.get('/', protect, getVendors);
 
-router.get('/orders', protectVendor, getVendorOrders);
+router.get(
+  '/orders',
+  protectVendor,
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'confirmed', 'processing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'])
+      .withMessage('Invalid order status'),
+    query('slotDate')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Slot date must be in YYYY-MM-DD format'),
+    query('slotFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot from must be a valid date-time'),
+    query('slotTo')
+      .optional()
+      .isISO8601()
+      .withMessage('Slot to must be a valid date-time'),
+    query('sortBy')
+      .optional()
+      .isIn(['createdAt', 'deliverySlot'])
+      .withMessage('Sort by must be createdAt or deliverySlot'),
+  ],
+  getVendorOrders
+);
+
+// Ready orders no rider accepted
+router.get(
+  '/orders/dispatch/escalated',
+  protectVendor,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+  ],
+  getVendorEscalations
+);
+
+// Offer a ready order to riders again
+router.post(
+  '/orders/:orderId/dispatch',
+  protectVendor,
+  [
+    param('orderId')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  retryVendorDispatch
+);
+
+router.get(
+  '/delivery-slots',
+  protectVendor,
+  [
+    query('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 14 })
+      .withMessage('Days must be between 1 and 14'),
+  ],
+  getVendorDeliverySlots
+);
+
+router.put(
+  '/delivery-slots/settings',
+  protectVendor,
+  [
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('Enabled must be a boolean'),
+    body('startTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Start time must be in HH:mm format'),
+    body('endTime')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('End time must be in HH:mm format'),
+    body('slotDurationMinutes')
+      .optional()
+      .isInt({ min: 15, max: 240 })
+      .withMessage('Slot duration must be between 15 and 240 minutes'),
+    body('capacity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Capacity must be a positive integer'),
+    body('leadTimeMinutes')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Lead time must be a non-negative integer'),
+    body('daysAhead')
+      .optional()
+      .isInt({ min: 1, max: 14 })
+      .withMessage('Days ahead must be between 1 and 14'),
+  ],
+  updateDeliverySlotSettings
+);
+
+router.put(
+  '/delivery-slots/override',
+  protectVendor,
+  [
+    body('startTime')
+      .notEmpty()
+      .withMessage('Slot start time is required')
+      .bail()
+      .isISO8601()
+      .withMessage('Slot start time must be a valid date-time'),
+    body('capacity')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Capacity must be a non-negative integer'),
+    body('isBlocked')
+      .optional()
+      .isBoolean()
+      .withMessage('isBlocked must be a boolean'),
+  ],
+  overrideDeliverySlot
+);
 
 router.put(
   '/orders/:id/status',
@@ -173,6 +317,11 @@ router.put(
       .trim()
       .isLength({ max: 1000 })
       .withMessage('Notes cannot be more than 1000 characters'),
+    body('statusNote')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Status note cannot be more than 1000 characters'),
     body('deliveryAmount')
       .optional()
       .isFloat({ min: 0 })
@@ -483,6 +632,407 @@ router.put(
   updateInventory
 );
 
+// Settlement routes (protected - vendor sees their own weekly payouts)
+// Must be placed before /:id route to ensure proper matching
+router.get(
+  '/settlements',
+  protectVendor,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['open', 'pending_approval', 'on_hold', 'approved', 'paid', 'carried_forward'])
+      .withMessage('Invalid settlement status'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+  ],
+  getVendorSettlements
+);
+
+// Statement of one cycle: ?format=csv downloads it
+router.get(
+  '/settlements/:id/statement',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid settlement ID'),
+    query('format')
+      .optional()
+      .isIn(['json', 'csv'])
+      .withMessage('Format must be json or csv'),
+  ],
+  getVendorStatement
+);
+
+// Rider cash routes (protected - vendor reconciles COD cash and pays its riders)
+// Must be placed before /:id route to ensure proper matching
+router.get(
+  '/riders/cash',
+  protectVendor,
+  [
+    query('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+  ],
+  getCashReconciliation
+);
+
+router.get(
+  '/riders/:riderId/ledger',
+  protectVendor,
+  [
+    param('riderId')
+      .isMongoId()
+      .withMessage('Invalid rider ID'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('type')
+      .optional()
+      .isIn(['delivery_fee', 'incentive', 'tip', 'adjustment', 'payout', 'cod_collected', 'cod_deposit'])
+      .withMessage('Invalid entry type'),
+    query('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+  ],
+  getRiderLedger
+);
+
+router.post(
+  '/riders/:riderId/cash-deposits',
+  protectVendor,
+  [
+    param('riderId')
+      .isMongoId()
+      .withMessage('Invalid rider ID'),
+    body('amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be greater than 0'),
+    body('reference')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Reference cannot be more than 100 characters'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot be more than 500 characters'),
+    body('date')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+  ],
+  recordCashDeposit
+);
+
+router.post(
+  '/riders/:riderId/adjustments',
+  protectVendor,
+  [
+    param('riderId')
+      .isMongoId()
+      .withMessage('Invalid rider ID'),
+    body('type')
+      .isIn(['incentive', 'adjustment'])
+      .withMessage('Type must be incentive or adjustment'),
+    body('amount')
+      .isFloat()
+      .withMessage('Amount must be a number'),
+    body('description')
+      .trim()
+      .notEmpty()
+      .withMessage('Description is required')
+      .bail()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot be more than 500 characters'),
+  ],
+  addRiderAdjustment
+);
+
+router.put(
+  '/riders/:riderId/settlements/:date',
+  protectVendor,
+  [
+    param('riderId')
+      .isMongoId()
+      .withMessage('Invalid rider ID'),
+    param('date')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Date must be in YYYY-MM-DD format'),
+    body('payout')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Payout must be a positive number'),
+    body('reference')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Reference cannot be more than 100 characters'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot be more than 500 characters'),
+  ],
+  settleRiderDay
+);
+
+// Rider shift routes (protected - vendor publishes shifts riders can book)
+// Must be placed before /:id route to ensure proper matching
+router.post(
+  '/shifts',
+  protectVendor,
+  [
+    body('startTime')
+      .isISO8601()
+      .withMessage('Start time must be a valid date'),
+    body('endTime')
+      .isISO8601()
+      .withMessage('End time must be a valid date'),
+    body('capacity')
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Capacity must be between 1 and 500'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot be more than 500 characters'),
+  ],
+  createShift
+);
+
+router.get(
+  '/shifts',
+  protectVendor,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['published', 'cancelled'])
+      .withMessage('Status must be published or cancelled'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+  ],
+  getVendorShifts
+);
+
+router.get(
+  '/shifts/attendance',
+  protectVendor,
+  [
+    query('rider')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid rider ID'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+  ],
+  getVendorAttendance
+);
+
+router.put(
+  '/shifts/:id',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid shift ID'),
+    body('startTime')
+      .optional()
+      .isISO8601()
+      .withMessage('Start time must be a valid date'),
+    body('endTime')
+      .optional()
+      .isISO8601()
+      .withMessage('End time must be a valid date'),
+    body('capacity')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Capacity must be between 1 and 500'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot be more than 500 characters'),
+  ],
+  updateShift
+);
+
+router.delete(
+  '/shifts/:id',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid shift ID'),
+  ],
+  cancelShift
+);
+
+// Trip routes (protected - vendor batches ready orders into multi-stop trips)
+// Must be placed before /:id route to ensure proper matching
+router.post(
+  '/trips',
+  protectVendor,
+  [
+    body('orderIds')
+      .isArray({ min: 2 })
+      .withMessage('At least 2 order IDs are required'),
+    body('orderIds.*')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  createTrip
+);
+
+router.get(
+  '/trips',
+  protectVendor,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['open', 'active', 'completed', 'cancelled'])
+      .withMessage('Invalid trip status'),
+  ],
+  getVendorTrips
+);
+
+router.get(
+  '/trips/:id',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid trip ID'),
+  ],
+  getVendorTrip
+);
+
+router.delete(
+  '/trips/:id',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid trip ID'),
+  ],
+  cancelTrip
+);
+
+// Notification routes (protected - vendor's in-app inbox and push devices)
+router.get(
+  '/notifications',
+  protectVendor,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('unread')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('Unread must be true or false'),
+  ],
+  getNotifications
+);
+
+router.get('/notifications/unread-count', protectVendor, getUnreadCount);
+
+router.put('/notifications/read-all', protectVendor, markAllNotificationsRead);
+
+router.put(
+  '/notifications/:id/read',
+  protectVendor,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid notification ID'),
+  ],
+  markNotificationRead
+);
+
+router.post(
+  '/devices',
+  protectVendor,
+  [
+    body('token')
+      .trim()
+      .notEmpty()
+      .withMessage('Device token is required')
+      .isLength({ max: 4096 })
+      .withMessage('Device token is too long'),
+    body('platform')
+      .isIn(['android', 'ios', 'web'])
+      .withMessage('Platform must be android, ios or web'),
+  ],
+  registerDevice
+);
+
+router.delete(
+  '/devices',
+  protectVendor,
+  [
+    body('token')
+      .trim()
+      .notEmpty()
+      .withMessage('Device token is required'),
+  ],
+  unregisterDevice
+);
+
 // Profile routes (protected - vendor can get and update their own profile)
 // Must be placed before /:id route to ensure proper matching
 router.get('/profile', protectVendor, getVendorProfile);
@@ -569,6 +1119,12 @@ router.put(
       .optional()
       .isFloat({ min: 0, max: 100 })
       .withMessage('Handling charge percentage must be between 0 and 100'),
+    body('gstNumber')
+      .optional({ values: 'falsy' })
+      .trim()
+      .toUpperCase()
+      .matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+      .withMessage('Please provide a valid GSTIN'),
     body('contactNumber')
       .custom((value) => {
         if (value !== undefined) {
@@ -639,6 +1195,151 @@ router.put(
   updateVendorHandlingCharge
 );
 
+router.put(
+  '/:id/delivery-fee',
+  protectVendorOrAdmin,
+  [
+    body('slabs')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Slabs must be an array of at most 20 entries'),
+    body('slabs.*.upToKm')
+      .isFloat({ min: 0.1 })
+      .withMessage('Slab distance must be a number greater than or equal to 0.1 km'),
+    body('slabs.*.fee')
+      .isFloat({ min: 0 })
+      .withMessage('Slab fee must be a non-negative number'),
+    body('freeDeliveryThreshold')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Free delivery threshold must be a non-negative number'),
+    body('smallCartThreshold')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Small cart threshold must be a non-negative number'),
+    body('smallCartFee')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Small cart fee must be a non-negative number'),
+    body('minimumOrderValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum order value must be a non-negative number'),
+    body('riderPayoutPercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Rider payout percentage must be between 0 and 100'),
+  ],
+  updateVendorDeliveryFee
+);
+
+// Public: opening hours and whether the store is taking orders now
+router.get('/:id/store-hours', getStoreHours);
+
+router.put(
+  '/:id/store-hours',
+  protectVendorOrAdmin,
+  [
+    body('weekly')
+      .optional()
+      .isArray({ max: 21 })
+      .withMessage('Weekly hours must be an array of at most 21 entries'),
+    body('weekly.*.day')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+    body('weekly.*.openTime')
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Opening time must be in HH:mm format'),
+    body('weekly.*.closeTime')
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Closing time must be in HH:mm format'),
+    body('holidays')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Holidays must be an array of at most 100 entries'),
+    body('holidays.*.date')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Holiday date must be in YYYY-MM-DD format'),
+    body('holidays.*.reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Holiday reason cannot be more than 200 characters'),
+  ],
+  updateStoreHours
+);
+
+router.put(
+  '/:id/order-pause',
+  protectVendorOrAdmin,
+  [
+    body('isPaused')
+      .notEmpty()
+      .withMessage('isPaused is required')
+      .bail()
+      .isBoolean()
+      .withMessage('isPaused must be a boolean'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot be more than 200 characters'),
+    body('resumeAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Resume time must be a valid date-time'),
+  ],
+  updateOrderPause
+);
+
+router.get('/:id/service-area', protectVendorOrAdmin, getVendorServiceArea);
+
+// Admin only: delivery zones (GeoJSON polygons) and PIN codes, replacing the service radius
+router.put(
+  '/:id/service-area',
+  protect,
+  [
+    body('zones')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Zones must be an array of at most 50 entries'),
+    body('zones.*.name')
+      .trim()
+      .notEmpty()
+      .withMessage('Zone name is required'),
+    body('zones.*.boundary.type')
+      .isIn(['Polygon', 'MultiPolygon'])
+      .withMessage('Zone boundary must be a GeoJSON Polygon or MultiPolygon'),
+    body('zones.*.boundary.coordinates')
+      .isArray({ min: 1 })
+      .withMessage('Zone boundary coordinates are required'),
+    body('pinCodes')
+      .optional()
+      .isArray({ max: 1000 })
+      .withMessage('PIN codes must be an array of at most 1000 entries'),
+    body('pinCodes.*')
+      .trim()
+      .matches(/^[0-9]{6}$/)
+      .withMessage('Please provide valid 6-digit PIN codes'),
+  ],
+  updateVendorServiceArea
+);
+
+// Admin only: platform commission on the vendor's sales; null restores the default
+router.put(
+  '/:id/commission',
+  protect,
+  [
+    body('commissionPercentage')
+      .exists()
+      .withMessage('Commission percentage is required')
+      .bail()
+      .custom(value => value === null || (/^\d+(\.\d+)?$/.test(String(value)) && parseFloat(value) <= 100))
+      .withMessage('Commission percentage must be between 0 and 100'),
+  ],
+  updateVendorCommission
+);
+
 router.put('/:id/suspend', protect, suspendVendor);
 
 router.delete('/:id', protect, deleteVendor);
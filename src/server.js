@@ -4,11 +4,16 @@ const mongoose = require('mongoose');
 const compression = require('compression');
 const { initializeQueues } = require('./utils/queue');
 const { disableExpiredOffers, processDailyOffers } = require('./utils/offerExpiryService');
+const { closeDueSettlements } = require('./services/settlementService');
+const { processExpiredWaves } = require('./services/dispatchService');
+const { closeStaleSessions } = require('./services/riderAvailabilityService');
+const logger = require('./utils/logger');
 
 require('./workers/emailWorker');
 require('./workers/smsWorker');
-require('./workers/notificationWorker');
+const { startNotificationWorker } = require('./workers/notificationWorker');
 require('./workers/imageProcessingWorker');
+const { startProductImportWorker } = require('./workers/productImportWorker');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -79,6 +84,10 @@ app.use(express.json({
   limit: '10mb',
   strict: true,
   verify: (req, res, buf, encoding) => {
+    // Keep the exact payload for webhook signature verification
+    if (req.originalUrl.startsWith('/api/payment/webhook')) {
+      req.rawBody = buf.toString(encoding || 'utf8');
+    }
     try {
       JSON.parse(buf.toString());
     } catch (e) {
@@ -108,6 +117,10 @@ const bannerRoutes = require('./routes/banner');
 const analyticsRoutes = require('./routes/analytics');
 const suggestionRoutes = require('./routes/suggestion');
 const ticketRoutes = require('./routes/ticket');
+const paymentRoutes = require('./routes/payment');
+const reviewRoutes = require('./routes/review');
+const searchRoutes = require('./routes/search');
+const serviceabilityRoutes = require('./routes/serviceability');
 
 const corsOptions = {
   origin: function (origin, callback) {
@@ -134,8 +147,8 @@ const corsOptions = {
   },
   credentials: true, // IMPORTANT: Cookies allow karne ke liye
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Set-Cookie'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Set-Cookie', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200,
 };
 
@@ -181,6 +194,10 @@ app.use('/api/banner', bannerRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/suggestion', suggestionRoutes);
 app.use('/api/ticket', ticketRoutes);
+app.use('/api/payment', paymentRoutes);
+app.use('/api/review', reviewRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/serviceability', serviceabilityRoutes);
 
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -229,6 +246,8 @@ mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://
   }
   
   initializeQueues();
+  startNotificationWorker();
+  startProductImportWorker();
   
   // Create HTTP server
   server = http.createServer(app);
@@ -244,6 +263,27 @@ mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://
     // Run on startup
     disableExpiredOffers().then(result => {
     });
+
+    // Close vendor settlement cycles whose week has ended
+    closeDueSettlements().catch(error => {
+      logger.error('Settlement cycle sweep failed on startup:', error);
+    });
+
+    // Move rider dispatch on when a wave of requests goes unanswered
+    const DISPATCH_SWEEP_INTERVAL_MS = 10 * 1000;
+    setInterval(() => {
+      processExpiredWaves().catch(error => {
+        logger.error('Rider dispatch wave sweep failed:', error);
+      });
+    }, DISPATCH_SWEEP_INTERVAL_MS);
+
+    // Take riders offline whose app stopped sending heartbeats
+    const RIDER_PRESENCE_SWEEP_INTERVAL_MS = 60 * 1000;
+    setInterval(() => {
+      closeStaleSessions().catch(error => {
+        logger.error('Rider presence sweep failed:', error);
+      });
+    }, RIDER_PRESENCE_SWEEP_INTERVAL_MS);
     
     // Schedule daily offer processing to run daily at 5 AM IST
     const scheduleDailyOfferCheck = () => {
@@ -271,6 +311,10 @@ mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI || 'mongodb://
         disableExpiredOffers().then(result => {
         }).catch(error => {
         });
+
+        closeDueSettlements().catch(error => {
+          logger.error('Daily settlement cycle sweep failed:', error);
+        });
         
         // Schedule next day
         scheduleDailyOfferCheck();
@@ -1,81 +1,24 @@
+const mongoose = require('mongoose');
 const Cart = require('../models/Cart');
 const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
 const Product = require('../models/Product');
 const Coupon = require('../models/Coupon');
-const User = require('../models/User');
 const Vendor = require('../models/Vendor');
-const Rider = require('../models/Rider');
 const RiderJobApplication = require('../models/RiderJobApplication');
-const { notificationQueue } = require('../utils/queue');
-const { sendOrderAssignmentRequestToRiders } = require('../utils/socket');
-
-/**
- * Update vendor revenue and product sales tracking
- * @param {Object} order - Order object
- * @param {Array} itemsToTrack - Optional: specific items to track (if not provided, tracks all items)
- */
-const updateVendorRevenue = async (order, itemsToTrack = null) => {
-  try {
-    const orderDate = order.createdAt || new Date();
-    const monthKey = `${orderDate.getFullYear()}-${String(orderDate.getMonth() + 1).padStart(2, '0')}`;
-    
-    // Use provided items or all order items
-    const items = itemsToTrack || order.items;
-    
-    // Group items by vendor
-    const vendorItemsMap = new Map();
-    
-    for (const item of items) {
-      const vendorId = item.vendor?._id || item.vendor;
-      if (!vendorId) continue;
-      
-      const vendorIdStr = vendorId.toString();
-      if (!vendorItemsMap.has(vendorIdStr)) {
-        vendorItemsMap.set(vendorIdStr, []);
-      }
-      vendorItemsMap.get(vendorIdStr).push(item);
-    }
-    
-    // Update revenue for each vendor
-    for (const [vendorIdStr, vendorItems] of vendorItemsMap.entries()) {
-      const vendor = await Vendor.findById(vendorIdStr);
-      if (!vendor) {
-        continue;
-      }
-      
-      // Calculate total revenue for this vendor's items
-      let vendorRevenue = 0;
-      for (const item of vendorItems) {
-        vendorRevenue += item.totalPrice || 0;
-        
-        // Add product sales entry
-        const productSalesEntry = {
-          product: item.product?._id || item.product,
-          productName: item.productName || 'Unknown Product',
-          month: monthKey,
-          quantity: item.quantity || 0,
-          revenue: item.totalPrice || 0,
-          orderId: order._id,
-          orderNumber: order.orderNumber,
-          createdAt: orderDate,
-        };
-        
-        vendor.productSales.push(productSalesEntry);
-      }
-      
-      // Update month-wise revenue
-      if (!vendor.revenue) {
-        vendor.revenue = new Map();
-      }
-      const currentMonthRevenue = vendor.revenue.get(monthKey) || 0;
-      vendor.revenue.set(monthKey, currentMonthRevenue + vendorRevenue);
-      
-      await vendor.save();
-    }
-  } catch (error) {
-    // Don't throw error - revenue tracking failure shouldn't break order creation
-  }
-};
+const refundService = require('./refundService');
+const inventoryService = require('./inventoryService');
+const orderStatusService = require('./orderStatusService');
+const shipmentService = require('./shipmentService');
+const deliverySlotService = require('./deliverySlotService');
+const deliveryFeeService = require('./deliveryFeeService');
+const serviceabilityService = require('./serviceabilityService');
+const storeHoursService = require('./storeHoursService');
+const taxService = require('./taxService');
+const walletService = require('./walletService');
+const dispatchService = require('./dispatchService');
+const { getStoreStatus, getClosedReason } = require('../utils/storeHours');
+const logger = require('../utils/logger');
 
 /**
  * Validate if product is available for purchase
@@ -134,9 +77,10 @@ exports.getOrCreateCart = async (userId) => {
 };
 
 /**
- * Add item to cart
+ * Add item to cart. `location` ({ latitude, longitude, pinCode }) is where the
+ * order will go; without it the user's default address is used.
  */
-exports.addToCart = async (userId, productId, quantity, sku = null) => {
+exports.addToCart = async (userId, productId, quantity, sku = null, location = null) => {
   const product = await Product.findById(productId)
     .populate('vendor', 'storeName storeId isActive');
 
@@ -146,6 +90,11 @@ exports.addToCart = async (userId, productId, quantity, sku = null) => {
     throw new Error(`${validation.reason}. This product is not available for purchase`);
   }
 
+  const deliveryLocation = location || await serviceabilityService.getDefaultDeliveryLocation(userId);
+  if (deliveryLocation) {
+    await serviceabilityService.assertServiceable([product.vendor], deliveryLocation);
+  }
+
   // Check inventory
   let availableInventory = product.inventory;
   if (product.skus && product.skus.length > 0) {
@@ -461,7 +410,50 @@ exports.removeCoupon = async (userId) => {
   return await Cart.findById(cart._id);
 };
 
-exports.getCartWithTotals = async (userId) => {
+/**
+ * Wallet balance to spend on an order of `total`. The wallet payment method
+ * must cover the whole total; other methods spend up to `requested`, capped
+ * at what may be redeemed.
+ */
+const getWalletRedemption = async (userId, total, paymentMethod, requested = 0) => {
+  if (paymentMethod !== 'wallet' && !(requested > 0)) {
+    return 0;
+  }
+
+  const balance = await walletService.getBalance(userId);
+  const redeemable = walletService.getRedeemableAmount(balance, total);
+
+  if (paymentMethod === 'wallet') {
+    if (redeemable < total - 0.01) {
+      throw new Error(`Insufficient wallet balance. Available: ₹${redeemable}, order total: ₹${parseFloat(total.toFixed(2))}`);
+    }
+    return parseFloat(total.toFixed(2));
+  }
+
+  return parseFloat(Math.min(requested, redeemable).toFixed(2));
+};
+
+/**
+ * Payment block for a new order once `walletRedeemed` is taken off the total.
+ * An order the wallet pays in full is settled right away.
+ */
+const buildOrderPayment = (paymentMethod, total, walletRedeemed) => {
+  const amount = parseFloat(Math.max(0, total - walletRedeemed).toFixed(2));
+  const method = amount <= 0 ? 'wallet' : paymentMethod;
+
+  if (method === 'wallet') {
+    return { method, status: 'completed', amount, paidAt: new Date() };
+  }
+  return { method, status: method === 'cod' ? 'pending' : 'processing', amount };
+};
+
+/**
+ * Cart with live pricing. `location` (`{ latitude, longitude }` of the delivery
+ * address) prices delivery by distance; without it the highest slab is shown.
+ * `walletAmount` previews spending that much of the wallet balance and `tip`
+ * adds a tip for the rider.
+ */
+exports.getCartWithTotals = async (userId, location = {}, { walletAmount = 0, tip = 0 } = {}) => {
   // Find cart for the specific user only
   const cart = await Cart.findOne({ user: userId }).populate('coupon.couponId');
 
@@ -478,9 +470,14 @@ exports.getCartWithTotals = async (userId) => {
         subtotal: 0,
         discount: 0,
         tax: 0,
+        deliveryFee: 0,
+        smallCartFee: 0,
         total: 0,
         totalCashback: 0,
+        walletRedeemed: 0,
+        payable: 0,
       },
+      deliveryCharges: [],
       totalPrice: 0,
     };
   }
@@ -514,7 +511,7 @@ exports.getCartWithTotals = async (userId) => {
 
   for (const item of cart.items) {
     const product = await Product.findById(item.product)
-      .populate('vendor', 'storeName storeId isActive');
+      .populate('vendor', 'storeName storeId isActive storeHours orderPause');
 
     if (!product) {
       unavailableItems.push({
@@ -533,6 +530,18 @@ exports.getCartWithTotals = async (userId) => {
       continue;
     }
 
+    const storeStatus = getStoreStatus(product.vendor);
+    if (!storeStatus.isOpen) {
+      unavailableItems.push({
+        itemId: item._id,
+        productName: product.productName,
+        reason: getClosedReason(storeStatus),
+        storeClosed: true,
+        nextOpenAt: storeStatus.nextOpenAt,
+      });
+      continue;
+    }
+
     if (!product.isActive) {
       unavailableItems.push({
         itemId: item._id,
@@ -686,8 +695,14 @@ exports.getCartWithTotals = async (userId) => {
     }
   });
 
-  const tax = (subtotal - discount) * 0.05;
-  const total = subtotal - discount + tax + totalHandlingCharge;
+  const { tax } = await taxService.calculateTax(itemsWithDetails, { discount });
+  const deliveryCharges = await deliveryFeeService.calculateDeliveryCharges(itemsWithDetails, location);
+  const riderTip = parseFloat((parseFloat(tip) || 0).toFixed(2));
+  const total = subtotal - discount + tax + totalHandlingCharge + deliveryCharges.deliveryFee + deliveryCharges.smallCartFee + riderTip;
+
+  const walletBalance = await walletService.getBalance(userId);
+  const walletRedeemable = walletService.getRedeemableAmount(walletBalance, total);
+  const walletRedeemed = parseFloat(Math.min(parseFloat(walletAmount) || 0, walletRedeemable).toFixed(2));
 
   if (unavailableItems.length > 0) {
     const itemIdsToRemove = unavailableItems.map(item => item.itemId);
@@ -724,8 +739,19 @@ exports.getCartWithTotals = async (userId) => {
       discount: parseFloat(discount.toFixed(2)),
       tax: parseFloat(tax.toFixed(2)),
       handlingCharge: parseFloat(totalHandlingCharge.toFixed(2)),
+      deliveryFee: deliveryCharges.deliveryFee,
+      smallCartFee: deliveryCharges.smallCartFee,
+      tip: riderTip,
       total: parseFloat(total.toFixed(2)),
       totalCashback: parseFloat(totalCashback.toFixed(2)),
+      walletRedeemed,
+      payable: parseFloat(Math.max(0, total - walletRedeemed).toFixed(2)),
+    },
+    deliveryCharges: deliveryCharges.vendors,
+    wallet: {
+      balance: walletBalance,
+      redeemable: walletRedeemable,
+      applied: walletRedeemed,
     },
     totalPrice: parseFloat(total.toFixed(2)),
   };
@@ -733,8 +759,11 @@ exports.getCartWithTotals = async (userId) => {
 
 /**
  * Create order from cart
+ * `deliverySlotStart` books that slot with every store in the order that offers slots.
+ * `walletAmount` is paid from the wallet balance; the `wallet` method pays the whole total.
+ * `tip` is added to the total and goes to the riders when they deliver.
  */
-exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '') => {
+exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '', deliverySlotStart = null, walletAmount = 0, tip = 0) => {
   // Find cart for the specific user only
   const cart = await Cart.findOne({ user: userId });
 
@@ -754,6 +783,15 @@ exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '')
   // Calculate totals
   const totals = await cart.calculateTotals();
 
+  // Unlike other unavailable items, items of closed stores are not dropped from the order
+  const closedStoreItems = totals.unavailableItems.filter(item => item.storeClosed);
+  if (closedStoreItems.length > 0) {
+    const reasons = closedStoreItems.map(item =>
+      `${item.productName || 'Product'}: ${item.reason}`
+    ).join(', ');
+    throw new Error(`Cannot create order. Some stores are not taking orders: ${reasons}`);
+  }
+
   if (totals.items.length === 0) {
     // Check if there are unavailable items
     if (totals.unavailableItems && totals.unavailableItems.length > 0) {
@@ -765,6 +803,22 @@ exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '')
     throw new Error('No valid items in cart. Please add products to your cart before checkout');
   }
 
+  await serviceabilityService.assertServiceable(totals.items.map(item => item.vendor), shippingAddress);
+
+  // Delivery charges for the shipping address; every store's minimum order must be met
+  const deliveryCharges = await deliveryFeeService.calculateDeliveryCharges(totals.items, shippingAddress);
+  deliveryFeeService.assertMinimumOrderValue(deliveryCharges);
+  const pricing = deliveryFeeService.applyDeliveryCharges(totals.pricing, deliveryCharges);
+  pricing.tip = parseFloat((parseFloat(tip) || 0).toFixed(2));
+  pricing.total = parseFloat((pricing.total + pricing.tip).toFixed(2));
+  pricing.walletRedeemed = await getWalletRedemption(userId, pricing.total, paymentMethod, walletAmount);
+
+  // GST per line, split into CGST/SGST or IGST by the shipping state
+  const taxes = await taxService.calculateTax(totals.items, {
+    discount: totals.pricing.discount,
+    shippingState: shippingAddress.state,
+  });
+
   // If there are unavailable items, remove them from cart
   if (totals.unavailableItems && totals.unavailableItems.length > 0) {
     const itemIdsToRemove = totals.unavailableItems.map(item => item.itemId);
@@ -772,7 +826,7 @@ exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '')
     await cart.save();
   }
 
-  // Validate and update inventory, and collect product images
+  // Collect product images (stock is reserved atomically when the order is created)
   const productImagesMap = new Map();
   for (const item of totals.items) {
     const product = await Product.findById(item.product);
@@ -797,28 +851,14 @@ exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '')
       });
     }
 
-    if (product.skus && product.skus.length > 0 && item.sku) {
-      const skuItem = product.skus.find(s => s.sku === item.sku);
-      if (!skuItem || skuItem.inventory < item.quantity) {
-        throw new Error(`Insufficient inventory for product ${product.productName}`);
-      }
-      skuItem.inventory -= item.quantity;
-    } else {
-      if (product.inventory < item.quantity) {
-        throw new Error(`Insufficient inventory for product ${product.productName}`);
-      }
-      product.inventory -= item.quantity;
-    }
-
-    await product.save();
   }
 
   // Generate order number
   const orderNumber = await Order.generateOrderNumber();
 
   // Clean up items - ensure thumbnail and image are properly formatted (not null)
-  const cleanedItems = totals.items.map(item => {
-    const cleanedItem = { ...item };
+  const cleanedItems = totals.items.map((item, index) => {
+    const cleanedItem = { ...item, ...taxes.lines[index] };
     
     // Handle thumbnail - convert null to undefined or ensure it's a proper object
     if (cleanedItem.thumbnail === null || (cleanedItem.thumbnail && !cleanedItem.thumbnail.url)) {
@@ -844,26 +884,58 @@ exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '')
     return cleanedItem;
   });
 
-  // Create order
-  const order = await Order.create({
-    orderNumber,
-    user: userId,
-    items: cleanedItems,
-    pricing: totals.pricing,
-    coupon: cart.coupon ? {
-      couponId: cart.coupon.couponId,
-      code: cart.coupon.code,
-      discount: totals.pricing.discount,
-    } : undefined,
-    shippingAddress,
-    payment: {
-      method: paymentMethod,
-      status: paymentMethod === 'cod' ? 'pending' : 'processing',
-      amount: totals.pricing.total,
-    },
-    notes,
-    status: 'pending',
-  });
+  // Book the delivery slot before taking stock - capacity is decremented atomically
+  const slotBooking = deliverySlotStart
+    ? await deliverySlotService.reserveSlot(
+      [...new Set(cleanedItems.map(item => (item.vendor?._id || item.vendor).toString()))],
+      deliverySlotStart
+    )
+    : null;
+
+  // Spend the wallet balance, then reserve stock for all items and create the
+  // order - all of it is released again if creation fails
+  const orderId = new mongoose.Types.ObjectId();
+  let walletDebit = null;
+  let order;
+  try {
+    walletDebit = await walletService.redeemForOrder(userId, pricing.walletRedeemed, { orderId, orderNumber });
+    order = await inventoryService.withReservedInventory(cleanedItems, () => Order.create({
+      _id: orderId,
+      orderNumber,
+      user: userId,
+      items: cleanedItems,
+      pricing,
+      deliveryCharges: deliveryFeeService.toOrderDeliveryCharges(deliveryCharges),
+      deliveryAmount: deliveryFeeService.getRiderPayoutTotal(deliveryCharges),
+      coupon: cart.coupon ? {
+        couponId: cart.coupon.couponId,
+        code: cart.coupon.code,
+        discount: totals.pricing.discount,
+      } : undefined,
+      shippingAddress,
+      payment: buildOrderPayment(paymentMethod, pricing.total, pricing.walletRedeemed),
+      notes,
+      deliverySlot: slotBooking ? slotBooking.window : undefined,
+      estimatedDelivery: slotBooking ? slotBooking.window.endTime : undefined,
+      status: 'pending',
+      statusHistory: [
+        orderStatusService.buildHistoryEntry(undefined, 'pending', { actor: 'user', actorId: userId, note: 'Order placed' }),
+      ],
+    }));
+  } catch (error) {
+    await walletService.cancelRedemption(walletDebit);
+    await deliverySlotService.releaseBooking(slotBooking);
+    throw error;
+  }
+
+  // One fulfilment unit per vendor; each store holds its own slot booking
+  await shipmentService.syncShipments(order);
+  if (slotBooking) {
+    await Shipment.updateMany(
+      { order: order._id, vendor: { $in: slotBooking.vendorIds } },
+      { $set: { deliverySlot: slotBooking.window } }
+    );
+  }
 
   // Update coupon usage count
   if (cart.coupon && cart.coupon.couponId) {
@@ -874,24 +946,12 @@ exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '')
     }
   }
 
-  // Add cashback to user account
-  const totalCashback = totals.pricing?.totalCashback || 0;
-  
-  if (totalCashback > 0) {
-    try {
-      const user = await User.findById(userId);
-      if (user) {
-        const previousCashback = user.cashback || 0;
-        const newCashback = previousCashback + totalCashback;
-        user.cashback = newCashback;
-        await user.save();
-        
-        // Verify cashback was saved
-        const updatedUser = await User.findById(userId).select('cashback');
-      }
-    } catch (error) {
-      // Don't throw error, just log it - order should still be created
-    }
+  // Cashback waits in the wallet as pending until the order is delivered
+  try {
+    await walletService.creditPendingCashback(order, totals.pricing?.totalCashback || 0);
+  } catch (error) {
+    // Don't throw error, just log it - order should still be created
+    logger.error(`Crediting cashback for order ${order.orderNumber} failed:`, error);
   }
 
   // Clear cart
@@ -899,9 +959,6 @@ exports.createOrder = async (userId, shippingAddress, paymentMethod, notes = '')
   cart.coupon = undefined;
   await cart.save();
 
-  // Update vendor revenue tracking
-  await updateVendorRevenue(order);
-
   return await Order.findById(order._id)
     .populate('user', 'userName contactNumber email')
     .populate('items.product', 'productName thumbnail')
@@ -1051,22 +1108,6 @@ exports.reorder = async (userId, orderId) => {
     throw new Error(`Cannot reorder. Some products are not available: ${reasons}`);
   }
 
-  // Update inventory for valid items
-  for (const item of validItems) {
-    const product = await Product.findById(item.product);
-    
-    if (product.skus && product.skus.length > 0 && item.sku) {
-      const skuItem = product.skus.find(s => s.sku === item.sku);
-      if (skuItem) {
-        skuItem.inventory -= item.quantity;
-      }
-    } else {
-      product.inventory -= item.quantity;
-    }
-    
-    await product.save();
-  }
-
   // Calculate pricing
   const subtotal = validItems.reduce((sum, item) => sum + item.totalPrice, 0);
   const totalCashback = validItems.reduce((sum, item) => sum + (item.cashback || 0), 0);
@@ -1102,51 +1143,79 @@ exports.reorder = async (userId, orderId) => {
     }
   });
 
-  // Calculate tax (GST - 5% as per cart calculation)
-  const tax = (subtotal - discount) * 0.05;
-  
-  const total = subtotal - discount + tax + totalHandlingCharge;
+  // GST per line, split into CGST/SGST or IGST by the shipping state
+  const taxes = await taxService.calculateTax(validItems, {
+    discount,
+    shippingState: originalOrder.shippingAddress?.state,
+  });
+  validItems.forEach((item, index) => Object.assign(item, taxes.lines[index]));
+  const tax = taxes.tax;
+
+  await storeHoursService.assertStoresOpen(vendorIds);
+  await serviceabilityService.assertServiceable(vendorIds, originalOrder.shippingAddress);
+
+  // Delivery charges to the original address; every store's minimum order must be met
+  const deliveryCharges = await deliveryFeeService.calculateDeliveryCharges(validItems, originalOrder.shippingAddress);
+  deliveryFeeService.assertMinimumOrderValue(deliveryCharges);
+
+  const total = subtotal - discount + tax + totalHandlingCharge + deliveryCharges.deliveryFee + deliveryCharges.smallCartFee;
+
+  // A wallet order is paid from the wallet again
+  const walletRedeemed = await getWalletRedemption(userId, total, originalOrder.payment.method);
 
   // Generate new order number
   const orderNumber = await Order.generateOrderNumber();
 
-  // Create new order
-  const newOrder = await Order.create({
-    orderNumber,
-    user: userId,
-    items: validItems,
-    pricing: {
-      subtotal: parseFloat(subtotal.toFixed(2)),
-      discount: parseFloat(discount.toFixed(2)),
-      tax: parseFloat(tax.toFixed(2)),
-      handlingCharge: parseFloat(totalHandlingCharge.toFixed(2)),
-      total: parseFloat(total.toFixed(2)),
-      totalCashback: parseFloat(totalCashback.toFixed(2)),
-    },
-    shippingAddress: originalOrder.shippingAddress,
-    payment: {
-      method: originalOrder.payment.method,
-      status: originalOrder.payment.method === 'cod' ? 'pending' : 'processing',
-      amount: total,
-    },
-    notes: `Reordered from order ${originalOrder.orderNumber}`,
-    status: 'pending',
-  });
-
-  // Add cashback to user account
-  if (totalCashback > 0) {
-    try {
-      const user = await User.findById(userId);
-      if (user) {
-        user.cashback = (user.cashback || 0) + totalCashback;
-        await user.save();
-      }
-    } catch (error) {
-    }
+  // Spend the wallet balance, then reserve stock for all items and create the
+  // order - all of it is released again if creation fails
+  const newOrderId = new mongoose.Types.ObjectId();
+  const walletDebit = await walletService.redeemForOrder(userId, walletRedeemed, { orderId: newOrderId, orderNumber });
+  let newOrder;
+  try {
+    newOrder = await inventoryService.withReservedInventory(validItems, () => Order.create({
+      _id: newOrderId,
+      orderNumber,
+      user: userId,
+      items: validItems,
+      pricing: {
+        subtotal: parseFloat(subtotal.toFixed(2)),
+        discount: parseFloat(discount.toFixed(2)),
+        tax: parseFloat(tax.toFixed(2)),
+        handlingCharge: parseFloat(totalHandlingCharge.toFixed(2)),
+        deliveryFee: deliveryCharges.deliveryFee,
+        smallCartFee: deliveryCharges.smallCartFee,
+        total: parseFloat(total.toFixed(2)),
+        totalCashback: parseFloat(totalCashback.toFixed(2)),
+        walletRedeemed,
+      },
+      deliveryCharges: deliveryFeeService.toOrderDeliveryCharges(deliveryCharges),
+      deliveryAmount: deliveryFeeService.getRiderPayoutTotal(deliveryCharges),
+      shippingAddress: originalOrder.shippingAddress,
+      payment: buildOrderPayment(originalOrder.payment.method, total, walletRedeemed),
+      notes: `Reordered from order ${originalOrder.orderNumber}`,
+      status: 'pending',
+      statusHistory: [
+        orderStatusService.buildHistoryEntry(undefined, 'pending', {
+          actor: 'user',
+          actorId: userId,
+          note: `Reordered from order ${originalOrder.orderNumber}`,
+        }),
+      ],
+    }));
+  } catch (error) {
+    await walletService.cancelRedemption(walletDebit);
+    throw error;
   }
 
-  // Update vendor revenue tracking
-  await updateVendorRevenue(newOrder);
+  // One fulfilment unit per vendor
+  await shipmentService.syncShipments(newOrder);
+
+  // Cashback waits in the wallet as pending until the order is delivered
+  try {
+    await walletService.creditPendingCashback(newOrder, totalCashback);
+  } catch (error) {
+    logger.error(`Crediting cashback for order ${newOrder.orderNumber} failed:`, error);
+  }
 
   return await Order.findById(newOrder._id)
     .populate('user', 'userName contactNumber email')
@@ -1155,6 +1224,37 @@ exports.reorder = async (userId, orderId) => {
     .populate('rider', 'fullName mobileNumber');
 };
 
+/**
+ * Show a vendor its own shipment: status, rider and delivery amount come from
+ * the shipment, the overall order status is kept as `orderStatus`.
+ */
+const applyVendorShipment = (orderObj, shipment) => {
+  if (!shipment) {
+    return orderObj;
+  }
+
+  orderObj.orderStatus = orderObj.status;
+  orderObj.status = shipment.status;
+  orderObj.rider = shipment.rider || null;
+  orderObj.assignedAt = shipment.assignedAt;
+  orderObj.deliveryAmount = shipment.deliveryAmount || 0;
+  orderObj.deliveryProofs = (orderObj.deliveryProofs || [])
+    .filter(proof => proof.shipment?.toString() === shipment._id.toString());
+  orderObj.shipment = {
+    _id: shipment._id,
+    shipmentNumber: shipment.shipmentNumber,
+    status: shipment.status,
+    pricing: shipment.pricing,
+    statusHistory: shipment.statusHistory,
+    deliveredAt: shipment.deliveredAt,
+    deliveryProof: shipment.deliveryProof,
+    cancelledAt: shipment.cancelledAt,
+    cancellationReason: shipment.cancellationReason,
+  };
+
+  return orderObj;
+};
+
 /**
  * Get user orders
  */
@@ -1220,18 +1320,31 @@ exports.getOrderById = async (orderId, userId = null) => {
     return null;
   }
 
-  return order.toObject ? order.toObject() : order;
+  const orderData = order.toObject ? order.toObject() : order;
+  orderData.returns = await refundService.getOrderReturns(order._id);
+  orderData.tracking = orderStatusService.buildTrackingTimeline(orderData);
+  orderData.shipments = await shipmentService.getOrderShipments(order._id);
+
+  return orderData;
 };
 
 /**
  * Get vendor orders
+ * `slotOptions` filters by delivery slot (slotDate or slotFrom/slotTo) and
+ * `sortBy: 'deliverySlot'` lists the earliest slot first.
  */
-exports.getVendorOrders = async (vendorId, page = 1, limit = 10, status = null) => {
+exports.getVendorOrders = async (vendorId, page = 1, limit = 10, status = null, slotOptions = {}) => {
   const skip = (page - 1) * limit;
   const query = { 'items.vendor': vendorId };
 
+  // Each vendor filters on the status of its own shipment
   if (status) {
-    query.status = status;
+    query._id = { $in: await shipmentService.getVendorOrderIdsByStatus(vendorId, status) };
+  }
+
+  const slotRange = deliverySlotService.buildSlotRange(slotOptions);
+  if (slotRange) {
+    query['deliverySlot.startTime'] = slotRange;
   }
 
   const orders = await Order.find(query)
@@ -1247,12 +1360,13 @@ exports.getVendorOrders = async (vendorId, page = 1, limit = 10, status = null)
     .populate('items.vendor', 'storeName storeId vendorName')
     .populate('coupon.couponId', 'couponName code')
     .populate('rider', 'fullName mobileNumber')
-    .sort({ createdAt: -1 })
+    .sort(deliverySlotService.buildSlotSort(slotOptions.sortBy, { createdAt: -1 }))
     .skip(skip)
     .limit(limit)
     .lean();
 
   const total = await Order.countDocuments(query);
+  const shipmentMap = await shipmentService.getVendorShipmentMap(orders.map(order => order._id), vendorId);
 
   // Helper function to format date to DD/MM/YYYY
   const formatDate = (date) => {
@@ -1266,7 +1380,7 @@ exports.getVendorOrders = async (vendorId, page = 1, limit = 10, status = null)
 
   // Filter items to only show items from this vendor and add required fields
   const ordersWithVendorItems = orders.map(order => {
-    const orderObj = { ...order };
+    const orderObj = applyVendorShipment({ ...order }, shipmentMap.get(order._id.toString()));
     orderObj.items = orderObj.items
       .filter(item => 
         item.vendor && item.vendor._id.toString() === vendorId.toString()
@@ -1281,7 +1395,7 @@ exports.getVendorOrders = async (vendorId, page = 1, limit = 10, status = null)
           category: product.category?.name || null,
           subCategory: product.subCategory?.name || null,
           sellPrice: product.salePrice || item.price || null,
-          status: order.status || 'pending',
+          status: orderObj.status || 'pending',
         };
       });
     
@@ -1293,6 +1407,7 @@ exports.getVendorOrders = async (vendorId, page = 1, limit = 10, status = null)
       itemsSubtotal: parseFloat(vendorItemsSubtotal.toFixed(2)),
       itemsCashback: parseFloat(vendorItemsCashback.toFixed(2)),
       itemCount: orderObj.items.length,
+      ...(orderObj.shipment ? orderObj.shipment.pricing : {}),
     };
 
     return orderObj;
@@ -1450,7 +1565,8 @@ exports.getVendorOrderById = async (orderId, vendorId) => {
     return null; // Order doesn't belong to this vendor
   }
 
-  const orderObj = order.toObject();
+  const shipmentMap = await shipmentService.getVendorShipmentMap([order._id], vendorId);
+  const orderObj = applyVendorShipment(order.toObject(), shipmentMap.get(order._id.toString()));
   orderObj.items = vendorItems;
 
   // Calculate vendor-specific pricing
@@ -1461,221 +1577,130 @@ exports.getVendorOrderById = async (orderId, vendorId) => {
     itemsSubtotal: parseFloat(vendorItemsSubtotal.toFixed(2)),
     itemsCashback: parseFloat(vendorItemsCashback.toFixed(2)),
     itemCount: vendorItems.length,
+    ...(orderObj.shipment ? orderObj.shipment.pricing : {}),
   };
 
   return orderObj;
 };
 
 /**
- * Notify riders when order is ready for delivery
+ * Update order status (for vendor)
+ * Moves the vendor's own shipment; the order status follows its shipments.
  */
-exports.notifyRidersForOrder = async (order) => {
-  try {
-    // Get unique vendor IDs from order items
-    const vendorIds = [...new Set(order.items.map(item => {
-      const vendorId = item.vendor?._id || item.vendor;
-      return vendorId?.toString();
-    }).filter(Boolean))];
+exports.updateOrderStatus = async (orderId, vendorId, status, deliveryAmount, note) => {
+  const order = await Order.findById(orderId);
 
-    if (vendorIds.length === 0) {
-      return;
-    }
+  if (!order) {
+    throw new Error('Order not found');
+  }
 
-    // Find riders who work for these vendors (direct vendor assignment from Rider model)
-    const ridersForVendors = await Rider.find({
-      vendor: { $in: vendorIds },
-      isActive: true,
-      approvalStatus: 'approved',
-    }).select('_id fullName mobileNumber');
+  const shipment = await shipmentService.getVendorShipment(order, vendorId);
+
+  if (!shipment) {
+    throw new Error('Order does not belong to this vendor');
+  }
 
-    const activeRiders = ridersForVendors.map(r => r._id.toString());
+  const previousStatus = shipment.status;
+  const set = {};
 
-    if (activeRiders.length === 0) {
-      return;
+  // Update deliveryAmount if provided
+  if (deliveryAmount !== undefined) {
+    const deliveryAmountNum = parseFloat(deliveryAmount);
+    if (isNaN(deliveryAmountNum) || deliveryAmountNum < 0) {
+      throw new Error('Delivery amount must be a valid positive number');
     }
+    set.deliveryAmount = deliveryAmountNum;
+  }
 
-    // Create assignment requests for each rider
-    const assignmentRequests = activeRiders.map(riderId => ({
-      rider: riderId,
-      requestedAt: new Date(),
-      status: 'pending',
+  let updatedShipment = shipment;
+  if (status === previousStatus) {
+    // Same status - only the delivery amount can change
+    Object.assign(shipment, set);
+    updatedShipment = await shipment.save();
+    await shipmentService.syncOrderStatus(order._id);
+  } else {
+    ({ shipment: updatedShipment } = await shipmentService.changeShipmentStatus(shipment, status, {
+      actor: 'vendor',
+      actorId: vendorId,
+      note,
+      set,
     }));
+  }
 
-    // Update order with assignment requests
-    order.assignmentRequestSentAt = new Date();
-    order.assignmentRequestSentTo = assignmentRequests;
-    await order.save();
-
-    // Prepare order data for WebSocket with amount and location
-    const orderData = {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      items: order.items,
-      shippingAddress: {
-        line1: order.shippingAddress?.line1 || '',
-        line2: order.shippingAddress?.line2 || '',
-        pinCode: order.shippingAddress?.pinCode || '',
-        city: order.shippingAddress?.city || '',
-        state: order.shippingAddress?.state || '',
-        country: order.shippingAddress?.country || '',
-        latitude: order.shippingAddress?.latitude || null,
-        longitude: order.shippingAddress?.longitude || null,
-        fullAddress: [
-          order.shippingAddress?.line1,
-          order.shippingAddress?.line2,
-          order.shippingAddress?.city,
-          order.shippingAddress?.state,
-          order.shippingAddress?.pinCode,
-          order.shippingAddress?.country
-        ].filter(Boolean).join(', ')
-      },
-      pricing: {
-        subtotal: order.pricing?.subtotal || 0,
-        discount: order.pricing?.discount || 0,
-        tax: order.pricing?.tax || 0,
-        handlingCharge: order.pricing?.handlingCharge || 0,
-        total: order.pricing?.total || 0,
-        totalCashback: order.pricing?.totalCashback || 0,
-        deliveryAmount: order.deliveryAmount || 0, // Delivery amount for rider
-      },
-      amount: order.pricing?.total || 0, // Total order amount
-      deliveryAmount: order.deliveryAmount || 0, // Delivery amount for rider
-      location: {
-        address: [
-          order.shippingAddress?.line1,
-          order.shippingAddress?.line2,
-          order.shippingAddress?.city,
-          order.shippingAddress?.state,
-          order.shippingAddress?.pinCode
-        ].filter(Boolean).join(', '),
-        city: order.shippingAddress?.city || '',
-        state: order.shippingAddress?.state || '',
-        pinCode: order.shippingAddress?.pinCode || '',
-        coordinates: {
-          latitude: order.shippingAddress?.latitude || null,
-          longitude: order.shippingAddress?.longitude || null,
-        }
-      },
-      createdAt: order.createdAt,
-    };
-
-    // Send WebSocket notifications to riders
+  if (status === 'ready' && previousStatus !== 'ready') {
+    // Ready for pickup - offer it to the best riders
     try {
-      const sentCount = await sendOrderAssignmentRequestToRiders(activeRiders, orderData);
-      
-      // Also send to notification queue for offline riders (optional fallback)
-      if (notificationQueue) {
-        for (const riderId of activeRiders) {
-          const rider = await Rider.findById(riderId);
-          if (rider) {
-            await notificationQueue.add({
-              userId: riderId,
-              type: 'order_assignment_request',
-              title: 'New Order Assignment Available',
-              message: `Order ${order.orderNumber} is ready for delivery. Amount: ₹${orderData.amount || 0}, Delivery: ₹${orderData.deliveryAmount || 0}. Would you like to accept?`,
-              data: {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                type: 'rider',
-                // Include amount and location
-                amount: orderData.amount || 0,
-                deliveryAmount: orderData.deliveryAmount || 0,
-                pricing: orderData.pricing,
-                location: orderData.location,
-                shippingAddress: orderData.shippingAddress,
-                order: orderData,
-              },
-            });
-          }
-        }
-      }
-    } catch (socketError) {
-      // Fallback to notification queue if WebSocket fails
-      if (notificationQueue) {
-        for (const riderId of activeRiders) {
-          const rider = await Rider.findById(riderId);
-          if (rider) {
-            await notificationQueue.add({
-              userId: riderId,
-              type: 'order_assignment_request',
-              title: 'New Order Assignment Available',
-              message: `Order ${order.orderNumber} is ready for delivery. Amount: ₹${orderData.amount || 0}, Delivery: ₹${orderData.deliveryAmount || 0}. Would you like to accept?`,
-              data: {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                type: 'rider',
-                // Include amount and location
-                amount: orderData.amount || 0,
-                deliveryAmount: orderData.deliveryAmount || 0,
-                pricing: orderData.pricing,
-                location: orderData.location,
-                shippingAddress: orderData.shippingAddress,
-                order: orderData,
-              },
-            });
-          }
-        }
-      }
+      await dispatchService.startDispatch(updatedShipment);
+    } catch (error) {
+      logger.error(`Dispatching shipment ${updatedShipment.shipmentNumber} failed:`, error);
     }
-
-  } catch (error) {
   }
+
+  return await Order.findById(order._id)
+    .populate('user', 'userName contactNumber email')
+    .populate('items.product', 'productName thumbnail')
+    .populate('items.vendor', 'storeName storeId')
+    .populate('coupon.couponId', 'couponName code')
+    .populate('rider', 'fullName mobileNumber');
 };
 
 /**
- * Update order status (for vendor)
+ * Update order status (admin only)
+ * Applies to every active shipment of the order.
  */
-exports.updateOrderStatus = async (orderId, vendorId, status, deliveryAmount) => {
+exports.updateOrderStatusByAdmin = async (orderId, adminId, status, note) => {
   const order = await Order.findById(orderId);
 
   if (!order) {
     throw new Error('Order not found');
   }
 
-  // Check if order has items from this vendor
-  const vendorItems = order.items.filter(item => 
-    item.vendor && item.vendor.toString() === vendorId.toString()
-  );
+  const { shipments } = await shipmentService.changeOrderShipmentsStatus(order, status, {
+    actor: 'admin',
+    actorId: adminId,
+    note,
+    reason: status === 'cancelled' ? note : undefined,
+  });
 
-  if (vendorItems.length === 0) {
-    throw new Error('Order does not belong to this vendor');
+  if (status === 'ready') {
+    for (const shipment of shipments) {
+      try {
+        await dispatchService.startDispatch(shipment);
+      } catch (error) {
+        logger.error(`Dispatching shipment ${shipment.shipmentNumber} failed:`, error);
+      }
+    }
   }
 
-  // Validate status transition
-  const validStatuses = ['pending', 'confirmed', 'processing', 'ready', 'out_for_delivery', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    throw new Error(`Invalid order status: ${status}`);
-  }
+  return await Order.findById(order._id)
+    .populate('user', 'userName contactNumber email')
+    .populate('items.product', 'productName thumbnail')
+    .populate('items.vendor', 'storeName storeId')
+    .populate('coupon.couponId', 'couponName code')
+    .populate('rider', 'fullName mobileNumber');
+};
 
-  // Update order status
-  order.status = status;
+/**
+ * Mark a shipment delivered without the customer's handover code or a photo
+ * (admin only). The reason is kept on the proof and in the status history.
+ */
+exports.overrideDeliveryByAdmin = async (orderId, shipmentId, adminId, reason) => {
+  const shipment = await Shipment.findOne({ _id: shipmentId, order: orderId });
 
-  // Update deliveryAmount if provided
-  if (deliveryAmount !== undefined) {
-    const deliveryAmountNum = parseFloat(deliveryAmount);
-    if (isNaN(deliveryAmountNum) || deliveryAmountNum < 0) {
-      throw new Error('Delivery amount must be a valid positive number');
-    }
-    order.deliveryAmount = deliveryAmountNum;
+  if (!shipment) {
+    throw new Error('Shipment not found');
   }
 
-  // Set timestamps based on status
-  if (status === 'ready') {
-    // Ready for pickup - notify riders
-    await exports.notifyRidersForOrder(order);
-  } else if (status === 'out_for_delivery') {
-    // Out for delivery
-  } else if (status === 'delivered') {
-    order.deliveredAt = new Date();
-  } else if (status === 'cancelled') {
-    order.cancelledAt = new Date();
-    order.cancelledBy = 'vendor';
-  }
+  await shipmentService.changeShipmentStatus(shipment, 'delivered', {
+    actor: 'admin',
+    actorId: adminId,
+    note: reason,
+    override: true,
+  });
 
-  await order.save();
+  logger.warn(`Delivery override: shipment ${shipment.shipmentNumber} marked delivered by admin ${adminId} without proof. Reason: ${reason}`);
 
-  return await Order.findById(order._id)
+  return await Order.findById(orderId)
     .populate('user', 'userName contactNumber email')
     .populate('items.product', 'productName thumbnail')
     .populate('items.vendor', 'storeName storeId')
@@ -1685,6 +1710,7 @@ exports.updateOrderStatus = async (orderId, vendorId, status, deliveryAmount) =>
 
 /**
  * Cancel order
+ * Every vendor's shipment must still be cancellable by the user.
  */
 exports.cancelOrder = async (orderId, userId, reason = '') => {
   const order = await Order.findOne({ _id: orderId, user: userId });
@@ -1693,34 +1719,24 @@ exports.cancelOrder = async (orderId, userId, reason = '') => {
     throw new Error('Order not found');
   }
 
-  if (!['pending', 'confirmed', 'processing'].includes(order.status)) {
+  if (!orderStatusService.canTransition('user', order.status, 'cancelled')) {
     throw new Error('Order cannot be cancelled at this stage');
   }
 
-  // Restore inventory
-  for (const item of order.items) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      if (product.skus && product.skus.length > 0 && item.sku) {
-        const skuItem = product.skus.find(s => s.sku === item.sku);
-        if (skuItem) {
-          skuItem.inventory += item.quantity;
-        }
-      } else {
-        product.inventory += item.quantity;
-      }
-      await product.save();
-    }
-  }
+  const shipments = await shipmentService.ensureShipments(order);
+  const cancellable = shipments.every(shipment => shipment.status === 'cancelled'
+    || orderStatusService.canTransition('user', shipment.status, 'cancelled'));
 
-  // Update order
-  order.status = 'cancelled';
-  order.cancelledAt = new Date();
-  order.cancelledBy = 'user';
-  order.cancellationReason = reason;
-  order.payment.status = order.payment.method === 'cod' ? 'failed' : 'refunded';
+  if (!cancellable) {
+    throw new Error('Order cannot be cancelled at this stage');
+  }
 
-  await order.save();
+  // Shipment transitions are atomic, so a concurrent cancel cannot release stock twice
+  await shipmentService.changeOrderShipmentsStatus(order, 'cancelled', {
+    actor: 'user',
+    actorId: userId,
+    reason,
+  });
 
   return await Order.findById(order._id)
     .populate('items.product', 'productName thumbnail')
@@ -1730,7 +1746,7 @@ exports.cancelOrder = async (orderId, userId, reason = '') => {
 
 /**
  * Add items to existing order (vendor only)
- * Only allowed if order status is NOT "ready"
+ * Only allowed while the vendor's shipment has not been handed over
  */
 exports.addItemsToOrder = async (orderId, vendorId, items) => {
   const order = await Order.findById(orderId)
@@ -1741,11 +1757,6 @@ exports.addItemsToOrder = async (orderId, vendorId, items) => {
     throw new Error('Order not found');
   }
 
-  // Check if order status is NOT "ready"
-  if (order.status === 'ready') {
-    throw new Error('Cannot add items to order. Order status is already "ready"');
-  }
-
   // Check if order has items from this vendor
   const vendorItems = order.items.filter(item => {
     const itemVendorId = item.vendor?._id || item.vendor;
@@ -1756,12 +1767,18 @@ exports.addItemsToOrder = async (orderId, vendorId, items) => {
     throw new Error('Order does not belong to this vendor');
   }
 
+  // Check the vendor's shipment is not "ready" (or further along)
+  const shipment = await shipmentService.getVendorShipment(order, vendorId);
+  if (shipment && ['ready', 'out_for_delivery', 'delivered', 'cancelled'].includes(shipment.status)) {
+    throw new Error(`Cannot add items to order. Order status is already "${shipment.status}"`);
+  }
+
   // Validate and process new items
   const newOrderItems = [];
   let newSubtotal = 0;
   let newCashback = 0;
   const productImagesMap = new Map();
-  const itemsForRevenueTracking = []; // Track items for revenue update
+  const reservations = []; // Stock to reserve once all items are validated
 
   for (const itemData of items) {
     const { productId, quantity, sku } = itemData;
@@ -1869,18 +1886,6 @@ exports.addItemsToOrder = async (orderId, vendorId, items) => {
       const revenueDifference = newTotalPrice - oldTotalPrice;
       newSubtotal += revenueDifference;
       newCashback += (newItemCashback - oldCashback);
-      
-      // Track revenue for the incremental quantity added
-      if (revenueDifference > 0) {
-        itemsForRevenueTracking.push({
-          product: productId,
-          vendor: vendorId,
-          productName: product.productName,
-          quantity: quantity, // Only the newly added quantity
-          totalPrice: revenueDifference, // Revenue difference
-          sku: sku || undefined,
-        });
-      }
     } else {
       // Create new order item
       const totalPrice = unitPrice * quantity;
@@ -1944,29 +1949,14 @@ exports.addItemsToOrder = async (orderId, vendorId, items) => {
       }
 
       newOrderItems.push(orderItem);
-      
-      // Track revenue for new item
-      itemsForRevenueTracking.push({
-        product: productId,
-        vendor: vendorId,
-        productName: product.productName,
-        quantity: quantity,
-        totalPrice: totalPrice,
-        sku: sku || undefined,
-      });
     }
 
-    // Update inventory
-    if (product.skus && product.skus.length > 0 && sku) {
-      const skuItem = product.skus.find(s => s.sku === sku);
-      if (skuItem) {
-        skuItem.inventory -= quantity;
-      }
-    } else {
-      product.inventory -= quantity;
-    }
-
-    await product.save();
+    reservations.push({
+      product: productId,
+      sku: sku || undefined,
+      quantity,
+      productName: product.productName,
+    });
   }
 
   // Add new items to order (only items that don't already exist)
@@ -2024,52 +2014,78 @@ exports.addItemsToOrder = async (orderId, vendorId, items) => {
     }
   });
 
-  // Recalculate tax
-  const tax = (allItemsSubtotal - discount) * 0.05;
-  const total = allItemsSubtotal - discount + tax + totalHandlingCharge;
+  // Recalculate GST for every line - the discount share of each line changes
+  const taxes = await taxService.calculateTax(order.items, {
+    discount,
+    shippingState: order.shippingAddress?.state,
+  });
+  order.items.forEach((item, index) => item.set(taxes.lines[index]));
+  const tax = taxes.tax;
+
+  // Larger subtotals can unlock free delivery or drop the small cart fee
+  const deliveryCharges = await deliveryFeeService.calculateDeliveryCharges(order.items, order.shippingAddress);
+  const riderTip = order.pricing.tip || 0;
+  const total = allItemsSubtotal - discount + tax + totalHandlingCharge + deliveryCharges.deliveryFee + deliveryCharges.smallCartFee + riderTip;
 
   // Update order pricing
+  const previousWalletRedeemed = order.pricing.walletRedeemed || 0;
   order.pricing = {
     subtotal: parseFloat(allItemsSubtotal.toFixed(2)),
     discount: parseFloat(discount.toFixed(2)),
     tax: parseFloat(tax.toFixed(2)),
     handlingCharge: parseFloat(totalHandlingCharge.toFixed(2)),
+    deliveryFee: deliveryCharges.deliveryFee,
+    smallCartFee: deliveryCharges.smallCartFee,
+    tip: riderTip,
     total: parseFloat(total.toFixed(2)),
     totalCashback: parseFloat(allItemsCashback.toFixed(2)),
+    walletRedeemed: previousWalletRedeemed,
   };
+  order.deliveryCharges = deliveryFeeService.toOrderDeliveryCharges(deliveryCharges);
+  order.deliveryAmount = deliveryFeeService.getRiderPayoutTotal(deliveryCharges);
+
+  // An order paid from the wallet pays for the added items from it too.
+  // Should the total drop below what was redeemed, the difference goes back.
+  let walletDebit = null;
+  let walletExcess = 0;
+  if (order.payment.method === 'wallet' && order.payment.status === 'completed' && order.pricing.total > previousWalletRedeemed) {
+    walletDebit = await walletService.redeemForOrder(order.user, order.pricing.total - previousWalletRedeemed, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+    });
+    order.pricing.walletRedeemed = order.pricing.total;
+  } else if (previousWalletRedeemed > order.pricing.total) {
+    walletExcess = parseFloat((previousWalletRedeemed - order.pricing.total).toFixed(2));
+    order.pricing.walletRedeemed = order.pricing.total;
+  }
 
   // Update payment amount
-  order.payment.amount = parseFloat(total.toFixed(2));
+  order.payment.amount = parseFloat(Math.max(0, total - order.pricing.walletRedeemed).toFixed(2));
 
-  await order.save();
+  // Reserve stock for the added quantities and save - released again if the save fails
+  try {
+    await inventoryService.withReservedInventory(reservations, () => order.save());
+  } catch (error) {
+    await walletService.cancelRedemption(walletDebit);
+    throw error;
+  }
 
-  // Add cashback to user account
-  if (newCashback > 0) {
-    try {
-      const user = await User.findById(order.user);
-      if (user) {
-        const previousCashback = user.cashback || 0;
-        const newCashbackTotal = previousCashback + newCashback;
-        user.cashback = newCashbackTotal;
-        await user.save();
-      }
-    } catch (error) {
-    }
+  if (walletExcess > 0) {
+    await walletService.creditRefund(order.user, walletExcess, {
+      order,
+      description: `Wallet payment returned after order ${order.orderNumber} was updated`,
+      expires: true,
+    });
   }
 
-  // Update vendor revenue tracking for newly added/updated items
-  if (itemsForRevenueTracking.length > 0) {
-    // Convert to format expected by updateVendorRevenue
-    const itemsToTrack = itemsForRevenueTracking.map(item => ({
-      product: item.product,
-      vendor: item.vendor,
-      productName: item.productName,
-      quantity: item.quantity,
-      totalPrice: item.totalPrice,
-      sku: item.sku,
-    }));
-    
-    await updateVendorRevenue(order, itemsToTrack);
+  // Keep every shipment's items and share of the pricing in line with the order
+  await shipmentService.syncShipments(order);
+
+  // Cashback on the added items joins the order's pending cashback
+  try {
+    await walletService.creditPendingCashback(order, newCashback);
+  } catch (error) {
+    logger.error(`Crediting cashback for order ${order.orderNumber} failed:`, error);
   }
 
   return await Order.findById(order._id)
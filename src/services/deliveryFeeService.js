@@ -0,0 +1,125 @@
+const Vendor = require('../models/Vendor');
+const { calculateDistance, hasCoordinates } = require('../utils/geo');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+
+/**
+ * Slab fee for a distance. Without a distance (no coordinates) the highest
+ * slab is charged, so an unknown address is never undercharged.
+ */
+const getSlabFee = (slabs, distanceKm) => {
+  if (!slabs || slabs.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...slabs].sort((a, b) => a.upToKm - b.upToKm);
+  if (distanceKm === null) {
+    return Math.max(...sorted.map(slab => slab.fee));
+  }
+
+  const slab = sorted.find(entry => distanceKm <= entry.upToKm) || sorted[sorted.length - 1];
+  return slab.fee;
+};
+
+/**
+ * Delivery charges of one store for a subtotal delivered `distanceKm` away
+ */
+const calculateVendorCharges = (vendor, subtotal, distanceKm) => {
+  const settings = vendor.deliveryFeeSettings || {};
+  const freeDeliveryThreshold = settings.freeDeliveryThreshold || 0;
+  const smallCartThreshold = settings.smallCartThreshold || 0;
+  const minimumOrderValue = settings.minimumOrderValue || 0;
+  const riderPayoutPercentage = settings.riderPayoutPercentage ?? 100;
+
+  const freeDelivery = freeDeliveryThreshold > 0 && subtotal >= freeDeliveryThreshold;
+  const deliveryFee = freeDelivery ? 0 : getSlabFee(settings.slabs, distanceKm);
+  const smallCartFee = smallCartThreshold > 0 && subtotal < smallCartThreshold ? (settings.smallCartFee || 0) : 0;
+
+  return {
+    vendor: vendor._id,
+    storeName: vendor.storeName,
+    subtotal: roundAmount(subtotal),
+    distanceKm: distanceKm === null ? null : roundAmount(distanceKm),
+    deliveryFee: roundAmount(deliveryFee),
+    smallCartFee: roundAmount(smallCartFee),
+    freeDelivery,
+    // How much more to add for free delivery, when it is on offer
+    amountToFreeDelivery: freeDeliveryThreshold > 0 && !freeDelivery ? roundAmount(freeDeliveryThreshold - subtotal) : 0,
+    minimumOrderValue,
+    minimumOrderMet: subtotal >= minimumOrderValue,
+    riderPayout: roundAmount((deliveryFee * riderPayoutPercentage) / 100),
+  };
+};
+
+/**
+ * Delivery charges for items (`{ vendor, totalPrice }`) shipped to `location`
+ * (`{ latitude, longitude }`), one entry per store plus the totals.
+ */
+exports.calculateDeliveryCharges = async (items, location = {}) => {
+  const subtotals = new Map();
+  items.forEach((item) => {
+    const vendorId = getId(item.vendor);
+    if (vendorId) {
+      subtotals.set(vendorId, (subtotals.get(vendorId) || 0) + (item.totalPrice || 0));
+    }
+  });
+
+  const vendors = await Vendor.find({ _id: { $in: [...subtotals.keys()] } })
+    .select('_id storeName storeAddress deliveryFeeSettings');
+
+  const withCoordinates = hasCoordinates(location);
+  const vendorCharges = vendors.map((vendor) => {
+    const store = vendor.storeAddress || {};
+    const distanceKm = withCoordinates && hasCoordinates(store)
+      ? calculateDistance(Number(location.latitude), Number(location.longitude), store.latitude, store.longitude)
+      : null;
+    return calculateVendorCharges(vendor, subtotals.get(vendor._id.toString()), distanceKm);
+  });
+
+  return {
+    vendors: vendorCharges,
+    deliveryFee: roundAmount(vendorCharges.reduce((sum, charge) => sum + charge.deliveryFee, 0)),
+    smallCartFee: roundAmount(vendorCharges.reduce((sum, charge) => sum + charge.smallCartFee, 0)),
+  };
+};
+
+/**
+ * Add delivery charges to a pricing object (subtotal, discount, tax, handlingCharge, total)
+ */
+exports.applyDeliveryCharges = (pricing, charges) => ({
+  ...pricing,
+  deliveryFee: charges.deliveryFee,
+  smallCartFee: charges.smallCartFee,
+  total: roundAmount((pricing.total || 0) + charges.deliveryFee + charges.smallCartFee),
+});
+
+/**
+ * Throw when any store's items are below its minimum order value
+ */
+exports.assertMinimumOrderValue = (charges) => {
+  const shortfalls = charges.vendors.filter(charge => !charge.minimumOrderMet);
+  if (shortfalls.length > 0) {
+    const details = shortfalls
+      .map(charge => `${charge.storeName || 'Store'} requires a minimum order of ₹${charge.minimumOrderValue} (current ₹${charge.subtotal})`)
+      .join(', ');
+    throw new Error(`Minimum order value not met: ${details}`);
+  }
+};
+
+/**
+ * Rider payout for the whole order, the sum over its stores
+ */
+exports.getRiderPayoutTotal = (charges) => roundAmount(
+  charges.vendors.reduce((sum, charge) => sum + charge.riderPayout, 0)
+);
+
+/**
+ * Per-store charges as stored on the order
+ */
+exports.toOrderDeliveryCharges = (charges) => charges.vendors.map(charge => ({
+  vendor: charge.vendor,
+  distanceKm: charge.distanceKm,
+  deliveryFee: charge.deliveryFee,
+  smallCartFee: charge.smallCartFee,
+  riderPayout: charge.riderPayout,
+}));
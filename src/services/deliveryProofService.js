@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { addNotificationJob } = require('../utils/queue');
+const logger = require('../utils/logger');
+
+// After this many wrong codes the rider has to hand over with a doorstep photo
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.HANDOVER_CODE_MAX_ATTEMPTS, 10) || 5;
+
+const generateHandoverCode = () => crypto.randomInt(1000, 10000).toString();
+
+// Only a hash of the code is stored, salted with the shipment id
+const hashHandoverCode = (shipmentId, code) => crypto
+  .createHash('sha256')
+  .update(`${shipmentId}:${code}`)
+  .digest('hex');
+
+const matchesHash = (expected, received) => !!expected && expected.length === received.length
+  && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+
+/**
+ * Issue a fresh handover code for a shipment that just went out for delivery
+ * and send it to the customer. Returns the code.
+ */
+exports.issueHandoverCode = async (shipment) => {
+  const code = generateHandoverCode();
+
+  await Shipment.updateOne(
+    { _id: shipment._id },
+    {
+      $set: {
+        'handover.codeHash': hashHandoverCode(shipment._id, code),
+        'handover.issuedAt': new Date(),
+        'handover.failedAttempts': 0,
+      },
+    }
+  );
+
+  try {
+    await addNotificationJob({
+      userId: shipment.user,
+      recipientType: 'user',
+      type: 'delivery_handover_code',
+      title: 'Your Delivery Code',
+      message: `Your order ${shipment.orderNumber} is out for delivery. Share code ${code} with the rider to receive it.`,
+      data: {
+        orderId: shipment.order,
+        orderNumber: shipment.orderNumber,
+        shipmentId: shipment._id,
+        shipmentNumber: shipment.shipmentNumber,
+        handoverCode: code,
+        type: 'user',
+      },
+    });
+  } catch (error) {
+    logger.error(`Sending handover code for shipment ${shipment.shipmentNumber} failed:`, error);
+  }
+
+  return code;
+};
+
+/**
+ * Check what the rider submitted at the door and build the proof stored with
+ * the delivery. The handover code is checked first; without one a doorstep
+ * photo is uploaded instead.
+ */
+exports.buildRiderProof = async (shipment, riderId, { handoverCode, photo, latitude, longitude, note } = {}) => {
+  const proof = {
+    latitude,
+    longitude,
+    note,
+    recordedBy: 'rider',
+    recordedById: riderId,
+    recordedAt: new Date(),
+  };
+
+  if (handoverCode) {
+    // Take an attempt before comparing, in the same update that checks the
+    // limit, so concurrent guesses cannot get past MAX_FAILED_ATTEMPTS
+    const current = await Shipment.findOneAndUpdate(
+      {
+        _id: shipment._id,
+        'handover.codeHash': { $type: 'string' },
+        'handover.failedAttempts': { $lt: MAX_FAILED_ATTEMPTS },
+      },
+      { $inc: { 'handover.failedAttempts': 1 } },
+      { new: true }
+    ).select('+handover.codeHash');
+
+    if (!current) {
+      const issued = await Shipment.exists({ _id: shipment._id, 'handover.codeHash': { $type: 'string' } });
+      throw new Error(issued
+        ? 'Too many wrong handover codes. Upload a doorstep photo instead'
+        : 'No handover code was issued for this order. Upload a doorstep photo instead');
+    }
+    if (!matchesHash(current.handover.codeHash, hashHandoverCode(shipment._id, handoverCode))) {
+      throw new Error('Invalid handover code');
+    }
+
+    // The right code does not count as a failed attempt
+    await Shipment.updateOne({ _id: shipment._id }, { $inc: { 'handover.failedAttempts': -1 } });
+
+    proof.method = 'otp';
+    return proof;
+  }
+
+  if (photo) {
+    proof.method = 'photo';
+    proof.photo = await uploadToCloudinary(photo, 'rush-basket/delivery-proofs');
+    return proof;
+  }
+
+  throw new Error('Handover code or doorstep photo is required to complete delivery');
+};
+
+// Proof methods that show the customer actually received the shipment
+exports.VERIFIED_METHODS = ['otp', 'photo'];
+
+/**
+ * Proof for a delivery an admin confirmed without the customer's code, through
+ * the delivery override. `note` is the admin's reason.
+ */
+exports.buildManualProof = ({ actor, actorId, note } = {}) => ({
+  method: 'manual',
+  note,
+  recordedBy: actor,
+  recordedById: actorId,
+  recordedAt: new Date(),
+});
+
+/**
+ * Copy the proof of a delivered shipment onto its order
+ */
+exports.recordOnOrder = async (shipment) => {
+  if (!shipment.deliveryProof?.method) {
+    return;
+  }
+
+  const proof = shipment.deliveryProof.toObject ? shipment.deliveryProof.toObject() : shipment.deliveryProof;
+
+  await Order.updateOne(
+    { _id: shipment.order, 'deliveryProofs.shipment': { $ne: shipment._id } },
+    {
+      $push: {
+        deliveryProofs: {
+          ...proof,
+          shipment: shipment._id,
+          shipmentNumber: shipment.shipmentNumber,
+          vendor: shipment.vendor,
+          rider: shipment.rider,
+        },
+      },
+    }
+  );
+};
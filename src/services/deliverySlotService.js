@@ -0,0 +1,367 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Vendor = require('../models/Vendor');
+const DeliverySlot = require('../models/DeliverySlot');
+const serviceabilityService = require('./serviceabilityService');
+const { calculateDistance } = require('../utils/geo');
+// Slot hours are configured in store-local time
+const { MINUTE_MS, DAY_MS, parseClock, startOfLocalDay, parseLocalDate } = require('../utils/localTime');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+/**
+ * All windows of a vendor's schedule for `days` store-local days starting
+ * with the day containing `from`.
+ */
+const generateWindows = (settings, from, days) => {
+  const open = parseClock(settings.startTime);
+  const close = parseClock(settings.endTime);
+  const duration = settings.slotDurationMinutes;
+  const firstDay = startOfLocalDay(from).getTime();
+  const windows = [];
+
+  for (let day = 0; day < days; day++) {
+    const dayStart = firstDay + day * DAY_MS;
+    for (let minute = open; minute + duration <= close; minute += duration) {
+      windows.push({
+        startTime: new Date(dayStart + minute * MINUTE_MS),
+        endTime: new Date(dayStart + (minute + duration) * MINUTE_MS),
+      });
+    }
+  }
+
+  return windows;
+};
+
+/**
+ * The window of the vendor's schedule that starts at `startTime`, or null
+ */
+const findWindow = (settings, startTime) => {
+  const dayStart = startOfLocalDay(startTime).getTime();
+  const minute = (startTime.getTime() - dayStart) / MINUTE_MS;
+  const open = parseClock(settings.startTime);
+  const close = parseClock(settings.endTime);
+  const duration = settings.slotDurationMinutes;
+
+  if (!Number.isInteger(minute) || minute < open || minute + duration > close || (minute - open) % duration !== 0) {
+    return null;
+  }
+
+  return {
+    startTime: new Date(startTime),
+    endTime: new Date(startTime.getTime() + duration * MINUTE_MS),
+  };
+};
+
+const getEarliestBookableStart = (settings) => new Date(Date.now() + (settings.leadTimeMinutes || 0) * MINUTE_MS);
+
+/**
+ * A vendor's windows with their capacity and bookings.
+ * `from` defaults to today; `days` to the vendor's booking horizon.
+ */
+exports.getVendorSlots = async (vendor, { from = new Date(), days } = {}) => {
+  const settings = vendor.deliverySlotSettings;
+
+  if (!settings || !settings.enabled) {
+    return [];
+  }
+
+  const windows = generateWindows(settings, from, days || settings.daysAhead);
+  if (windows.length === 0) {
+    return [];
+  }
+
+  const overrides = await DeliverySlot.find({
+    vendor: vendor._id,
+    startTime: { $gte: windows[0].startTime, $lte: windows[windows.length - 1].startTime },
+  }).lean();
+  const overrideMap = new Map(overrides.map(slot => [slot.startTime.getTime(), slot]));
+  const earliestStart = getEarliestBookableStart(settings);
+
+  return windows.map((window) => {
+    const slot = overrideMap.get(window.startTime.getTime());
+    const capacity = slot ? slot.capacity : settings.capacity;
+    const booked = slot ? slot.bookedCount : 0;
+    const isBlocked = slot ? slot.isBlocked : false;
+    const available = Math.max(0, capacity - booked);
+
+    return {
+      startTime: window.startTime,
+      endTime: window.endTime,
+      capacity,
+      booked,
+      available,
+      isBlocked,
+      bookable: !isBlocked && available > 0 && window.startTime >= earliestStart,
+    };
+  });
+};
+
+/**
+ * Slots the user can pick for their current cart. With items from several
+ * stores only windows every slot-enabled store can still take are offered.
+ * When coordinates are given, stores that do not deliver there are flagged.
+ */
+exports.getAvailableSlotsForCart = async (userId, { latitude, longitude } = {}) => {
+  const cart = await Cart.findOne({ user: userId });
+
+  if (!cart || cart.items.length === 0) {
+    throw new Error('Cart is empty');
+  }
+
+  const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } }).select('vendor');
+  const vendorIds = [...new Set(products.map(product => getId(product.vendor)).filter(Boolean))];
+  const vendors = await Vendor.find({ _id: { $in: vendorIds } })
+    .select('storeName storeAddress serviceRadius deliverySlotSettings');
+
+  const hasCoordinates = latitude !== undefined && longitude !== undefined;
+  const serviceableIds = hasCoordinates
+    ? await serviceabilityService.getServiceableVendorIds(vendorIds, { latitude, longitude })
+    : null;
+  const vendorSummaries = [];
+  let commonSlots = null;
+
+  for (const vendor of vendors) {
+    let distanceKm = null;
+    let serviceable = null;
+    if (hasCoordinates && vendor.storeAddress?.latitude != null && vendor.storeAddress?.longitude != null) {
+      distanceKm = calculateDistance(latitude, longitude, vendor.storeAddress.latitude, vendor.storeAddress.longitude);
+      serviceable = serviceableIds.has(vendor._id.toString());
+      distanceKm = parseFloat(distanceKm.toFixed(2));
+    }
+
+    const slotsEnabled = !!vendor.deliverySlotSettings?.enabled;
+    vendorSummaries.push({
+      vendorId: vendor._id,
+      storeName: vendor.storeName,
+      slotsEnabled,
+      serviceable,
+      distanceKm,
+    });
+
+    if (!slotsEnabled || serviceable === false) {
+      continue;
+    }
+
+    const bookable = (await exports.getVendorSlots(vendor)).filter(slot => slot.bookable);
+    const slotMap = new Map(bookable.map(slot => [`${slot.startTime.getTime()}-${slot.endTime.getTime()}`, slot]));
+
+    if (commonSlots === null) {
+      commonSlots = slotMap;
+      continue;
+    }
+
+    for (const [key, slot] of commonSlots) {
+      const other = slotMap.get(key);
+      if (!other) {
+        commonSlots.delete(key);
+      } else {
+        commonSlots.set(key, { ...slot, available: Math.min(slot.available, other.available) });
+      }
+    }
+  }
+
+  const slots = commonSlots
+    ? [...commonSlots.values()].map(slot => ({
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      available: slot.available,
+    }))
+    : [];
+
+  return {
+    slotsEnabled: vendorSummaries.some(vendor => vendor.slotsEnabled),
+    slots,
+    vendors: vendorSummaries,
+  };
+};
+
+/**
+ * Take one unit of capacity in a vendor's slot. The capacity check is part
+ * of the update filter, so concurrent checkouts cannot overbook a slot.
+ */
+const bookSlot = async (vendor, window) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const booked = await DeliverySlot.findOneAndUpdate(
+      {
+        vendor: vendor._id,
+        startTime: window.startTime,
+        isBlocked: false,
+        $expr: { $lt: ['$bookedCount', '$capacity'] },
+      },
+      { $inc: { bookedCount: 1 }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (booked) {
+      return booked;
+    }
+
+    const existing = await DeliverySlot.exists({ vendor: vendor._id, startTime: window.startTime });
+    if (existing) {
+      throw new Error(`Selected delivery slot is no longer available for ${vendor.storeName || 'this store'}`);
+    }
+
+    try {
+      return await DeliverySlot.create({
+        vendor: vendor._id,
+        startTime: window.startTime,
+        endTime: window.endTime,
+        capacity: vendor.deliverySlotSettings.capacity,
+        bookedCount: 1,
+      });
+    } catch (error) {
+      // Someone else booked the first unit - retry against their document
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Delivery slot booking conflict. Please try again');
+};
+
+/**
+ * Give back one unit of capacity in a vendor's slot
+ */
+exports.releaseSlot = async (vendorId, startTime) => {
+  if (!vendorId || !startTime) {
+    return;
+  }
+  try {
+    await DeliverySlot.updateOne(
+      { vendor: getId(vendorId), startTime, bookedCount: { $gt: 0 } },
+      { $inc: { bookedCount: -1 }, $set: { updatedAt: new Date() } }
+    );
+  } catch (error) {
+    logger.error(`Failed to release delivery slot ${new Date(startTime).toISOString()} for vendor ${getId(vendorId)}:`, error);
+  }
+};
+
+/**
+ * Book the slot starting at `startTime` with every slot-enabled vendor of the
+ * order, or none of them. Vendors without slots are skipped.
+ * Returns { window, vendorIds } for the bookings made (window null when none).
+ */
+exports.reserveSlot = async (vendorIds, startTime) => {
+  const start = new Date(startTime);
+  if (Number.isNaN(start.getTime())) {
+    throw new Error('Invalid delivery slot');
+  }
+
+  const vendors = await Vendor.find({ _id: { $in: vendorIds } }).select('storeName deliverySlotSettings');
+  const slotVendors = vendors.filter(vendor => vendor.deliverySlotSettings?.enabled);
+
+  if (slotVendors.length === 0) {
+    throw new Error('Delivery slots are not offered for the items in your cart');
+  }
+
+  let window = null;
+  for (const vendor of slotVendors) {
+    const vendorWindow = findWindow(vendor.deliverySlotSettings, start);
+    if (!vendorWindow || (window && vendorWindow.endTime.getTime() !== window.endTime.getTime())) {
+      throw new Error(`Selected delivery slot is not offered by ${vendor.storeName || 'one of the stores'}`);
+    }
+    if (vendorWindow.startTime < getEarliestBookableStart(vendor.deliverySlotSettings)) {
+      throw new Error('Selected delivery slot is too soon. Please pick a later slot');
+    }
+    const lastDay = startOfLocalDay(new Date()).getTime() + vendor.deliverySlotSettings.daysAhead * DAY_MS;
+    if (vendorWindow.startTime.getTime() >= lastDay) {
+      throw new Error('Selected delivery slot is too far ahead');
+    }
+    window = vendorWindow;
+  }
+
+  const booked = [];
+  try {
+    for (const vendor of slotVendors) {
+      await bookSlot(vendor, window);
+      booked.push(vendor._id);
+    }
+  } catch (error) {
+    for (const vendorId of booked) {
+      await exports.releaseSlot(vendorId, window.startTime);
+    }
+    throw error;
+  }
+
+  return { window, vendorIds: booked };
+};
+
+/**
+ * Undo a booking made by reserveSlot
+ */
+exports.releaseBooking = async (booking) => {
+  if (!booking || !booking.window) {
+    return;
+  }
+  for (const vendorId of booking.vendorIds) {
+    await exports.releaseSlot(vendorId, booking.window.startTime);
+  }
+};
+
+/**
+ * Block a window or change its capacity for one vendor
+ */
+exports.overrideSlot = async (vendor, startTime, { capacity, isBlocked }) => {
+  const settings = vendor.deliverySlotSettings;
+  if (!settings || !settings.enabled) {
+    throw new Error('Delivery slots are not enabled for this store');
+  }
+
+  const window = findWindow(settings, new Date(startTime));
+  if (!window) {
+    throw new Error('Start time does not match a slot of this store');
+  }
+
+  const set = { endTime: window.endTime, updatedAt: new Date() };
+  if (capacity !== undefined) {
+    set.capacity = capacity;
+  }
+  if (isBlocked !== undefined) {
+    set.isBlocked = isBlocked;
+  }
+
+  return DeliverySlot.findOneAndUpdate(
+    { vendor: vendor._id, startTime: window.startTime },
+    {
+      $set: set,
+      $setOnInsert: {
+        ...(capacity === undefined ? { capacity: settings.capacity } : {}),
+        bookedCount: 0,
+      },
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Query helpers for slot-aware order lists: `slotDate` (YYYY-MM-DD, store-local)
+ * or a `slotFrom`/`slotTo` range. Returns a Mongo range for `deliverySlot.startTime` or null.
+ */
+exports.buildSlotRange = ({ slotDate, slotFrom, slotTo } = {}) => {
+  const range = {};
+
+  if (slotDate) {
+    const dayStart = parseLocalDate(slotDate);
+    range.$gte = dayStart;
+    range.$lt = new Date(dayStart.getTime() + DAY_MS);
+  }
+  if (slotFrom) {
+    range.$gte = new Date(slotFrom);
+  }
+  if (slotTo) {
+    range.$lte = new Date(slotTo);
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Sort for order lists: `sortBy=deliverySlot` puts the earliest slot first
+ */
+exports.buildSlotSort = (sortBy, defaultSort) => (sortBy === 'deliverySlot'
+  ? { 'deliverySlot.startTime': 1, createdAt: -1 }
+  : defaultSort);
+
+exports.parseLocalDate = parseLocalDate;
@@ -0,0 +1,575 @@
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const Rider = require('../models/Rider');
+const riderShiftService = require('./riderShiftService');
+const tripService = require('./tripService');
+const { addNotificationJob } = require('../utils/queue');
+const { sendOrderAssignmentRequestToRiders, notifyDispatchEscalation } = require('../utils/socket');
+const { calculateDistance, hasCoordinates } = require('../utils/geo');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+// Riders asked at once, how long they have to answer, and how many waves before escalating
+const WAVE_SIZE = parseInt(process.env.DISPATCH_WAVE_SIZE, 10) || 3;
+const WAVE_TIMEOUT_MS = (parseInt(process.env.DISPATCH_WAVE_TIMEOUT_SECONDS, 10) || 45) * 1000;
+const MAX_WAVES = parseInt(process.env.DISPATCH_MAX_WAVES, 10) || 3;
+// Riders already carrying this many deliveries are not asked
+const MAX_ACTIVE_DELIVERIES = parseInt(process.env.RIDER_MAX_ACTIVE_DELIVERIES, 10) || 3;
+
+// Ranking, in km-equivalents: every active delivery counts like this many km
+// of extra distance, and a rider who never accepts like this many more
+const LOAD_WEIGHT_KM = 2;
+const ACCEPTANCE_WEIGHT_KM = 5;
+// Distance assumed for riders without a known position
+const UNKNOWN_DISTANCE_KM = 15;
+// Live positions older than this fall back to the rider's address
+const LIVE_LOCATION_MAX_AGE_MS = 10 * 60 * 1000;
+// Acceptance rate is taken over this many recent days
+const ACCEPTANCE_WINDOW_DAYS = 30;
+
+// Shipment statuses a rider is busy with
+const ACTIVE_STATUSES = ['confirmed', 'processing', 'ready', 'out_for_delivery'];
+
+// Where a rider is: a recent live ping, otherwise their address
+const getRiderPosition = (rider, now) => {
+  const live = rider.liveLocation;
+  if (hasCoordinates(live) && live.updatedAt && now - new Date(live.updatedAt) <= LIVE_LOCATION_MAX_AGE_MS) {
+    return live;
+  }
+  return hasCoordinates(rider.currentAddress) ? rider.currentAddress : null;
+};
+
+/**
+ * Rider data sent with an assignment request: the shipment with the
+ * order's address, amounts and location
+ */
+const buildAssignmentPayload = (order, shipment) => {
+  const address = order.shippingAddress || {};
+  const addressLine = [address.line1, address.line2, address.city, address.state, address.pinCode].filter(Boolean).join(', ');
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    shipmentId: shipment._id,
+    shipmentNumber: shipment.shipmentNumber,
+    status: shipment.status,
+    items: shipment.items,
+    shippingAddress: {
+      line1: address.line1 || '',
+      line2: address.line2 || '',
+      pinCode: address.pinCode || '',
+      city: address.city || '',
+      state: address.state || '',
+      country: address.country || '',
+      latitude: address.latitude || null,
+      longitude: address.longitude || null,
+      fullAddress: [address.line1, address.line2, address.city, address.state, address.pinCode, address.country].filter(Boolean).join(', '),
+    },
+    pricing: {
+      subtotal: shipment.pricing?.subtotal || 0,
+      discount: shipment.pricing?.discount || 0,
+      tax: shipment.pricing?.tax || 0,
+      handlingCharge: shipment.pricing?.handlingCharge || 0,
+      total: shipment.pricing?.total || 0,
+      totalCashback: shipment.pricing?.totalCashback || 0,
+      deliveryAmount: shipment.deliveryAmount || 0, // Delivery amount for rider
+    },
+    amount: shipment.pricing?.total || 0,
+    deliveryAmount: shipment.deliveryAmount || 0,
+    location: {
+      address: addressLine,
+      city: address.city || '',
+      state: address.state || '',
+      pinCode: address.pinCode || '',
+      coordinates: {
+        latitude: address.latitude || null,
+        longitude: address.longitude || null,
+      },
+    },
+    createdAt: order.createdAt,
+  };
+};
+
+/**
+ * Riders of the shipment's vendor who are online, on a booked shift right now
+ * and have not been asked yet, best first. Ranked by distance to the store, deliveries in hand and how often they
+ * accepted requests recently.
+ */
+exports.rankRiders = async (shipment, store, now = new Date()) => {
+  const askedIds = (shipment.assignmentRequestSentTo || []).map(request => getId(request.rider));
+
+  const riders = await Rider.find({
+    vendor: getId(shipment.vendor),
+    isActive: true,
+    approvalStatus: 'approved',
+    'availability.status': 'online',
+    _id: { $nin: askedIds },
+  })
+    .select('fullName liveLocation currentAddress.latitude currentAddress.longitude')
+    .lean();
+
+  if (riders.length === 0) {
+    return [];
+  }
+
+  const onShift = await riderShiftService.getOnShiftRiderIds(getId(shipment.vendor), riders.map(rider => rider._id), now);
+  const available = riders.filter(rider => onShift.has(rider._id.toString()));
+  if (available.length === 0) {
+    return [];
+  }
+
+  const riderIds = available.map(rider => rider._id);
+  const since = new Date(now.getTime() - ACCEPTANCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [loads, responses] = await Promise.all([
+    Shipment.aggregate([
+      { $match: { rider: { $in: riderIds }, status: { $in: ACTIVE_STATUSES } } },
+      { $group: { _id: '$rider', count: { $sum: 1 } } },
+    ]),
+    Shipment.aggregate([
+      { $match: { 'assignmentRequestSentTo.rider': { $in: riderIds }, assignmentRequestSentAt: { $gte: since } } },
+      { $unwind: '$assignmentRequestSentTo' },
+      { $match: { 'assignmentRequestSentTo.rider': { $in: riderIds }, 'assignmentRequestSentTo.status': { $ne: 'pending' } } },
+      {
+        $group: {
+          _id: '$assignmentRequestSentTo.rider',
+          answered: { $sum: 1 },
+          accepted: { $sum: { $cond: [{ $eq: ['$assignmentRequestSentTo.status', 'accepted'] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const loadByRider = new Map(loads.map(row => [row._id.toString(), row.count]));
+  const responsesByRider = new Map(responses.map(row => [row._id.toString(), row]));
+
+  return available
+    .map((rider) => {
+      const position = getRiderPosition(rider, now);
+      const distanceKm = position && hasCoordinates(store)
+        ? calculateDistance(position.latitude, position.longitude, store.latitude, store.longitude)
+        : null;
+      const activeDeliveries = loadByRider.get(rider._id.toString()) || 0;
+      const history = responsesByRider.get(rider._id.toString()) || { answered: 0, accepted: 0 };
+      // Smoothed so a new rider starts at 50%
+      const acceptanceRate = (history.accepted + 1) / (history.answered + 2);
+
+      return {
+        riderId: rider._id,
+        fullName: rider.fullName,
+        distanceKm: distanceKm === null ? null : roundAmount(distanceKm),
+        activeDeliveries,
+        acceptanceRate: roundAmount(acceptanceRate),
+        score: roundAmount((distanceKm === null ? UNKNOWN_DISTANCE_KM : distanceKm)
+          + activeDeliveries * LOAD_WEIGHT_KM
+          + (1 - acceptanceRate) * ACCEPTANCE_WEIGHT_KM),
+      };
+    })
+    .filter(candidate => candidate.activeDeliveries < MAX_ACTIVE_DELIVERIES)
+    .sort((a, b) => a.score - b.score);
+};
+
+const notifyRiders = async (riderIds, order, shipment) => {
+  const payload = buildAssignmentPayload(order, shipment);
+  // Accepting the lead shipment of a trip takes every stop
+  payload.trip = await tripService.getTripSummary(shipment.trip);
+
+  try {
+    await sendOrderAssignmentRequestToRiders(riderIds, payload);
+  } catch (error) {
+    logger.error(`Sending assignment requests for shipment ${shipment.shipmentNumber} failed:`, error);
+  }
+
+  // Also queued for riders whose socket is not connected
+  for (const riderId of riderIds) {
+    try {
+      await addNotificationJob({
+        userId: riderId,
+        recipientType: 'rider',
+        type: 'order_assignment_request',
+        title: 'New Order Assignment Available',
+        message: payload.trip
+          ? `Trip with ${payload.trip.stopCount} orders (${payload.trip.totalDistanceKm} km) starting with order ${order.orderNumber} is ready for delivery. Would you like to accept?`
+          : `Order ${order.orderNumber} is ready for delivery. Amount: ₹${payload.amount}, Delivery: ₹${payload.deliveryAmount}. Would you like to accept?`,
+        data: {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          shipmentId: shipment._id,
+          type: 'rider',
+          amount: payload.amount,
+          deliveryAmount: payload.deliveryAmount,
+          pricing: payload.pricing,
+          location: payload.location,
+          shippingAddress: payload.shippingAddress,
+          trip: payload.trip,
+          order: payload,
+        },
+      });
+    } catch (error) {
+      logger.error(`Queueing assignment request for rider ${riderId} failed:`, error);
+    }
+  }
+};
+
+/**
+ * Nobody took the shipment: stop asking and hand it to the vendor and admins
+ */
+const escalate = async (shipment, reason) => {
+  const escalated = await Shipment.findOneAndUpdate(
+    { _id: shipment._id, 'dispatch.status': 'searching' },
+    {
+      $set: {
+        'dispatch.status': 'escalated',
+        'dispatch.escalatedAt': new Date(),
+        'dispatch.escalationReason': reason,
+        'dispatch.waveExpiresAt': null,
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!escalated) {
+    return null;
+  }
+
+  logger.warn(`Dispatch of shipment ${escalated.shipmentNumber} escalated: ${reason}`);
+
+  const payload = {
+    orderId: escalated.order,
+    orderNumber: escalated.orderNumber,
+    shipmentId: escalated._id,
+    shipmentNumber: escalated.shipmentNumber,
+    vendorId: escalated.vendor,
+    reason,
+    escalatedAt: escalated.dispatch.escalatedAt,
+  };
+
+  notifyDispatchEscalation(escalated.vendor, payload);
+
+  try {
+    await addNotificationJob({
+      userId: escalated.vendor,
+      recipientType: 'vendor',
+      type: 'dispatch_escalated',
+      title: 'No Rider Accepted the Order',
+      message: `No rider accepted order ${escalated.orderNumber}. Please assign a rider.`,
+      data: { ...payload, type: 'vendor' },
+    });
+  } catch (error) {
+    logger.error(`Queueing dispatch escalation for shipment ${escalated.shipmentNumber} failed:`, error);
+  }
+
+  return escalated;
+};
+
+/**
+ * Ask the next best riders, or escalate when the waves or the riders run out.
+ * `fromWave` guards against two workers sending the same wave.
+ */
+const sendNextWave = async (shipmentId, fromWave) => {
+  const shipment = await Shipment.findById(shipmentId)
+    .populate('vendor', 'storeName storeAddress.latitude storeAddress.longitude');
+
+  if (!shipment || shipment.dispatch?.status !== 'searching' || shipment.dispatch.wave !== fromWave) {
+    return null;
+  }
+
+  if (fromWave >= MAX_WAVES) {
+    return escalate(shipment, `No rider accepted after ${fromWave} attempt${fromWave === 1 ? '' : 's'}`);
+  }
+
+  const candidates = await exports.rankRiders(shipment, shipment.vendor?.storeAddress);
+  if (candidates.length === 0) {
+    return escalate(shipment, fromWave === 0 ? 'No available riders' : 'No more riders to ask');
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + WAVE_TIMEOUT_MS);
+  const wave = fromWave + 1;
+  const selected = candidates.slice(0, WAVE_SIZE);
+
+  const updated = await Shipment.findOneAndUpdate(
+    {
+      _id: shipment._id,
+      status: 'ready',
+      rider: null,
+      'dispatch.status': 'searching',
+      'dispatch.wave': fromWave,
+    },
+    {
+      $push: {
+        assignmentRequestSentTo: {
+          $each: selected.map(candidate => ({
+            rider: candidate.riderId,
+            requestedAt: now,
+            status: 'pending',
+            wave,
+            expiresAt,
+          })),
+        },
+      },
+      $set: {
+        'dispatch.wave': wave,
+        'dispatch.waveExpiresAt': expiresAt,
+        assignmentRequestSentAt: now,
+        updatedAt: now,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return null;
+  }
+
+  logger.info(`Dispatch wave ${wave} of shipment ${updated.shipmentNumber} sent to ${selected.length} rider(s)`);
+
+  const order = await Order.findById(updated.order);
+  if (order) {
+    await notifyRiders(selected.map(candidate => candidate.riderId.toString()), order, updated);
+  }
+
+  return updated;
+};
+
+/**
+ * Start offering a ready shipment to riders. Riders who declined it before
+ * are not asked again; lapsed requests are cleared so those riders can be.
+ * Unless `batch` is false the shipment is first batched with nearby ready
+ * shipments into a trip, which is then offered through its lead shipment.
+ */
+exports.startDispatch = async (shipment, { batch = true } = {}) => {
+  if (batch) {
+    try {
+      const batched = await tripService.batchNearby(shipment);
+      if (batched) {
+        return batched.joined
+          ? batchDispatch(shipment._id)
+          : exports.dispatchTrip(batched.trip);
+      }
+    } catch (error) {
+      logger.error(`Batching shipment ${shipment.shipmentNumber} failed:`, error);
+    }
+  }
+
+  const started = await Shipment.findOneAndUpdate(
+    {
+      _id: shipment._id,
+      status: 'ready',
+      rider: null,
+      'dispatch.status': { $ne: 'searching' },
+    },
+    {
+      $pull: { assignmentRequestSentTo: { status: 'expired' } },
+      $set: {
+        dispatch: { status: 'searching', wave: 0, startedAt: new Date() },
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!started) {
+    return null;
+  }
+
+  return sendNextWave(started._id, 0);
+};
+
+/**
+ * End the dispatch of a shipment that got a rider or left `ready`. Requests
+ * still waiting for an answer lapse.
+ */
+exports.closeDispatch = async (shipmentId, status = 'assigned') => {
+  const now = new Date();
+  await Shipment.updateOne(
+    { _id: shipmentId },
+    {
+      $set: {
+        'assignmentRequestSentTo.$[pending].status': 'expired',
+        'assignmentRequestSentTo.$[pending].respondedAt': now,
+        updatedAt: now,
+      },
+    },
+    { arrayFilters: [{ 'pending.status': 'pending' }] }
+  );
+  await Shipment.updateOne(
+    { _id: shipmentId, 'dispatch.status': { $in: ['searching', 'escalated', 'batched'] } },
+    { $set: { 'dispatch.status': status, 'dispatch.waveExpiresAt': null } }
+  );
+};
+
+/**
+ * A shipment went on a trip: its own requests lapse and riders are asked
+ * through the trip's lead shipment instead
+ */
+const batchDispatch = async (shipmentId) => {
+  const now = new Date();
+  await Shipment.updateOne(
+    { _id: shipmentId, rider: null },
+    {
+      $set: {
+        'assignmentRequestSentTo.$[pending].status': 'expired',
+        'assignmentRequestSentTo.$[pending].respondedAt': now,
+        'dispatch.status': 'batched',
+        'dispatch.waveExpiresAt': null,
+        updatedAt: now,
+      },
+    },
+    { arrayFilters: [{ 'pending.status': 'pending' }] }
+  );
+  return null;
+};
+
+/**
+ * Offer a freshly planned trip to riders. The other stops stop being offered
+ * on their own and the lead shipment's dispatch starts over, so riders asked
+ * for the lead alone are asked again for the whole trip.
+ */
+exports.dispatchTrip = async (trip) => {
+  const leadId = getId(trip.leadShipment);
+  for (const stop of trip.stops) {
+    if (getId(stop.shipment) !== leadId) {
+      await batchDispatch(stop.shipment);
+    }
+  }
+
+  await exports.closeDispatch(leadId, 'cancelled');
+  const lead = await Shipment.findById(leadId);
+  return lead ? exports.startDispatch(lead, { batch: false }) : null;
+};
+
+/**
+ * Offer shipments that left a trip to riders on their own again
+ */
+exports.dispatchShipments = async (shipmentIds) => {
+  for (const shipmentId of shipmentIds) {
+    try {
+      const shipment = await Shipment.findById(shipmentId);
+      if (shipment) {
+        await exports.startDispatch(shipment, { batch: false });
+      }
+    } catch (error) {
+      logger.error(`Dispatching shipment ${shipmentId} failed:`, error);
+    }
+  }
+};
+
+/**
+ * Move a dispatch on: lapse the unanswered requests of the current wave and
+ * ask the next riders
+ */
+const advanceDispatch = async (shipment, now = new Date()) => {
+  if (shipment.status !== 'ready' || shipment.rider) {
+    return exports.closeDispatch(shipment._id, shipment.rider ? 'assigned' : 'cancelled');
+  }
+
+  await Shipment.updateOne(
+    { _id: shipment._id },
+    {
+      $set: {
+        'assignmentRequestSentTo.$[lapsed].status': 'expired',
+        'assignmentRequestSentTo.$[lapsed].respondedAt': now,
+      },
+    },
+    { arrayFilters: [{ 'lapsed.status': 'pending', 'lapsed.expiresAt': { $lte: now } }] }
+  );
+
+  return sendNextWave(shipment._id, shipment.dispatch.wave);
+};
+
+/**
+ * A rider declined: when nobody in the wave is left to answer, go on to the
+ * next wave without waiting for the timeout
+ */
+exports.handleRejection = async (shipmentId) => {
+  const shipment = await Shipment.findById(shipmentId);
+  if (!shipment || shipment.dispatch?.status !== 'searching') {
+    return null;
+  }
+
+  const waiting = shipment.assignmentRequestSentTo.some(request => request.status === 'pending');
+  if (waiting) {
+    return null;
+  }
+  return advanceDispatch(shipment);
+};
+
+/**
+ * Advance every dispatch whose wave timed out. Runs on a short interval.
+ */
+exports.processExpiredWaves = async (now = new Date()) => {
+  const due = await Shipment.find({
+    'dispatch.status': 'searching',
+    'dispatch.waveExpiresAt': { $lte: now },
+  }).select('status rider dispatch shipmentNumber');
+
+  for (const shipment of due) {
+    try {
+      await advanceDispatch(shipment, now);
+    } catch (error) {
+      logger.error(`Advancing dispatch of shipment ${shipment.shipmentNumber} failed:`, error);
+    }
+  }
+
+  return due.length;
+};
+
+/**
+ * Shipments nobody accepted, for the vendor (when given) or admins
+ */
+exports.getEscalatedShipments = async (filters = {}, page = 1, limit = 10) => {
+  const skip = (page - 1) * limit;
+  const query = { 'dispatch.status': 'escalated', status: 'ready', rider: null };
+
+  if (filters.vendor) {
+    query.vendor = filters.vendor;
+  }
+
+  const [shipments, total] = await Promise.all([
+    Shipment.find(query)
+      .select('order orderNumber shipmentNumber vendor status dispatch deliverySlot pricing.total assignmentRequestSentTo')
+      .populate('vendor', 'storeName storeId')
+      .populate('assignmentRequestSentTo.rider', 'fullName mobileNumber')
+      .sort({ 'dispatch.escalatedAt': 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Shipment.countDocuments(query),
+  ]);
+
+  return {
+    data: shipments,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Start the dispatch again after it was escalated (or never ran)
+ */
+exports.retryDispatch = async (shipmentId, vendorId = null) => {
+  const shipment = await Shipment.findById(shipmentId);
+  if (!shipment || (vendorId && getId(shipment.vendor) !== getId(vendorId))) {
+    throw new Error('Shipment not found');
+  }
+  if (shipment.status !== 'ready') {
+    throw new Error(`Riders can only be dispatched to ready orders. Current status: ${shipment.status}`);
+  }
+  if (shipment.rider) {
+    throw new Error('A rider has already been assigned to this order');
+  }
+  if (shipment.dispatch?.status === 'searching') {
+    throw new Error('Riders are already being asked for this order');
+  }
+  if (shipment.dispatch?.status === 'batched') {
+    throw new Error('This order is on a trip. Riders are asked for the trip through its first order');
+  }
+
+  const dispatched = await exports.startDispatch(shipment);
+  return dispatched || Shipment.findById(shipmentId);
+};
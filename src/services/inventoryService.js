@@ -0,0 +1,108 @@
+const Product = require('../models/Product');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+/**
+ * Atomically take `quantity` units of a product (or one of its SKUs).
+ * The stock check is part of the update filter, so concurrent checkouts
+ * can never drive inventory below zero. A SKU the product does not list
+ * falls back to the product's own inventory, as incrementStock does.
+ */
+const decrementStock = async ({ product, sku, quantity }) => {
+  if (sku) {
+    const result = await Product.updateOne(
+      {
+        _id: getId(product),
+        skus: { $elemMatch: { sku, inventory: { $gte: quantity } } },
+      },
+      { $inc: { 'skus.$.inventory': -quantity } }
+    );
+    if (result.modifiedCount > 0) {
+      return true;
+    }
+    if (await Product.exists({ _id: getId(product), 'skus.sku': sku })) {
+      return false;
+    }
+  }
+
+  const result = await Product.updateOne(
+    { _id: getId(product), inventory: { $gte: quantity } },
+    { $inc: { inventory: -quantity } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const incrementStock = async ({ product, sku, quantity }) => {
+  if (sku) {
+    const result = await Product.updateOne(
+      { _id: getId(product), 'skus.sku': sku },
+      { $inc: { 'skus.$.inventory': quantity } }
+    );
+    if (result.matchedCount > 0) {
+      return;
+    }
+  }
+
+  await Product.updateOne({ _id: getId(product) }, { $inc: { inventory: quantity } });
+};
+
+/**
+ * Return previously reserved units to stock.
+ * Each item: { product, sku, quantity }
+ */
+exports.releaseInventory = async (items) => {
+  for (const item of items) {
+    if (!item.quantity || item.quantity <= 0) {
+      continue;
+    }
+    try {
+      await incrementStock(item);
+    } catch (error) {
+      logger.error(`Failed to release ${item.quantity} unit(s) of product ${getId(item.product)}${item.sku ? ` (SKU ${item.sku})` : ''}:`, error);
+    }
+  }
+};
+
+/**
+ * Reserve stock for every item or none of them.
+ * If any item cannot be reserved, units already taken for earlier items are
+ * released and an "Insufficient inventory" error is thrown.
+ * Each item: { product, sku, quantity, productName }
+ */
+exports.reserveInventory = async (items) => {
+  const reserved = [];
+
+  for (const item of items) {
+    let success = false;
+    try {
+      success = await decrementStock(item);
+    } catch (error) {
+      await exports.releaseInventory(reserved);
+      throw error;
+    }
+
+    if (!success) {
+      await exports.releaseInventory(reserved);
+      throw new Error(`Insufficient inventory for product ${item.productName || getId(item.product)}`);
+    }
+
+    reserved.push(item);
+  }
+
+  return reserved;
+};
+
+/**
+ * Run `fn` with stock reserved for `items`; the reservation is released
+ * again if `fn` throws, so a failed order never keeps stock.
+ */
+exports.withReservedInventory = async (items, fn) => {
+  const reserved = await exports.reserveInventory(items);
+
+  try {
+    return await fn(reserved);
+  } catch (error) {
+    await exports.releaseInventory(reserved);
+    throw error;
+  }
+};
@@ -0,0 +1,568 @@
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const Order = require('../models/Order');
+const shipmentService = require('./shipmentService');
+const taxService = require('./taxService');
+
+const BRAND_NAME = process.env.INVOICE_BRAND_NAME || 'Rush Basket';
+const BRAND_COLOR = process.env.INVOICE_BRAND_COLOR || '#0c831f';
+
+// Bulk downloads render invoices one by one; cap the range to keep them bounded
+const MAX_BULK_INVOICES = parseInt(process.env.MAX_BULK_INVOICES, 10) || 500;
+
+const populateInvoiceOrder = (query) => query
+  .populate('user', 'userName email contactNumber address')
+  .populate('items.product', 'productName skuHsn')
+  .populate('items.vendor', 'vendorName storeName storeAddress contactNumber email gstNumber')
+  .populate('rider', 'fullName mobileNumber')
+  .populate('assignedBy', 'vendorName storeName')
+  .lean();
+
+/**
+ * Load an order with everything an invoice shows
+ */
+exports.findInvoiceOrder = (filter) => populateInvoiceOrder(Order.findOne(filter));
+
+/**
+ * Invoice data for an order. With `vendorId` the invoice covers only that
+ * vendor's shipment; otherwise the whole order with every shipment.
+ */
+exports.buildInvoice = async (order, { vendorId = null } = {}) => {
+  if (vendorId) {
+    order = {
+      ...order,
+      items: order.items.filter((item) => {
+        const itemVendorId = item.vendor?._id || item.vendor;
+        return itemVendorId && itemVendorId.toString() === vendorId.toString();
+      }),
+    };
+  }
+
+  const shipments = await shipmentService.getOrderShipments(order._id);
+  // A vendor invoices its own shipment
+  const vendorShipment = vendorId
+    ? shipments.find(shipment => (shipment.vendor?._id || shipment.vendor).toString() === vendorId.toString())
+    : null;
+
+  let invoiceSubtotal = order.pricing.subtotal;
+  let invoiceDiscount = order.pricing.discount;
+  let invoiceTax = order.pricing.tax;
+  let invoiceHandlingCharge = order.pricing.handlingCharge || 0;
+  let invoiceDeliveryFee = order.pricing.deliveryFee || 0;
+  let invoiceSmallCartFee = order.pricing.smallCartFee || 0;
+  let invoiceTip = order.pricing.tip || 0;
+  let invoiceTotal = order.pricing.total;
+  let invoiceCashback = order.pricing.totalCashback;
+
+  if (vendorShipment) {
+    ({
+      subtotal: invoiceSubtotal,
+      discount: invoiceDiscount,
+      tax: invoiceTax,
+      handlingCharge: invoiceHandlingCharge,
+      deliveryFee: invoiceDeliveryFee = 0,
+      smallCartFee: invoiceSmallCartFee = 0,
+      tip: invoiceTip = 0,
+      total: invoiceTotal,
+      totalCashback: invoiceCashback,
+    } = vendorShipment.pricing);
+  } else if (vendorId && order.items && order.items.length > 0) {
+    invoiceSubtotal = order.items.reduce((sum, item) => sum + item.totalPrice, 0);
+    invoiceCashback = order.items.reduce((sum, item) => sum + (item.cashback || 0), 0);
+    const vendorItemPercentage = invoiceSubtotal / order.pricing.subtotal;
+    invoiceDiscount = order.pricing.discount * vendorItemPercentage;
+    invoiceTax = order.pricing.tax * vendorItemPercentage;
+    invoiceHandlingCharge = (order.pricing.handlingCharge || 0) * vendorItemPercentage;
+    const vendorCharge = (order.deliveryCharges || []).find(charge => charge.vendor?.toString() === vendorId.toString());
+    invoiceDeliveryFee = vendorCharge?.deliveryFee || 0;
+    invoiceSmallCartFee = vendorCharge?.smallCartFee || 0;
+    invoiceTip = 0;
+    invoiceTotal = invoiceSubtotal - invoiceDiscount + invoiceTax + invoiceHandlingCharge + invoiceDeliveryFee + invoiceSmallCartFee;
+  }
+
+  const invoiceRider = vendorShipment ? vendorShipment.rider : order.rider;
+
+  const taxBreakup = await taxService.buildTaxBreakup(order.items, {
+    discount: invoiceDiscount,
+    shippingState: order.shippingAddress?.state,
+  });
+
+return {
+    invoiceNumber: vendorShipment ? vendorShipment.shipmentNumber : order.orderNumber,
+    orderNumber: order.orderNumber,
+    invoiceDate: order.createdAt,
+    orderDate: order.createdAt,
+    deliveryDate: (vendorShipment ? vendorShipment.deliveredAt : order.deliveredAt) || order.estimatedDelivery,
+    customer: {
+      name: order.user?.userName || 'N/A',
+      email: order.user?.email || 'N/A',
+      contactNumber: order.user?.contactNumber || 'N/A',
+      address: order.shippingAddress,
+    },
+
+    vendors: vendorId
+      ? [{
+          name: order.items[0]?.vendor?.vendorName || 'N/A',
+          storeName: order.items[0]?.vendor?.storeName || 'N/A',
+          contactNumber: order.items[0]?.vendor?.contactNumber || 'N/A',
+          email: order.items[0]?.vendor?.email || 'N/A',
+          gstNumber: order.items[0]?.vendor?.gstNumber || null,
+          address: order.items[0]?.vendor?.storeAddress || {},
+        }]
+      : [...new Set(order.items.map(item => {
+          const vendor = item.vendor?._id || item.vendor;
+          return vendor?.toString();
+        }))].map(vendorId => {
+          const vendorItem = order.items.find(item => {
+            const itemVendorId = item.vendor?._id || item.vendor;
+            return itemVendorId?.toString() === vendorId;
+          });
+          return {
+            name: vendorItem?.vendor?.vendorName || 'N/A',
+            storeName: vendorItem?.vendor?.storeName || 'N/A',
+            contactNumber: vendorItem?.vendor?.contactNumber || 'N/A',
+            email: vendorItem?.vendor?.email || 'N/A',
+            gstNumber: vendorItem?.vendor?.gstNumber || null,
+            address: vendorItem?.vendor?.storeAddress || {},
+          };
+        }),
+    items: order.items.map((item, index) => ({
+      productName: item.productName,
+      sku: item.sku || item.product?.skuHsn || 'N/A',
+      hsnCode: taxBreakup.lines[index].hsnCode || 'N/A',
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      salePrice: item.salePrice,
+      totalPrice: item.totalPrice,
+      taxableValue: taxBreakup.lines[index].taxableValue,
+      gstRate: taxBreakup.lines[index].gstRate,
+      cgst: taxBreakup.lines[index].cgst,
+      sgst: taxBreakup.lines[index].sgst,
+      igst: taxBreakup.lines[index].igst,
+      taxAmount: taxBreakup.lines[index].taxAmount,
+      cashback: item.cashback || 0,
+      vendor: vendorId ? undefined : {
+        name: item.vendor?.vendorName || 'N/A',
+        storeName: item.vendor?.storeName || 'N/A',
+      },
+    })),
+    pricing: {
+      subtotal: invoiceSubtotal,
+      discount: invoiceDiscount,
+      tax: invoiceTax,
+      handlingCharge: invoiceHandlingCharge,
+      deliveryFee: invoiceDeliveryFee,
+      smallCartFee: invoiceSmallCartFee,
+      tip: invoiceTip,
+      total: invoiceTotal,
+      totalCashback: invoiceCashback,
+    },
+    taxBreakup: {
+      placeOfSupply: taxBreakup.placeOfSupply,
+      supplyType: taxBreakup.supplyType,
+      hsnSummary: taxBreakup.hsnSummary,
+      ...taxBreakup.totals,
+    },
+    payment: {
+      method: order.payment.method,
+      status: order.payment.status,
+      amount: order.payment.amount,
+      // Wallet balance spent on the whole order
+      walletRedeemed: vendorId ? undefined : (order.pricing.walletRedeemed || 0),
+      transactionId: order.payment.transactionId || 'N/A',
+      paidAt: order.payment.paidAt,
+    },
+    coupon: order.coupon?.code ? {
+      code: order.coupon.code,
+      discount: order.coupon.discount,
+    } : null,
+
+    status: vendorShipment ? vendorShipment.status : order.status,
+    rider: invoiceRider ? {
+      name: invoiceRider.fullName || 'N/A',
+      mobileNumber: invoiceRider.mobileNumber || 'N/A',
+      assignedAt: vendorShipment ? vendorShipment.assignedAt : order.assignedAt,
+    } : null,
+    shipments: vendorShipment ? undefined : shipments.map(shipment => ({
+      shipmentNumber: shipment.shipmentNumber,
+      storeName: shipment.vendor?.storeName || 'N/A',
+      status: shipment.status,
+      pricing: shipment.pricing,
+      rider: shipment.rider ? {
+        name: shipment.rider.fullName || 'N/A',
+        mobileNumber: shipment.rider.mobileNumber || 'N/A',
+      } : null,
+    })),
+    notes: order.notes || null,
+    cancellationReason: (vendorShipment ? vendorShipment.cancellationReason : order.cancellationReason) || null,
+    cancelledAt: (vendorShipment ? vendorShipment.cancelledAt : order.cancelledAt) || null,
+  };
+};
+
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A');
+
+const formatAddress = (address = {}) => [address.line1, address.line2, address.city, address.state, address.pinCode]
+  .filter(Boolean)
+  .join(', ');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Summary rows shown under the line items, in order
+const getPricingRows = (invoice) => [
+  ['Subtotal', invoice.pricing.subtotal],
+  ['Discount', -(invoice.pricing.discount || 0)],
+  ['Taxable value', invoice.taxBreakup.taxableValue],
+  ['CGST', invoice.taxBreakup.cgst],
+  ['SGST', invoice.taxBreakup.sgst],
+  ['IGST', invoice.taxBreakup.igst],
+  ['Handling charge', invoice.pricing.handlingCharge],
+  ['Delivery fee', invoice.pricing.deliveryFee],
+  ['Small cart fee', invoice.pricing.smallCartFee],
+  ['Rider tip', invoice.pricing.tip],
+].filter(([label, value]) => ['Subtotal', 'Taxable value'].includes(label) || Number(value));
+
+/**
+ * Printable HTML invoice (self-contained, no external assets)
+ */
+exports.renderInvoiceHtml = (invoice) => {
+  const vendors = invoice.vendors.map(vendor => `
+        <div class="party">
+          <h3>Sold by</h3>
+          <strong>${escapeHtml(vendor.storeName)}</strong><br>
+          ${escapeHtml(formatAddress(vendor.address))}<br>
+          ${escapeHtml(vendor.contactNumber)} &middot; ${escapeHtml(vendor.email)}
+          ${vendor.gstNumber ? `<br>GSTIN: ${escapeHtml(vendor.gstNumber)}` : ''}
+        </div>`).join('');
+
+  const items = invoice.items.map((item, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(item.productName)}${item.vendor ? `<div class="muted">${escapeHtml(item.vendor.storeName)}</div>` : ''}</td>
+            <td>${escapeHtml(item.hsnCode)}</td>
+            <td class="num">${item.quantity}</td>
+            <td class="num">${formatAmount(item.unitPrice)}</td>
+            <td class="num">${formatAmount(item.taxableValue)}</td>
+            <td class="num">${item.gstRate}%</td>
+            <td class="num">${formatAmount(item.taxAmount)}</td>
+            <td class="num">${formatAmount(item.totalPrice)}</td>
+          </tr>`).join('');
+
+  const hsnRows = invoice.taxBreakup.hsnSummary.map(row => `
+          <tr>
+            <td>${escapeHtml(row.hsnCode)}</td>
+            <td class="num">${row.gstRate}%</td>
+            <td class="num">${formatAmount(row.taxableValue)}</td>
+            <td class="num">${formatAmount(row.cgst)}</td>
+            <td class="num">${formatAmount(row.sgst)}</td>
+            <td class="num">${formatAmount(row.igst)}</td>
+            <td class="num">${formatAmount(row.taxAmount)}</td>
+          </tr>`).join('');
+
+  const pricingRows = getPricingRows(invoice).map(([label, value]) => `
+          <tr><td>${label}</td><td class="num">${formatAmount(value)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 32px; font-size: 13px; }
+    header { display: flex; justify-content: space-between; align-items: center; border-bottom: 4px solid ${BRAND_COLOR}; padding-bottom: 12px; }
+    header h1 { color: ${BRAND_COLOR}; margin: 0; }
+    .meta { text-align: right; }
+    .parties { display: flex; gap: 24px; margin: 20px 0; flex-wrap: wrap; }
+    .party { flex: 1; min-width: 220px; }
+    .party h3 { margin: 0 0 6px; font-size: 12px; text-transform: uppercase; color: #666; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+    th { background: #f5f5f5; font-size: 12px; }
+    .num { text-align: right; }
+    .muted { color: #777; font-size: 11px; }
+    .totals { width: 320px; margin-left: auto; }
+    .totals tr.grand td { font-weight: bold; font-size: 15px; border-top: 2px solid #222; }
+    footer { color: #777; font-size: 11px; margin-top: 24px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(BRAND_NAME)}</h1>
+    <div class="meta">
+      <strong>Tax Invoice ${escapeHtml(invoice.invoiceNumber)}</strong><br>
+      Order ${escapeHtml(invoice.orderNumber)} &middot; ${formatDate(invoice.invoiceDate)}<br>
+      Status: ${escapeHtml(invoice.status)}
+    </div>
+  </header>
+
+  <section class="parties">
+        <div class="party">
+          <h3>Billed to</h3>
+          <strong>${escapeHtml(invoice.customer.name)}</strong><br>
+          ${escapeHtml(formatAddress(invoice.customer.address))}<br>
+          ${escapeHtml(invoice.customer.contactNumber)} &middot; ${escapeHtml(invoice.customer.email)}<br>
+          Place of supply: ${escapeHtml(invoice.taxBreakup.placeOfSupply || 'N/A')}
+        </div>${vendors}
+  </section>
+
+  <table>
+    <thead>
+      <tr><th>#</th><th>Item</th><th>HSN</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Taxable</th><th class="num">GST</th><th class="num">Tax</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${items}
+    </tbody>
+  </table>
+
+  <table>
+    <thead>
+      <tr><th>HSN</th><th class="num">GST rate</th><th class="num">Taxable value</th><th class="num">CGST</th><th class="num">SGST</th><th class="num">IGST</th><th class="num">Total tax</th></tr>
+    </thead>
+    <tbody>${hsnRows}
+    </tbody>
+  </table>
+
+  <table class="totals">
+    <tbody>${pricingRows}
+      <tr class="grand"><td>Total</td><td class="num">&#8377; ${formatAmount(invoice.pricing.total)}</td></tr>
+    </tbody>
+  </table>
+
+  <p>
+    Payment: ${escapeHtml(invoice.payment.method)} (${escapeHtml(invoice.payment.status)})
+    ${invoice.payment.walletRedeemed ? `<br>Paid from wallet: &#8377; ${formatAmount(invoice.payment.walletRedeemed)}` : ''}
+    ${invoice.rider ? `<br>Delivered by: ${escapeHtml(invoice.rider.name)} (${escapeHtml(invoice.rider.mobileNumber)})` : ''}
+    ${invoice.deliveryDate ? `<br>Delivery date: ${formatDate(invoice.deliveryDate)}` : ''}
+  </p>
+
+  <footer>This is a computer generated invoice and does not require a signature.</footer>
+</body>
+</html>
+`;
+};
+
+/**
+ * PDF invoice rendered in-process with the built-in PDF fonts
+ * Resolves with the PDF as a Buffer.
+ */
+exports.renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+  };
+
+  // Draw one table row; `columns` are [text, width, align]
+  const drawRow = (columns, { bold = false } = {}) => {
+    ensureSpace(18);
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5);
+    const heights = columns.map(([text, columnWidth]) => doc.heightOfString(String(text), { width: columnWidth - 6 }));
+    columns.forEach(([text, columnWidth, align = 'left']) => {
+      doc.text(String(text), x + 3, y + 3, { width: columnWidth - 6, align });
+      x += columnWidth;
+    });
+    const rowHeight = Math.max(...heights) + 6;
+    doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).strokeColor('#dddddd').stroke();
+    doc.y = y + rowHeight;
+  };
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 70).fill(BRAND_COLOR);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22).text(BRAND_NAME, left, 24);
+  doc.fontSize(11).text(`Tax Invoice ${invoice.invoiceNumber}`, left, 22, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Order ${invoice.orderNumber} | ${formatDate(invoice.invoiceDate)}`, left, 38, { width, align: 'right' });
+  doc.fillColor('#222222');
+  doc.y = 90;
+
+  // Parties
+  const partyTop = doc.y;
+  const partyWidth = width / 2 - 10;
+  doc.font('Helvetica-Bold').fontSize(9).text('BILLED TO', left, partyTop);
+  doc.font('Helvetica').fontSize(9)
+    .text(invoice.customer.name, { width: partyWidth })
+    .text(formatAddress(invoice.customer.address), { width: partyWidth })
+    .text(`${invoice.customer.contactNumber} | ${invoice.customer.email}`, { width: partyWidth })
+    .text(`Place of supply: ${invoice.taxBreakup.placeOfSupply || 'N/A'}`, { width: partyWidth });
+  const customerBottom = doc.y;
+
+  doc.y = partyTop;
+  invoice.vendors.forEach((vendor) => {
+    doc.font('Helvetica-Bold').fontSize(9).text('SOLD BY', left + width / 2 + 10, doc.y);
+    doc.font('Helvetica').fontSize(9)
+      .text(vendor.storeName, { width: partyWidth })
+      .text(formatAddress(vendor.address), { width: partyWidth })
+      .text(`${vendor.contactNumber} | ${vendor.email}`, { width: partyWidth });
+    if (vendor.gstNumber) {
+      doc.text(`GSTIN: ${vendor.gstNumber}`, { width: partyWidth });
+    }
+    doc.moveDown(0.5);
+  });
+  doc.x = left;
+  doc.y = Math.max(doc.y, customerBottom) + 15;
+
+  // Line items
+  const itemColumns = [20, 165, 55, 30, 50, 55, 35, 45, 60].map(column => (column / 515) * width);
+  drawRow([
+    ['#', itemColumns[0]], ['Item', itemColumns[1]], ['HSN', itemColumns[2]], ['Qty', itemColumns[3], 'right'],
+    ['Rate', itemColumns[4], 'right'], ['Taxable', itemColumns[5], 'right'], ['GST', itemColumns[6], 'right'],
+    ['Tax', itemColumns[7], 'right'], ['Amount', itemColumns[8], 'right'],
+  ], { bold: true });
+  invoice.items.forEach((item, index) => {
+    drawRow([
+      [index + 1, itemColumns[0]],
+      [item.vendor ? `${item.productName} (${item.vendor.storeName})` : item.productName, itemColumns[1]],
+      [item.hsnCode, itemColumns[2]],
+      [item.quantity, itemColumns[3], 'right'],
+      [formatAmount(item.unitPrice), itemColumns[4], 'right'],
+      [formatAmount(item.taxableValue), itemColumns[5], 'right'],
+      [`${item.gstRate}%`, itemColumns[6], 'right'],
+      [formatAmount(item.taxAmount), itemColumns[7], 'right'],
+      [formatAmount(item.totalPrice), itemColumns[8], 'right'],
+    ]);
+  });
+  doc.moveDown(1);
+
+  // HSN-wise tax summary
+  const taxColumns = [95, 60, 80, 70, 70, 70, 70].map(column => (column / 515) * width);
+  drawRow([
+    ['HSN', taxColumns[0]], ['GST rate', taxColumns[1], 'right'], ['Taxable value', taxColumns[2], 'right'],
+    ['CGST', taxColumns[3], 'right'], ['SGST', taxColumns[4], 'right'], ['IGST', taxColumns[5], 'right'],
+    ['Total tax', taxColumns[6], 'right'],
+  ], { bold: true });
+  invoice.taxBreakup.hsnSummary.forEach((row) => {
+    drawRow([
+      [row.hsnCode, taxColumns[0]],
+      [`${row.gstRate}%`, taxColumns[1], 'right'],
+      [formatAmount(row.taxableValue), taxColumns[2], 'right'],
+      [formatAmount(row.cgst), taxColumns[3], 'right'],
+      [formatAmount(row.sgst), taxColumns[4], 'right'],
+      [formatAmount(row.igst), taxColumns[5], 'right'],
+      [formatAmount(row.taxAmount), taxColumns[6], 'right'],
+    ]);
+  });
+  doc.moveDown(1);
+
+  // Totals, right aligned
+  const totalsLeft = left + width - 220;
+  getPricingRows(invoice).forEach(([label, value]) => {
+    ensureSpace(14);
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).text(label, totalsLeft, y, { width: 120 });
+    doc.text(formatAmount(value), totalsLeft + 120, y, { width: 100, align: 'right' });
+  });
+  ensureSpace(20);
+  const totalY = doc.y + 4;
+  doc.font('Helvetica-Bold').fontSize(11).text('Total (Rs.)', totalsLeft, totalY, { width: 120 });
+  doc.text(formatAmount(invoice.pricing.total), totalsLeft + 120, totalY, { width: 100, align: 'right' });
+  doc.moveDown(1.5);
+
+  // Payment and delivery
+  doc.x = left;
+  doc.font('Helvetica').fontSize(9)
+    .text(`Payment: ${invoice.payment.method} (${invoice.payment.status})`, left, doc.y, { width });
+  if (invoice.payment.walletRedeemed) {
+    doc.text(`Paid from wallet: Rs. ${formatAmount(invoice.payment.walletRedeemed)}`, { width });
+  }
+  if (invoice.rider) {
+    doc.text(`Delivered by: ${invoice.rider.name} (${invoice.rider.mobileNumber})`, { width });
+  }
+  if (invoice.deliveryDate) {
+    doc.text(`Delivery date: ${formatDate(invoice.deliveryDate)}`, { width });
+  }
+  doc.moveDown(1);
+  doc.fillColor('#777777').fontSize(8)
+    .text('This is a computer generated invoice and does not require a signature.', { width });
+
+  doc.end();
+});
+
+/**
+ * Render an invoice as a file: { buffer, filename, contentType }
+ */
+exports.renderInvoiceFile = async (invoice, format) => {
+  if (format === 'html') {
+    return {
+      buffer: Buffer.from(exports.renderInvoiceHtml(invoice), 'utf8'),
+      filename: `invoice-${invoice.invoiceNumber}.html`,
+      contentType: 'text/html; charset=utf-8',
+    };
+  }
+
+  return {
+    buffer: await exports.renderInvoicePdf(invoice),
+    filename: `invoice-${invoice.invoiceNumber}.pdf`,
+    contentType: 'application/pdf',
+  };
+};
+
+/**
+ * Order filter for a bulk download; throws when the range holds too many orders
+ */
+exports.getBulkInvoiceFilter = async ({ startDate, endDate, vendorId }) => {
+  const filter = {
+    createdAt: {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate),
+    },
+  };
+  if (vendorId) {
+    filter['items.vendor'] = vendorId;
+  }
+
+  const count = await Order.countDocuments(filter);
+  if (count === 0) {
+    throw new Error('No orders found in this date range');
+  }
+  if (count > MAX_BULK_INVOICES) {
+    throw new Error(`Date range has ${count} orders; narrow it to at most ${MAX_BULK_INVOICES} invoices per download`);
+  }
+
+  return filter;
+};
+
+/**
+ * Stream a zip of invoices for the orders matching `filter` into `output`.
+ * Invoices are rendered one at a time so memory stays flat.
+ */
+exports.writeInvoiceArchive = async (output, filter, { format = 'pdf', vendorId = null } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  const cursor = populateInvoiceOrder(Order.find(filter).sort({ createdAt: 1 })).cursor();
+  let count = 0;
+
+  for (let order = await cursor.next(); order; order = await cursor.next()) {
+    const invoice = await exports.buildInvoice(order, { vendorId });
+    const file = await exports.renderInvoiceFile(invoice, format);
+    archive.append(file.buffer, { name: file.filename });
+    count++;
+  }
+
+  await archive.finalize();
+  await finished;
+
+  return count;
+};
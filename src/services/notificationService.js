@@ -0,0 +1,193 @@
+const Notification = require('../models/Notification');
+const DeviceToken = require('../models/DeviceToken');
+const { sendNotification } = require('../utils/socket');
+const { sendPush } = require('../utils/pushProvider');
+const logger = require('../utils/logger');
+
+const RECIPIENT_TYPES = ['user', 'vendor', 'rider'];
+
+// Who a notification is for, as named by the job; anything else goes to a user
+const getRecipientType = (recipientType) => (RECIPIENT_TYPES.includes(recipientType) ? recipientType : 'user');
+
+const formatNotification = (notification) => ({
+  _id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  data: notification.data,
+  read: !!notification.readAt,
+  readAt: notification.readAt,
+  createdAt: notification.createdAt,
+});
+
+const pushToDevices = async (notification) => {
+  const devices = await DeviceToken.find({
+    owner: notification.recipient,
+    ownerType: notification.recipientType,
+  }).select('token');
+
+  if (devices.length === 0) {
+    await Notification.updateOne({ _id: notification._id }, { $set: { 'push.status': 'no_devices' } });
+    return;
+  }
+
+  try {
+    const result = await sendPush(devices.map(device => device.token), {
+      title: notification.title,
+      body: notification.message,
+      data: {
+        ...notification.data,
+        notificationId: notification._id.toString(),
+        notificationType: notification.type,
+      },
+    });
+
+    if (result.invalidTokens.length > 0) {
+      await DeviceToken.deleteMany({ token: { $in: result.invalidTokens } });
+    }
+
+    await Notification.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          'push.status': result.sent > 0 ? 'sent' : 'failed',
+          'push.provider': result.provider,
+          'push.sentCount': result.sent,
+          'push.sentAt': new Date(),
+        },
+      }
+    );
+  } catch (error) {
+    await Notification.updateOne(
+      { _id: notification._id },
+      { $set: { 'push.status': 'failed', 'push.error': error.message } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Deliver a notification: store it in the recipient's inbox, emit it
+ * on their socket room and push it to their devices. A retried job reuses
+ * the inbox entry and only pushes again if the push has not gone out.
+ */
+exports.deliver = async ({ userId, recipientType, type, title, message, data }, jobId = null) => {
+  if (!userId) {
+    throw new Error('Notification recipient is required');
+  }
+
+  const fields = {
+    recipient: userId,
+    recipientType: getRecipientType(recipientType),
+    type: type || 'general',
+    title,
+    message,
+    data: data || {},
+  };
+
+  const notification = jobId
+    ? await Notification.findOneAndUpdate(
+      { jobId: jobId.toString() },
+      { $setOnInsert: { ...fields, jobId: jobId.toString() } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+    : await Notification.create(fields);
+
+  sendNotification(notification.recipientType, notification.recipient.toString(), formatNotification(notification));
+
+  if (!['sent', 'no_devices'].includes(notification.push?.status)) {
+    await pushToDevices(notification);
+  }
+
+  return notification;
+};
+
+/**
+ * Inbox of a user, vendor or rider, newest first, with the unread count
+ */
+exports.getInbox = async (recipientType, recipientId, { unread } = {}, page = 1, limit = 20) => {
+  const owner = { recipient: recipientId, recipientType };
+  const query = { ...owner };
+  if (unread) {
+    query.readAt = null;
+  }
+
+  const skip = (page - 1) * limit;
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ ...owner, readAt: null }),
+  ]);
+
+  return {
+    data: notifications.map(formatNotification),
+    unreadCount,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+exports.getUnreadCount = (recipientType, recipientId) => Notification.countDocuments({
+  recipient: recipientId,
+  recipientType,
+  readAt: null,
+});
+
+exports.markRead = async (recipientType, recipientId, notificationId) => {
+  const notification = await Notification.findOne({ _id: notificationId, recipient: recipientId, recipientType });
+  if (!notification) {
+    throw new Error('Notification not found');
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return formatNotification(notification);
+};
+
+/**
+ * Mark every unread notification read. Returns how many changed.
+ */
+exports.markAllRead = async (recipientType, recipientId) => {
+  const result = await Notification.updateMany(
+    { recipient: recipientId, recipientType, readAt: null },
+    { $set: { readAt: new Date(), updatedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Register the push token of an app install for the logged-in account.
+ * A token registered before by another account moves to this one.
+ */
+exports.registerDevice = async (ownerType, ownerId, { token, platform }) => {
+  const device = await DeviceToken.findOneAndUpdate(
+    { token },
+    {
+      $set: {
+        owner: ownerId,
+        ownerType,
+        platform,
+        lastSeenAt: new Date(),
+        updatedAt: new Date(),
+      },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  logger.info(`Device registered for ${ownerType} ${ownerId} (${platform})`);
+  return device;
+};
+
+exports.unregisterDevice = async (ownerType, ownerId, token) => {
+  const result = await DeviceToken.deleteOne({ token, owner: ownerId, ownerType });
+  if (result.deletedCount === 0) {
+    throw new Error('Device not found');
+  }
+};
@@ -0,0 +1,298 @@
+const Order = require('../models/Order');
+
+const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'processing',
+  'ready',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'refunded',
+];
+
+const ACTORS = ['user', 'vendor', 'rider', 'admin', 'system'];
+
+/**
+ * Allowed status moves per actor: TRANSITIONS[actor][from] => [to, ...]
+ * Anything not listed here is rejected. `refunded` is only reached through
+ * the return/refund workflow (system). A shipment is only `delivered` by its
+ * rider with proof of delivery, or by an admin through OVERRIDES.
+ */
+const TRANSITIONS = {
+  user: {
+    pending: ['cancelled'],
+    confirmed: ['cancelled'],
+    processing: ['cancelled'],
+  },
+  vendor: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'ready', 'out_for_delivery', 'cancelled'],
+    processing: ['ready', 'out_for_delivery', 'cancelled'],
+    ready: ['processing', 'out_for_delivery', 'cancelled'],
+  },
+  rider: {
+    ready: ['out_for_delivery'],
+    out_for_delivery: ['delivered'],
+  },
+  admin: {
+    pending: ['confirmed', 'processing', 'cancelled'],
+    confirmed: ['processing', 'ready', 'cancelled'],
+    processing: ['ready', 'cancelled'],
+    ready: ['processing', 'out_for_delivery', 'cancelled'],
+    out_for_delivery: ['ready', 'cancelled'],
+  },
+  system: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['ready', 'cancelled'],
+    ready: ['out_for_delivery', 'cancelled'],
+    out_for_delivery: ['ready', 'delivered'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+  },
+};
+
+// Moves outside the normal rules, only made with `override: true` and a reason
+const OVERRIDES = {
+  admin: {
+    out_for_delivery: ['delivered'],
+  },
+};
+
+// Happy-path steps shown on the customer tracking timeline
+const TRACKING_STEPS = [
+  { status: 'pending', label: 'Order placed' },
+  { status: 'confirmed', label: 'Order confirmed' },
+  { status: 'processing', label: 'Being packed' },
+  { status: 'ready', label: 'Ready for pickup' },
+  { status: 'out_for_delivery', label: 'Out for delivery' },
+  { status: 'delivered', label: 'Delivered' },
+];
+
+const STATUS_LABELS = {
+  ...Object.fromEntries(TRACKING_STEPS.map(step => [step.status, step.label])),
+  cancelled: 'Cancelled',
+  refunded: 'Refunded',
+};
+
+const getAllowedTransitions = (actor, fromStatus) => (TRANSITIONS[actor] && TRANSITIONS[actor][fromStatus]) || [];
+
+const canTransition = (actor, fromStatus, toStatus) => getAllowedTransitions(actor, fromStatus).includes(toStatus);
+
+/**
+ * Statuses an actor may move an order out of to reach `toStatus`.
+ * Used as the status filter for atomic findOneAndUpdate transitions.
+ */
+const getSourceStatuses = (actor, toStatus) => Object.keys(TRANSITIONS[actor] || {})
+  .filter(fromStatus => TRANSITIONS[actor][fromStatus].includes(toStatus));
+
+const assertTransition = (actor, fromStatus, toStatus, { override = false } = {}) => {
+  if (!ACTORS.includes(actor)) {
+    throw new Error(`Unknown status actor: ${actor}`);
+  }
+
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new Error(`Invalid order status: ${toStatus}`);
+  }
+
+  if (override) {
+    const allowed = (OVERRIDES[actor] && OVERRIDES[actor][fromStatus]) || [];
+    if (!allowed.includes(toStatus)) {
+      throw new Error(`Status cannot be overridden from ${fromStatus} to ${toStatus} by ${actor}`);
+    }
+    return;
+  }
+
+  if (!canTransition(actor, fromStatus, toStatus)) {
+    const allowed = getAllowedTransitions(actor, fromStatus);
+    throw new Error(
+      `Invalid status transition from ${fromStatus} to ${toStatus} for ${actor}. `
+      + (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : 'No further changes are allowed')
+    );
+  }
+};
+
+/**
+ * Check an order status derived from its shipments. Shipments move at
+ * different times, so an order may skip ahead to catch up with them: a
+ * forward move is checked one system step at a time. Any other move must be
+ * one the actor who moved the shipment may make on the order itself.
+ */
+const assertDerivedTransition = (actor, fromStatus, toStatus, { override = false } = {}) => {
+  const steps = TRACKING_STEPS.map(step => step.status);
+  const fromIndex = steps.indexOf(fromStatus);
+  const toIndex = steps.indexOf(toStatus);
+
+  if (fromIndex === -1 || toIndex <= fromIndex) {
+    assertTransition(actor, fromStatus, toStatus, { override });
+    return;
+  }
+
+  for (let index = fromIndex; index < toIndex; index++) {
+    assertTransition('system', steps[index], steps[index + 1]);
+  }
+};
+
+const buildHistoryEntry = (fromStatus, toStatus, { actor, actorId, note, override = false } = {}) => ({
+  status: toStatus,
+  fromStatus,
+  actor,
+  actorId,
+  note,
+  override,
+  changedAt: new Date(),
+});
+
+/**
+ * Fields to $set alongside a status change (timestamps, cancellation info)
+ */
+const getStatusSideEffects = (toStatus, { actor, reason } = {}) => {
+  const now = new Date();
+  const fields = {};
+
+  if (toStatus === 'delivered') {
+    fields.deliveredAt = now;
+  } else if (toStatus === 'cancelled') {
+    fields.cancelledAt = now;
+    fields.cancelledBy = actor === 'rider' ? 'system' : actor;
+    if (reason !== undefined) {
+      fields.cancellationReason = reason;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Move an order document to a new status after checking the transition table.
+ * Mutates the document (status, timestamps, statusHistory) - the caller saves it.
+ */
+const transitionOrder = (order, toStatus, { actor, actorId, note, reason } = {}) => {
+  const fromStatus = order.status;
+
+  assertTransition(actor, fromStatus, toStatus);
+
+  order.status = toStatus;
+  Object.assign(order, getStatusSideEffects(toStatus, { actor, reason }));
+
+  if (!order.statusHistory) {
+    order.statusHistory = [];
+  }
+  order.statusHistory.push(buildHistoryEntry(fromStatus, toStatus, { actor, actorId, note: note || reason }));
+
+  return order;
+};
+
+/**
+ * Atomic update document for a transition, for callers that change status
+ * with findOneAndUpdate. Filter on the status the order was read with.
+ */
+const buildTransitionUpdate = (toStatus, { actor, actorId, note, reason, fromStatus, override } = {}) => ({
+  $set: {
+    status: toStatus,
+    ...getStatusSideEffects(toStatus, { actor, reason }),
+    updatedAt: new Date(),
+  },
+  $push: {
+    statusHistory: buildHistoryEntry(fromStatus, toStatus, { actor, actorId, note: note || reason, override }),
+  },
+});
+
+/**
+ * Transition a document of `Model` (Order or Shipment) in the database, guarded
+ * on the status it was read with so two concurrent updates cannot both apply.
+ * `set` carries extra fields to write in the same update; `override` checks
+ * the move against OVERRIDES and flags the history entry.
+ */
+const changeDocumentStatus = async (Model, doc, toStatus, { actor, actorId, note, reason, set = {}, override = false } = {}) => {
+  const fromStatus = doc.status;
+
+  assertTransition(actor, fromStatus, toStatus, { override });
+
+  const update = buildTransitionUpdate(toStatus, { actor, actorId, note, reason, fromStatus, override });
+  Object.assign(update.$set, set);
+
+  const updated = await Model.findOneAndUpdate(
+    { _id: doc._id, status: fromStatus },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    const current = await Model.findById(doc._id).select('status');
+    throw new Error(`${Model.modelName} status was changed by another request. Current status: ${current ? current.status : 'unknown'}`);
+  }
+
+  return updated;
+};
+
+/**
+ * Transition an order in the database. Returns the updated order document.
+ */
+const changeOrderStatus = (order, toStatus, options = {}) => changeDocumentStatus(Order, order, toStatus, options);
+
+/**
+ * Customer-facing tracking timeline built from the status history
+ */
+const buildTrackingTimeline = (order) => {
+  const history = (order.statusHistory || []).map(entry => ({
+    status: entry.status,
+    label: STATUS_LABELS[entry.status] || entry.status,
+    actor: entry.actor,
+    note: entry.note || null,
+    at: entry.changedAt,
+  }));
+
+  // Orders placed before history was recorded only have their creation time
+  if (history.length === 0 || history[0].status !== 'pending') {
+    history.unshift({
+      status: 'pending',
+      label: STATUS_LABELS.pending,
+      actor: 'user',
+      note: null,
+      at: order.createdAt,
+    });
+  }
+
+  const reachedAt = new Map();
+  history.forEach((entry) => {
+    reachedAt.set(entry.status, entry.at);
+  });
+
+  const currentIndex = TRACKING_STEPS.findIndex(step => step.status === order.status);
+
+  const steps = TRACKING_STEPS.map((step, index) => ({
+    status: step.status,
+    label: step.label,
+    completed: currentIndex >= 0 ? index <= currentIndex : reachedAt.has(step.status),
+    current: step.status === order.status,
+    at: reachedAt.get(step.status) || null,
+  }));
+
+  return {
+    currentStatus: order.status,
+    currentLabel: STATUS_LABELS[order.status] || order.status,
+    isTerminal: ['delivered', 'cancelled', 'refunded'].includes(order.status),
+    steps,
+    history,
+  };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ACTORS,
+  TRANSITIONS,
+  OVERRIDES,
+  getAllowedTransitions,
+  canTransition,
+  getSourceStatuses,
+  assertTransition,
+  assertDerivedTransition,
+  buildHistoryEntry,
+  transitionOrder,
+  buildTransitionUpdate,
+  changeDocumentStatus,
+  changeOrderStatus,
+  buildTrackingTimeline,
+};
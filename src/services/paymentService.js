@@ -0,0 +1,437 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { getProvider } = require('../utils/paymentGateway');
+const logger = require('../utils/logger');
+
+// Payment methods that are settled through the online gateway
+const GATEWAY_METHODS = ['prepaid', 'upi', 'card'];
+
+const isGatewayMethod = (method) => GATEWAY_METHODS.includes(method);
+
+const formatIntent = (payment) => ({
+  paymentId: payment._id,
+  provider: payment.provider,
+  intentId: payment.intentId,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  clientPayload: payment.clientPayload,
+});
+
+// Refund a payment captured for an order that was already cancelled
+const refundCancelledPayment = async (order, payment) => {
+  logger.warn(`Payment ${payment.intentId} captured for cancelled order ${order.orderNumber}, refunding it`);
+  try {
+    // Required here: the refund service loads this one
+    const refundService = require('./refundService');
+    await refundService.refundCancelledOrder(order, 'system');
+  } catch (error) {
+    logger.error(`Refunding payment ${payment.intentId} of cancelled order ${order.orderNumber} failed:`, error);
+  }
+};
+
+/**
+ * Apply a verified gateway result to the payment and its order.
+ * Only the first result moves the payment out of `created` (atomically), so
+ * replays and a webhook and client callback for the same intent are ignored.
+ * A capture for an order that was cancelled in the meantime is refunded.
+ */
+const applyPaymentResult = async (intent, result, source, payload) => {
+  const now = new Date();
+
+  const set = {
+    status: result.status,
+    transactionId: result.transactionId,
+    updatedAt: now,
+  };
+  const update = {
+    $set: set,
+    $push: {
+      events: {
+        source,
+        status: result.status,
+        transactionId: result.transactionId,
+        payload,
+        receivedAt: now,
+      },
+    },
+  };
+  if (result.status === 'completed') {
+    set.paidAt = now;
+    update.$unset = { failureReason: 1 };
+  } else {
+    set.failureReason = result.failureReason || 'Payment failed';
+  }
+
+  const payment = await Payment.findOneAndUpdate({ _id: intent._id, status: 'created' }, update, { new: true });
+
+  if (!payment) {
+    const current = await Payment.findById(intent._id);
+    if (current && current.status !== result.status) {
+      logger.warn(`Conflicting ${source} for payment ${intent.intentId}: already ${current.status}, received ${result.status}`);
+    }
+    const order = await Order.findById(intent.order);
+    return { payment: current || intent, order, duplicate: true };
+  }
+
+  let order;
+  if (result.status === 'completed') {
+    const paid = {
+      $set: {
+        'payment.status': 'completed',
+        'payment.transactionId': result.transactionId,
+        'payment.provider': payment.provider,
+        'payment.intentId': payment.intentId,
+        'payment.paidAt': now,
+        updatedAt: now,
+      },
+      $unset: { 'payment.failureReason': 1 },
+    };
+
+    // Money was captured - always mark an open order paid, even for an older intent
+    order = await Order.findOneAndUpdate(
+      { _id: payment.order, status: { $nin: ['cancelled', 'refunded'] }, 'payment.status': { $ne: 'completed' } },
+      paid,
+      { new: true }
+    );
+
+    if (!order) {
+      // Captured after the order was cancelled: record the capture and give it back
+      const cancelledOrder = await Order.findOneAndUpdate(
+        { _id: payment.order, status: 'cancelled', 'payment.status': { $ne: 'completed' } },
+        paid,
+        { new: true }
+      );
+      if (cancelledOrder) {
+        await refundCancelledPayment(cancelledOrder, payment);
+      }
+    }
+  } else {
+    // Only the latest intent may fail the order - a retried intent supersedes older ones
+    order = await Order.findOneAndUpdate(
+      {
+        _id: payment.order,
+        'payment.intentId': payment.intentId,
+        'payment.status': { $ne: 'completed' },
+      },
+      {
+        $set: {
+          'payment.status': 'failed',
+          'payment.transactionId': result.transactionId,
+          'payment.failureReason': payment.failureReason,
+          updatedAt: now,
+        },
+      },
+      { new: true }
+    );
+  }
+
+  if (!order) {
+    order = await Order.findById(payment.order);
+  }
+
+  logger.info(`Payment ${payment.intentId} marked ${result.status} via ${source}`);
+
+  return { payment, order, duplicate: false };
+};
+
+/**
+ * Create a gateway payment intent for an order.
+ * Returns null for methods that are not settled online (cod, wallet).
+ */
+const createPaymentIntent = async (order) => {
+  if (!isGatewayMethod(order.payment?.method)) {
+    return null;
+  }
+
+  if (order.payment.status === 'completed') {
+    throw new Error('Order has already been paid');
+  }
+
+  const provider = getProvider();
+  const intent = await provider.createIntent({
+    amount: order.payment.amount,
+    currency: 'INR',
+    receipt: order.orderNumber,
+    notes: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+    },
+  });
+
+  const payment = await Payment.create({
+    order: order._id,
+    user: order.user?._id || order.user,
+    provider: provider.name,
+    method: order.payment.method,
+    intentId: intent.intentId,
+    amount: intent.amount,
+    currency: intent.currency,
+    clientPayload: intent.clientPayload,
+  });
+
+  await Order.updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        'payment.status': 'processing',
+        'payment.provider': provider.name,
+        'payment.intentId': intent.intentId,
+        updatedAt: new Date(),
+      },
+      $unset: { 'payment.failureReason': 1 },
+    }
+  );
+
+  order.payment.status = 'processing';
+  order.payment.provider = provider.name;
+  order.payment.intentId = intent.intentId;
+  order.payment.failureReason = undefined;
+
+  return formatIntent(payment);
+};
+
+/**
+ * Create (or return the open) payment intent for a user's order.
+ * Used when the client needs to start or retry an online payment.
+ */
+const createPaymentIntentForUser = async (orderId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new Error('Invalid order ID');
+  }
+
+  const order = await Order.findOne({ _id: orderId, user: userId });
+
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  if (!isGatewayMethod(order.payment.method)) {
+    throw new Error(`Online payment is not available for payment method: ${order.payment.method}`);
+  }
+
+  if (['cancelled', 'refunded'].includes(order.status)) {
+    throw new Error(`Cannot pay for an order with status: ${order.status}`);
+  }
+
+  if (order.payment.status === 'completed') {
+    throw new Error('Order has already been paid');
+  }
+
+  // Reuse the current intent while it is still open
+  if (order.payment.intentId) {
+    const openPayment = await Payment.findOne({
+      intentId: order.payment.intentId,
+      status: 'created',
+    });
+    if (openPayment) {
+      return formatIntent(openPayment);
+    }
+  }
+
+  return createPaymentIntent(order);
+};
+
+/**
+ * Handle a signed server-to-server notification from the gateway
+ */
+const handleWebhook = async (providerName, rawBody, headers, body) => {
+  const provider = getProvider(providerName);
+
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    throw new Error('Invalid payment signature');
+  }
+
+  const result = provider.parseWebhook(body);
+
+  if (!result.intentId) {
+    throw new Error('Payment intent ID is missing from webhook payload');
+  }
+
+  const payment = await Payment.findOne({ intentId: result.intentId, provider: providerName });
+
+  if (!payment) {
+    throw new Error('Payment intent not found');
+  }
+
+  return applyPaymentResult(payment, result, 'webhook', body);
+};
+
+/**
+ * Verify the signed result the client receives from the gateway checkout
+ */
+const verifyPaymentCallback = async (userId, { intentId, transactionId, status, signature }) => {
+  const payment = await Payment.findOne({ intentId, user: userId });
+
+  if (!payment) {
+    throw new Error('Payment intent not found');
+  }
+
+  const provider = getProvider(payment.provider);
+
+  if (!provider.verifyCallback({ intentId, transactionId, status, signature })) {
+    throw new Error('Invalid payment signature');
+  }
+
+  const result = {
+    intentId,
+    transactionId,
+    status: status === 'success' ? 'completed' : 'failed',
+    failureReason: status === 'success' ? undefined : 'Payment failed at gateway',
+  };
+
+  return applyPaymentResult(payment, result, 'callback', { intentId, transactionId, status });
+};
+
+/**
+ * Drive a mock intent to success/failure through the real webhook path
+ */
+const simulateMockPayment = async (userId, intentId, outcome, failureReason) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Mock payments are disabled in production');
+  }
+
+  const payment = await Payment.findOne({ intentId, user: userId, provider: 'mock' });
+
+  if (!payment) {
+    throw new Error('Payment intent not found');
+  }
+
+  const { rawBody, headers, body } = getProvider('mock').simulateWebhook(intentId, outcome, failureReason);
+  return handleWebhook('mock', rawBody, headers, body);
+};
+
+/**
+ * Refund part or all of a captured gateway payment for an order.
+ * Returns null when the order was not settled through the gateway.
+ *
+ * The refund is recorded as pending under `reference` before the gateway is
+ * called, so a failure after the gateway call leaves the pending entry
+ * behind: calling again with the same reference resumes it with the same
+ * idempotency key instead of refunding twice.
+ */
+const refundPayment = async (order, amount, reason, reference) => {
+  if (!isGatewayMethod(order.payment?.method) || !order.payment.intentId) {
+    return null;
+  }
+  if (!reference) {
+    throw new Error('Refund reference is required');
+  }
+
+  const query = {
+    order: order._id,
+    intentId: order.payment.intentId,
+    status: 'completed',
+  };
+
+  let payment = await Payment.findOne(query);
+
+  if (!payment) {
+    return null;
+  }
+
+  let pending = payment.refunds.find(refund => refund.reference === reference);
+
+  if (!pending) {
+    // Reserve the amount, so concurrent refunds cannot exceed the captured balance
+    payment = await Payment.findOneAndUpdate(
+      {
+        ...query,
+        'refunds.reference': { $ne: reference },
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, { $add: ['$amount', 0.01] }] },
+      },
+      {
+        $inc: { refundedAmount: amount },
+        $push: { refunds: { reference, amount, reason, status: 'pending' } },
+      },
+      { new: true }
+    );
+
+    if (!payment) {
+      const current = await Payment.findOne(query);
+      if (!current || !current.refunds.some(refund => refund.reference === reference)) {
+        const refundable = current ? current.amount - (current.refundedAmount || 0) : 0;
+        throw new Error(`Refund amount exceeds captured balance of ${refundable.toFixed(2)}`);
+      }
+      payment = current;
+    }
+
+    pending = payment.refunds.find(refund => refund.reference === reference);
+  }
+
+  if (Math.abs(pending.amount - amount) > 0.01) {
+    throw new Error(`Refund ${reference} was already started for ${pending.amount.toFixed(2)}`);
+  }
+
+  if (pending.status !== 'pending') {
+    return {
+      provider: payment.provider,
+      refundId: pending.refundId,
+      status: pending.status,
+    };
+  }
+
+  const provider = getProvider(payment.provider);
+  const refund = await provider.createRefund({
+    intentId: payment.intentId,
+    transactionId: payment.transactionId,
+    amount: pending.amount,
+    currency: payment.currency,
+    reason,
+    reference,
+  });
+
+  await Payment.updateOne(
+    { _id: payment._id, 'refunds.reference': reference },
+    {
+      $set: {
+        'refunds.$.refundId': refund.refundId,
+        'refunds.$.status': refund.status,
+        'refunds.$.processedAt': new Date(),
+        updatedAt: new Date(),
+      },
+    }
+  );
+
+  logger.info(`Refund ${refund.refundId} of ${pending.amount} issued for payment ${payment.intentId}`);
+
+  return {
+    provider: payment.provider,
+    refundId: refund.refundId,
+    status: refund.status,
+  };
+};
+
+/**
+ * Get payment attempts for a user's order
+ */
+const getOrderPayments = async (orderId, userId) => {
+  const order = await Order.findOne({ _id: orderId, user: userId }).select('_id payment');
+
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  const payments = await Payment.find({ order: order._id })
+    .select('-events.payload')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    payment: order.payment,
+    attempts: payments,
+  };
+};
+
+module.exports = {
+  GATEWAY_METHODS,
+  isGatewayMethod,
+  createPaymentIntent,
+  createPaymentIntentForUser,
+  handleWebhook,
+  verifyPaymentCallback,
+  simulateMockPayment,
+  refundPayment,
+  getOrderPayments,
+};
@@ -0,0 +1,686 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Vendor = require('../models/Vendor');
+const ProductImportJob = require('../models/ProductImportJob');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
+const { addProductImportJob } = require('../utils/queue');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+const MAX_TAGS = 20;
+const MAX_IMAGES = 20;
+const PROGRESS_INTERVAL = 100;
+
+// The export writes these same columns, so a downloaded catalog can be edited and re-imported
+const IMPORT_COLUMNS = [
+  'productName',
+  'productType',
+  'productTypeValue',
+  'productTypeUnit',
+  'category',
+  'subCategory',
+  'description',
+  'skuHsn',
+  'sku',
+  'inventory',
+  'actualPrice',
+  'regularPrice',
+  'salePrice',
+  'cashback',
+  'tags',
+  'isActive',
+  'imageUrls',
+];
+
+const EXPORT_COLUMNS = ['productId', ...IMPORT_COLUMNS, 'discountPercentage', 'approvalStatus', 'updatedAt'];
+
+const ERROR_REPORT_COLUMNS = ['row', 'sku', 'skuHsn', 'productName', 'errors'];
+
+const NUMERIC_COLUMNS = ['productTypeValue', 'inventory', 'actualPrice', 'regularPrice', 'salePrice', 'cashback'];
+
+const REQUIRED_FOR_NEW = [
+  'productName',
+  'productType',
+  'productTypeValue',
+  'productTypeUnit',
+  'category',
+  'subCategory',
+  'actualPrice',
+  'regularPrice',
+  'salePrice',
+];
+
+// Vendors can change these without sending the product back for approval
+const STOCK_PATHS = ['inventory', 'skus', 'isActive', 'updatedBy', 'updatedByModel'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// "Product Name", "product_name" and "productname" all mean productName
+const normalizeHeader = (header) => String(header || '').replace(/[\s_-]/g, '').toLowerCase();
+
+const COLUMN_LOOKUP = IMPORT_COLUMNS.reduce((lookup, column) => {
+  lookup[normalizeHeader(column)] = column;
+  return lookup;
+}, {});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const rowError = (messages) => {
+  const error = new Error(messages.join('; '));
+  error.messages = messages;
+  return error;
+};
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV file: a quoted value is never closed');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const readSheetRows = async (buffer, format) => {
+  if (format === 'csv') {
+    return parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error('Invalid XLSX file');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new Error('The spreadsheet has no worksheets');
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let i = 1; i <= row.cellCount; i++) {
+      values.push(row.getCell(i).text);
+    }
+    rows[rowNumber - 1] = values;
+  });
+
+  return Array.from(rows, (values) => values || []);
+};
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  // Keep spreadsheet apps from running cell text as a formula
+  if (/^[=+@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows of plain objects as a CSV or XLSX file buffer
+ */
+const buildFile = async (columns, rows, format, sheetName) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(column.length + 2, 14) }));
+    rows.forEach(row => sheet.addRow(row));
+    sheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  const lines = [columns.join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(column => toCsvValue(row[column])).join(','));
+  });
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+const splitList = (value, separator) => value.split(separator).map(item => item.trim()).filter(item => item.length > 0);
+
+/**
+ * Read an uploaded CSV/XLSX into `{ row, values }` entries keyed by import column.
+ * Blank cells are left out so they do not overwrite existing product fields.
+ */
+const parseImportFile = async (file) => {
+  if (!file || !file.buffer) {
+    throw new Error('Import file is required');
+  }
+
+  const format = path.extname(file.originalname || '').toLowerCase().replace('.', '');
+  if (!CONTENT_TYPES[format]) {
+    throw new Error('Import file must be a .csv or .xlsx file');
+  }
+
+  const sheetRows = await readSheetRows(file.buffer, format);
+  const headerIndex = sheetRows.findIndex(values => values.some(value => String(value).trim() !== ''));
+  if (headerIndex === -1) {
+    throw new Error('The import file is empty');
+  }
+
+  const columns = sheetRows[headerIndex].map(header => COLUMN_LOOKUP[normalizeHeader(header)] || null);
+  if (!columns.includes('sku') && !columns.includes('skuHsn')) {
+    throw new Error('The import file needs a sku or skuHsn column to match products');
+  }
+
+  const rows = [];
+  for (let i = headerIndex + 1; i < sheetRows.length; i++) {
+    const values = {};
+    columns.forEach((column, index) => {
+      const value = String(sheetRows[i][index] ?? '').trim();
+      if (column && value !== '') {
+        values[column] = value;
+      }
+    });
+    if (Object.keys(values).length > 0) {
+      rows.push({ row: i + 1, values });
+    }
+  }
+
+  if (rows.length === 0) {
+    throw new Error('The import file has no product rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new Error(`An import can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return { format, rows };
+};
+
+const findCategory = async (name, cache) => {
+  const key = name.toLowerCase();
+  if (!cache.has(key)) {
+    cache.set(key, await Category.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') }));
+  }
+  return cache.get(key);
+};
+
+const findSubCategory = async (categoryId, name, cache) => {
+  const key = `${categoryId}:${name.toLowerCase()}`;
+  if (!cache.has(key)) {
+    cache.set(key, await SubCategory.findOne({
+      category: categoryId,
+      name: new RegExp(`^${escapeRegex(name)}$`, 'i'),
+    }));
+  }
+  return cache.get(key);
+};
+
+/**
+ * The vendor's product a row refers to: by sku when the row has one, otherwise by skuHsn
+ */
+const findExistingProduct = async (vendorId, values) => {
+  if (values.sku) {
+    return Product.findOne({ vendor: vendorId, 'skus.sku': values.sku });
+  }
+
+  const products = await Product.find({ vendor: vendorId, skuHsn: values.skuHsn }).limit(2);
+  if (products.length > 1) {
+    throw rowError([`More than one product has skuHsn "${values.skuHsn}"; add a sku to tell them apart`]);
+  }
+  return products[0] || null;
+};
+
+const uploadImageUrls = async (urls) => {
+  const images = [];
+  for (const url of urls) {
+    try {
+      const result = await uploadToCloudinary({ path: url }, 'rush-basket/products/images');
+      images.push({ url: result.url, publicId: result.publicId, mediaType: 'image' });
+    } catch (error) {
+      await deleteImages(images);
+      throw rowError([`Could not fetch image ${url}`]);
+    }
+  }
+  return images;
+};
+
+const deleteImages = async (images = []) => {
+  for (const image of images) {
+    try {
+      await deleteFromCloudinary(image.publicId);
+    } catch (error) {
+      logger.error(`Failed to delete imported product image ${image.publicId}:`, error);
+    }
+  }
+};
+
+/**
+ * Create or update one product from an import row.
+ * Returns 'created', 'updated' or 'unchanged'; throws with `messages` when the row is rejected.
+ */
+const importRow = async (vendor, values, caches) => {
+  if (!values.sku && !values.skuHsn) {
+    throw rowError(['sku or skuHsn is required']);
+  }
+
+  const messages = [];
+  const numbers = {};
+  NUMERIC_COLUMNS.forEach((column) => {
+    if (values[column] !== undefined) {
+      const number = Number(values[column].replace(/,/g, ''));
+      if (Number.isNaN(number) || number < 0) {
+        messages.push(`${column} must be a number greater than or equal to 0`);
+      } else {
+        numbers[column] = number;
+      }
+    }
+  });
+
+  let isActive;
+  if (values.isActive !== undefined) {
+    const flag = values.isActive.toLowerCase();
+    if (['true', 'yes', '1'].includes(flag)) {
+      isActive = true;
+    } else if (['false', 'no', '0'].includes(flag)) {
+      isActive = false;
+    } else {
+      messages.push('isActive must be true or false');
+    }
+  }
+
+  let tags;
+  if (values.tags !== undefined) {
+    tags = splitList(values.tags, ',').map(tag => tag.toLowerCase());
+    if (tags.length > MAX_TAGS) {
+      messages.push(`Maximum ${MAX_TAGS} tags allowed`);
+    }
+  }
+
+  const existing = await findExistingProduct(vendor._id, values);
+  const product = existing || new Product({
+    vendor: vendor._id,
+    createdBy: vendor._id,
+    latitude: vendor.storeAddress?.latitude || undefined,
+    longitude: vendor.storeAddress?.longitude || undefined,
+    approvalStatus: 'pending',
+  });
+
+  let imageUrls = [];
+  if (!existing) {
+    REQUIRED_FOR_NEW.forEach((column) => {
+      if (values[column] === undefined) {
+        messages.push(`${column} is required for new products`);
+      }
+    });
+
+    imageUrls = values.imageUrls ? splitList(values.imageUrls, /[\s,|]+/) : [];
+    if (imageUrls.length === 0) {
+      messages.push('imageUrls needs at least one product image URL for new products');
+    } else if (imageUrls.length > MAX_IMAGES) {
+      messages.push(`A product can have at most ${MAX_IMAGES} images`);
+    } else if (imageUrls.some(url => !/^https?:\/\/\S+$/i.test(url))) {
+      messages.push('imageUrls must be http(s) URLs');
+    }
+  }
+
+  let categoryId = product.category;
+  if (values.category !== undefined) {
+    const category = await findCategory(values.category, caches.categories);
+    if (!category) {
+      messages.push(`Category "${values.category}" not found`);
+    } else if (!category.isActive) {
+      messages.push(`Category "${values.category}" is not active`);
+    } else {
+      categoryId = category._id;
+      if (!product.category || product.category.toString() !== category._id.toString()) {
+        if (values.subCategory === undefined) {
+          messages.push('subCategory is required when the category changes');
+        }
+        product.category = category._id;
+      }
+    }
+  }
+
+  if (values.subCategory !== undefined && categoryId) {
+    const subCategory = await findSubCategory(categoryId, values.subCategory, caches.subCategories);
+    if (!subCategory) {
+      messages.push(`Sub category "${values.subCategory}" not found in the selected category`);
+    } else if (!subCategory.isActive) {
+      messages.push(`Sub category "${values.subCategory}" is not active`);
+    } else {
+      product.subCategory = subCategory._id;
+    }
+  }
+
+  if (values.productName !== undefined) {
+    product.productName = values.productName;
+  }
+  if (values.productType !== undefined || numbers.productTypeValue !== undefined || values.productTypeUnit !== undefined) {
+    product.productType = {
+      type: values.productType !== undefined ? values.productType.toLowerCase() : product.productType?.type,
+      value: numbers.productTypeValue !== undefined ? numbers.productTypeValue : product.productType?.value,
+      unit: values.productTypeUnit !== undefined ? values.productTypeUnit : product.productType?.unit,
+    };
+  }
+  if (values.description !== undefined) {
+    product.description = values.description;
+  }
+  if (values.skuHsn !== undefined) {
+    product.skuHsn = values.skuHsn;
+  }
+  ['actualPrice', 'regularPrice', 'salePrice', 'cashback'].forEach((column) => {
+    if (numbers[column] !== undefined) {
+      product[column] = numbers[column];
+    }
+  });
+  if (tags !== undefined && tags.join(',') !== (product.tags || []).join(',')) {
+    product.tags = tags;
+  }
+  if (isActive !== undefined) {
+    product.isActive = isActive;
+  }
+
+  if (values.sku) {
+    const variant = product.skus.find(item => item.sku === values.sku);
+    if (variant) {
+      if (numbers.inventory !== undefined) {
+        variant.inventory = numbers.inventory;
+      }
+    } else {
+      product.skus.push({ sku: values.sku, inventory: numbers.inventory || 0 });
+    }
+    product.inventory = product.skus.reduce((sum, item) => sum + item.inventory, 0);
+  } else if (numbers.inventory !== undefined) {
+    if (product.skus.length > 0) {
+      messages.push('This product has SKUs; give the sku to update its inventory');
+    } else {
+      product.inventory = numbers.inventory;
+    }
+  }
+
+  const validationError = product.validateSync();
+  if (validationError) {
+    Object.values(validationError.errors).forEach((error) => {
+      if (!messages.includes(error.message)) {
+        messages.push(error.message);
+      }
+    });
+  }
+
+  if (messages.length > 0) {
+    throw rowError(messages);
+  }
+
+  if (existing) {
+    const modified = product.modifiedPaths().filter(modifiedPath => !modifiedPath.includes('.'));
+    if (modified.length === 0) {
+      return 'unchanged';
+    }
+
+    product.updatedBy = vendor._id;
+    product.updatedByModel = 'Vendor';
+    // Same rule as a manual edit: changed listing details go back for approval
+    if (modified.some(modifiedPath => !STOCK_PATHS.includes(modifiedPath))) {
+      product.approvalStatus = 'pending';
+      product.approvedBy = undefined;
+      product.approvedAt = undefined;
+      product.rejectionReason = undefined;
+    }
+
+    await product.save();
+    return 'updated';
+  }
+
+  const images = await uploadImageUrls(imageUrls);
+  product.images = images;
+
+  try {
+    await product.save();
+  } catch (error) {
+    await deleteImages(images);
+    throw rowError([error.message]);
+  }
+
+  return 'created';
+};
+
+/**
+ * Validate the uploaded file and queue it for import. Without Redis the rows
+ * are imported in this process after the response is sent.
+ */
+exports.startImport = async (vendor, file) => {
+  const { format, rows } = await parseImportFile(file);
+
+  const job = await ProductImportJob.create({
+    vendor: vendor._id,
+    fileName: file.originalname,
+    format,
+    totalRows: rows.length,
+  });
+
+  let queued = null;
+  try {
+    queued = await addProductImportJob({ importId: job._id.toString(), rows }, { attempts: 1 });
+  } catch (error) {
+    logger.error(`Failed to queue product import ${job._id}:`, error);
+  }
+
+  if (!queued) {
+    setImmediate(() => {
+      exports.processImport(job._id, rows).catch((error) => {
+        logger.error(`Product import ${job._id} failed:`, error);
+      });
+    });
+  }
+
+  return job;
+};
+
+/**
+ * Import the rows of a queued job one by one, recording progress and rejected rows
+ */
+exports.processImport = async (importId, rows) => {
+  const job = await ProductImportJob.findById(importId);
+  if (!job) {
+    throw new Error('Import not found');
+  }
+  if (job.status !== 'queued') {
+    return job;
+  }
+
+  job.status = 'processing';
+  job.startedAt = new Date();
+  await job.save();
+
+  try {
+    const vendor = await Vendor.findById(job.vendor);
+    if (!vendor) {
+      throw new Error('Vendor not found');
+    }
+
+    const caches = { categories: new Map(), subCategories: new Map() };
+
+    for (const [index, { row, values }] of rows.entries()) {
+      try {
+        const result = await importRow(vendor, values, caches);
+        job[`${result}Count`] += 1;
+      } catch (error) {
+        job.failedCount += 1;
+        job.rowErrors.push({
+          row,
+          sku: values.sku,
+          skuHsn: values.skuHsn,
+          productName: values.productName,
+          messages: error.messages || [error.message],
+        });
+      }
+
+      job.processedRows = index + 1;
+      if (job.processedRows % PROGRESS_INTERVAL === 0) {
+        await job.save();
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.failureReason = error.message;
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+
+  logger.info(`Product import ${job._id} ${job.status}: ${job.createdCount} created, ${job.updatedCount} updated, ${job.unchangedCount} unchanged, ${job.failedCount} failed`);
+
+  return job;
+};
+
+exports.getImports = async (vendorId, page = 1, limit = 10) => {
+  const skip = (page - 1) * limit;
+  const query = { vendor: vendorId };
+
+  const [imports, total] = await Promise.all([
+    ProductImportJob.find(query).select('-rowErrors').sort({ createdAt: -1 }).skip(skip).limit(limit),
+    ProductImportJob.countDocuments(query),
+  ]);
+
+  return {
+    count: imports.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: imports,
+  };
+};
+
+/**
+ * One of the vendor's imports with the first rejected rows; the full list is in the error report
+ */
+exports.getImport = async (vendorId, importId, errorPreview = 50) => {
+  const job = await ProductImportJob.findById(importId).slice('rowErrors', errorPreview);
+  if (!job) {
+    throw new Error('Import not found');
+  }
+  if (job.vendor.toString() !== vendorId.toString()) {
+    throw new Error('Access denied. This import does not belong to your store');
+  }
+  return job;
+};
+
+exports.getErrorReport = async (vendorId, importId, format = 'csv') => {
+  const job = await exports.getImport(vendorId, importId, MAX_IMPORT_ROWS);
+
+  const rows = job.rowErrors.map(error => ({
+    row: error.row,
+    sku: error.sku,
+    skuHsn: error.skuHsn,
+    productName: error.productName,
+    errors: error.messages.join('; '),
+  }));
+
+  return {
+    filename: `product-import-${job._id}-errors.${format}`,
+    contentType: CONTENT_TYPES[format],
+    buffer: await buildFile(ERROR_REPORT_COLUMNS, rows, format, 'Errors'),
+    count: rows.length,
+  };
+};
+
+/**
+ * The vendor's whole catalog in the import layout, one row per SKU
+ */
+exports.exportCatalog = async (vendorId, format = 'csv') => {
+  const products = await Product.find({ vendor: vendorId })
+    .populate('category', 'name')
+    .populate('subCategory', 'name')
+    .sort({ productName: 1 })
+    .lean();
+
+  const rows = [];
+  products.forEach((product) => {
+    const row = {
+      productId: product._id.toString(),
+      productName: product.productName,
+      productType: product.productType?.type,
+      productTypeValue: product.productType?.value,
+      productTypeUnit: product.productType?.unit,
+      category: product.category?.name,
+      subCategory: product.subCategory?.name,
+      description: product.description,
+      skuHsn: product.skuHsn,
+      actualPrice: product.actualPrice,
+      regularPrice: product.regularPrice,
+      salePrice: product.salePrice,
+      cashback: product.cashback,
+      tags: (product.tags || []).join(', '),
+      isActive: product.isActive !== false,
+      imageUrls: (product.images || []).map(image => image.url).join(', '),
+      discountPercentage: product.discountPercentage,
+      approvalStatus: product.approvalStatus,
+      updatedAt: product.updatedAt ? new Date(product.updatedAt).toISOString() : '',
+    };
+
+    if (product.skus && product.skus.length > 0) {
+      product.skus.forEach((item) => {
+        rows.push({ ...row, sku: item.sku, inventory: item.inventory });
+      });
+    } else {
+      rows.push({ ...row, inventory: product.inventory });
+    }
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  return {
+    filename: `product-catalog-${date}.${format}`,
+    contentType: CONTENT_TYPES[format],
+    buffer: await buildFile(EXPORT_COLUMNS, rows, format, 'Catalog'),
+    count: products.length,
+  };
+};
+
+exports.parseImportFile = parseImportFile;
+exports.IMPORT_COLUMNS = IMPORT_COLUMNS;
+exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
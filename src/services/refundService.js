@@ -0,0 +1,631 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const Shipment = require('../models/Shipment');
+const paymentService = require('./paymentService');
+const inventoryService = require('./inventoryService');
+const walletService = require('./walletService');
+const { transitionOrder } = require('./orderStatusService');
+const settlementService = require('./settlementService');
+const { addNotificationJob } = require('../utils/queue');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 7;
+
+// Requests that still hold quantity against an order item
+const OPEN_STATUSES = ['requested', 'approved', 'failed'];
+
+// Order item ids that belong to cancelled shipments - never delivered, so never returnable
+const getCancelledItemIds = async (orderId) => {
+  const cancelled = await Shipment.find({ order: orderId, status: 'cancelled' }).select('items.orderItem');
+  return new Set(cancelled.flatMap(shipment => shipment.items.map(item => item.orderItem.toString())));
+};
+
+/**
+ * Amount the customer has actually paid for the order, besides wallet balance.
+ * COD orders are settled on delivery, gateway and wallet orders on capture
+ * (wallet orders placed before the ledger on delivery).
+ */
+const getPaidAmount = (order) => {
+  if (['completed', 'partially_refunded', 'refunded'].includes(order.payment.status)) {
+    return order.payment.amount;
+  }
+  if (['cod', 'wallet'].includes(order.payment.method) && order.deliveredAt) {
+    return order.payment.amount;
+  }
+  return 0;
+};
+
+/**
+ * What is still refundable on the order, split into the part paid by the
+ * customer and the part paid from the wallet
+ */
+const getRefundableAmounts = (order) => {
+  const refunded = order.refund?.amount || 0;
+  const walletRestored = order.refund?.walletRestored || 0;
+
+  return {
+    paymentRemaining: roundAmount(Math.max(0, getPaidAmount(order) - (refunded - walletRestored))),
+    walletRemaining: roundAmount(Math.max(0, (order.pricing.walletRedeemed || 0) - walletRestored)),
+  };
+};
+
+const isCapturedOnline = (order) => paymentService.isGatewayMethod(order.payment.method)
+  && !!order.payment.intentId
+  && ['completed', 'partially_refunded'].includes(order.payment.status);
+
+/**
+ * Prorate the order-level discount and handling charge across the returned
+ * lines by their share of the order subtotal. Tax comes from the lines' own
+ * GST where the order has it.
+ */
+const calculateRefundAmounts = (order, lines) => {
+  const itemsSubtotal = roundAmount(lines.reduce(
+    (sum, line) => sum + (line.item.totalPrice / line.item.quantity) * line.quantity,
+    0
+  ));
+  const cashback = roundAmount(lines.reduce(
+    (sum, line) => sum + ((line.item.cashback || 0) / line.item.quantity) * line.quantity,
+    0
+  ));
+
+  const share = order.pricing.subtotal > 0 ? itemsSubtotal / order.pricing.subtotal : 0;
+  const discountShare = roundAmount((order.pricing.discount || 0) * share);
+  const hasLineTax = lines.every(line => line.item.taxAmount !== undefined && line.item.taxAmount !== null);
+  const taxShare = hasLineTax
+    ? roundAmount(lines.reduce((sum, line) => sum + (line.item.taxAmount / line.item.quantity) * line.quantity, 0))
+    : roundAmount((order.pricing.tax || 0) * share);
+  const handlingChargeShare = roundAmount((order.pricing.handlingCharge || 0) * share);
+
+  return {
+    itemsSubtotal,
+    discountShare,
+    taxShare,
+    handlingChargeShare,
+    refundAmount: Math.max(0, roundAmount(itemsSubtotal - discountShare + taxShare + handlingChargeShare)),
+    cashback,
+  };
+};
+
+const notifyUser = async (returnRequest, title, message) => {
+  try {
+    await addNotificationJob({
+      userId: returnRequest.user,
+      recipientType: 'user',
+      type: 'order_refund',
+      title,
+      message,
+      data: {
+        orderId: returnRequest.order,
+        orderNumber: returnRequest.orderNumber,
+        returnId: returnRequest._id,
+        returnNumber: returnRequest.returnNumber,
+        status: returnRequest.status,
+        refundAmount: returnRequest.amounts.refundAmount,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to queue refund notification for ${returnRequest.returnNumber}:`, error);
+  }
+};
+
+/**
+ * Pay out an approved return/cancellation and update the order.
+ * A gateway failure leaves the request in `failed` so it can be retried;
+ * each step that paid out is saved first, so a retry does not repeat it.
+ */
+const processRefund = async (returnRequest, { restock = false } = {}) => {
+  const order = await Order.findById(returnRequest.order);
+
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  // A retry after a partial failure keeps the split of the first attempt and
+  // skips the steps that already paid out
+  const previous = returnRequest.refund || {};
+  const resuming = !!(previous.paymentRefundedAt || previous.walletRestoredAt);
+
+  let paymentRefund;
+  let walletRestored;
+  if (resuming) {
+    paymentRefund = previous.paymentAmount || 0;
+    walletRestored = previous.walletAmount || 0;
+  } else {
+    const { paymentRemaining, walletRemaining } = getRefundableAmounts(order);
+    const available = roundAmount(Math.min(returnRequest.amounts.refundAmount, paymentRemaining + walletRemaining));
+    // Money the customer paid goes back first, redeemed wallet balance last
+    paymentRefund = roundAmount(Math.min(available, paymentRemaining));
+    walletRestored = roundAmount(available - paymentRefund);
+  }
+  const refundAmount = roundAmount(paymentRefund + walletRestored);
+  const reason = `${returnRequest.type === 'cancellation' ? 'Cancellation' : 'Return'} ${returnRequest.returnNumber}`;
+
+  let refundResult = previous.paymentRefundedAt
+    ? { method: previous.method, provider: previous.provider, refundId: previous.refundId }
+    : { method: 'none' };
+  const progress = {
+    paymentAmount: paymentRefund,
+    walletAmount: walletRestored,
+    paymentRefundedAt: previous.paymentRefundedAt,
+    walletRestoredAt: previous.walletRestoredAt,
+  };
+
+  const saveProgress = async () => {
+    returnRequest.refund = { ...refundResult, ...progress };
+    await returnRequest.save();
+  };
+
+  try {
+    if (paymentRefund > 0 && !progress.paymentRefundedAt) {
+      if (returnRequest.refundTo === 'original' && isCapturedOnline(order)) {
+        const gatewayRefund = await paymentService.refundPayment(order, paymentRefund, reason, returnRequest.returnNumber);
+        if (gatewayRefund) {
+          refundResult = {
+            method: 'gateway',
+            provider: gatewayRefund.provider,
+            refundId: gatewayRefund.refundId,
+          };
+        }
+      }
+
+      if (refundResult.method === 'none') {
+        await walletService.creditRefund(order.user, paymentRefund, { order, description: `${reason} for order ${order.orderNumber}` });
+        refundResult = { method: 'wallet' };
+      }
+
+      progress.paymentRefundedAt = new Date();
+      await saveProgress();
+    }
+
+    if (walletRestored > 0 && !progress.walletRestoredAt) {
+      await walletService.creditRefund(order.user, walletRestored, {
+        order,
+        description: `Wallet payment returned for ${reason}`,
+        expires: true,
+      });
+      if (refundResult.method === 'none') {
+        refundResult = { method: 'wallet' };
+      }
+
+      progress.walletRestoredAt = new Date();
+      await saveProgress();
+    }
+  } catch (error) {
+    logger.error(`Refund failed for ${returnRequest.returnNumber}:`, error);
+    returnRequest.status = 'failed';
+    returnRequest.refund = {
+      ...refundResult,
+      ...progress,
+      failureReason: (error.message || 'Refund failed').slice(0, 500),
+    };
+    await returnRequest.save();
+    await notifyUser(returnRequest, 'Refund Failed', `We could not process the refund for ${returnRequest.returnNumber}. Our team will review it and retry the refund.`);
+    return returnRequest;
+  }
+
+  const cashbackReversed = await walletService.reverseOrderCashback(order.user, order, returnRequest.amounts.cashbackReversed);
+
+  if (restock && returnRequest.type === 'return') {
+    await inventoryService.releaseInventory(returnRequest.items);
+    returnRequest.restocked = true;
+  }
+
+  const now = new Date();
+  const increments = {
+    'refund.amount': refundAmount,
+    'refund.cashbackReversed': cashbackReversed,
+    'refund.walletRestored': walletRestored,
+  };
+  const arrayFilters = [];
+
+  if (returnRequest.type === 'return') {
+    returnRequest.items.forEach((item, index) => {
+      increments[`items.$[item${index}].returnedQuantity`] = item.quantity;
+      arrayFilters.push({ [`item${index}._id`]: item.orderItem });
+    });
+  }
+
+  const updatedOrder = await Order.findByIdAndUpdate(
+    order._id,
+    {
+      $inc: increments,
+      $set: { 'refund.refundedAt': now, updatedAt: now },
+    },
+    { new: true, arrayFilters }
+  );
+
+  if (updatedOrder.refund.amount > 0) {
+    const restoredTotal = updatedOrder.refund.walletRestored || 0;
+    const fullyRefunded = updatedOrder.refund.amount - restoredTotal >= updatedOrder.payment.amount - 0.01
+      && restoredTotal >= (updatedOrder.pricing.walletRedeemed || 0) - 0.01;
+    updatedOrder.payment.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+  }
+
+  const cancelledItemIds = returnRequest.type === 'return' ? await getCancelledItemIds(order._id) : new Set();
+  const fullyReturned = updatedOrder.items.every(item => cancelledItemIds.has(item._id.toString())
+    || (item.returnedQuantity || 0) >= item.quantity);
+  if (returnRequest.type === 'return' && fullyReturned && updatedOrder.status === 'delivered') {
+    transitionOrder(updatedOrder, 'refunded', {
+      actor: 'system',
+      note: `All items returned (${returnRequest.returnNumber})`,
+    });
+  } else if (updatedOrder.status === 'cancelled' && updatedOrder.payment.status === 'refunded') {
+    transitionOrder(updatedOrder, 'refunded', {
+      actor: 'system',
+      note: `Cancelled order refunded (${returnRequest.returnNumber})`,
+    });
+  }
+
+  await updatedOrder.save();
+
+  returnRequest.status = 'refunded';
+  returnRequest.amounts.refundAmount = refundAmount;
+  returnRequest.amounts.cashbackReversed = cashbackReversed;
+  returnRequest.refund = {
+    ...refundResult,
+    ...progress,
+    processedAt: now,
+  };
+  await returnRequest.save();
+
+  logger.info(`Refund ${returnRequest.returnNumber} processed: ${refundAmount} via ${refundResult.method}, cashback reversed ${cashbackReversed}`);
+
+  if (returnRequest.type === 'return') {
+    try {
+      await settlementService.recordRefundDeduction(returnRequest);
+    } catch (error) {
+      logger.error(`Recording refund deduction for ${returnRequest.returnNumber} failed:`, error);
+    }
+  }
+
+  if (refundAmount > 0) {
+    let destination = 'your wallet';
+    if (refundResult.method === 'gateway') {
+      destination = walletRestored > 0 ? 'your original payment method and wallet' : 'your original payment method';
+    }
+    await notifyUser(returnRequest, 'Refund Processed', `₹${refundAmount} for order ${returnRequest.orderNumber} has been refunded to ${destination}.`);
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Create return requests for items of a delivered order.
+ * Items are grouped per vendor so each store reviews its own lines.
+ */
+exports.createReturnRequest = async (userId, orderId, { items, refundTo = 'original' }) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new Error('Invalid order ID');
+  }
+
+  const order = await Order.findOne({ _id: orderId, user: userId });
+
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  if (order.status !== 'delivered') {
+    throw new Error(`Returns are only allowed for delivered orders. Current status: ${order.status}`);
+  }
+
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  const windowEndsAt = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (new Date() > windowEndsAt) {
+    throw new Error(`Return window of ${RETURN_WINDOW_DAYS} days has expired for this order`);
+  }
+
+  const requestedIds = items.map(item => item.itemId.toString());
+  if (new Set(requestedIds).size !== requestedIds.length) {
+    throw new Error('Each order item can only be listed once per return request');
+  }
+
+  // Quantity already held by open requests for this order
+  const openRequests = await ReturnRequest.find({
+    order: order._id,
+    type: 'return',
+    status: { $in: OPEN_STATUSES },
+  }).select('items.orderItem items.quantity');
+
+  const pendingQuantity = new Map();
+  openRequests.forEach((request) => {
+    request.items.forEach((item) => {
+      const key = item.orderItem.toString();
+      pendingQuantity.set(key, (pendingQuantity.get(key) || 0) + item.quantity);
+    });
+  });
+
+  const cancelledItemIds = await getCancelledItemIds(order._id);
+  const linesByVendor = new Map();
+
+  for (const requested of items) {
+    const item = order.items.id(requested.itemId);
+    if (!item) {
+      throw new Error(`Order item ${requested.itemId} not found`);
+    }
+
+    if (cancelledItemIds.has(item._id.toString())) {
+      throw new Error(`${item.productName} was cancelled before delivery and cannot be returned`);
+    }
+
+    const available = item.quantity - (item.returnedQuantity || 0) - (pendingQuantity.get(item._id.toString()) || 0);
+    if (requested.quantity > available) {
+      throw new Error(`Only ${Math.max(0, available)} unit(s) of ${item.productName} can be returned`);
+    }
+
+    const vendorKey = getId(item.vendor);
+    if (!linesByVendor.has(vendorKey)) {
+      linesByVendor.set(vendorKey, []);
+    }
+    linesByVendor.get(vendorKey).push({ item, ...requested });
+  }
+
+  const returnRequests = [];
+
+  for (const [vendorId, lines] of linesByVendor) {
+    const amounts = calculateRefundAmounts(order, lines);
+
+    const returnRequest = await ReturnRequest.create({
+      returnNumber: await ReturnRequest.generateReturnNumber(),
+      order: order._id,
+      orderNumber: order.orderNumber,
+      user: userId,
+      vendor: vendorId,
+      type: 'return',
+      items: lines.map(line => ({
+        orderItem: line.item._id,
+        product: line.item.product,
+        productName: line.item.productName,
+        sku: line.item.sku,
+        quantity: line.quantity,
+        unitPrice: roundAmount(line.item.totalPrice / line.item.quantity),
+        totalPrice: roundAmount((line.item.totalPrice / line.item.quantity) * line.quantity),
+        cashback: roundAmount(((line.item.cashback || 0) / line.item.quantity) * line.quantity),
+        reason: line.reason,
+        description: line.description,
+      })),
+      refundTo,
+      amounts: {
+        itemsSubtotal: amounts.itemsSubtotal,
+        discountShare: amounts.discountShare,
+        taxShare: amounts.taxShare,
+        handlingChargeShare: amounts.handlingChargeShare,
+        refundAmount: amounts.refundAmount,
+        cashbackReversed: amounts.cashback,
+      },
+    });
+
+    returnRequests.push(returnRequest);
+  }
+
+  return returnRequests;
+};
+
+/**
+ * Approve or reject a return request (vendor for own items, admin for any).
+ * Approval immediately processes the refund; a failed refund can be approved again.
+ */
+exports.reviewReturnRequest = async (returnId, reviewer, { action, note, rejectionReason, restock = false }) => {
+  if (!mongoose.Types.ObjectId.isValid(returnId)) {
+    throw new Error('Invalid return request ID');
+  }
+
+  const query = { _id: returnId };
+  if (reviewer.type === 'vendor') {
+    query.vendor = reviewer.id;
+  }
+
+  const existing = await ReturnRequest.findOne(query);
+
+  if (!existing) {
+    throw new Error('Return request not found');
+  }
+
+  const reviewableStatuses = action === 'approve' ? ['requested', 'failed'] : ['requested'];
+  if (!reviewableStatuses.includes(existing.status)) {
+    throw new Error(`Return request cannot be reviewed in status: ${existing.status}`);
+  }
+
+  // Claim the request atomically so two reviewers cannot refund it twice
+  const returnRequest = await ReturnRequest.findOneAndUpdate(
+    { _id: existing._id, status: { $in: reviewableStatuses } },
+    {
+      $set: {
+        status: action === 'approve' ? 'approved' : 'rejected',
+        reviewedBy: reviewer.id,
+        reviewedByModel: reviewer.type === 'admin' ? 'Admin' : 'Vendor',
+        reviewedAt: new Date(),
+        reviewNote: note,
+        rejectionReason: action === 'reject' ? rejectionReason : undefined,
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!returnRequest) {
+    throw new Error('Return request has already been reviewed');
+  }
+
+  if (action === 'reject') {
+    await notifyUser(returnRequest, 'Return Rejected', `Your return ${returnRequest.returnNumber} for order ${returnRequest.orderNumber} was rejected${rejectionReason ? `: ${rejectionReason}` : ''}.`);
+    return returnRequest;
+  }
+
+  return processRefund(returnRequest, { restock });
+};
+
+/**
+ * Refund whatever has been paid for a cancelled order and reverse its cashback.
+ * Also settles `payment.status` for the cancellation.
+ */
+exports.refundCancelledOrder = async (order, cancelledBy = 'user') => {
+  const paidAmount = getPaidAmount(order);
+  const { paymentRemaining, walletRemaining } = getRefundableAmounts(order);
+  const remainingAmount = roundAmount(paymentRemaining + walletRemaining);
+  // Nothing was collected unless the order was paid, online or from the wallet
+  const uncollected = paidAmount === 0 && order.payment.method !== 'wallet';
+  const remainingCashback = roundAmount(Math.max(
+    0,
+    (order.pricing.totalCashback || 0) - (order.refund?.cashbackReversed || 0)
+  ));
+
+  if (remainingAmount <= 0 && remainingCashback <= 0) {
+    if (uncollected) {
+      await Order.updateOne({ _id: order._id }, { $set: { 'payment.status': 'failed', updatedAt: new Date() } });
+    }
+    return null;
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    returnNumber: await ReturnRequest.generateReturnNumber(),
+    order: order._id,
+    orderNumber: order.orderNumber,
+    user: order.user?._id || order.user,
+    type: 'cancellation',
+    items: order.items
+      .filter(item => item.quantity - (item.returnedQuantity || 0) > 0)
+      .map(item => ({
+        orderItem: item._id,
+        product: item.product?._id || item.product,
+        productName: item.productName,
+        sku: item.sku,
+        quantity: item.quantity - (item.returnedQuantity || 0),
+        unitPrice: roundAmount(item.totalPrice / item.quantity),
+        totalPrice: item.totalPrice,
+        cashback: item.cashback || 0,
+        reason: 'not_needed',
+      })),
+    refundTo: 'original',
+    status: 'approved',
+    reviewNote: `Order cancelled by ${cancelledBy}`,
+    reviewedAt: new Date(),
+    amounts: {
+      itemsSubtotal: order.pricing.subtotal,
+      discountShare: order.pricing.discount || 0,
+      taxShare: order.pricing.tax || 0,
+      handlingChargeShare: order.pricing.handlingCharge || 0,
+      refundAmount: remainingAmount,
+      cashbackReversed: remainingCashback,
+    },
+  });
+
+  const processed = await processRefund(returnRequest);
+
+  if (processed.status === 'refunded' && uncollected) {
+    await Order.updateOne({ _id: order._id }, { $set: { 'payment.status': 'failed', updatedAt: new Date() } });
+  }
+
+  return processed;
+};
+
+/**
+ * Refund a single vendor's cancelled shipment while the rest of the order
+ * carries on. Capped at what is still refundable on the order.
+ */
+exports.refundCancelledShipment = async (order, shipment, cancelledBy = 'vendor') => {
+  const { paymentRemaining, walletRemaining } = getRefundableAmounts(order);
+  const refundAmount = roundAmount(Math.min(shipment.pricing.total || 0, paymentRemaining + walletRemaining));
+  const cashback = roundAmount(Math.min(
+    shipment.pricing.totalCashback || 0,
+    Math.max(0, (order.pricing.totalCashback || 0) - (order.refund?.cashbackReversed || 0))
+  ));
+
+  if (refundAmount <= 0 && cashback <= 0) {
+    return null;
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    returnNumber: await ReturnRequest.generateReturnNumber(),
+    order: order._id,
+    orderNumber: order.orderNumber,
+    user: order.user?._id || order.user,
+    vendor: shipment.vendor?._id || shipment.vendor,
+    type: 'cancellation',
+    items: shipment.items.map(item => ({
+      orderItem: item.orderItem,
+      product: item.product,
+      productName: item.productName,
+      sku: item.sku,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice,
+      cashback: item.cashback || 0,
+      reason: 'not_needed',
+    })),
+    refundTo: 'original',
+    status: 'approved',
+    reviewNote: `Shipment ${shipment.shipmentNumber} cancelled by ${cancelledBy}`,
+    reviewedAt: new Date(),
+    amounts: {
+      itemsSubtotal: shipment.pricing.subtotal,
+      discountShare: shipment.pricing.discount || 0,
+      taxShare: shipment.pricing.tax || 0,
+      handlingChargeShare: shipment.pricing.handlingCharge || 0,
+      refundAmount,
+      cashbackReversed: cashback,
+    },
+  });
+
+  return processRefund(returnRequest);
+};
+
+/**
+ * List return requests with pagination
+ */
+exports.getReturnRequests = async (filters = {}, page = 1, limit = 10) => {
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (filters.user) {
+    query.user = filters.user;
+  }
+  if (filters.vendor) {
+    query.vendor = filters.vendor;
+  }
+  if (filters.order) {
+    query.order = filters.order;
+  }
+  if (filters.status) {
+    query.status = filters.status;
+  }
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  const [returnRequests, total] = await Promise.all([
+    ReturnRequest.find(query)
+      .populate('user', 'userName contactNumber email')
+      .populate('vendor', 'storeName storeId')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ReturnRequest.countDocuments(query),
+  ]);
+
+  return {
+    data: returnRequests,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Returns and cancellation refunds recorded against an order
+ */
+exports.getOrderReturns = async (orderId) => {
+  return ReturnRequest.find({ order: orderId })
+    .select('-user')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+exports.RETURN_WINDOW_DAYS = RETURN_WINDOW_DAYS;
+exports.calculateRefundAmounts = calculateRefundAmounts;
@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const shipmentService = require('./shipmentService');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
+const { addNotificationJob } = require('../utils/queue');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+const MAX_REVIEW_IMAGES = 5;
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 },
+};
+
+const uploadReviewImages = async (files = []) => {
+  const images = [];
+  for (const file of files) {
+    images.push(await uploadToCloudinary(file, 'rush-basket/reviews'));
+  }
+  return images;
+};
+
+const deleteReviewImages = async (images = []) => {
+  for (const image of images) {
+    try {
+      await deleteFromCloudinary(image.publicId);
+    } catch (error) {
+      logger.error(`Failed to delete review image ${image.publicId}:`, error);
+    }
+  }
+};
+
+/**
+ * Recompute a product's average rating and count from its published reviews
+ */
+const refreshProductRating = async (productId) => {
+  const [result] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(getId(productId)), status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  const averageRating = result ? Math.round(result.average * 10) / 10 : 0;
+  const ratingCount = result ? result.count : 0;
+
+  await Product.updateOne({ _id: productId }, { $set: { averageRating, ratingCount } });
+
+  return { averageRating, ratingCount };
+};
+
+/**
+ * Whether the vendor's part of the order has reached the customer. Always
+ * the item's own shipment: a delivered order can still hold a cancelled one.
+ */
+const isItemDelivered = async (order, item) => {
+  const shipment = await shipmentService.getVendorShipment(order, getId(item.vendor));
+  return !!shipment && shipment.status === 'delivered';
+};
+
+const paginate = async (query, { sort = { createdAt: -1 }, populate = [], page = 1, limit = 10 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  let finder = Review.find(query).sort(sort).skip(skip).limit(limit);
+  populate.forEach((args) => {
+    finder = finder.populate(...args);
+  });
+
+  const [reviews, total] = await Promise.all([finder, Review.countDocuments(query)]);
+
+  return {
+    count: reviews.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    data: reviews,
+  };
+};
+
+/**
+ * Star breakdown and average of a product's published reviews
+ */
+exports.getRatingSummary = async (productId) => {
+  const rows = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(getId(productId)), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  rows.forEach((row) => {
+    distribution[row._id] = row.count;
+  });
+
+  const count = rows.reduce((sum, row) => sum + row.count, 0);
+  const total = rows.reduce((sum, row) => sum + row._id * row.count, 0);
+
+  return {
+    averageRating: count > 0 ? Math.round((total / count) * 10) / 10 : 0,
+    ratingCount: count,
+    distribution,
+  };
+};
+
+/**
+ * Delivered order items of the user that have not been reviewed yet
+ */
+exports.getReviewableItems = async (userId) => {
+  const orders = await Order.find({
+    user: userId,
+    status: { $nin: ['pending', 'cancelled'] },
+  })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .populate('items.product', 'productName thumbnail');
+
+  if (orders.length === 0) {
+    return [];
+  }
+
+  const reviewed = await Review.find({ order: { $in: orders.map(order => order._id) } }).select('orderItem');
+  const reviewedItemIds = new Set(reviewed.map(review => review.orderItem.toString()));
+
+  const reviewable = [];
+  for (const order of orders) {
+    for (const item of order.items) {
+      if (!item.product || reviewedItemIds.has(item._id.toString())) {
+        continue;
+      }
+      if (await isItemDelivered(order, item)) {
+        reviewable.push({
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          orderItemId: item._id,
+          product: item.product,
+          productName: item.productName,
+          deliveredAt: order.deliveredAt,
+        });
+      }
+    }
+  }
+
+  return reviewable;
+};
+
+/**
+ * Review a delivered order item. Only the customer who bought it can, once.
+ */
+exports.createReview = async (userId, { orderId, orderItemId, rating, title, comment }, files = []) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new Error('Invalid order ID');
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  if (order.user.toString() !== userId.toString()) {
+    throw new Error('Unauthorized: Order does not belong to this user');
+  }
+
+  const item = order.items.id(orderItemId);
+  if (!item) {
+    throw new Error('Order item not found');
+  }
+  if (!(await isItemDelivered(order, item))) {
+    throw new Error('Only delivered items can be reviewed');
+  }
+
+  const existing = await Review.findOne({ order: order._id, orderItem: item._id });
+  if (existing) {
+    throw new Error('This item has already been reviewed');
+  }
+
+  if (files.length > MAX_REVIEW_IMAGES) {
+    throw new Error(`A review can have at most ${MAX_REVIEW_IMAGES} photos`);
+  }
+
+  const images = await uploadReviewImages(files);
+
+  let review;
+  try {
+    review = await Review.create({
+      product: item.product,
+      vendor: item.vendor,
+      user: userId,
+      order: order._id,
+      orderItem: item._id,
+      rating,
+      title,
+      comment,
+      images,
+    });
+  } catch (error) {
+    await deleteReviewImages(images);
+    if (error.code === 11000) {
+      throw new Error('This item has already been reviewed');
+    }
+    throw error;
+  }
+
+  await refreshProductRating(review.product);
+
+  return review;
+};
+
+/**
+ * Edit the user's own review. New photos are added to the existing ones.
+ */
+exports.updateReview = async (userId, reviewId, { rating, title, comment, removeImages = [] }, files = []) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new Error('Review not found');
+  }
+  if (review.user.toString() !== userId.toString()) {
+    throw new Error('Unauthorized: Review does not belong to this user');
+  }
+
+  const removed = review.images.filter(image => removeImages.includes(image.publicId));
+  const kept = review.images.filter(image => !removeImages.includes(image.publicId));
+  if (kept.length + files.length > MAX_REVIEW_IMAGES) {
+    throw new Error(`A review can have at most ${MAX_REVIEW_IMAGES} photos`);
+  }
+
+  const added = await uploadReviewImages(files);
+
+  if (rating !== undefined) {
+    review.rating = rating;
+  }
+  if (title !== undefined) {
+    review.title = title;
+  }
+  if (comment !== undefined) {
+    review.comment = comment;
+  }
+  review.images = [...kept, ...added];
+
+  try {
+    await review.save();
+  } catch (error) {
+    await deleteReviewImages(added);
+    throw error;
+  }
+
+  await deleteReviewImages(removed);
+  await refreshProductRating(review.product);
+
+  return review;
+};
+
+exports.deleteReview = async (userId, reviewId) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new Error('Review not found');
+  }
+  if (review.user.toString() !== userId.toString()) {
+    throw new Error('Unauthorized: Review does not belong to this user');
+  }
+
+  await review.deleteOne();
+  await deleteReviewImages(review.images);
+  await refreshProductRating(review.product);
+
+  return review;
+};
+
+/**
+ * Published reviews of a product with its rating summary
+ */
+exports.getProductReviews = async (productId, { rating, sortBy = 'newest', withImages } = {}, page = 1, limit = 10) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw new Error('Invalid product ID');
+  }
+
+  const query = { product: productId, status: 'published' };
+  if (rating) {
+    query.rating = parseInt(rating);
+  }
+  if (withImages) {
+    query['images.0'] = { $exists: true };
+  }
+
+  const [result, summary] = await Promise.all([
+    paginate(query, {
+      sort: REVIEW_SORTS[sortBy] || REVIEW_SORTS.newest,
+      populate: [['user', 'userName profileImage']],
+      page,
+      limit,
+    }),
+    exports.getRatingSummary(productId),
+  ]);
+
+  return { ...result, summary };
+};
+
+exports.getUserReviews = (userId, page = 1, limit = 10) => paginate(
+  { user: userId },
+  { populate: [['product', 'productName thumbnail']], page, limit }
+);
+
+/**
+ * Reviews of a vendor's products, optionally only those still awaiting a reply
+ */
+exports.getVendorReviews = (vendorId, { product, rating, unreplied } = {}, page = 1, limit = 10) => {
+  const query = { vendor: vendorId, status: 'published' };
+  if (product) {
+    query.product = product;
+  }
+  if (rating) {
+    query.rating = parseInt(rating);
+  }
+  if (unreplied) {
+    query['reply.text'] = { $exists: false };
+  }
+
+  return paginate(query, {
+    populate: [['product', 'productName thumbnail'], ['user', 'userName']],
+    page,
+    limit,
+  });
+};
+
+/**
+ * Reply to a review of one of the vendor's products. Needs the vendor's
+ * `canManageReviews` permission; a second reply replaces the first.
+ */
+exports.replyToReview = async (vendor, reviewId, text) => {
+  if (!vendor.permissions?.canManageReviews) {
+    throw new Error('Access denied. You do not have permission to manage reviews');
+  }
+
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new Error('Review not found');
+  }
+  if (review.vendor.toString() !== vendor._id.toString()) {
+    throw new Error('Access denied. This review is not for one of your products');
+  }
+
+  review.reply = {
+    text,
+    repliedBy: vendor._id,
+    repliedAt: new Date(),
+  };
+  await review.save();
+
+  try {
+    await addNotificationJob({
+      userId: review.user,
+      recipientType: 'user',
+      type: 'review_reply',
+      title: 'Store Replied to Your Review',
+      message: `${vendor.storeName || 'The store'} replied to your review.`,
+      data: {
+        reviewId: review._id,
+        productId: review.product,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to queue review reply notification for review ${review._id}:`, error);
+  }
+
+  return review;
+};
+
+/**
+ * All reviews for moderation, hidden ones included
+ */
+exports.getReviews = (filters = {}, page = 1, limit = 20) => {
+  const query = {};
+  ['status', 'product', 'vendor', 'user'].forEach((field) => {
+    if (filters[field]) {
+      query[field] = filters[field];
+    }
+  });
+  if (filters.rating) {
+    query.rating = parseInt(filters.rating);
+  }
+
+  return paginate(query, {
+    populate: [['product', 'productName'], ['user', 'userName contactNumber'], ['vendor', 'storeName']],
+    page,
+    limit,
+  });
+};
+
+/**
+ * Publish or hide a review. Hidden reviews drop out of the product rating.
+ */
+exports.moderateReview = async (adminId, reviewId, status, note) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new Error('Review not found');
+  }
+
+  review.status = status;
+  review.moderation = {
+    note,
+    moderatedBy: adminId,
+    moderatedAt: new Date(),
+  };
+  await review.save();
+
+  await refreshProductRating(review.product);
+
+  return review;
+};
+
+exports.removeReview = async (reviewId) => {
+  const review = await Review.findByIdAndDelete(reviewId);
+  if (!review) {
+    throw new Error('Review not found');
+  }
+
+  await deleteReviewImages(review.images);
+  await refreshProductRating(review.product);
+
+  return review;
+};
+
+exports.refreshProductRating = refreshProductRating;
+exports.MAX_REVIEW_IMAGES = MAX_REVIEW_IMAGES;
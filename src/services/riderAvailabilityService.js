@@ -0,0 +1,145 @@
+const Rider = require('../models/Rider');
+const RiderSession = require('../models/RiderSession');
+const { roundAmount } = require('../utils/amount');
+const logger = require('../utils/logger');
+
+// An online rider not seen (socket heartbeat, location ping) for this long is taken offline
+const OFFLINE_AFTER_MS = (parseInt(process.env.RIDER_OFFLINE_AFTER_MINUTES, 10) || 10) * 60 * 1000;
+
+const formatAvailability = (rider) => ({
+  status: rider.availability?.status || 'offline',
+  since: rider.availability?.since || null,
+  lastSeenAt: rider.availability?.lastSeenAt || null,
+});
+
+const closeSession = async (sessionId, endedAt, endReason) => {
+  if (!sessionId) {
+    return;
+  }
+  const session = await RiderSession.findOne({ _id: sessionId, endedAt: null });
+  if (!session) {
+    return;
+  }
+
+  session.endedAt = endedAt < session.startedAt ? session.startedAt : endedAt;
+  session.endReason = endReason;
+  session.durationMinutes = roundAmount((session.endedAt - session.startedAt) / (60 * 1000));
+  await session.save();
+};
+
+/**
+ * Take a rider offline and close their attendance session at `at`.
+ * `filter` narrows which online riders are matched (used by the stale sweep).
+ */
+const setOffline = async (riderId, { endReason = 'offline', at = new Date(), filter = {} } = {}) => {
+  const rider = await Rider.findOneAndUpdate(
+    { _id: riderId, 'availability.status': 'online', ...filter },
+    {
+      $set: { 'availability.status': 'offline', 'availability.since': new Date() },
+      $unset: { 'availability.session': 1 },
+    }
+  );
+
+  if (rider) {
+    await closeSession(rider.availability?.session, at, endReason);
+    logger.info(`Rider ${riderId} went offline (${endReason})`);
+  }
+  return !!rider;
+};
+
+exports.getAvailability = async (riderId) => {
+  const rider = await Rider.findById(riderId).select('availability');
+  if (!rider) {
+    throw new Error('Rider not found');
+  }
+  return formatAvailability(rider);
+};
+
+/**
+ * Start taking orders. Opens an attendance session; going online again
+ * while online only refreshes the last-seen time.
+ */
+exports.goOnline = async (riderId) => {
+  const rider = await Rider.findById(riderId).select('vendor isActive approvalStatus availability');
+  if (!rider) {
+    throw new Error('Rider not found');
+  }
+  if (rider.approvalStatus !== 'approved' || !rider.isActive) {
+    throw new Error('Only approved and active riders can go online');
+  }
+  if (!rider.vendor) {
+    throw new Error('You are not assigned to any vendor. Please get approved by a vendor first.');
+  }
+
+  const now = new Date();
+
+  if (rider.availability?.status === 'online') {
+    await Rider.updateOne({ _id: riderId }, { $set: { 'availability.lastSeenAt': now } });
+    return exports.getAvailability(riderId);
+  }
+
+  const session = await RiderSession.create({ rider: riderId, vendor: rider.vendor, startedAt: now });
+  const updated = await Rider.findOneAndUpdate(
+    { _id: riderId, 'availability.status': { $ne: 'online' } },
+    {
+      $set: {
+        availability: {
+          status: 'online',
+          since: now,
+          lastSeenAt: now,
+          session: session._id,
+        },
+      },
+    }
+  );
+
+  // Went online in a concurrent request
+  if (!updated) {
+    await RiderSession.deleteOne({ _id: session._id });
+  } else {
+    logger.info(`Rider ${riderId} went online`);
+  }
+
+  return exports.getAvailability(riderId);
+};
+
+exports.goOffline = async (riderId, endReason = 'offline') => {
+  await setOffline(riderId, { endReason });
+  return exports.getAvailability(riderId);
+};
+
+/**
+ * Note that an online rider is still around (socket connect, heartbeat, location ping)
+ */
+exports.touch = (riderId) => Rider.updateOne(
+  { _id: riderId, 'availability.status': 'online' },
+  { $set: { 'availability.lastSeenAt': new Date() } }
+);
+
+/**
+ * Take riders offline who went silent. Their session ends when they were
+ * last seen. Returns how many riders were taken offline.
+ */
+exports.closeStaleSessions = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - OFFLINE_AFTER_MS);
+  const stale = await Rider.find({ 'availability.status': 'online', 'availability.lastSeenAt': { $lt: cutoff } })
+    .select('availability.lastSeenAt');
+
+  let closed = 0;
+  for (const rider of stale) {
+    try {
+      const wentOffline = await setOffline(rider._id, {
+        endReason: 'timeout',
+        at: rider.availability.lastSeenAt,
+        filter: { 'availability.lastSeenAt': { $lt: cutoff } },
+      });
+      if (wentOffline) {
+        closed++;
+      }
+    } catch (error) {
+      logger.error(`Taking rider ${rider._id} offline failed:`, error);
+    }
+  }
+
+  return closed;
+};
@@ -0,0 +1,511 @@
+const mongoose = require('mongoose');
+const RiderEarning = require('../models/RiderEarning');
+const RiderSettlement = require('../models/RiderSettlement');
+const Rider = require('../models/Rider');
+const Order = require('../models/Order');
+// Days are counted in store-local time
+const { DAY_MS, toLocalDate } = require('../utils/localTime');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+const parseAmount = (value) => {
+  const amount = parseFloat(value);
+  return Number.isNaN(amount) ? 0 : amount;
+};
+
+// Credited on every delivery, and once a day when a rider reaches the target
+const INCENTIVE_PER_DELIVERY = parseAmount(process.env.RIDER_INCENTIVE_PER_DELIVERY);
+const DAILY_TARGET_DELIVERIES = parseInt(process.env.RIDER_DAILY_TARGET_DELIVERIES, 10) || 0;
+const DAILY_TARGET_BONUS = parseAmount(process.env.RIDER_DAILY_TARGET_BONUS);
+
+// Entry types that add to what the rider is owed
+const EARNING_TYPES = ['delivery_fee', 'incentive', 'tip', 'adjustment'];
+
+const TOTALS_FIELDS = {
+  delivery_fee: 'deliveryFees',
+  incentive: 'incentives',
+  tip: 'tips',
+  adjustment: 'adjustments',
+  payout: 'payouts',
+  cod_collected: 'codCollected',
+  cod_deposit: 'codDeposited',
+};
+
+const shiftDay = (day, days) => new Date(new Date(`${day}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+// Monday of the week containing `day`
+const getWeekStart = (day) => shiftDay(day, -((new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+const emptyTotals = () => ({
+  deliveries: 0,
+  deliveryFees: 0,
+  incentives: 0,
+  tips: 0,
+  adjustments: 0,
+  payouts: 0,
+  codCollected: 0,
+  codDeposited: 0,
+});
+
+const addTotals = (target, totals = {}) => {
+  Object.keys(target).forEach((field) => {
+    target[field] = roundAmount(target[field] + (totals[field] || 0));
+  });
+  return target;
+};
+
+const withEarnings = (totals) => ({
+  ...totals,
+  earnings: roundAmount(totals.deliveryFees + totals.incentives + totals.tips + totals.adjustments),
+});
+
+const getTotalsIncrement = (entry) => {
+  const increments = { [`totals.${TOTALS_FIELDS[entry.type]}`]: entry.amount };
+  if (entry.type === 'delivery_fee') {
+    increments['totals.deliveries'] = 1;
+  }
+  return increments;
+};
+
+const getDay = async (riderId, vendorId, date) => {
+  const filter = { rider: riderId, vendor: vendorId, date };
+  try {
+    return await RiderSettlement.findOneAndUpdate(
+      filter,
+      { $setOnInsert: filter },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Created by another request
+    if (error.code === 11000) {
+      return RiderSettlement.findOne(filter);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write a ledger entry into the rider's day with the vendor and add it to
+ * the day's totals. A day that was settled already is opened again.
+ */
+const addEntry = async (riderId, vendorId, data, date = toLocalDate(new Date())) => {
+  const day = await getDay(riderId, vendorId, date);
+  const entry = await RiderEarning.create({
+    ...data,
+    rider: riderId,
+    vendor: vendorId,
+    date,
+    settlement: day._id,
+  });
+
+  const settlement = await RiderSettlement.findByIdAndUpdate(
+    day._id,
+    { $inc: getTotalsIncrement(entry), $set: { status: 'open', updatedAt: new Date() } },
+    { new: true }
+  );
+
+  return { entry, settlement };
+};
+
+/**
+ * COD cash the rider of `shipment` collects: the shipment's share of what the
+ * customer pays on top of any wallet balance
+ */
+const getCodAmount = (order, shipment) => {
+  if (!order || order.payment?.method !== 'cod' || !(order.pricing?.total > 0)) {
+    return 0;
+  }
+  return roundAmount((order.payment.amount || 0) * (shipment.pricing?.total || 0) / order.pricing.total);
+};
+
+/**
+ * Credit the rider of a delivered shipment: delivery fee, tip and incentive,
+ * and the COD cash they collected. Recording is idempotent.
+ */
+exports.recordDelivery = async (shipment) => {
+  if (!shipment.rider) {
+    return [];
+  }
+
+  const riderId = getId(shipment.rider);
+  const vendorId = getId(shipment.vendor);
+  const order = await Order.findById(getId(shipment.order)).select('orderNumber payment pricing');
+  const base = {
+    order: getId(shipment.order),
+    orderNumber: shipment.orderNumber,
+    shipment: shipment._id,
+  };
+  const entries = [];
+
+  const record = async (type, amount, description) => {
+    try {
+      const result = await addEntry(riderId, vendorId, { ...base, type, amount: roundAmount(amount), description });
+      entries.push(result.entry);
+      return result.settlement;
+    } catch (error) {
+      // Recorded already
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const day = await record('delivery_fee', shipment.deliveryAmount || 0, `Delivery of shipment ${shipment.shipmentNumber}`);
+  if (!day) {
+    return entries;
+  }
+
+  if (shipment.pricing?.tip > 0) {
+    await record('tip', shipment.pricing.tip, `Tip on order ${shipment.orderNumber}`);
+  }
+  if (INCENTIVE_PER_DELIVERY > 0) {
+    await record('incentive', INCENTIVE_PER_DELIVERY, `Incentive for shipment ${shipment.shipmentNumber}`);
+  }
+
+  const codAmount = getCodAmount(order, shipment);
+  if (codAmount > 0) {
+    await record('cod_collected', codAmount, `COD cash for order ${shipment.orderNumber}`);
+  }
+
+  if (DAILY_TARGET_DELIVERIES > 0 && DAILY_TARGET_BONUS > 0 && day.totals.deliveries >= DAILY_TARGET_DELIVERIES) {
+    const awarded = await RiderSettlement.findOneAndUpdate(
+      { _id: day._id, targetBonusAwarded: false },
+      { $set: { targetBonusAwarded: true } }
+    );
+    if (awarded) {
+      const { entry } = await addEntry(riderId, vendorId, {
+        type: 'incentive',
+        amount: DAILY_TARGET_BONUS,
+        description: `Bonus for ${DAILY_TARGET_DELIVERIES} deliveries in a day`,
+      }, day.date);
+      entries.push(entry);
+    }
+  }
+
+  logger.info(`Rider ${riderId} credited for shipment ${shipment.shipmentNumber}`);
+  return entries;
+};
+
+/**
+ * What riders are owed and how much COD cash they hold, overall or with one
+ * vendor. Returns Map<riderId, balance>.
+ */
+const getBalances = async (riderIds, vendorId = null) => {
+  const match = { rider: { $in: riderIds.map(id => new mongoose.Types.ObjectId(getId(id))) } };
+  if (vendorId) {
+    match.vendor = new mongoose.Types.ObjectId(getId(vendorId));
+  }
+
+  const rows = await RiderEarning.aggregate([
+    { $match: match },
+    { $group: { _id: { rider: '$rider', type: '$type' }, amount: { $sum: '$amount' } } },
+  ]);
+
+  const balances = new Map(riderIds.map(id => [getId(id), {
+    earned: 0,
+    paidOut: 0,
+    earningsDue: 0,
+    codCollected: 0,
+    codDeposited: 0,
+    cashInHand: 0,
+  }]));
+
+  rows.forEach((row) => {
+    const balance = balances.get(row._id.rider.toString());
+    if (EARNING_TYPES.includes(row._id.type)) {
+      balance.earned += row.amount;
+    } else if (row._id.type === 'payout') {
+      balance.paidOut += row.amount;
+    } else if (row._id.type === 'cod_collected') {
+      balance.codCollected += row.amount;
+    } else if (row._id.type === 'cod_deposit') {
+      balance.codDeposited += row.amount;
+    }
+  });
+
+  balances.forEach((balance) => {
+    balance.earned = roundAmount(balance.earned);
+    balance.paidOut = roundAmount(balance.paidOut);
+    balance.codCollected = roundAmount(balance.codCollected);
+    balance.codDeposited = roundAmount(balance.codDeposited);
+    balance.earningsDue = roundAmount(balance.earned - balance.paidOut);
+    balance.cashInHand = roundAmount(balance.codCollected - balance.codDeposited);
+  });
+
+  return balances;
+};
+
+/**
+ * A rider's earnings per day or per week (Monday to Sunday) between `from`
+ * and `to` ("YYYY-MM-DD", defaulting to the last 7 days or 4 weeks), with
+ * what they are owed and the COD cash they hold right now.
+ */
+exports.getRiderEarnings = async (riderId, { period = 'daily', from, to } = {}) => {
+  const weekly = period === 'weekly';
+  const rangeEnd = to || toLocalDate(new Date());
+  let rangeStart = from || shiftDay(rangeEnd, weekly ? -27 : -6);
+  if (weekly) {
+    rangeStart = getWeekStart(rangeStart);
+  }
+  if (rangeStart > rangeEnd) {
+    throw new Error('From date must be before to date');
+  }
+
+  const days = await RiderSettlement.find({ rider: riderId, date: { $gte: rangeStart, $lte: rangeEnd } })
+    .sort({ date: 1 })
+    .lean();
+
+  const buckets = new Map();
+  const summary = emptyTotals();
+  days.forEach((day) => {
+    const key = weekly ? getWeekStart(day.date) : day.date;
+    if (!buckets.has(key)) {
+      buckets.set(key, emptyTotals());
+    }
+    addTotals(buckets.get(key), day.totals);
+    addTotals(summary, day.totals);
+  });
+
+  const breakdown = [...buckets.entries()].map(([key, totals]) => (weekly
+    ? { weekStart: key, weekEnd: shiftDay(key, 6), ...withEarnings(totals) }
+    : { date: key, ...withEarnings(totals) }));
+
+  const balances = await getBalances([riderId]);
+
+  return {
+    period: weekly ? 'weekly' : 'daily',
+    from: rangeStart,
+    to: rangeEnd,
+    summary: withEarnings(summary),
+    breakdown,
+    balance: balances.get(getId(riderId)),
+  };
+};
+
+/**
+ * Ledger entries of a rider, newest first
+ */
+exports.getLedger = async (riderId, { vendor, type, date } = {}, page = 1, limit = 20) => {
+  const query = { rider: riderId };
+  if (vendor) {
+    query.vendor = vendor;
+  }
+  if (type) {
+    query.type = type;
+  }
+  if (date) {
+    query.date = date;
+  }
+
+  const skip = (page - 1) * limit;
+  const [entries, total] = await Promise.all([
+    RiderEarning.find(query)
+      .select('-settlement -__v')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    RiderEarning.countDocuments(query),
+  ]);
+
+  return {
+    data: entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Riders working for the vendor now, and former ones still on its ledger
+ */
+const getVendorRiderIds = async (vendorId) => {
+  const [current, former] = await Promise.all([
+    Rider.find({ vendor: vendorId }).distinct('_id'),
+    RiderEarning.distinct('rider', { vendor: vendorId }),
+  ]);
+  return [...new Set([...current, ...former].map(getId))];
+};
+
+const assertVendorRider = async (vendorId, riderId) => {
+  const rider = await Rider.findById(riderId).select('fullName mobileNumber vendor');
+  if (!rider) {
+    throw new Error('Rider not found');
+  }
+  if (getId(rider.vendor) !== getId(vendorId) && !(await RiderEarning.exists({ rider: riderId, vendor: vendorId }))) {
+    throw new Error('Rider not found');
+  }
+  return rider;
+};
+
+const assertNotFuture = (date) => {
+  if (date > toLocalDate(new Date())) {
+    throw new Error('Date cannot be in the future');
+  }
+};
+
+/**
+ * Cash reconciliation of a vendor's riders for a day: COD cash collected and
+ * deposited that day, what each rider still holds and is owed overall.
+ */
+exports.getCashReconciliation = async (vendorId, date = toLocalDate(new Date())) => {
+  const riderIds = await getVendorRiderIds(vendorId);
+
+  const [riders, days, balances] = await Promise.all([
+    Rider.find({ _id: { $in: riderIds } }).select('fullName mobileNumber isActive vendor').lean(),
+    RiderSettlement.find({ vendor: vendorId, date, rider: { $in: riderIds } }).lean(),
+    getBalances(riderIds, vendorId),
+  ]);
+  const dayMap = new Map(days.map(day => [getId(day.rider), day]));
+
+  const summary = { ...emptyTotals(), cashInHand: 0, earningsDue: 0 };
+  const rows = riders.map((rider) => {
+    const day = dayMap.get(getId(rider._id));
+    const balance = balances.get(getId(rider._id));
+    const totals = { ...emptyTotals(), ...(day?.totals || {}) };
+
+    addTotals(summary, { ...totals, cashInHand: balance.cashInHand, earningsDue: balance.earningsDue });
+
+    return {
+      rider: {
+        _id: rider._id,
+        fullName: rider.fullName,
+        mobileNumber: rider.mobileNumber,
+        isActive: rider.isActive,
+        currentRider: getId(rider.vendor) === getId(vendorId),
+      },
+      day: {
+        status: day?.status || 'open',
+        settledAt: day?.settledAt,
+        cashShortfall: day?.cashShortfall || 0,
+        ...withEarnings(totals),
+      },
+      cashInHand: balance.cashInHand,
+      earningsDue: balance.earningsDue,
+    };
+  }).sort((a, b) => b.cashInHand - a.cashInHand);
+
+  return {
+    date,
+    summary: withEarnings(summary),
+    riders: rows,
+  };
+};
+
+/**
+ * Record COD cash a rider handed over to the vendor. The deposit counts
+ * towards `date` (today by default) and cannot exceed the cash the rider holds.
+ */
+exports.recordDeposit = async (vendorId, riderId, { amount, reference, note, date } = {}) => {
+  await assertVendorRider(vendorId, riderId);
+  const day = date || toLocalDate(new Date());
+  assertNotFuture(day);
+
+  const balance = (await getBalances([riderId], vendorId)).get(getId(riderId));
+  if (amount > balance.cashInHand + 0.005) {
+    throw new Error(`Deposit is more than the COD cash the rider holds (₹${balance.cashInHand})`);
+  }
+
+  const { entry, settlement } = await addEntry(riderId, vendorId, {
+    type: 'cod_deposit',
+    amount: roundAmount(amount),
+    reference,
+    description: note || 'COD cash deposited',
+    recordedBy: 'vendor',
+    recordedById: vendorId,
+  }, day);
+
+  return {
+    entry,
+    day: settlement,
+    cashInHand: roundAmount(balance.cashInHand - entry.amount),
+  };
+};
+
+/**
+ * Credit an incentive or book an adjustment (negative to deduct) for a rider
+ */
+exports.addAdjustment = async (vendorId, riderId, { type, amount, description }) => {
+  await assertVendorRider(vendorId, riderId);
+
+  if (type === 'incentive' && !(amount > 0)) {
+    throw new Error('Incentive amount must be greater than 0');
+  }
+  if (type === 'adjustment' && !amount) {
+    throw new Error('Adjustment amount cannot be 0');
+  }
+
+  const { entry } = await addEntry(riderId, vendorId, {
+    type,
+    amount: roundAmount(amount),
+    description,
+    recordedBy: 'vendor',
+    recordedById: vendorId,
+  });
+  return entry;
+};
+
+/**
+ * Close a rider's day: optionally pay out earnings, then mark the day settled
+ * with whatever COD cash of the day was not deposited.
+ */
+exports.settleDay = async (vendorId, riderId, date, { payout = 0, reference, note } = {}) => {
+  await assertVendorRider(vendorId, riderId);
+  assertNotFuture(date);
+
+  const day = await RiderSettlement.findOne({ rider: riderId, vendor: vendorId, date });
+  if (!day) {
+    throw new Error('Settlement not found for this day');
+  }
+  if (day.status === 'settled') {
+    throw new Error('This day is already settled');
+  }
+
+  if (payout > 0) {
+    const balance = (await getBalances([riderId], vendorId)).get(getId(riderId));
+    if (payout > balance.earningsDue + 0.005) {
+      throw new Error(`Payout is more than the rider's earnings due (₹${balance.earningsDue})`);
+    }
+    await addEntry(riderId, vendorId, {
+      type: 'payout',
+      amount: roundAmount(payout),
+      reference,
+      description: note || `Payout for ${date}`,
+      recordedBy: 'vendor',
+      recordedById: vendorId,
+    }, date);
+  }
+
+  const current = await RiderSettlement.findById(day._id);
+  const cashShortfall = roundAmount(Math.max(0, current.totals.codCollected - current.totals.codDeposited));
+
+  const settled = await RiderSettlement.findOneAndUpdate(
+    { _id: day._id, status: 'open' },
+    {
+      $set: {
+        status: 'settled',
+        settledAt: new Date(),
+        settledBy: vendorId,
+        cashShortfall,
+        note,
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!settled) {
+    throw new Error('This day is already settled');
+  }
+
+  logger.info(`Rider ${riderId} settled for ${date} by vendor ${vendorId}`);
+  const result = settled.toObject();
+  return {
+    ...result,
+    totals: withEarnings({ ...emptyTotals(), ...result.totals }),
+  };
+};
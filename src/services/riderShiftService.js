@@ -0,0 +1,515 @@
+const mongoose = require('mongoose');
+const RiderShift = require('../models/RiderShift');
+const RiderSession = require('../models/RiderSession');
+const Rider = require('../models/Rider');
+const { addNotificationJob } = require('../utils/queue');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_SHIFT_HOURS = 16;
+// Arriving this long after the shift started counts as late
+const LATE_AFTER_MS = (parseInt(process.env.RIDER_SHIFT_LATE_AFTER_MINUTES, 10) || 15) * MINUTE_MS;
+
+const toMinutes = (ms) => roundAmount(ms / MINUTE_MS);
+
+const parseRange = ({ from, to } = {}, defaultDays = 7) => {
+  const rangeEnd = to ? new Date(to) : new Date();
+  const rangeStart = from ? new Date(from) : new Date(rangeEnd.getTime() - defaultDays * DAY_MS);
+  if (rangeStart >= rangeEnd) {
+    throw new Error('From date must be before to date');
+  }
+  return { rangeStart, rangeEnd };
+};
+
+const assertShiftTimes = (startTime, endTime) => {
+  if (Number.isNaN(startTime.getTime()) || Number.isNaN(endTime.getTime())) {
+    throw new Error('Valid start and end times are required');
+  }
+  if (endTime <= startTime) {
+    throw new Error('Shift must end after it starts');
+  }
+  if (endTime - startTime > MAX_SHIFT_HOURS * 60 * MINUTE_MS) {
+    throw new Error(`Shift cannot be longer than ${MAX_SHIFT_HOURS} hours`);
+  }
+};
+
+const isBookedBy = (shift, riderId) => (shift.bookings || []).some(
+  booking => getId(booking.rider) === getId(riderId) && booking.status === 'booked'
+);
+
+const formatShift = (shift, riderId = null) => {
+  const data = {
+    ...shift,
+    spotsLeft: Math.max(0, shift.capacity - (shift.bookedCount || 0)),
+  };
+  if (riderId) {
+    // Riders see their own booking, not who else booked
+    data.booked = isBookedBy(shift, riderId);
+    delete data.bookings;
+  }
+  return data;
+};
+
+const getVendorShift = async (vendorId, shiftId) => {
+  const shift = await RiderShift.findOne({ _id: shiftId, vendor: vendorId });
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+  return shift;
+};
+
+const getRiderWithVendor = async (riderId) => {
+  const rider = await Rider.findById(riderId).select('vendor approvalStatus isActive');
+  if (!rider) {
+    throw new Error('Rider not found');
+  }
+  if (!rider.vendor) {
+    throw new Error('You are not assigned to any vendor. Please get approved by a vendor first.');
+  }
+  return rider;
+};
+
+const notifyBookedRiders = async (shift, type, title, message) => {
+  const riderIds = shift.bookings.filter(booking => booking.status === 'booked').map(booking => booking.rider);
+  for (const riderId of riderIds) {
+    try {
+      await addNotificationJob({
+        userId: riderId,
+        recipientType: 'rider',
+        type,
+        title,
+        message,
+        data: {
+          shiftId: shift._id,
+          startTime: shift.startTime,
+          endTime: shift.endTime,
+          type: 'rider',
+        },
+      });
+    } catch (error) {
+      logger.error(`Notifying rider ${riderId} about shift ${shift._id} failed:`, error);
+    }
+  }
+};
+
+exports.createShift = async (vendorId, { startTime, endTime, capacity, notes }) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  assertShiftTimes(start, end);
+  if (end <= new Date()) {
+    throw new Error('Shift must end in the future');
+  }
+
+  const shift = await RiderShift.create({
+    vendor: vendorId,
+    startTime: start,
+    endTime: end,
+    capacity,
+    notes,
+  });
+
+  logger.info(`Vendor ${vendorId} published rider shift ${shift._id}`);
+  return shift;
+};
+
+exports.getVendorShifts = async (vendorId, { from, to, status } = {}, page = 1, limit = 20) => {
+  const query = { vendor: vendorId };
+  if (status) {
+    query.status = status;
+  }
+  if (from || to) {
+    query.endTime = { $gt: from ? new Date(from) : new Date(0) };
+    if (to) {
+      query.startTime = { $lt: new Date(to) };
+    }
+  } else {
+    // Upcoming and running shifts by default
+    query.endTime = { $gt: new Date() };
+  }
+
+  const skip = (page - 1) * limit;
+  const [shifts, total] = await Promise.all([
+    RiderShift.find(query)
+      .populate('bookings.rider', 'fullName mobileNumber availability.status')
+      .sort({ startTime: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    RiderShift.countDocuments(query),
+  ]);
+
+  return {
+    data: shifts.map(shift => formatShift(shift)),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Change a shift. Times can only move before the shift starts and capacity
+ * cannot drop below the riders already booked.
+ */
+exports.updateShift = async (vendorId, shiftId, { startTime, endTime, capacity, notes }) => {
+  const shift = await getVendorShift(vendorId, shiftId);
+  if (shift.status === 'cancelled') {
+    throw new Error('Cancelled shifts cannot be changed');
+  }
+
+  if (startTime !== undefined || endTime !== undefined) {
+    if (shift.startTime <= new Date()) {
+      throw new Error('Shift times cannot be changed after the shift has started');
+    }
+    const start = startTime !== undefined ? new Date(startTime) : shift.startTime;
+    const end = endTime !== undefined ? new Date(endTime) : shift.endTime;
+    assertShiftTimes(start, end);
+    shift.startTime = start;
+    shift.endTime = end;
+  }
+
+  if (capacity !== undefined) {
+    if (capacity < shift.bookedCount) {
+      throw new Error(`Capacity cannot be less than the ${shift.bookedCount} riders already booked`);
+    }
+    shift.capacity = capacity;
+  }
+  if (notes !== undefined) {
+    shift.notes = notes;
+  }
+
+  await shift.save();
+
+  if (startTime !== undefined || endTime !== undefined) {
+    await notifyBookedRiders(shift, 'shift_updated', 'Shift Timing Changed',
+      `Your shift now runs from ${shift.startTime.toISOString()} to ${shift.endTime.toISOString()}`);
+  }
+
+  return shift;
+};
+
+exports.cancelShift = async (vendorId, shiftId) => {
+  const shift = await getVendorShift(vendorId, shiftId);
+  if (shift.status === 'cancelled') {
+    throw new Error('Shift is already cancelled');
+  }
+  if (shift.endTime <= new Date()) {
+    throw new Error('Shift has already ended');
+  }
+
+  shift.status = 'cancelled';
+  shift.cancelledAt = new Date();
+  await shift.save();
+
+  await notifyBookedRiders(shift, 'shift_cancelled', 'Shift Cancelled',
+    `Your shift starting ${shift.startTime.toISOString()} was cancelled by the store`);
+
+  logger.info(`Vendor ${vendorId} cancelled rider shift ${shift._id}`);
+  return shift;
+};
+
+/**
+ * Upcoming and running shifts of the rider's vendor
+ */
+exports.getAvailableShifts = async (riderId, { from, to } = {}) => {
+  const rider = await getRiderWithVendor(riderId);
+
+  const query = {
+    vendor: rider.vendor,
+    status: 'published',
+    endTime: { $gt: from && new Date(from) > new Date() ? new Date(from) : new Date() },
+  };
+  if (to) {
+    query.startTime = { $lt: new Date(to) };
+  }
+
+  const shifts = await RiderShift.find(query).sort({ startTime: 1 }).lean();
+  return shifts.map(shift => formatShift(shift, riderId));
+};
+
+/**
+ * Shifts the rider booked, upcoming first unless a range is given
+ */
+exports.getRiderShifts = async (riderId, { from, to } = {}) => {
+  const query = {
+    bookings: { $elemMatch: { rider: riderId, status: 'booked' } },
+    status: 'published',
+    endTime: { $gt: from ? new Date(from) : new Date() },
+  };
+  if (to) {
+    query.startTime = { $lt: new Date(to) };
+  }
+
+  const shifts = await RiderShift.find(query)
+    .populate('vendor', 'storeName')
+    .sort({ startTime: 1 })
+    .lean();
+  return shifts.map(shift => formatShift(shift, riderId));
+};
+
+exports.bookShift = async (riderId, shiftId) => {
+  const rider = await getRiderWithVendor(riderId);
+  if (rider.approvalStatus !== 'approved' || !rider.isActive) {
+    throw new Error('Only approved and active riders can book shifts');
+  }
+
+  const shift = await RiderShift.findById(shiftId);
+  if (!shift || getId(shift.vendor) !== getId(rider.vendor)) {
+    throw new Error('Shift not found');
+  }
+  if (shift.status !== 'published') {
+    throw new Error('Shift has been cancelled');
+  }
+  if (shift.endTime <= new Date()) {
+    throw new Error('Shift has already ended');
+  }
+  if (isBookedBy(shift, riderId)) {
+    throw new Error('You have already booked this shift');
+  }
+
+  const overlapping = await RiderShift.exists({
+    _id: { $ne: shift._id },
+    status: 'published',
+    bookings: { $elemMatch: { rider: riderId, status: 'booked' } },
+    startTime: { $lt: shift.endTime },
+    endTime: { $gt: shift.startTime },
+  });
+  if (overlapping) {
+    throw new Error('You already have a shift booked at this time');
+  }
+
+  // Capacity and double booking are checked atomically
+  const booked = await RiderShift.findOneAndUpdate(
+    {
+      _id: shift._id,
+      status: 'published',
+      $expr: { $lt: ['$bookedCount', '$capacity'] },
+      bookings: { $not: { $elemMatch: { rider: riderId, status: 'booked' } } },
+    },
+    {
+      $push: { bookings: { rider: riderId, status: 'booked', bookedAt: new Date() } },
+      $inc: { bookedCount: 1 },
+      $set: { updatedAt: new Date() },
+    },
+    { new: true }
+  ).lean();
+
+  if (!booked) {
+    throw new Error('Shift is full');
+  }
+
+  logger.info(`Rider ${riderId} booked shift ${shift._id}`);
+  return formatShift(booked, riderId);
+};
+
+/**
+ * Give up a booked place. Only possible before the shift starts.
+ */
+exports.cancelBooking = async (riderId, shiftId) => {
+  const now = new Date();
+  const shift = await RiderShift.findOneAndUpdate(
+    {
+      _id: shiftId,
+      startTime: { $gt: now },
+      bookings: { $elemMatch: { rider: riderId, status: 'booked' } },
+    },
+    {
+      $set: {
+        'bookings.$.status': 'cancelled',
+        'bookings.$.cancelledAt': now,
+        updatedAt: now,
+      },
+      $inc: { bookedCount: -1 },
+    },
+    { new: true }
+  ).lean();
+
+  if (!shift) {
+    const existing = await RiderShift.findById(shiftId).select('startTime bookings');
+    if (!existing || !isBookedBy(existing, riderId)) {
+      throw new Error('Booking not found');
+    }
+    throw new Error('Bookings cannot be cancelled after the shift has started');
+  }
+
+  return formatShift(shift, riderId);
+};
+
+/**
+ * Which of `riderIds` are booked on a shift of the vendor running at `now`
+ */
+exports.getOnShiftRiderIds = async (vendorId, riderIds, now = new Date()) => {
+  const ids = riderIds.map(id => new mongoose.Types.ObjectId(getId(id)));
+  const shifts = await RiderShift.find({
+    vendor: vendorId,
+    status: 'published',
+    startTime: { $lte: now },
+    endTime: { $gt: now },
+    'bookings.rider': { $in: ids },
+  })
+    .select('bookings')
+    .lean();
+
+  const wanted = new Set(ids.map(getId));
+  const onShift = new Set();
+  shifts.forEach((shift) => {
+    shift.bookings.forEach((booking) => {
+      if (booking.status === 'booked' && wanted.has(getId(booking.rider))) {
+        onShift.add(getId(booking.rider));
+      }
+    });
+  });
+  return onShift;
+};
+
+/**
+ * The shift a rider is booked on right now, if any
+ */
+exports.getCurrentShift = async (riderId, now = new Date()) => RiderShift.findOne({
+  status: 'published',
+  startTime: { $lte: now },
+  endTime: { $gt: now },
+  bookings: { $elemMatch: { rider: riderId, status: 'booked' } },
+})
+  .select('vendor startTime endTime notes')
+  .lean();
+
+const overlapMs = (startA, endA, startB, endB) => Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+
+/**
+ * Attendance between `from` and `to` (last 7 days by default): login hours
+ * from the riders' online sessions and, for every booked shift that has
+ * started, whether the rider showed up, how late and for how long.
+ * Filter by `vendor` and/or `rider`.
+ */
+exports.getAttendance = async ({ vendor, rider } = {}, range = {}) => {
+  const { rangeStart, rangeEnd } = parseRange(range);
+  const now = new Date();
+
+  const shiftQuery = {
+    status: 'published',
+    startTime: { $lt: rangeEnd < now ? rangeEnd : now },
+    endTime: { $gt: rangeStart },
+  };
+  if (vendor) {
+    shiftQuery.vendor = vendor;
+  }
+  if (rider) {
+    shiftQuery.bookings = { $elemMatch: { rider, status: 'booked' } };
+  }
+
+  const sessionQuery = {
+    startedAt: { $lt: rangeEnd },
+    $or: [{ endedAt: null }, { endedAt: { $gt: rangeStart } }],
+  };
+  if (vendor) {
+    sessionQuery.vendor = vendor;
+  }
+  if (rider) {
+    sessionQuery.rider = rider;
+  }
+
+  const [shifts, sessions] = await Promise.all([
+    RiderShift.find(shiftQuery).sort({ startTime: 1 }).lean(),
+    RiderSession.find(sessionQuery).sort({ startedAt: 1 }).lean(),
+  ]);
+
+  const sessionsByRider = new Map();
+  sessions.forEach((session) => {
+    const riderId = getId(session.rider);
+    if (!sessionsByRider.has(riderId)) {
+      sessionsByRider.set(riderId, []);
+    }
+    sessionsByRider.get(riderId).push({
+      startedAt: new Date(session.startedAt),
+      endedAt: session.endedAt ? new Date(session.endedAt) : now,
+    });
+  });
+
+  const report = new Map();
+  const getRow = (riderId) => {
+    if (!report.has(riderId)) {
+      report.set(riderId, {
+        rider: riderId,
+        loginMinutes: 0,
+        shiftsBooked: 0,
+        shiftsAttended: 0,
+        noShows: 0,
+        lateArrivals: 0,
+        shiftMinutes: 0,
+        workedShiftMinutes: 0,
+        shifts: [],
+      });
+    }
+    return report.get(riderId);
+  };
+
+  sessionsByRider.forEach((riderSessions, riderId) => {
+    const row = getRow(riderId);
+    row.loginMinutes = toMinutes(riderSessions.reduce(
+      (sum, session) => sum + overlapMs(session.startedAt, session.endedAt, rangeStart, rangeEnd),
+      0
+    ));
+  });
+
+  shifts.forEach((shift) => {
+    const shiftStart = new Date(shift.startTime);
+    const shiftEnd = new Date(Math.min(new Date(shift.endTime), now));
+
+    shift.bookings
+      .filter(booking => booking.status === 'booked' && (!rider || getId(booking.rider) === getId(rider)))
+      .forEach((booking) => {
+        const riderId = getId(booking.rider);
+        const row = getRow(riderId);
+        const overlapping = (sessionsByRider.get(riderId) || [])
+          .filter(session => overlapMs(session.startedAt, session.endedAt, shiftStart, shiftEnd) > 0);
+        const workedMs = overlapping.reduce(
+          (sum, session) => sum + overlapMs(session.startedAt, session.endedAt, shiftStart, shiftEnd),
+          0
+        );
+        const arrivedAt = overlapping.length > 0
+          ? new Date(Math.max(overlapping[0].startedAt, shiftStart))
+          : null;
+        const late = !!arrivedAt && arrivedAt - shiftStart > LATE_AFTER_MS;
+
+        row.shiftsBooked++;
+        row.shiftMinutes = roundAmount(row.shiftMinutes + toMinutes(shiftEnd - shiftStart));
+        row.workedShiftMinutes = roundAmount(row.workedShiftMinutes + toMinutes(workedMs));
+        if (arrivedAt) {
+          row.shiftsAttended++;
+        } else if (new Date(shift.endTime) <= now) {
+          row.noShows++;
+        }
+        if (late) {
+          row.lateArrivals++;
+        }
+        row.shifts.push({
+          shiftId: shift._id,
+          startTime: shift.startTime,
+          endTime: shift.endTime,
+          status: arrivedAt ? 'attended' : (new Date(shift.endTime) <= now ? 'no_show' : 'pending'),
+          arrivedAt,
+          late,
+          workedMinutes: toMinutes(workedMs),
+        });
+      });
+  });
+
+  const riders = await Rider.find({ _id: { $in: [...report.keys()] } }).select('fullName mobileNumber').lean();
+  const riderMap = new Map(riders.map(item => [getId(item._id), item]));
+
+  return {
+    from: rangeStart,
+    to: rangeEnd,
+    riders: [...report.values()].map(row => ({
+      ...row,
+      rider: riderMap.get(row.rider) || { _id: row.rider },
+      loginHours: roundAmount(row.loginMinutes / 60),
+    })),
+  };
+};
@@ -0,0 +1,312 @@
+const Rider = require('../models/Rider');
+const RiderBreadcrumb = require('../models/RiderBreadcrumb');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { toPoint, calculateDistance, hasCoordinates } = require('../utils/geo');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+// A rider is on a shipment from assignment until it is delivered or cancelled
+const ACTIVE_STATUSES = ['confirmed', 'processing', 'ready', 'out_for_delivery'];
+
+// Pings closer together than this are dropped
+const MIN_PING_INTERVAL_MS = (parseInt(process.env.RIDER_PING_MIN_INTERVAL_SECONDS, 10) || 2) * 1000;
+// A breadcrumb is stored when this much time has passed or the rider moved this far
+const BREADCRUMB_INTERVAL_MS = (parseInt(process.env.RIDER_BREADCRUMB_INTERVAL_SECONDS, 10) || 15) * 1000;
+const BREADCRUMB_MIN_DISTANCE_KM = (parseInt(process.env.RIDER_BREADCRUMB_MIN_DISTANCE_METERS, 10) || 50) / 1000;
+const BREADCRUMB_TTL_DAYS = parseInt(process.env.RIDER_BREADCRUMB_TTL_DAYS, 10) || 30;
+// Breadcrumbs returned with an order's tracking
+const MAX_TRAIL_POINTS = 500;
+
+// ETA assumes this average speed on roads this much longer than the straight line
+const AVERAGE_SPEED_KMPH = parseFloat(process.env.RIDER_AVERAGE_SPEED_KMPH) || 20;
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// Active shipments are looked up at most this often per rider
+const SHIPMENT_CACHE_MS = 30 * 1000;
+// Client timestamps further off than this are replaced by the server time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const lastPings = new Map(); // Map<riderId, Date>
+const lastBreadcrumbs = new Map(); // Map<riderId, { latitude, longitude, recordedAt }>
+const activeShipments = new Map(); // Map<riderId, { shipments, loadedAt }>
+
+const toOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Validate a ping from the rider app. Returns a clean position or throws.
+ */
+const parsePing = (ping) => {
+  const latitude = Number(ping.latitude);
+  const longitude = Number(ping.longitude);
+  if (!toPoint(latitude, longitude)) {
+    throw new Error('Valid latitude and longitude are required');
+  }
+
+  const now = Date.now();
+  const clientTime = ping.timestamp ? new Date(ping.timestamp).getTime() : NaN;
+  const recordedAt = !Number.isNaN(clientTime) && Math.abs(clientTime - now) <= MAX_CLOCK_SKEW_MS
+    ? new Date(clientTime)
+    : new Date(now);
+
+  return {
+    latitude,
+    longitude,
+    heading: toOptionalNumber(ping.heading),
+    speed: toOptionalNumber(ping.speed),
+    accuracy: toOptionalNumber(ping.accuracy),
+    recordedAt,
+  };
+};
+
+const getActiveShipments = async (riderId) => {
+  const cached = activeShipments.get(riderId);
+  if (cached && Date.now() - cached.loadedAt < SHIPMENT_CACHE_MS) {
+    return cached.shipments;
+  }
+
+  const shipments = await Shipment.find({ rider: riderId, status: { $in: ACTIVE_STATUSES } })
+    .select('order orderNumber vendor status')
+    .populate('vendor', 'storeName storeAddress.latitude storeAddress.longitude')
+    .populate('order', 'shippingAddress.latitude shippingAddress.longitude')
+    .lean();
+
+  activeShipments.set(riderId, { shipments, loadedAt: Date.now() });
+  return shipments;
+};
+
+/**
+ * Straight-line ETA to the next stop and on to the customer. Before pickup
+ * the rider goes through the store first.
+ */
+const calculateEta = (position, shipment) => {
+  const store = shipment.vendor?.storeAddress;
+  const customer = shipment.order?.shippingAddress;
+  if (!hasCoordinates(position) || !hasCoordinates(customer)) {
+    return null;
+  }
+
+  let distanceKm;
+  let nextStop = 'customer';
+  if (shipment.status !== 'out_for_delivery' && hasCoordinates(store)) {
+    nextStop = 'store';
+    distanceKm = calculateDistance(position.latitude, position.longitude, store.latitude, store.longitude)
+      + calculateDistance(store.latitude, store.longitude, customer.latitude, customer.longitude);
+  } else {
+    distanceKm = calculateDistance(position.latitude, position.longitude, customer.latitude, customer.longitude);
+  }
+
+  distanceKm *= ROAD_DISTANCE_FACTOR;
+  const minutes = Math.max(1, Math.ceil((distanceKm / AVERAGE_SPEED_KMPH) * 60));
+  const from = position.recordedAt || position.updatedAt || new Date();
+
+  return {
+    nextStop,
+    distanceKm: roundAmount(distanceKm),
+    minutes,
+    arrivingAt: new Date(new Date(from).getTime() + minutes * 60 * 1000),
+  };
+};
+
+// Payload of the `rider_location` event for one shipment
+const formatLocation = (riderId, position, shipment) => ({
+  orderId: getId(shipment.order),
+  orderNumber: shipment.orderNumber,
+  shipmentId: getId(shipment._id),
+  riderId: getId(riderId),
+  status: shipment.status,
+  latitude: position.latitude,
+  longitude: position.longitude,
+  heading: position.heading,
+  speed: position.speed,
+  accuracy: position.accuracy,
+  updatedAt: position.recordedAt || position.updatedAt,
+  eta: calculateEta(position, shipment),
+});
+
+const isBreadcrumbDue = (riderId, position) => {
+  const last = lastBreadcrumbs.get(riderId);
+  if (!last) {
+    return true;
+  }
+  return position.recordedAt - last.recordedAt >= BREADCRUMB_INTERVAL_MS
+    || calculateDistance(last.latitude, last.longitude, position.latitude, position.longitude) >= BREADCRUMB_MIN_DISTANCE_KM;
+};
+
+/**
+ * Store a GPS ping from a rider on active shipments. Returns one
+ * `rider_location` payload per shipment, or null when the ping was dropped
+ * (too soon after the last one, or older than it).
+ */
+exports.recordLocation = async (riderId, ping = {}) => {
+  const riderKey = getId(riderId);
+  const position = parsePing(ping);
+
+  const lastPing = lastPings.get(riderKey);
+  if (lastPing && position.recordedAt - lastPing < MIN_PING_INTERVAL_MS) {
+    return null;
+  }
+
+  const shipments = await getActiveShipments(riderKey);
+  if (shipments.length === 0) {
+    throw new Error('No active order to share location for');
+  }
+
+  lastPings.set(riderKey, position.recordedAt);
+
+  await Rider.updateOne(
+    { _id: riderKey },
+    {
+      $set: {
+        liveLocation: {
+          latitude: position.latitude,
+          longitude: position.longitude,
+          location: toPoint(position.latitude, position.longitude),
+          heading: position.heading,
+          speed: position.speed,
+          accuracy: position.accuracy,
+          updatedAt: position.recordedAt,
+        },
+      },
+    }
+  );
+
+  if (isBreadcrumbDue(riderKey, position)) {
+    lastBreadcrumbs.set(riderKey, position);
+    try {
+      await RiderBreadcrumb.create({
+        rider: riderKey,
+        orders: [...new Set(shipments.map(shipment => getId(shipment.order)))],
+        shipments: shipments.map(shipment => shipment._id),
+        ...position,
+        expiresAt: new Date(position.recordedAt.getTime() + BREADCRUMB_TTL_DAYS * 24 * 60 * 60 * 1000),
+      });
+    } catch (error) {
+      logger.error(`Storing breadcrumb for rider ${riderKey} failed:`, error);
+    }
+  }
+
+  return shipments.map(shipment => formatLocation(riderKey, position, shipment));
+};
+
+/**
+ * Reload a rider's active shipments on the next ping, e.g. after one of them
+ * changed status, so a delivered order stops getting their location
+ */
+exports.refreshActiveShipments = (riderId) => {
+  if (riderId) {
+    activeShipments.delete(getId(riderId));
+  }
+};
+
+/**
+ * Drop what is kept in memory for a rider, e.g. when their socket disconnects
+ */
+exports.forgetRider = (riderId) => {
+  const riderKey = getId(riderId);
+  lastPings.delete(riderKey);
+  lastBreadcrumbs.delete(riderKey);
+  activeShipments.delete(riderKey);
+};
+
+/**
+ * Whether a socket account may follow an order: the customer, a vendor or
+ * rider with a shipment in it, or an admin
+ */
+exports.canViewOrder = async (viewer, orderId) => {
+  if (viewer.role === 'admin') {
+    return !!(await Order.exists({ _id: orderId }));
+  }
+  if (viewer.role === 'user') {
+    return !!(await Order.exists({ _id: orderId, user: viewer.id }));
+  }
+  if (viewer.role === 'vendor') {
+    return !!(await Shipment.exists({ order: orderId, vendor: viewer.id }));
+  }
+  if (viewer.role === 'rider') {
+    return !!(await Shipment.exists({ order: orderId, rider: viewer.id }));
+  }
+  return false;
+};
+
+// Vendors and riders only see their own shipments of an order
+const getShipmentScope = (orderId, viewer) => {
+  const query = { order: orderId };
+  if (viewer.role === 'vendor') {
+    query.vendor = viewer.id;
+  } else if (viewer.role === 'rider') {
+    query.rider = viewer.id;
+  }
+  return query;
+};
+
+/**
+ * Ids of the shipments of an order a viewer may follow. Live locations go to
+ * the `shipment:<id>` room of each.
+ */
+exports.getViewableShipmentIds = async (orderId, viewer) => {
+  const ids = await Shipment.distinct('_id', getShipmentScope(orderId, viewer));
+  return ids.map(id => id.toString());
+};
+
+/**
+ * Where the riders of an order are now, their ETA and the trail driven so
+ * far. Vendors and riders only see their own shipments.
+ */
+exports.getOrderTracking = async (orderId, viewer) => {
+  if (!(await exports.canViewOrder(viewer, orderId))) {
+    throw new Error('Order not found');
+  }
+
+  const query = { rider: { $exists: true, $ne: null }, ...getShipmentScope(orderId, viewer) };
+
+  const shipments = await Shipment.find(query)
+    .select('order orderNumber vendor status rider deliveredAt')
+    .populate('vendor', 'storeName storeAddress.latitude storeAddress.longitude')
+    .populate('order', 'shippingAddress.latitude shippingAddress.longitude')
+    .populate('rider', 'fullName mobileNumber liveLocation')
+    .lean();
+
+  const tracking = await Promise.all(shipments.map(async (shipment) => {
+    const isActive = ACTIVE_STATUSES.includes(shipment.status);
+    const liveLocation = shipment.rider?.liveLocation;
+
+    const trail = await RiderBreadcrumb.find({ orders: orderId, rider: shipment.rider._id })
+      .select('latitude longitude recordedAt -_id')
+      .sort({ recordedAt: -1 })
+      .limit(MAX_TRAIL_POINTS)
+      .lean();
+
+    return {
+      shipmentId: shipment._id,
+      orderNumber: shipment.orderNumber,
+      storeName: shipment.vendor?.storeName,
+      status: shipment.status,
+      deliveredAt: shipment.deliveredAt,
+      rider: {
+        _id: shipment.rider._id,
+        fullName: shipment.rider.fullName,
+        mobileNumber: shipment.rider.mobileNumber,
+      },
+      // The live position is only shared while the rider is on the shipment
+      location: isActive && hasCoordinates(liveLocation)
+        ? formatLocation(shipment.rider._id, liveLocation, shipment)
+        : null,
+      trail: trail.reverse(),
+    };
+  }));
+
+  return {
+    orderId,
+    shipments: tracking,
+  };
+};
+
+exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
@@ -0,0 +1,359 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const SubCategory = require('../models/SubCategory');
+const Vendor = require('../models/Vendor');
+const Suggestion = require('../models/Suggestion');
+const storeHoursService = require('./storeHoursService');
+const { normalizeText, tokenize, getWordVariants } = require('../utils/searchTerms');
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_QUERY_WORDS = 8;
+const TAG_FACET_LIMIT = 20;
+const MAX_SUGGESTION_LENGTH = 100;
+
+// Lower bounds of the price facet bands; the last band is open ended
+const PRICE_BANDS = [0, 50, 100, 200, 500, 1000];
+
+// Relevance: 1 per query word found as typed, less for a word one typo away
+const FUZZY_MATCH_WEIGHT = 0.6;
+const NAME_PREFIX_BONUS = 0.3;
+// Added for being close, falling to 0 at the edge of the radius
+const PROXIMITY_WEIGHT = 0.3;
+
+const SORTS = {
+  relevance: { score: -1, averageRating: -1, createdAt: -1, _id: 1 },
+  price_low: { salePrice: 1, _id: 1 },
+  price_high: { salePrice: -1, _id: 1 },
+  rating: { averageRating: -1, ratingCount: -1, _id: 1 },
+  distance: { distance: 1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(value.toString());
+
+const calculateDiscountPercentage = (regularPrice, salePrice) => {
+  if (!regularPrice || regularPrice <= 0) {
+    return 0;
+  }
+  if (!salePrice || salePrice >= regularPrice) {
+    return 0;
+  }
+  const discount = ((regularPrice - salePrice) / regularPrice) * 100;
+  return parseFloat(discount.toFixed(2));
+};
+
+const activeOfferExpression = (now) => ({
+  $and: [
+    { $eq: ['$offerEnabled', true] },
+    { $gt: ['$offerDiscountPercentage', 0] },
+    { $or: [{ $not: ['$offerStartDate'] }, { $lte: ['$offerStartDate', now] }] },
+    { $or: [{ $not: ['$offerEndDate'] }, { $gte: ['$offerEndDate', now] }] },
+  ],
+});
+
+const namedFacet = (field, collection, nameField) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $lookup: { from: collection, localField: '_id', foreignField: '_id', as: 'ref' } },
+  { $project: { _id: 1, count: 1, name: { $arrayElemAt: [`$ref.${nameField}`, 0] } } },
+];
+
+const formatProduct = (product) => {
+  const { matchedWords, ...rest } = product;
+  const formatted = {
+    ...rest,
+    score: parseFloat((product.score || 0).toFixed(3)),
+  };
+  if (product.distance !== undefined) {
+    formatted.distance = parseFloat(product.distance.toFixed(2));
+  }
+
+  if (product.hasOffer) {
+    formatted.offer = {
+      discountPercentage: product.offerDiscountPercentage,
+      startDate: product.offerStartDate,
+      endDate: product.offerEndDate,
+      isDailyOffer: product.isDailyOffer,
+    };
+    formatted.discountPercentage = product.offerDiscountPercentage;
+  } else {
+    formatted.discountPercentage = calculateDiscountPercentage(product.regularPrice, product.salePrice);
+  }
+
+  return formatted;
+};
+
+/**
+ * Search approved products with typo tolerance, ranked by relevance plus
+ * proximity, with facet counts for category, sub category, price band,
+ * vendor, offer status and tags.
+ *
+ * Facets are disjunctive: each one is counted with every filter applied
+ * except its own, so picking a category still shows the other categories.
+ */
+exports.searchProducts = async ({
+  q,
+  latitude,
+  longitude,
+  radius = DEFAULT_RADIUS_KM,
+  category,
+  subCategory,
+  vendor,
+  minPrice,
+  maxPrice,
+  onOffer,
+  tags = [],
+  minRating,
+  sortBy = 'relevance',
+} = {}, page = 1, limit = 20) => {
+  const hasLocation = latitude !== undefined && longitude !== undefined;
+  if (sortBy === 'distance' && !hasLocation) {
+    throw new Error('Latitude and longitude are required to sort by distance');
+  }
+
+  const words = [...new Set(tokenize(q))].slice(0, MAX_QUERY_WORDS);
+  const wordVariants = words.map(getWordVariants);
+  const now = new Date();
+
+  const baseMatch = {
+    approvalStatus: 'approved',
+    isActive: true,
+  };
+  if (words.length > 0) {
+    baseMatch.searchTerms = { $in: [...new Set(wordVariants.flat())] };
+  }
+  if (minRating !== undefined) {
+    baseMatch.averageRating = { $gte: minRating };
+  }
+
+  const computed = { hasOffer: activeOfferExpression(now) };
+  const scoreParts = [];
+
+  if (words.length > 0) {
+    const searchTerms = { $ifNull: ['$searchTerms', []] };
+    const wordScores = words.map((word, index) => ({
+      $cond: [
+        { $in: [word, searchTerms] },
+        1,
+        { $cond: [{ $gt: [{ $size: { $setIntersection: [searchTerms, wordVariants[index]] } }, 0] }, FUZZY_MATCH_WEIGHT, 0] },
+      ],
+    }));
+    computed.matchedWords = { $size: { $filter: { input: wordScores, cond: { $gt: ['$$this', 0] } } } };
+    scoreParts.push({ $divide: [{ $add: wordScores }, words.length] });
+    scoreParts.push({
+      $cond: [
+        { $regexMatch: { input: '$productName', regex: `^${escapeRegex(q.trim())}`, options: 'i' } },
+        NAME_PREFIX_BONUS,
+        0,
+      ],
+    });
+  }
+
+  if (hasLocation) {
+    scoreParts.push({
+      $multiply: [PROXIMITY_WEIGHT, { $max: [0, { $subtract: [1, { $divide: ['$distance', radius] }] }] }],
+    });
+  }
+
+  // $geoNear has to come first; it applies the base match and sets `distance` in km
+  const pipeline = [
+    hasLocation
+      ? {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          key: 'location',
+          distanceField: 'distance',
+          distanceMultiplier: 0.001,
+          maxDistance: radius * 1000,
+          spherical: true,
+          query: baseMatch,
+        },
+      }
+      : { $match: baseMatch },
+    { $addFields: computed },
+  ];
+
+  const postMatch = {};
+  if (words.length > 0) {
+    // Multi word queries need at least half of the words to match
+    postMatch.matchedWords = { $gte: Math.ceil(words.length / 2) };
+  }
+  if (Object.keys(postMatch).length > 0) {
+    pipeline.push({ $match: postMatch });
+  }
+
+  // Scored after the word filter so only matching products are scored
+  pipeline.push({ $addFields: { score: scoreParts.length > 0 ? { $add: scoreParts } : 0 } });
+
+  const facetFilters = {
+    category: category ? { category: toObjectId(category) } : null,
+    subCategory: subCategory ? { subCategory: toObjectId(subCategory) } : null,
+    vendor: vendor ? { vendor: toObjectId(vendor) } : null,
+    price: minPrice !== undefined || maxPrice !== undefined
+      ? {
+        salePrice: {
+          ...(minPrice !== undefined && { $gte: minPrice }),
+          ...(maxPrice !== undefined && { $lte: maxPrice }),
+        },
+      }
+      : null,
+    offer: onOffer !== undefined ? { hasOffer: onOffer } : null,
+    tags: tags.length > 0 ? { tags: { $in: tags } } : null,
+  };
+
+  const matchExcept = (dimension) => {
+    const conditions = Object.entries(facetFilters)
+      .filter(([key, condition]) => key !== dimension && condition)
+      .map(([, condition]) => condition);
+    return conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+  };
+
+  const skip = (page - 1) * limit;
+
+  pipeline.push({
+    $facet: {
+      results: [
+        ...matchExcept(null),
+        { $sort: SORTS[sortBy] || SORTS.relevance },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { searchTerms: 0 } },
+      ],
+      total: [...matchExcept(null), { $count: 'count' }],
+      categories: [...matchExcept('category'), ...namedFacet('category', Category.collection.name, 'name')],
+      subCategories: [...matchExcept('subCategory'), ...namedFacet('subCategory', SubCategory.collection.name, 'name')],
+      vendors: [...matchExcept('vendor'), ...namedFacet('vendor', Vendor.collection.name, 'storeName')],
+      priceBands: [
+        ...matchExcept('price'),
+        {
+          $bucket: {
+            groupBy: '$salePrice',
+            boundaries: PRICE_BANDS,
+            default: PRICE_BANDS[PRICE_BANDS.length - 1],
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+      offers: [...matchExcept('offer'), { $group: { _id: '$hasOffer', count: { $sum: 1 } } }],
+      tags: [
+        ...matchExcept('tags'),
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: TAG_FACET_LIMIT },
+      ],
+    },
+  });
+
+  const [result] = await Product.aggregate(pipeline);
+
+  const products = await Product.populate(result.results, [
+    { path: 'category', select: 'name' },
+    { path: 'subCategory', select: 'name' },
+    { path: 'vendor', select: 'vendorName storeName storeAddress serviceRadius' },
+  ]);
+
+  const total = result.total[0] ? result.total[0].count : 0;
+  const offerCounts = result.offers.reduce((counts, row) => {
+    counts[row._id ? 'onOffer' : 'regular'] = row.count;
+    return counts;
+  }, { onOffer: 0, regular: 0 });
+
+  return {
+    count: products.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+    facets: {
+      categories: result.categories,
+      subCategories: result.subCategories,
+      vendors: result.vendors,
+      priceBands: result.priceBands.map(band => ({
+        min: band._id,
+        max: PRICE_BANDS[PRICE_BANDS.indexOf(band._id) + 1] ?? null,
+        count: band.count,
+      })),
+      offers: offerCounts,
+      tags: result.tags.map(tag => ({ tag: tag._id, count: tag.count })),
+    },
+    data: await storeHoursService.markStoreStatus(products.map(formatProduct)),
+  };
+};
+
+/**
+ * Completions for a partly typed query: product names and admin-curated
+ * suggestions. Earlier words may have a typo; the last one is a prefix.
+ */
+exports.autocomplete = async (prefix, limit = 10) => {
+  const words = tokenize(prefix);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const lastWord = words[words.length - 1];
+  const typed = normalizeText(prefix).trim();
+
+  const match = {
+    approvalStatus: 'approved',
+    isActive: true,
+    searchTerms: { $regex: `^${escapeRegex(lastWord)}` },
+  };
+  if (words.length > 1) {
+    match.$and = words.slice(0, -1).map(word => ({ searchTerms: { $in: getWordVariants(word) } }));
+  }
+
+  const [productNames, suggestions] = await Promise.all([
+    Product.aggregate([
+      { $match: match },
+      { $group: { _id: { $toLower: '$productName' }, text: { $first: '$productName' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit * 3 },
+    ]),
+    // Anyone can post a suggestion; only the ones an admin created are offered
+    Suggestion.find({
+      createdBy: { $ne: null },
+      text: { $regex: `(^|\\s)${escapeRegex(prefix.trim())}`, $options: 'i' },
+    })
+      .select('text')
+      .limit(limit * 2)
+      .lean(),
+  ]);
+
+  // Whole prefix first, then a word starting with the last word, then typo matches
+  const rank = (text) => {
+    if (normalizeText(text).startsWith(typed)) {
+      return 0;
+    }
+    return tokenize(text).some(word => word.startsWith(lastWord)) ? 1 : 2;
+  };
+
+  const candidates = [
+    ...suggestions
+      .filter(suggestion => suggestion.text.length <= MAX_SUGGESTION_LENGTH)
+      .map(suggestion => ({ text: suggestion.text, type: 'suggestion' })),
+    ...productNames.map(product => ({ text: product.text, type: 'product', count: product.count })),
+  ];
+
+  const seen = new Set();
+  return candidates
+    .map((candidate, index) => ({ ...candidate, rank: rank(candidate.text), index }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .filter((candidate) => {
+      const key = candidate.text.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ rank, index, ...candidate }) => candidate);
+};
+
+exports.PRICE_BANDS = PRICE_BANDS;
@@ -0,0 +1,144 @@
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const { getNearbyVendors } = require('./vendorService');
+const { isValidBoundary, hasCoordinates } = require('../utils/geo');
+const { getId } = require('../utils/ids');
+
+/**
+ * Stores that deliver to a point, nearest first
+ */
+exports.getServiceability = async (latitude, longitude, pinCode) => {
+  const vendors = await getNearbyVendors(latitude, longitude, 0, { pinCode });
+
+  return {
+    serviceable: vendors.length > 0,
+    count: vendors.length,
+    stores: vendors.map(vendor => ({
+      vendorId: vendor._id,
+      storeName: vendor.storeName,
+      city: vendor.storeAddress?.city,
+      distance: vendor.distance,
+    })),
+  };
+};
+
+/**
+ * Ids of the given stores that deliver to `location` ({ latitude, longitude, pinCode }).
+ * Without coordinates only PIN code lists can be checked: a store delivers
+ * only when the PIN code is listed. Zones and the serviceRadius need the
+ * coordinates, so stores limited to those do not count as delivering.
+ */
+exports.getServiceableVendorIds = async (vendorIds, location = {}) => {
+  const ids = [...new Set(vendorIds.map(getId).filter(Boolean))];
+  if (ids.length === 0) {
+    return new Set();
+  }
+
+  if (hasCoordinates(location)) {
+    const vendors = await getNearbyVendors(Number(location.latitude), Number(location.longitude), 0, {
+      pinCode: location.pinCode,
+      vendorIds: ids,
+    });
+    return new Set(vendors.map(vendor => vendor._id.toString()));
+  }
+
+  const vendors = await Vendor.find({ _id: { $in: ids }, isActive: true }).select('serviceArea');
+  return new Set(
+    vendors
+      .filter(vendor => !!location.pinCode && (vendor.serviceArea?.pinCodes || []).includes(location.pinCode))
+      .map(vendor => vendor._id.toString())
+  );
+};
+
+/**
+ * Throw when any of the stores does not deliver to `location`
+ */
+exports.assertServiceable = async (vendorIds, location = {}) => {
+  const ids = [...new Set(vendorIds.map(getId).filter(Boolean))];
+  const serviceableIds = await exports.getServiceableVendorIds(ids, location);
+  const unserviceableIds = ids.filter(id => !serviceableIds.has(id));
+
+  if (unserviceableIds.length > 0) {
+    const vendors = await Vendor.find({ _id: { $in: unserviceableIds } }).select('storeName');
+    const storeNames = vendors.map(vendor => vendor.storeName || 'Store').join(', ');
+    throw new Error(`Delivery is not available at this address from: ${storeNames}`);
+  }
+};
+
+/**
+ * The user's default saved address, or their profile address, as a delivery location
+ */
+exports.getDefaultDeliveryLocation = async (userId) => {
+  const user = await User.findById(userId).select('address addresses');
+  if (!user) {
+    return null;
+  }
+
+  const addresses = user.addresses || [];
+  const address = addresses.find(entry => entry.isDefault) || addresses[0] || user.address;
+  if (!address || (!address.pinCode && !hasCoordinates(address))) {
+    return null;
+  }
+
+  return {
+    latitude: address.latitude,
+    longitude: address.longitude,
+    pinCode: address.pinCode,
+  };
+};
+
+exports.getServiceArea = async (vendorId) => {
+  const vendor = await Vendor.findById(vendorId).select('storeName serviceRadius serviceArea');
+  if (!vendor) {
+    throw new Error('Vendor not found');
+  }
+
+  return {
+    vendorId: vendor._id,
+    storeName: vendor.storeName,
+    serviceRadius: vendor.serviceRadius,
+    zones: vendor.serviceArea?.zones || [],
+    pinCodes: vendor.serviceArea?.pinCodes || [],
+  };
+};
+
+/**
+ * Replace a store's zones and/or PIN codes. Clearing both puts the store back
+ * on its serviceRadius.
+ */
+exports.updateServiceArea = async (vendorId, { zones, pinCodes }) => {
+  const vendor = await Vendor.findById(vendorId);
+  if (!vendor) {
+    throw new Error('Vendor not found');
+  }
+  if (!vendor.storeId) {
+    throw new Error('Vendor registration not completed');
+  }
+
+  if (zones !== undefined) {
+    const invalidZone = zones.find(zone => !isValidBoundary(zone.boundary));
+    if (invalidZone) {
+      throw new Error(`Zone "${invalidZone.name}" must be a GeoJSON Polygon or MultiPolygon with closed rings`);
+    }
+    vendor.serviceArea.zones = zones.map(zone => ({
+      name: zone.name,
+      boundary: { type: zone.boundary.type, coordinates: zone.boundary.coordinates },
+    }));
+  }
+
+  if (pinCodes !== undefined) {
+    vendor.serviceArea.pinCodes = [...new Set(pinCodes.map(pinCode => String(pinCode).trim()))];
+  }
+
+  try {
+    await vendor.save();
+  } catch (error) {
+    // MongoDB refuses to index self-intersecting or degenerate polygons
+    if (error.code === 16755) {
+      throw new Error('Zone boundary is not a valid polygon. Make sure its edges do not cross');
+    }
+    throw error;
+  }
+
+  return exports.getServiceArea(vendor._id);
+};
@@ -0,0 +1,665 @@
+const mongoose = require('mongoose');
+const VendorEarning = require('../models/VendorEarning');
+const VendorSettlement = require('../models/VendorSettlement');
+const Vendor = require('../models/Vendor');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const { DAY_MS, startOfLocalDay, toLocalDate, toLocalWeekday } = require('../utils/localTime');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+const parsedCommission = parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE);
+const PLATFORM_COMMISSION_PERCENTAGE = Number.isNaN(parsedCommission) ? 10 : parsedCommission;
+
+// Cycles run Monday to Monday store-local time
+const WEEK_MS = 7 * DAY_MS;
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  // Keep spreadsheet apps from running cell text as a formula
+  if (/^[=+@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildCsv = (columns, rows) => {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(column => toCsvValue(row[column])).join(','));
+  });
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+const maskAccountNumber = (accountNumber) => {
+  if (!accountNumber) {
+    return accountNumber;
+  }
+  return `${'X'.repeat(Math.max(accountNumber.length - 4, 0))}${accountNumber.slice(-4)}`;
+};
+
+/**
+ * Start of the store-local week (Monday 00:00) containing `date`
+ */
+const getCycleStart = (date) => {
+  const dayStart = startOfLocalDay(date);
+  const daysSinceMonday = (toLocalWeekday(dayStart) + 6) % 7;
+  return new Date(dayStart.getTime() - daysSinceMonday * DAY_MS);
+};
+
+exports.getCommissionPercentage = (vendor) => (
+  vendor?.commissionPercentage !== undefined && vendor?.commissionPercentage !== null
+    ? vendor.commissionPercentage
+    : PLATFORM_COMMISSION_PERCENTAGE
+);
+
+/**
+ * The open cycle of a vendor for `at`, created on first use. When that week
+ * was closed already (a late refund, a delivery marked after the close) the
+ * entry goes into the following cycle.
+ */
+const getOpenSettlement = async (vendorId, at = new Date()) => {
+  let periodStart = getCycleStart(at);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const periodEnd = new Date(periodStart.getTime() + WEEK_MS);
+    try {
+      return await VendorSettlement.findOneAndUpdate(
+        { vendor: vendorId, periodStart, status: 'open' },
+        {
+          $setOnInsert: {
+            settlementNumber: await VendorSettlement.generateSettlementNumber(),
+            periodEnd,
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Created by another request, or closed already
+      const existing = await VendorSettlement.findOne({ vendor: vendorId, periodStart });
+      if (existing && existing.status === 'open') {
+        return existing;
+      }
+      if (existing) {
+        periodStart = periodEnd;
+      }
+    }
+  }
+
+  throw new Error('Failed to open a settlement cycle');
+};
+
+const getTotalsIncrement = (entry) => {
+  const increments = {
+    'totals.netPayable': entry.netAmount,
+    'totals.entryCount': 1,
+  };
+
+  if (entry.type === 'sale') {
+    increments['totals.itemsSubtotal'] = entry.itemsSubtotal;
+    increments['totals.couponFunding'] = entry.couponFunding;
+    increments['totals.tax'] = entry.tax;
+    increments['totals.commission'] = entry.commission;
+  } else if (entry.type === 'refund') {
+    increments['totals.refunds'] = entry.netAmount;
+  } else {
+    increments['totals.adjustments'] = entry.netAmount;
+  }
+
+  return increments;
+};
+
+/**
+ * Write a ledger entry into the vendor's open cycle and add it to the cycle
+ * totals. If the cycle closes in between, the entry moves to the next one.
+ */
+const addEntry = async (vendorId, data) => {
+  let settlement = await getOpenSettlement(vendorId);
+  const entry = await VendorEarning.create({ ...data, vendor: vendorId, settlement: settlement._id });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const updated = await VendorSettlement.findOneAndUpdate(
+      { _id: settlement._id, status: 'open' },
+      { $inc: getTotalsIncrement(entry), $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    if (updated) {
+      return entry;
+    }
+
+    settlement = await getOpenSettlement(vendorId, new Date(settlement.periodEnd.getTime()));
+    entry.settlement = settlement._id;
+    await entry.save();
+  }
+
+  throw new Error('Failed to add earning to a settlement cycle');
+};
+
+/**
+ * Record what the vendor earned on a delivered shipment. Commission is taken
+ * on the items after any discount the vendor funds; tax is passed through and
+ * the handling charge stays with the platform. Recording is idempotent.
+ */
+exports.recordShipmentEarning = async (shipment) => {
+  if (!shipment || shipment.status !== 'delivered' || !shipment.vendor) {
+    return null;
+  }
+
+  const existing = await VendorEarning.findOne({ shipment: shipment._id, type: 'sale' });
+  if (existing) {
+    return existing;
+  }
+
+  const [order, vendor] = await Promise.all([
+    Order.findById(getId(shipment.order)).select('orderNumber coupon'),
+    Vendor.findById(getId(shipment.vendor)).select('commissionPercentage'),
+  ]);
+
+  const pricing = shipment.pricing || {};
+  const itemsSubtotal = roundAmount(pricing.subtotal || 0);
+  const discount = roundAmount(pricing.discount || 0);
+  const tax = roundAmount(pricing.tax || 0);
+
+  // Vendor coupons are funded by the vendor, every other discount by the platform
+  let couponFunding = 0;
+  if (discount > 0 && order?.coupon?.couponId) {
+    const coupon = await Coupon.findById(order.coupon.couponId).select('createdBy createdByModel');
+    if (coupon && coupon.createdByModel === 'Vendor' && getId(coupon.createdBy) === getId(shipment.vendor)) {
+      couponFunding = discount;
+    }
+  }
+
+  const commissionPercentage = exports.getCommissionPercentage(vendor);
+  const commission = roundAmount(Math.max(itemsSubtotal - couponFunding, 0) * commissionPercentage / 100);
+  const netAmount = roundAmount(itemsSubtotal - couponFunding + tax - commission);
+
+  try {
+    const entry = await addEntry(getId(shipment.vendor), {
+      type: 'sale',
+      order: getId(shipment.order),
+      orderNumber: order?.orderNumber || shipment.orderNumber,
+      shipment: shipment._id,
+      itemsSubtotal,
+      couponFunding,
+      platformDiscount: roundAmount(discount - couponFunding),
+      tax,
+      commissionPercentage,
+      commission,
+      handlingCharge: roundAmount(pricing.handlingCharge || 0),
+      netAmount,
+      description: `Shipment ${shipment.shipmentNumber} delivered`,
+    });
+    logger.info(`Earning recorded for shipment ${shipment.shipmentNumber}: ${netAmount}`);
+    return entry;
+  } catch (error) {
+    // Recorded concurrently
+    if (error.code === 11000) {
+      return VendorEarning.findOne({ shipment: shipment._id, type: 'sale' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Take back the vendor's earning on refunded return items, at the commission
+ * and coupon funding of the original sale.
+ */
+exports.recordRefundDeduction = async (returnRequest) => {
+  if (!returnRequest || returnRequest.type !== 'return' || returnRequest.status !== 'refunded' || !returnRequest.vendor) {
+    return null;
+  }
+
+  const existing = await VendorEarning.findOne({ returnRequest: returnRequest._id, type: 'refund' });
+  if (existing) {
+    return existing;
+  }
+
+  const sale = await VendorEarning.findOne({
+    type: 'sale',
+    order: getId(returnRequest.order),
+    vendor: getId(returnRequest.vendor),
+  });
+  if (!sale) {
+    logger.warn(`No earning to deduct return ${returnRequest.returnNumber} from`);
+    return null;
+  }
+
+  const amounts = returnRequest.amounts || {};
+  const itemsSubtotal = roundAmount(amounts.itemsSubtotal || 0);
+  const discount = roundAmount(amounts.discountShare || 0);
+  const couponFunding = sale.couponFunding > 0 ? discount : 0;
+  const tax = roundAmount(amounts.taxShare || 0);
+  const commission = roundAmount(Math.max(itemsSubtotal - couponFunding, 0) * sale.commissionPercentage / 100);
+  const netAmount = roundAmount(itemsSubtotal - couponFunding + tax - commission);
+
+  try {
+    const entry = await addEntry(getId(returnRequest.vendor), {
+      type: 'refund',
+      order: sale.order,
+      orderNumber: sale.orderNumber,
+      shipment: sale.shipment,
+      returnRequest: returnRequest._id,
+      itemsSubtotal: -itemsSubtotal,
+      couponFunding: -couponFunding,
+      platformDiscount: -roundAmount(discount - couponFunding),
+      tax: -tax,
+      commissionPercentage: sale.commissionPercentage,
+      commission: -commission,
+      handlingCharge: -roundAmount(amounts.handlingChargeShare || 0),
+      netAmount: -netAmount,
+      description: `Return ${returnRequest.returnNumber} refunded`,
+    });
+    logger.info(`Refund deduction recorded for return ${returnRequest.returnNumber}: ${-netAmount}`);
+    return entry;
+  } catch (error) {
+    if (error.code === 11000) {
+      return VendorEarning.findOne({ returnRequest: returnRequest._id, type: 'refund' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Totals of a cycle recomputed from its entries
+ */
+const calculateTotals = async (settlementId) => {
+  const rows = await VendorEarning.aggregate([
+    { $match: { settlement: new mongoose.Types.ObjectId(getId(settlementId)) } },
+    {
+      $group: {
+        _id: '$type',
+        itemsSubtotal: { $sum: '$itemsSubtotal' },
+        couponFunding: { $sum: '$couponFunding' },
+        tax: { $sum: '$tax' },
+        commission: { $sum: '$commission' },
+        netAmount: { $sum: '$netAmount' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const byType = new Map(rows.map(row => [row._id, row]));
+  const sale = byType.get('sale') || {};
+  const totals = {
+    itemsSubtotal: roundAmount(sale.itemsSubtotal || 0),
+    couponFunding: roundAmount(sale.couponFunding || 0),
+    tax: roundAmount(sale.tax || 0),
+    commission: roundAmount(sale.commission || 0),
+    refunds: roundAmount(byType.get('refund')?.netAmount || 0),
+    adjustments: roundAmount(byType.get('adjustment')?.netAmount || 0),
+    entryCount: rows.reduce((sum, row) => sum + row.count, 0),
+  };
+  totals.netPayable = roundAmount(rows.reduce((sum, row) => sum + row.netAmount, 0));
+
+  return totals;
+};
+
+/**
+ * Close a finished cycle. A positive balance waits for admin approval;
+ * otherwise the cycle is carried forward and a negative balance is taken
+ * from the vendor's next cycle.
+ */
+const closeSettlement = async (settlement) => {
+  const totals = await calculateTotals(settlement._id);
+  const status = totals.netPayable > 0 ? 'pending_approval' : 'carried_forward';
+
+  const closed = await VendorSettlement.findOneAndUpdate(
+    { _id: settlement._id, status: 'open' },
+    { $set: { status, totals, closedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!closed) {
+    return null;
+  }
+
+  if (totals.netPayable < 0) {
+    await addEntry(getId(closed.vendor), {
+      type: 'adjustment',
+      netAmount: totals.netPayable,
+      description: `Balance carried forward from ${closed.settlementNumber}`,
+    });
+  }
+
+  logger.info(`Settlement ${closed.settlementNumber} closed as ${status}: ${totals.netPayable}`);
+  return closed;
+};
+
+/**
+ * Close every open cycle whose week has ended. Runs daily and before
+ * settlements are listed.
+ */
+exports.closeDueSettlements = async ({ vendorId } = {}, now = new Date()) => {
+  const query = { status: 'open', periodEnd: { $lte: now } };
+  if (vendorId) {
+    query.vendor = vendorId;
+  }
+
+  const due = await VendorSettlement.find(query).sort({ periodStart: 1 });
+  let closedCount = 0;
+
+  for (const settlement of due) {
+    try {
+      if (await closeSettlement(settlement)) {
+        closedCount++;
+      }
+    } catch (error) {
+      logger.error(`Closing settlement ${settlement.settlementNumber} failed:`, error);
+    }
+  }
+
+  if (closedCount > 0) {
+    logger.info(`Closed ${closedCount} settlement cycle(s)`);
+  }
+  return closedCount;
+};
+
+exports.getSettlements = async (filters = {}, page = 1, limit = 10) => {
+  try {
+    await exports.closeDueSettlements({ vendorId: filters.vendor });
+  } catch (error) {
+    logger.error('Closing due settlements failed:', error);
+  }
+
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (filters.vendor) {
+    query.vendor = filters.vendor;
+  }
+  if (filters.status) {
+    query.status = filters.status;
+  }
+  if (filters.from || filters.to) {
+    query.periodStart = {};
+    if (filters.from) {
+      query.periodStart.$gte = new Date(filters.from);
+    }
+    if (filters.to) {
+      query.periodStart.$lte = new Date(filters.to);
+    }
+  }
+
+  const [settlements, total] = await Promise.all([
+    VendorSettlement.find(query)
+      .populate('vendor', 'storeName storeId')
+      .sort({ periodStart: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    VendorSettlement.countDocuments(query),
+  ]);
+
+  // Vendors only see the last digits of the payout account
+  const data = filters.vendor
+    ? settlements.map(settlement => ({
+      ...settlement,
+      payout: settlement.payout && { ...settlement.payout, accountNumber: maskAccountNumber(settlement.payout.accountNumber) },
+    }))
+    : settlements;
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * A cycle with its ledger entries. Pass `vendorId` to restrict it to that
+ * vendor; bank details are then masked.
+ */
+exports.getSettlementStatement = async (settlementId, vendorId = null) => {
+  const settlement = await VendorSettlement.findById(settlementId)
+    .populate('vendor', 'storeName storeId bankDetails commissionPercentage')
+    .populate('approvedBy', 'name email')
+    .populate('payout.paidBy', 'name email')
+    .lean();
+
+  if (!settlement || (vendorId && getId(settlement.vendor) !== getId(vendorId))) {
+    throw new Error('Settlement not found');
+  }
+
+  const entries = await VendorEarning.find({ settlement: settlement._id }).sort({ createdAt: 1 }).lean();
+
+  // Paid to the account copied at approval, otherwise to the vendor's current account
+  const bank = settlement.payout?.accountNumber ? settlement.payout : settlement.vendor?.bankDetails || {};
+  const { bankDetails, ...vendor } = settlement.vendor || {};
+
+  return {
+    ...settlement,
+    vendor: {
+      ...vendor,
+      commissionPercentage: exports.getCommissionPercentage(vendor),
+    },
+    payout: settlement.payout && vendorId
+      ? { ...settlement.payout, accountNumber: maskAccountNumber(settlement.payout.accountNumber) }
+      : settlement.payout,
+    bankDetails: {
+      bankName: bank.bankName,
+      ifsc: bank.ifsc,
+      accountNumber: vendorId ? maskAccountNumber(bank.accountNumber) : bank.accountNumber,
+    },
+    entries,
+  };
+};
+
+const STATEMENT_COLUMNS = [
+  'Date',
+  'Type',
+  'Order Number',
+  'Description',
+  'Items Subtotal',
+  'Coupon Funding',
+  'Tax',
+  'Commission %',
+  'Commission',
+  'Net Amount',
+];
+
+/**
+ * Statement of a cycle as a CSV file, one row per ledger entry and a total row
+ */
+exports.renderStatementCsv = async (settlementId, vendorId = null) => {
+  const statement = await exports.getSettlementStatement(settlementId, vendorId);
+
+  const rows = statement.entries.map(entry => ({
+    Date: toLocalDate(entry.createdAt),
+    Type: entry.type,
+    'Order Number': entry.orderNumber,
+    Description: entry.description,
+    'Items Subtotal': entry.itemsSubtotal,
+    'Coupon Funding': entry.couponFunding,
+    Tax: entry.tax,
+    'Commission %': entry.type === 'adjustment' ? '' : entry.commissionPercentage,
+    Commission: entry.commission,
+    'Net Amount': entry.netAmount,
+  }));
+
+  const totals = statement.totals || {};
+  rows.push({
+    Date: `${toLocalDate(statement.periodStart)} to ${toLocalDate(statement.periodEnd.getTime() - 1)}`,
+    Type: 'total',
+    Description: [
+      `Settlement ${statement.settlementNumber} (${statement.status})`,
+      statement.bankDetails.accountNumber && `${statement.bankDetails.bankName || 'Bank'} ${statement.bankDetails.accountNumber} ${statement.bankDetails.ifsc || ''}`.trim(),
+      statement.payout?.reference && `Reference ${statement.payout.reference}`,
+    ].filter(Boolean).join(' | '),
+    'Net Amount': totals.netPayable,
+  });
+
+  return {
+    buffer: buildCsv(STATEMENT_COLUMNS, rows),
+    contentType: 'text/csv; charset=utf-8',
+    filename: `statement-${statement.settlementNumber}.csv`,
+  };
+};
+
+const PAYOUT_COLUMNS = [
+  'Settlement Number',
+  'Store ID',
+  'Store Name',
+  'Period Start',
+  'Period End',
+  'Amount',
+  'Bank Name',
+  'IFSC',
+  'Account Number',
+];
+
+/**
+ * Approved cycles as a CSV payout file for the bank
+ */
+exports.renderPayoutCsv = async () => {
+  const settlements = await VendorSettlement.find({ status: 'approved' })
+    .populate('vendor', 'storeName storeId')
+    .sort({ approvedAt: 1 })
+    .lean();
+
+  const rows = settlements.map(settlement => ({
+    'Settlement Number': settlement.settlementNumber,
+    'Store ID': settlement.vendor?.storeId,
+    'Store Name': settlement.vendor?.storeName,
+    'Period Start': toLocalDate(settlement.periodStart),
+    'Period End': toLocalDate(settlement.periodEnd.getTime() - 1),
+    Amount: settlement.payout?.amount,
+    'Bank Name': settlement.payout?.bankName,
+    IFSC: settlement.payout?.ifsc,
+    'Account Number': settlement.payout?.accountNumber,
+  }));
+
+  return {
+    buffer: buildCsv(PAYOUT_COLUMNS, rows),
+    contentType: 'text/csv; charset=utf-8',
+    filename: `payouts-${toLocalDate(new Date())}.csv`,
+  };
+};
+
+const findSettlement = async (settlementId) => {
+  const settlement = await VendorSettlement.findById(settlementId);
+  if (!settlement) {
+    throw new Error('Settlement not found');
+  }
+  return settlement;
+};
+
+// Update a cycle only if nobody changed its status meanwhile
+const updateIfStatus = async (settlement, statuses, update) => {
+  const updated = await VendorSettlement.findOneAndUpdate(
+    { _id: settlement._id, status: { $in: statuses } },
+    { $set: { ...update, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new Error('Settlement status was changed by another request. Please try again');
+  }
+  return updated;
+};
+
+/**
+ * Approve a closed cycle for payout to the vendor's bank account on file
+ */
+exports.approveSettlement = async (settlementId, adminId) => {
+  const settlement = await findSettlement(settlementId);
+
+  if (!['pending_approval', 'on_hold'].includes(settlement.status)) {
+    throw new Error(`Cannot approve a settlement that is ${settlement.status.replace(/_/g, ' ')}`);
+  }
+
+  // Refunds may have come in since the close
+  const totals = await calculateTotals(settlement._id);
+  if (totals.netPayable <= 0) {
+    throw new Error('Settlement has nothing to pay out');
+  }
+
+  const vendor = await Vendor.findById(settlement.vendor).select('bankDetails storeName');
+  const bankDetails = vendor?.bankDetails || {};
+  if (!bankDetails.accountNumber || !bankDetails.ifsc) {
+    throw new Error('Vendor bank details are incomplete');
+  }
+
+  const updated = await updateIfStatus(settlement, ['pending_approval', 'on_hold'], {
+    status: 'approved',
+    totals,
+    approvedAt: new Date(),
+    approvedBy: adminId,
+    payout: {
+      amount: totals.netPayable,
+      accountNumber: bankDetails.accountNumber,
+      ifsc: bankDetails.ifsc,
+      bankName: bankDetails.bankName,
+    },
+  });
+
+  logger.info(`Settlement ${updated.settlementNumber} approved for ${updated.payout.amount}`);
+  return updated;
+};
+
+/**
+ * Hold a cycle back from payout, e.g. while a dispute is looked into
+ */
+exports.holdSettlement = async (settlementId, adminId, reason) => {
+  const settlement = await findSettlement(settlementId);
+
+  if (!['pending_approval', 'approved'].includes(settlement.status)) {
+    throw new Error(`Cannot hold a settlement that is ${settlement.status.replace(/_/g, ' ')}`);
+  }
+
+  return updateIfStatus(settlement, ['pending_approval', 'approved'], {
+    status: 'on_hold',
+    holdReason: reason,
+    heldAt: new Date(),
+    heldBy: adminId,
+  });
+};
+
+/**
+ * Record the bank transfer of an approved cycle
+ */
+exports.markSettlementPaid = async (settlementId, adminId, { reference, paidAt }) => {
+  const settlement = await findSettlement(settlementId);
+
+  if (settlement.status !== 'approved') {
+    throw new Error('Only approved settlements can be marked as paid');
+  }
+
+  const updated = await updateIfStatus(settlement, ['approved'], {
+    status: 'paid',
+    'payout.reference': reference,
+    'payout.paidAt': paidAt ? new Date(paidAt) : new Date(),
+    'payout.paidBy': adminId,
+  });
+
+  logger.info(`Settlement ${updated.settlementNumber} paid, reference ${reference}`);
+  return updated;
+};
+
+exports.updateCommission = async (vendorId, commissionPercentage) => {
+  const vendor = await Vendor.findById(vendorId);
+  if (!vendor) {
+    throw new Error('Vendor not found');
+  }
+
+  // null goes back to the platform default
+  vendor.commissionPercentage = commissionPercentage === null ? undefined : parseFloat(commissionPercentage);
+  await vendor.save();
+
+  return {
+    vendorId: vendor._id,
+    storeName: vendor.storeName,
+    commissionPercentage: exports.getCommissionPercentage(vendor),
+    isDefault: vendor.commissionPercentage === undefined || vendor.commissionPercentage === null,
+  };
+};
+
+exports.PLATFORM_COMMISSION_PERCENTAGE = PLATFORM_COMMISSION_PERCENTAGE;
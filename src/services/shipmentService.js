@@ -0,0 +1,553 @@
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const Vendor = require('../models/Vendor');
+const refundService = require('./refundService');
+const inventoryService = require('./inventoryService');
+const deliverySlotService = require('./deliverySlotService');
+const walletService = require('./walletService');
+const orderStatusService = require('./orderStatusService');
+const settlementService = require('./settlementService');
+const deliveryProofService = require('./deliveryProofService');
+const riderEarningService = require('./riderEarningService');
+const riderTrackingService = require('./riderTrackingService');
+const tripService = require('./tripService');
+const dispatchService = require('./dispatchService');
+const { splitAmount, roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+// Fulfilment progress, least advanced first. The order shows the least advanced active shipment.
+const PROGRESS = ['pending', 'confirmed', 'processing', 'ready', 'out_for_delivery', 'delivered'];
+
+// Parent statuses that are no longer driven by the shipments
+const DETACHED_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+const groupItemsByVendor = (order) => {
+  const groups = new Map();
+
+  order.items.forEach((item) => {
+    const vendorId = getId(item.vendor);
+    if (!vendorId) {
+      return;
+    }
+    if (!groups.has(vendorId)) {
+      groups.set(vendorId, []);
+    }
+    groups.get(vendorId).push(item);
+  });
+
+  return groups;
+};
+
+const getDeliveryChargeMap = (order) => new Map(
+  (order.deliveryCharges || []).map(charge => [getId(charge.vendor), charge])
+);
+
+/**
+ * Per-vendor share of the order pricing. Handling charge follows each vendor's
+ * own percentage; discount is prorated by item subtotal and tax is the sum of
+ * the per-line GST (prorated for orders without it). Delivery charges are
+ * already per store on `order.deliveryCharges`; the rider tip is shared equally.
+ */
+const allocatePricing = async (order, groups) => {
+  const vendorIds = [...groups.keys()];
+  const vendors = await Vendor.find({ _id: { $in: vendorIds } }).select('_id handlingChargePercentage');
+  const handlingPercentages = new Map(vendors.map(vendor => [vendor._id.toString(), vendor.handlingChargePercentage || 0]));
+
+  const subtotals = vendorIds.map(vendorId => roundAmount(
+    groups.get(vendorId).reduce((sum, item) => sum + item.totalPrice, 0)
+  ));
+  const handlingWeights = vendorIds.map((vendorId, index) => (subtotals[index] * (handlingPercentages.get(vendorId) || 0)) / 100);
+  const hasHandlingWeights = handlingWeights.some(weight => weight > 0);
+
+  const discounts = splitAmount(order.pricing.discount || 0, subtotals);
+  const hasLineTax = order.items.every(item => item.taxAmount !== undefined && item.taxAmount !== null);
+  const taxes = hasLineTax
+    ? vendorIds.map(vendorId => roundAmount(groups.get(vendorId).reduce((sum, item) => sum + item.taxAmount, 0)))
+    : splitAmount(order.pricing.tax || 0, subtotals);
+  const handlingCharges = splitAmount(order.pricing.handlingCharge || 0, hasHandlingWeights ? handlingWeights : subtotals);
+  // Each store's rider gets an equal share of the tip
+  const tips = splitAmount(order.pricing.tip || 0, vendorIds.map(() => 1));
+  const deliveryCharges = getDeliveryChargeMap(order);
+
+  return new Map(vendorIds.map((vendorId, index) => {
+    const items = groups.get(vendorId);
+    const subtotal = subtotals[index];
+    const deliveryFee = deliveryCharges.get(vendorId)?.deliveryFee || 0;
+    const smallCartFee = deliveryCharges.get(vendorId)?.smallCartFee || 0;
+    return [vendorId, {
+      subtotal,
+      discount: discounts[index],
+      tax: taxes[index],
+      handlingCharge: handlingCharges[index],
+      deliveryFee,
+      smallCartFee,
+      tip: tips[index],
+      total: Math.max(0, roundAmount(subtotal - discounts[index] + taxes[index] + handlingCharges[index] + deliveryFee + smallCartFee + tips[index])),
+      totalCashback: roundAmount(items.reduce((sum, item) => sum + (item.cashback || 0), 0)),
+    }];
+  }));
+};
+
+const toShipmentItems = (items) => items.map(item => ({
+  orderItem: item._id,
+  product: item.product?._id || item.product,
+  productName: item.productName,
+  sku: item.sku,
+  quantity: item.quantity,
+  unitPrice: item.unitPrice,
+  totalPrice: item.totalPrice,
+  cashback: item.cashback || 0,
+}));
+
+/**
+ * Fields a new shipment copies from its parent. For new orders this is just
+ * the pending status; for orders placed before shipments existed it carries
+ * over the progress, rider and delivery details recorded on the order.
+ */
+const mirrorOrderFulfilment = (order) => ({
+  status: order.status === 'refunded' ? 'delivered' : order.status,
+  statusHistory: (order.statusHistory || [])
+    .filter(entry => entry.status !== 'refunded')
+    .map(entry => ({
+      status: entry.status,
+      fromStatus: entry.fromStatus,
+      actor: entry.actor,
+      actorId: entry.actorId,
+      note: entry.note,
+      changedAt: entry.changedAt,
+    })),
+  rider: order.rider,
+  assignedAt: order.assignedAt,
+  assignedBy: order.assignedBy,
+  assignmentNotes: order.assignmentNotes,
+  assignmentRequestSentAt: order.assignmentRequestSentAt,
+  assignmentRequestSentTo: order.assignmentRequestSentTo,
+  deliveryAmount: order.deliveryAmount || 0,
+  deliveredAt: order.deliveredAt,
+  cancelledAt: order.cancelledAt,
+  cancelledBy: order.cancelledBy,
+  cancellationReason: order.cancellationReason,
+});
+
+/**
+ * Create or refresh the per-vendor shipments of an order so their items and
+ * pricing match the order. Call after the order's items or pricing change.
+ * Returns all shipments of the order.
+ */
+exports.syncShipments = async (order) => {
+  const groups = groupItemsByVendor(order);
+  const pricing = await allocatePricing(order, groups);
+  const existing = await Shipment.find({ order: order._id });
+  const existingByVendor = new Map(existing.map(shipment => [shipment.vendor.toString(), shipment]));
+  const deliveryCharges = getDeliveryChargeMap(order);
+  let sequence = existing.length;
+
+  for (const [vendorId, items] of groups) {
+    const shipment = existingByVendor.get(vendorId);
+    // The rider payout follows the delivery fee engine; vendors can still override it on status updates
+    const deliveryCharge = deliveryCharges.get(vendorId);
+    const payout = deliveryCharge ? { deliveryAmount: deliveryCharge.riderPayout || 0 } : {};
+
+    if (shipment) {
+      await Shipment.updateOne(
+        { _id: shipment._id },
+        { $set: { items: toShipmentItems(items), pricing: pricing.get(vendorId), ...payout, updatedAt: new Date() } }
+      );
+      continue;
+    }
+
+    sequence += 1;
+    try {
+      await Shipment.create({
+        shipmentNumber: `${order.orderNumber}-${sequence}`,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        user: order.user?._id || order.user,
+        vendor: vendorId,
+        items: toShipmentItems(items),
+        pricing: pricing.get(vendorId),
+        // A vendor joining an order that is already split starts from scratch
+        ...(existing.length === 0 ? mirrorOrderFulfilment(order) : { status: 'pending' }),
+        ...payout,
+      });
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return Shipment.find({ order: order._id }).sort({ shipmentNumber: 1 });
+};
+
+/**
+ * Shipments of an order, splitting orders placed before shipments existed
+ */
+exports.ensureShipments = async (order) => {
+  const shipments = await Shipment.find({ order: order._id }).sort({ shipmentNumber: 1 });
+  if (shipments.length > 0) {
+    return shipments;
+  }
+  return exports.syncShipments(order);
+};
+
+exports.getVendorShipment = async (order, vendorId) => {
+  const shipments = await exports.ensureShipments(order);
+  return shipments.find(shipment => shipment.vendor.toString() === vendorId.toString()) || null;
+};
+
+/**
+ * Shipments of an order for display, each with its own tracking timeline
+ */
+exports.getOrderShipments = async (orderId) => {
+  const shipments = await Shipment.find({ order: orderId })
+    .populate('vendor', 'vendorName storeName storeId')
+    .populate('rider', 'fullName mobileNumber')
+    .sort({ shipmentNumber: 1 })
+    .lean();
+
+  return shipments.map(shipment => ({
+    ...shipment,
+    tracking: orderStatusService.buildTrackingTimeline(shipment),
+  }));
+};
+
+/**
+ * Map of orderId => this vendor's shipment, for vendor order listings
+ */
+exports.getVendorShipmentMap = async (orderIds, vendorId) => {
+  const shipments = await Shipment.find({ order: { $in: orderIds }, vendor: vendorId })
+    .populate('rider', 'fullName mobileNumber')
+    .lean();
+  return new Map(shipments.map(shipment => [shipment.order.toString(), shipment]));
+};
+
+/**
+ * Order ids where this vendor's shipment is in `status`
+ */
+exports.getVendorOrderIdsByStatus = (vendorId, status) => Shipment.distinct('order', { vendor: vendorId, status });
+
+exports.deriveOrderStatus = (shipments) => {
+  const active = shipments.filter(shipment => shipment.status !== 'cancelled');
+  if (active.length === 0) {
+    return 'cancelled';
+  }
+  return PROGRESS[Math.min(...active.map(shipment => PROGRESS.indexOf(shipment.status)))];
+};
+
+/**
+ * Bring the parent order in line with its shipments: status (least advanced
+ * active shipment), delivery amount, and the rider when there is only one shipment.
+ * The history entry is attributed to whoever moved the shipment.
+ */
+exports.syncOrderStatus = async (orderId, { actor = 'system', actorId, note, reason, override } = {}) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const order = await Order.findById(orderId);
+    if (!order || DETACHED_ORDER_STATUSES.includes(order.status)) {
+      return order;
+    }
+
+    const shipments = await Shipment.find({ order: orderId });
+    if (shipments.length === 0) {
+      return order;
+    }
+
+    const set = {
+      deliveryAmount: roundAmount(shipments.reduce((sum, shipment) => sum + (shipment.deliveryAmount || 0), 0)),
+      updatedAt: new Date(),
+    };
+
+    if (shipments.length === 1) {
+      const [shipment] = shipments;
+      set.rider = shipment.rider;
+      set.assignedAt = shipment.assignedAt;
+      set.assignedBy = shipment.assignedBy;
+      set.assignmentNotes = shipment.assignmentNotes;
+    }
+
+    const status = exports.deriveOrderStatus(shipments);
+
+    if (status === order.status) {
+      return Order.findByIdAndUpdate(orderId, { $set: set }, { new: true });
+    }
+
+    orderStatusService.assertDerivedTransition(actor, order.status, status, { override });
+
+    const update = orderStatusService.buildTransitionUpdate(status, {
+      actor,
+      actorId,
+      note,
+      reason,
+      fromStatus: order.status,
+      override,
+    });
+    Object.assign(update.$set, set);
+
+    const updated = await Order.findOneAndUpdate({ _id: orderId, status: order.status }, update, { new: true });
+    if (updated) {
+      return updated;
+    }
+    // Order moved underneath us - recompute from fresh state
+  }
+
+  throw new Error('Order status was changed by another request. Please try again');
+};
+
+/**
+ * Move one shipment to a new status and update the parent order.
+ * A cancelled shipment returns its stock and is refunded on its own, or
+ * together with the rest of the order when it was the last active shipment.
+ * Pass `refund: false` when the caller settles the refund itself.
+ * Going out for delivery needs a rider and issues the customer's handover
+ * code. A delivery needs a verified `set.deliveryProof` (handover code or
+ * photo); only an admin `override` with a reason in `note` delivers without one.
+ */
+exports.changeShipmentStatus = async (shipment, toStatus, {
+  actor,
+  actorId,
+  note,
+  reason,
+  set = {},
+  refund = true,
+  override = false,
+} = {}) => {
+  const fields = { ...set };
+  // The handover code is only valid while the shipment is out for delivery
+  if (shipment.status === 'out_for_delivery') {
+    fields['handover.codeHash'] = null;
+  }
+  if (toStatus === 'out_for_delivery' && !fields.rider && !shipment.rider) {
+    throw new Error('Assign a rider before sending the shipment out for delivery');
+  }
+  if (toStatus === 'delivered') {
+    if (override) {
+      if (!note) {
+        throw new Error('A reason is required to override delivery');
+      }
+      fields.deliveryProof = deliveryProofService.buildManualProof({ actor, actorId, note });
+    } else if (!deliveryProofService.VERIFIED_METHODS.includes(fields.deliveryProof?.method)) {
+      throw new Error('Proof of delivery is required. The rider must submit the handover code or a doorstep photo');
+    }
+  }
+
+  const updatedShipment = await orderStatusService.changeDocumentStatus(Shipment, shipment, toStatus, {
+    actor,
+    actorId,
+    note,
+    reason,
+    set: fields,
+    override,
+  });
+
+  // The rider's location is only shared with shipments that are still active
+  riderTrackingService.refreshActiveShipments(updatedShipment.rider);
+
+  if (toStatus === 'out_for_delivery') {
+    try {
+      await deliveryProofService.issueHandoverCode(updatedShipment);
+    } catch (error) {
+      logger.error(`Issuing handover code for shipment ${updatedShipment.shipmentNumber} failed:`, error);
+    }
+  }
+
+  // Keep the shipment's trip in step; stops that left it need riders of their own
+  if (updatedShipment.trip) {
+    try {
+      const redispatch = await tripService.updateStop(updatedShipment);
+      await dispatchService.dispatchShipments(redispatch);
+    } catch (error) {
+      logger.error(`Updating trip of shipment ${updatedShipment.shipmentNumber} failed:`, error);
+    }
+  }
+
+  const order = await exports.syncOrderStatus(updatedShipment.order, { actor, actorId, note, reason, override });
+
+  // Cashback becomes spendable once everything still on the order is delivered
+  if (order && order.status === 'delivered') {
+    try {
+      await walletService.releaseOrderCashback(order);
+    } catch (error) {
+      logger.error(`Releasing cashback for order ${order.orderNumber} failed:`, error);
+    }
+  }
+
+  if (toStatus === 'delivered') {
+    try {
+      await deliveryProofService.recordOnOrder(updatedShipment);
+    } catch (error) {
+      logger.error(`Recording delivery proof for shipment ${updatedShipment.shipmentNumber} failed:`, error);
+    }
+
+    // The vendor earns on a shipment once it is delivered
+    try {
+      await settlementService.recordShipmentEarning(updatedShipment);
+    } catch (error) {
+      logger.error(`Recording earning for shipment ${updatedShipment.shipmentNumber} failed:`, error);
+    }
+
+    // ...and the rider is credited and owes the COD cash
+    try {
+      await riderEarningService.recordDelivery(updatedShipment);
+    } catch (error) {
+      logger.error(`Recording rider earning for shipment ${updatedShipment.shipmentNumber} failed:`, error);
+    }
+  }
+
+  if (toStatus === 'cancelled') {
+    await inventoryService.releaseInventory(updatedShipment.items);
+    await deliverySlotService.releaseSlot(updatedShipment.vendor, updatedShipment.deliverySlot?.startTime);
+
+    if (refund && order) {
+      try {
+        if (order.status === 'cancelled') {
+          await refundService.refundCancelledOrder(order, actor === 'rider' ? 'system' : actor);
+        } else {
+          await refundService.refundCancelledShipment(order, updatedShipment, actor);
+        }
+      } catch (error) {
+        logger.error(`Refund for cancelled shipment ${updatedShipment.shipmentNumber} failed:`, error);
+      }
+    }
+  }
+
+  return { shipment: updatedShipment, order };
+};
+
+/**
+ * Move every active shipment of an order to `toStatus` (user cancellation,
+ * admin status changes). All shipments are checked before any is changed.
+ * Returns the updated order and the shipments that changed.
+ */
+exports.changeOrderShipmentsStatus = async (order, toStatus, { actor, actorId, note, reason } = {}) => {
+  const shipments = await exports.ensureShipments(order);
+  const targets = shipments.filter(shipment => shipment.status !== 'cancelled' && shipment.status !== toStatus);
+
+  if (targets.length === 0) {
+    orderStatusService.assertTransition(actor, order.status, toStatus);
+  }
+  targets.forEach((shipment) => {
+    orderStatusService.assertTransition(actor, shipment.status, toStatus);
+  });
+
+  const changed = [];
+  let updatedOrder = order;
+
+  try {
+    for (const shipment of targets) {
+      const result = await exports.changeShipmentStatus(shipment, toStatus, {
+        actor,
+        actorId,
+        note,
+        reason,
+        refund: false,
+      });
+      changed.push(result.shipment);
+      updatedOrder = result.order;
+    }
+  } catch (error) {
+    // Settle what was cancelled before the failure so nothing is left unrefunded
+    if (toStatus === 'cancelled' && changed.length > 0) {
+      const currentOrder = await Order.findById(order._id);
+      for (const shipment of changed) {
+        await refundService.refundCancelledShipment(currentOrder, shipment, actor);
+      }
+    }
+    throw error;
+  }
+
+  if (toStatus === 'cancelled' && updatedOrder) {
+    await refundService.refundCancelledOrder(updatedOrder, actor);
+  }
+
+  return { order: updatedOrder, shipments: changed };
+};
+
+/**
+ * Give the rest of a trip's stops to the rider who took it (the shipment the
+ * rider accepted or the vendor assigned is already theirs). With
+ * `updateStatus` the stops go out for delivery, otherwise they only get the
+ * rider. Returns the shipments assigned.
+ */
+exports.assignTripStops = async (trip, riderId, { actor, actorId, note, updateStatus = true, set = {} } = {}) => {
+  const shipments = await Shipment.find({
+    _id: { $in: trip.stops.map(stop => stop.shipment) },
+    trip: trip._id,
+    status: 'ready',
+    rider: null,
+  });
+
+  const assigned = [];
+  for (const shipment of shipments) {
+    const fields = {
+      ...set,
+      rider: riderId,
+      assignedAt: new Date(),
+      'dispatch.status': 'assigned',
+      'dispatch.waveExpiresAt': null,
+    };
+
+    try {
+      if (updateStatus) {
+        const result = await exports.changeShipmentStatus(shipment, 'out_for_delivery', {
+          actor,
+          actorId,
+          note,
+          set: fields,
+        });
+        assigned.push(result.shipment);
+      } else {
+        const updated = await Shipment.findOneAndUpdate(
+          { _id: shipment._id, rider: null },
+          { $set: { ...fields, updatedAt: new Date() } },
+          { new: true }
+        );
+        if (updated) {
+          riderTrackingService.refreshActiveShipments(riderId);
+          await exports.syncOrderStatus(updated.order);
+          assigned.push(updated);
+        }
+      }
+    } catch (error) {
+      logger.error(`Assigning trip stop ${shipment.shipmentNumber} failed:`, error);
+    }
+  }
+
+  return assigned;
+};
+
+/**
+ * Order-shaped view of a shipment for riders: the customer, address and
+ * payment come from the order; items, pricing, status and rider are the shipment's.
+ * Expects `order` to be populated.
+ */
+exports.formatShipmentForRider = (shipment) => {
+  const order = shipment.order || {};
+
+  return {
+    _id: order._id,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    shipmentId: shipment._id,
+    shipmentNumber: shipment.shipmentNumber,
+    user: order.user,
+    vendor: shipment.vendor,
+    items: shipment.items,
+    pricing: shipment.pricing,
+    shippingAddress: order.shippingAddress,
+    payment: order.payment ? { method: order.payment.method, status: order.payment.status } : undefined,
+    notes: order.notes,
+    status: shipment.status,
+    deliverySlot: shipment.deliverySlot,
+    trip: shipment.trip || null,
+    rider: shipment.rider,
+    assignedAt: shipment.assignedAt,
+    deliveryAmount: shipment.deliveryAmount || 0,
+    assignmentRequestSentAt: shipment.assignmentRequestSentAt,
+    assignmentRequestSentTo: shipment.assignmentRequestSentTo,
+    deliveredAt: shipment.deliveredAt,
+    createdAt: shipment.createdAt,
+    updatedAt: shipment.updatedAt,
+  };
+};
@@ -0,0 +1,127 @@
+const Vendor = require('../models/Vendor');
+const { getStoreStatus, getClosedReason } = require('../utils/storeHours');
+const { getId } = require('../utils/ids');
+
+const findVendor = async (vendorId) => {
+  const vendor = await Vendor.findById(vendorId);
+  if (!vendor) {
+    throw new Error('Vendor not found');
+  }
+  if (!vendor.storeId) {
+    throw new Error('Vendor registration not completed');
+  }
+  return vendor;
+};
+
+const toStoreHoursResponse = (vendor) => ({
+  vendorId: vendor._id,
+  storeName: vendor.storeName,
+  storeHours: vendor.storeHours,
+  orderPause: vendor.orderPause,
+  ...getStoreStatus(vendor),
+});
+
+/**
+ * Store status per vendor id, for checking many stores at once
+ */
+exports.getStoreStatuses = async (vendorIds, at = new Date()) => {
+  const ids = [...new Set(vendorIds.map(getId).filter(Boolean))];
+  const vendors = await Vendor.find({ _id: { $in: ids } }).select('storeHours orderPause').lean();
+  return new Map(vendors.map(vendor => [vendor._id.toString(), getStoreStatus(vendor, at)]));
+};
+
+/**
+ * Add `storeOpen` and `storeStatus` to listed products (plain objects with a
+ * `vendor` id or populated vendor). Products of closed stores stay listed so
+ * the app can show when they open again.
+ */
+exports.markStoreStatus = async (products) => {
+  const statuses = await exports.getStoreStatuses(products.map(product => product.vendor));
+  return products.map((product) => {
+    const status = statuses.get(getId(product.vendor));
+    return {
+      ...product,
+      storeOpen: status ? status.isOpen : false,
+      storeStatus: status || null,
+    };
+  });
+};
+
+/**
+ * Throw when any of the stores is not taking orders now
+ */
+exports.assertStoresOpen = async (vendorIds) => {
+  const statuses = await exports.getStoreStatuses(vendorIds);
+  const closedIds = [...statuses.entries()].filter(([, status]) => !status.isOpen).map(([id]) => id);
+
+  if (closedIds.length > 0) {
+    const vendors = await Vendor.find({ _id: { $in: closedIds } }).select('storeName');
+    const details = vendors
+      .map(vendor => `${vendor.storeName || 'Store'}: ${getClosedReason(statuses.get(vendor._id.toString()))}`)
+      .join(', ');
+    throw new Error(`Cannot place order. ${details}`);
+  }
+};
+
+exports.getStoreHours = async (vendorId) => {
+  const vendor = await Vendor.findById(vendorId).select('storeName storeHours orderPause');
+  if (!vendor) {
+    throw new Error('Vendor not found');
+  }
+  return toStoreHoursResponse(vendor);
+};
+
+/**
+ * Replace the weekly hours and/or the holiday calendar
+ */
+exports.updateStoreHours = async (vendorId, { weekly, holidays }) => {
+  const vendor = await findVendor(vendorId);
+
+  if (weekly !== undefined) {
+    vendor.storeHours.weekly = weekly
+      .map(entry => ({
+        day: parseInt(entry.day, 10),
+        openTime: entry.openTime,
+        closeTime: entry.closeTime,
+      }))
+      .sort((a, b) => a.day - b.day || a.openTime.localeCompare(b.openTime));
+  }
+
+  if (holidays !== undefined) {
+    const dates = holidays.map(holiday => holiday.date);
+    if (new Set(dates).size !== dates.length) {
+      throw new Error('Each holiday must be on a different date');
+    }
+    vendor.storeHours.holidays = holidays
+      .map(holiday => ({ date: holiday.date, reason: holiday.reason }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  await vendor.save();
+  return toStoreHoursResponse(vendor);
+};
+
+/**
+ * Pause or resume orders. A pause with `resumeAt` ends by itself at that time.
+ */
+exports.updateOrderPause = async (vendorId, { isPaused, reason, resumeAt }) => {
+  const vendor = await findVendor(vendorId);
+
+  if (isPaused) {
+    const resumeDate = resumeAt ? new Date(resumeAt) : null;
+    if (resumeDate && resumeDate <= new Date()) {
+      throw new Error('Resume time must be in the future');
+    }
+    vendor.orderPause = {
+      isPaused: true,
+      reason,
+      pausedAt: new Date(),
+      resumeAt: resumeDate,
+    };
+  } else {
+    vendor.orderPause = { isPaused: false };
+  }
+
+  await vendor.save();
+  return toStoreHoursResponse(vendor);
+};
@@ -0,0 +1,188 @@
+const Product = require('../models/Product');
+const Vendor = require('../models/Vendor');
+const HsnCode = require('../models/HsnCode');
+const { roundAmount, splitAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+
+// Rate for products without an HSN code or with a code that has no configured rate
+const parsedDefaultRate = parseFloat(process.env.DEFAULT_GST_RATE);
+const DEFAULT_GST_RATE = Number.isNaN(parsedDefaultRate) ? 5 : parsedDefaultRate;
+
+/**
+ * `Product.skuHsn` holds a SKU, an HSN code or both. The HSN code is the
+ * first standalone run of 4, 6 or 8 digits.
+ */
+const extractHsnCode = (skuHsn) => {
+  if (!skuHsn) {
+    return null;
+  }
+  const match = String(skuHsn).match(/(?:^|\D)(\d{8}|\d{6}|\d{4})(?!\d)/);
+  return match ? match[1] : null;
+};
+
+const normalizeState = (state) => (state || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Supplies within a state carry CGST + SGST, across states IGST. Without
+ * both states (cart preview) the supply is treated as intra-state.
+ */
+const getSupplyType = (vendorState, shippingState) => {
+  const from = normalizeState(vendorState);
+  const to = normalizeState(shippingState);
+  return from && to && from !== to ? 'inter_state' : 'intra_state';
+};
+
+/**
+ * GST rate per HSN code. The most specific configured code wins, so a rate
+ * on heading 0401 covers 04011000 unless that code has its own entry.
+ */
+const resolveGstRates = async (hsnCodes) => {
+  const codes = [...new Set(hsnCodes.filter(Boolean))];
+  const rates = new Map();
+  if (codes.length === 0) {
+    return rates;
+  }
+
+  const prefixes = new Set();
+  codes.forEach((code) => {
+    for (let length = 2; length <= code.length; length += 2) {
+      prefixes.add(code.slice(0, length));
+    }
+  });
+
+  const entries = await HsnCode.find({ code: { $in: [...prefixes] }, isActive: true }).select('code gstRate').lean();
+  const rateByCode = new Map(entries.map(entry => [entry.code, entry.gstRate]));
+
+  codes.forEach((code) => {
+    for (let length = code.length; length >= 2; length -= 2) {
+      const prefix = code.slice(0, length);
+      if (rateByCode.has(prefix)) {
+        rates.set(code, rateByCode.get(prefix));
+        return;
+      }
+    }
+  });
+
+  return rates;
+};
+
+const buildLineTax = (taxableValue, gstRate, supplyType) => {
+  const taxAmount = roundAmount((taxableValue * gstRate) / 100);
+  const cgst = supplyType === 'intra_state' ? roundAmount(taxAmount / 2) : 0;
+
+  return {
+    cgst,
+    sgst: supplyType === 'intra_state' ? roundAmount(taxAmount - cgst) : 0,
+    igst: supplyType === 'inter_state' ? taxAmount : 0,
+    taxAmount,
+  };
+};
+
+/**
+ * GST for order lines (`{ product, vendor, totalPrice }`). The order discount
+ * is prorated over the lines to get each line's taxable value.
+ * Returns one tax line per item, in the same order, plus the totals.
+ */
+exports.calculateTax = async (items, { discount = 0, shippingState } = {}) => {
+  if (!items || items.length === 0) {
+    return { lines: [], tax: 0, cgst: 0, sgst: 0, igst: 0 };
+  }
+
+  const productIds = [...new Set(items.map(item => getId(item.product)).filter(Boolean))];
+  const vendorIds = [...new Set(items.map(item => getId(item.vendor)).filter(Boolean))];
+
+  const [products, vendors] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('skuHsn').lean(),
+    Vendor.find({ _id: { $in: vendorIds } }).select('storeAddress.state').lean(),
+  ]);
+
+  const hsnByProduct = new Map(products.map(product => [product._id.toString(), extractHsnCode(product.skuHsn)]));
+  const stateByVendor = new Map(vendors.map(vendor => [vendor._id.toString(), vendor.storeAddress?.state]));
+  const rates = await resolveGstRates([...hsnByProduct.values()]);
+
+  const lineDiscounts = splitAmount(Math.min(discount, items.reduce((sum, item) => sum + item.totalPrice, 0)), items.map(item => item.totalPrice));
+
+  const lines = items.map((item, index) => {
+    const hsnCode = hsnByProduct.get(getId(item.product)) || null;
+    const gstRate = hsnCode && rates.has(hsnCode) ? rates.get(hsnCode) : DEFAULT_GST_RATE;
+    const supplyType = getSupplyType(stateByVendor.get(getId(item.vendor)), shippingState);
+    const taxableValue = Math.max(0, roundAmount(item.totalPrice - lineDiscounts[index]));
+
+    return {
+      hsnCode: hsnCode || undefined,
+      gstRate,
+      supplyType,
+      taxableValue,
+      ...buildLineTax(taxableValue, gstRate, supplyType),
+    };
+  });
+
+  return {
+    lines,
+    tax: roundAmount(lines.reduce((sum, line) => sum + line.taxAmount, 0)),
+    cgst: roundAmount(lines.reduce((sum, line) => sum + line.cgst, 0)),
+    sgst: roundAmount(lines.reduce((sum, line) => sum + line.sgst, 0)),
+    igst: roundAmount(lines.reduce((sum, line) => sum + line.igst, 0)),
+  };
+};
+
+/**
+ * Tax breakup for an invoice: per-line tax, an HSN-wise summary and totals.
+ * Lines of orders placed before tax was stored per line are computed from
+ * the current rates.
+ */
+exports.buildTaxBreakup = async (items, { discount = 0, shippingState } = {}) => {
+  const hasStoredTax = items.length > 0 && items.every(item => item.gstRate !== undefined && item.gstRate !== null);
+  const lines = hasStoredTax
+    ? items.map(item => ({
+      hsnCode: item.hsnCode,
+      gstRate: item.gstRate,
+      supplyType: item.supplyType,
+      taxableValue: item.taxableValue,
+      cgst: item.cgst || 0,
+      sgst: item.sgst || 0,
+      igst: item.igst || 0,
+      taxAmount: item.taxAmount || 0,
+    }))
+    : (await exports.calculateTax(items, { discount, shippingState })).lines;
+
+  const summary = new Map();
+  lines.forEach((line) => {
+    const key = `${line.hsnCode || 'NA'}:${line.gstRate}`;
+    if (!summary.has(key)) {
+      summary.set(key, {
+        hsnCode: line.hsnCode || 'N/A',
+        gstRate: line.gstRate,
+        taxableValue: 0,
+        cgst: 0,
+        sgst: 0,
+        igst: 0,
+        taxAmount: 0,
+      });
+    }
+    const row = summary.get(key);
+    ['taxableValue', 'cgst', 'sgst', 'igst', 'taxAmount'].forEach((field) => {
+      row[field] = roundAmount(row[field] + (line[field] || 0));
+    });
+  });
+
+  const supplyTypes = [...new Set(lines.map(line => line.supplyType).filter(Boolean))];
+  const sum = (field) => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+  return {
+    placeOfSupply: shippingState || null,
+    supplyType: supplyTypes.length > 1 ? 'mixed' : (supplyTypes[0] || null),
+    lines,
+    hsnSummary: [...summary.values()],
+    totals: {
+      taxableValue: sum('taxableValue'),
+      cgst: sum('cgst'),
+      sgst: sum('sgst'),
+      igst: sum('igst'),
+      taxAmount: sum('taxAmount'),
+    },
+  };
+};
+
+exports.extractHsnCode = extractHsnCode;
+exports.DEFAULT_GST_RATE = DEFAULT_GST_RATE;
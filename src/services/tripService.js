@@ -0,0 +1,608 @@
+const DeliveryTrip = require('../models/DeliveryTrip');
+const Shipment = require('../models/Shipment');
+const Order = require('../models/Order');
+const Vendor = require('../models/Vendor');
+const { calculateDistance, hasCoordinates } = require('../utils/geo');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+// Ready shipments whose drop points are this close to each other go on one trip
+const BATCH_RADIUS_KM = parseFloat(process.env.TRIP_BATCH_RADIUS_KM) || 1;
+const MAX_STOPS = parseInt(process.env.TRIP_MAX_STOPS, 10) || 4;
+// Batch automatically when a shipment becomes ready; vendors can always batch by hand
+const AUTO_BATCH = process.env.TRIP_AUTO_BATCH !== 'false';
+
+const distanceBetween = (from, to) => calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+
+// Length of a route that starts at `origin` (when known) and visits `points` in order
+const routeLength = (origin, points) => points.reduce((total, point, index) => {
+  const previous = index === 0 ? origin : points[index - 1];
+  return previous ? total + distanceBetween(previous, point) : total;
+}, 0);
+
+/**
+ * Order drop points for a run from the store: nearest neighbour from the
+ * origin, then 2-opt (reversing stretches of the route while that makes it
+ * shorter). The rider does not return to the store, so the route ends at the
+ * last drop. Without an origin the route starts at the first point.
+ * Returns the points in delivery order with `legDistanceKm` set.
+ */
+exports.planRoute = (origin, points) => {
+  const start = hasCoordinates(origin) ? origin : null;
+  const remaining = [...points];
+  let route = [];
+
+  if (!start && remaining.length > 0) {
+    route.push(remaining.shift());
+  }
+  while (remaining.length > 0) {
+    const from = route.length > 0 ? route[route.length - 1] : start;
+    let nearest = 0;
+    remaining.forEach((point, index) => {
+      if (distanceBetween(from, point) < distanceBetween(from, remaining[nearest])) {
+        nearest = index;
+      }
+    });
+    route.push(remaining.splice(nearest, 1)[0]);
+  }
+
+  // Without an origin the first point is fixed
+  const firstMovable = start ? 0 : 1;
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = firstMovable; i < route.length - 1; i++) {
+      for (let k = i + 1; k < route.length; k++) {
+        const candidate = [...route.slice(0, i), ...route.slice(i, k + 1).reverse(), ...route.slice(k + 1)];
+        if (routeLength(start, candidate) + 1e-9 < routeLength(start, route)) {
+          route = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route.map((point, index) => {
+    const previous = index === 0 ? start : route[index - 1];
+    return {
+      ...point,
+      legDistanceKm: previous ? roundAmount(distanceBetween(previous, point)) : 0,
+    };
+  });
+};
+
+const getDropPoint = (order) => {
+  const address = order?.shippingAddress;
+  if (!hasCoordinates(address)) {
+    return null;
+  }
+  return {
+    latitude: address.latitude,
+    longitude: address.longitude,
+    address: [address.line1, address.line2, address.city, address.state, address.pinCode].filter(Boolean).join(', '),
+  };
+};
+
+const getStoreOrigin = async (vendorId) => {
+  const vendor = await Vendor.findById(vendorId).select('storeAddress.latitude storeAddress.longitude').lean();
+  return hasCoordinates(vendor?.storeAddress)
+    ? { latitude: vendor.storeAddress.latitude, longitude: vendor.storeAddress.longitude }
+    : null;
+};
+
+// Shipments with the drop point of their order, leaving out those without coordinates
+const withDropPoints = async (shipments) => {
+  const orders = await Order.find({ _id: { $in: shipments.map(shipment => shipment.order) } })
+    .select('orderNumber shippingAddress')
+    .lean();
+  const orderMap = new Map(orders.map(order => [getId(order._id), order]));
+
+  return shipments
+    .map(shipment => ({ shipment, drop: getDropPoint(orderMap.get(getId(shipment.order))) }))
+    .filter(entry => entry.drop);
+};
+
+const toStop = (entry) => ({
+  shipment: entry.shipment._id,
+  order: entry.shipment.order,
+  orderNumber: entry.shipment.orderNumber,
+  shipmentNumber: entry.shipment.shipmentNumber,
+  latitude: entry.drop.latitude,
+  longitude: entry.drop.longitude,
+  address: entry.drop.address,
+  status: 'pending',
+});
+
+// Stops in delivery order with sequence numbers, and the total distance
+const sequenceStops = (origin, stops) => {
+  const route = exports.planRoute(origin, stops);
+  return {
+    stops: route.map((stop, index) => ({ ...stop, sequence: index + 1 })),
+    totalDistanceKm: roundAmount(route.reduce((total, stop) => total + stop.legDistanceKm, 0)),
+  };
+};
+
+const plainStops = (trip) => trip.stops.map(stop => (stop.toObject ? stop.toObject() : { ...stop }));
+
+/**
+ * Put shipments on a new open trip. Shipments are claimed one by one so a
+ * shipment taken by a rider or another trip meanwhile is left out.
+ * Returns null when fewer than two could be claimed.
+ */
+const createTripFromEntries = async (vendorId, entries, { createdBy, leadShipmentId = null }) => {
+  const trip = new DeliveryTrip({
+    tripNumber: await DeliveryTrip.generateTripNumber(),
+    vendor: vendorId,
+    createdBy,
+    status: 'open',
+  });
+
+  const claimed = [];
+  for (const entry of entries) {
+    const shipment = await Shipment.findOneAndUpdate(
+      { _id: entry.shipment._id, status: 'ready', rider: null, trip: null },
+      { $set: { trip: trip._id, updatedAt: new Date() } }
+    );
+    if (shipment) {
+      claimed.push(entry);
+    }
+  }
+
+  if (claimed.length < 2) {
+    await Shipment.updateMany(
+      { _id: { $in: claimed.map(entry => entry.shipment._id) }, trip: trip._id },
+      { $set: { trip: null } }
+    );
+    return null;
+  }
+
+  trip.origin = await getStoreOrigin(vendorId);
+  const { stops, totalDistanceKm } = sequenceStops(trip.origin, claimed.map(toStop));
+  const leadClaimed = leadShipmentId && claimed.some(entry => getId(entry.shipment._id) === getId(leadShipmentId));
+  trip.stops = stops;
+  trip.totalDistanceKm = totalDistanceKm;
+  trip.leadShipment = leadClaimed ? leadShipmentId : stops[0].shipment;
+  await trip.save();
+
+  logger.info(`Trip ${trip.tripNumber} planned with ${stops.length} stops (${totalDistanceKm} km)`);
+  return trip;
+};
+
+/**
+ * Add a shipment to an open trip that has a stop near its drop point.
+ * The trip is saved only if nobody changed it meanwhile.
+ */
+const joinOpenTrip = async (entry) => {
+  const trips = await DeliveryTrip.find({ vendor: entry.shipment.vendor, status: 'open' });
+  const trip = trips.find(candidate => candidate.stops.length < MAX_STOPS
+    && candidate.stops.some(stop => distanceBetween(stop, entry.drop) <= BATCH_RADIUS_KM));
+  if (!trip) {
+    return null;
+  }
+
+  const claimed = await Shipment.findOneAndUpdate(
+    { _id: entry.shipment._id, status: 'ready', rider: null, trip: null },
+    { $set: { trip: trip._id, updatedAt: new Date() } }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const { stops, totalDistanceKm } = sequenceStops(trip.origin, [...plainStops(trip), toStop(entry)]);
+  const updated = await DeliveryTrip.findOneAndUpdate(
+    { _id: trip._id, status: 'open', updatedAt: trip.updatedAt },
+    { $set: { stops, totalDistanceKm, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    await Shipment.updateOne({ _id: entry.shipment._id, trip: trip._id }, { $set: { trip: null } });
+    return null;
+  }
+
+  logger.info(`Shipment ${entry.shipment.shipmentNumber} joined trip ${updated.tripNumber}`);
+  return updated;
+};
+
+/**
+ * Batch a shipment that just became ready with nearby ready shipments of the
+ * same vendor: join an open trip with a stop nearby, or start a new trip with
+ * shipments still waiting for a rider. Returns `{ trip, joined }`, or null
+ * when the shipment is delivered on its own.
+ */
+exports.batchNearby = async (shipment) => {
+  if (!AUTO_BATCH || shipment.trip || shipment.status !== 'ready' || shipment.rider) {
+    return null;
+  }
+
+  const [entry] = await withDropPoints([shipment]);
+  if (!entry) {
+    return null;
+  }
+
+  const joinedTrip = await joinOpenTrip(entry);
+  if (joinedTrip) {
+    return { trip: joinedTrip, joined: true };
+  }
+
+  const waiting = await Shipment.find({
+    _id: { $ne: shipment._id },
+    vendor: getId(shipment.vendor),
+    status: 'ready',
+    rider: null,
+    trip: null,
+    'dispatch.status': 'searching',
+  })
+    .select('order orderNumber shipmentNumber vendor')
+    .lean();
+  if (waiting.length === 0) {
+    return null;
+  }
+
+  const nearby = (await withDropPoints(waiting))
+    .map(candidate => ({ ...candidate, distanceKm: distanceBetween(entry.drop, candidate.drop) }))
+    .filter(candidate => candidate.distanceKm <= BATCH_RADIUS_KM)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, MAX_STOPS - 1);
+  if (nearby.length === 0) {
+    return null;
+  }
+
+  const trip = await createTripFromEntries(getId(shipment.vendor), [entry, ...nearby], {
+    createdBy: 'system',
+    leadShipmentId: shipment._id,
+  });
+  return trip ? { trip, joined: false } : null;
+};
+
+/**
+ * Vendor batches ready orders into one trip by hand
+ */
+exports.createTrip = async (vendorId, orderIds) => {
+  const uniqueIds = [...new Set(orderIds.map(id => id.toString()))];
+  if (uniqueIds.length < 2) {
+    throw new Error('A trip needs at least 2 orders');
+  }
+  if (uniqueIds.length > MAX_STOPS) {
+    throw new Error(`A trip can have at most ${MAX_STOPS} orders`);
+  }
+
+  const shipments = await Shipment.find({ order: { $in: uniqueIds }, vendor: vendorId })
+    .select('order orderNumber shipmentNumber vendor status rider trip')
+    .lean();
+  if (shipments.length !== uniqueIds.length) {
+    throw new Error('Order not found');
+  }
+
+  shipments.forEach((shipment) => {
+    if (shipment.status !== 'ready') {
+      throw new Error(`Order ${shipment.orderNumber} is not ready. Current status: ${shipment.status}`);
+    }
+    if (shipment.rider) {
+      throw new Error(`A rider has already been assigned to order ${shipment.orderNumber}`);
+    }
+    if (shipment.trip) {
+      throw new Error(`Order ${shipment.orderNumber} is already on a trip`);
+    }
+  });
+
+  const entries = await withDropPoints(shipments);
+  if (entries.length !== shipments.length) {
+    const missing = shipments.find(shipment => !entries.some(entry => getId(entry.shipment._id) === getId(shipment._id)));
+    throw new Error(`Order ${missing.orderNumber} has no delivery location`);
+  }
+
+  const trip = await createTripFromEntries(vendorId, entries, { createdBy: 'vendor' });
+  if (!trip) {
+    throw new Error('The orders were taken by a rider or another trip meanwhile');
+  }
+  if (trip.stops.length !== entries.length) {
+    logger.warn(`Trip ${trip.tripNumber} was planned without ${entries.length - trip.stops.length} order(s) taken meanwhile`);
+  }
+  return trip;
+};
+
+/**
+ * A rider took the trip: every stop is theirs. Returns the trip, or null
+ * when it is no longer open.
+ */
+exports.assignTrip = async (tripId, riderId) => DeliveryTrip.findOneAndUpdate(
+  { _id: tripId, status: 'open' },
+  {
+    $set: {
+      status: 'active',
+      rider: riderId,
+      assignedAt: new Date(),
+      updatedAt: new Date(),
+    },
+  },
+  { new: true }
+);
+
+const cancelTrip = async (trip) => {
+  await Shipment.updateMany(
+    { _id: { $in: trip.stops.map(stop => stop.shipment) }, trip: trip._id },
+    { $set: { trip: null } }
+  );
+  await DeliveryTrip.updateOne(
+    { _id: trip._id },
+    { $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() } }
+  );
+  logger.info(`Trip ${trip.tripNumber} cancelled`);
+};
+
+/**
+ * Vendor breaks up an open trip. Returns the shipments that need riders of
+ * their own again; the lead shipment keeps its dispatch.
+ */
+exports.dissolveTrip = async (vendorId, tripId) => {
+  const trip = await DeliveryTrip.findOne({ _id: tripId, vendor: vendorId });
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+  if (trip.status !== 'open') {
+    throw new Error(`Only open trips can be cancelled. Current status: ${trip.status}`);
+  }
+
+  await cancelTrip(trip);
+  return trip.stops
+    .map(stop => stop.shipment)
+    .filter(shipmentId => getId(shipmentId) !== getId(trip.leadShipment));
+};
+
+/**
+ * Keep a trip in step with a shipment on it that changed status. A shipment
+ * leaving `ready` before the trip has a rider leaves the trip; once the trip
+ * is under way delivered stops are ticked off, any other change drops the
+ * stop, and the trip completes with its last stop. Returns the shipments that need riders of
+ * their own again.
+ */
+exports.updateStop = async (shipment) => {
+  if (!shipment.trip) {
+    return [];
+  }
+  const trip = await DeliveryTrip.findById(shipment.trip);
+  if (!trip) {
+    return [];
+  }
+
+  const shipmentId = getId(shipment._id);
+  const stop = trip.stops.find(item => getId(item.shipment) === shipmentId);
+  if (!stop) {
+    return [];
+  }
+
+  if (trip.status === 'open') {
+    if (shipment.status === 'ready' && !shipment.rider) {
+      return [];
+    }
+
+    await Shipment.updateOne({ _id: shipment._id, trip: trip._id }, { $set: { trip: null } });
+    const wasLead = getId(trip.leadShipment) === shipmentId;
+    const remaining = plainStops(trip).filter(item => getId(item.shipment) !== shipmentId);
+
+    if (remaining.length < 2) {
+      await cancelTrip(trip);
+      return remaining
+        .map(item => item.shipment)
+        .filter(id => wasLead || getId(id) !== getId(trip.leadShipment));
+    }
+
+    const { stops, totalDistanceKm } = sequenceStops(trip.origin, remaining);
+    trip.stops = stops;
+    trip.totalDistanceKm = totalDistanceKm;
+    if (wasLead) {
+      trip.leadShipment = stops[0].shipment;
+    }
+    await trip.save();
+    return wasLead ? [trip.leadShipment] : [];
+  }
+
+  if (trip.status === 'active' && stop.status === 'pending' && shipment.status !== 'out_for_delivery') {
+    const now = new Date();
+    // Anything but a delivery drops the stop from the trip
+    const stopStatus = shipment.status === 'delivered' ? 'delivered' : 'cancelled';
+    if (shipment.status !== 'delivered' && shipment.status !== 'cancelled') {
+      await Shipment.updateOne({ _id: shipment._id, trip: trip._id }, { $set: { trip: null } });
+    }
+
+    const updated = await DeliveryTrip.findOneAndUpdate(
+      { _id: trip._id, stops: { $elemMatch: { shipment: shipment._id, status: 'pending' } } },
+      {
+        $set: {
+          'stops.$.status': stopStatus,
+          'stops.$.completedAt': now,
+          updatedAt: now,
+        },
+      },
+      { new: true }
+    );
+
+    if (updated && updated.stops.every(item => item.status !== 'pending')) {
+      await DeliveryTrip.updateOne(
+        { _id: trip._id, status: 'active' },
+        { $set: { status: 'completed', completedAt: now, updatedAt: now } }
+      );
+      logger.info(`Trip ${trip.tripNumber} completed`);
+    }
+  }
+
+  return [];
+};
+
+/**
+ * Short description of a shipment's trip for assignment requests and order lists
+ */
+exports.getTripSummary = async (tripId) => {
+  if (!tripId) {
+    return null;
+  }
+  const trip = await DeliveryTrip.findById(tripId).select('tripNumber status stops totalDistanceKm leadShipment').lean();
+  if (!trip) {
+    return null;
+  }
+  return {
+    tripId: trip._id,
+    tripNumber: trip.tripNumber,
+    status: trip.status,
+    stopCount: trip.stops.length,
+    totalDistanceKm: trip.totalDistanceKm,
+    leadShipmentId: trip.leadShipment,
+    stops: [...trip.stops]
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(stop => ({
+        sequence: stop.sequence,
+        orderId: stop.order,
+        orderNumber: stop.orderNumber,
+        address: stop.address,
+      })),
+  };
+};
+
+// What the rider can do at a stop
+const buildStopActions = (stop, shipment) => {
+  if (stop.status !== 'pending') {
+    return [];
+  }
+
+  const actions = [];
+  if (hasCoordinates(stop)) {
+    actions.push({ action: 'navigate', latitude: stop.latitude, longitude: stop.longitude });
+  }
+  if (shipment?.status === 'out_for_delivery') {
+    actions.push({
+      action: 'deliver',
+      method: 'POST',
+      path: `/api/rider/orders/${stop.order}/deliver`,
+      proof: ['handoverCode', 'photo'],
+    });
+  }
+  return actions;
+};
+
+/**
+ * Trip as the rider sees it: ordered stops with the customer, what to
+ * collect and what can be done at each stop
+ */
+const formatTripForRider = async (trip) => {
+  const shipmentIds = trip.stops.map(stop => stop.shipment);
+  const [shipments, orders] = await Promise.all([
+    Shipment.find({ _id: { $in: shipmentIds } })
+      .select('status pricing.total deliveryAmount items deliveredAt')
+      .lean(),
+    Order.find({ _id: { $in: trip.stops.map(stop => stop.order) } })
+      .select('orderNumber user payment.method payment.status notes')
+      .populate('user', 'userName contactNumber')
+      .lean(),
+  ]);
+  const shipmentMap = new Map(shipments.map(shipment => [getId(shipment._id), shipment]));
+  const orderMap = new Map(orders.map(order => [getId(order._id), order]));
+
+  const stops = [...trip.stops]
+    .sort((a, b) => a.sequence - b.sequence)
+    .map((stop) => {
+      const shipment = shipmentMap.get(getId(stop.shipment));
+      const order = orderMap.get(getId(stop.order)) || {};
+      const isCod = order.payment?.method === 'cod';
+
+      return {
+        sequence: stop.sequence,
+        orderId: stop.order,
+        orderNumber: stop.orderNumber,
+        shipmentId: stop.shipment,
+        shipmentNumber: stop.shipmentNumber,
+        status: stop.status,
+        shipmentStatus: shipment?.status,
+        customer: order.user,
+        notes: order.notes,
+        address: stop.address,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        legDistanceKm: stop.legDistanceKm,
+        itemCount: shipment?.items?.length || 0,
+        payment: order.payment ? { method: order.payment.method, status: order.payment.status } : undefined,
+        amountToCollect: isCod ? shipment?.pricing?.total || 0 : 0,
+        deliveryAmount: shipment?.deliveryAmount || 0,
+        completedAt: stop.completedAt,
+        actions: buildStopActions(stop, shipment),
+      };
+    });
+
+  const nextStop = stops.find(stop => stop.status === 'pending') || null;
+
+  return {
+    _id: trip._id,
+    tripNumber: trip.tripNumber,
+    status: trip.status,
+    vendor: trip.vendor,
+    origin: trip.origin,
+    totalDistanceKm: trip.totalDistanceKm,
+    assignedAt: trip.assignedAt,
+    completedAt: trip.completedAt,
+    stopCount: stops.length,
+    pendingStops: stops.filter(stop => stop.status === 'pending').length,
+    deliveryAmount: roundAmount(stops.reduce((total, stop) => total + stop.deliveryAmount, 0)),
+    amountToCollect: roundAmount(stops.reduce((total, stop) => total + stop.amountToCollect, 0)),
+    nextStop: nextStop ? nextStop.sequence : null,
+    stops,
+  };
+};
+
+/**
+ * Trips the rider is on right now
+ */
+exports.getRiderActiveTrips = async (riderId) => {
+  const trips = await DeliveryTrip.find({ rider: riderId, status: 'active' })
+    .populate('vendor', 'storeName storeAddress')
+    .sort({ assignedAt: 1 })
+    .lean();
+  return Promise.all(trips.map(formatTripForRider));
+};
+
+exports.getRiderTrip = async (riderId, tripId) => {
+  const trip = await DeliveryTrip.findOne({ _id: tripId, rider: riderId })
+    .populate('vendor', 'storeName storeAddress')
+    .lean();
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+  return formatTripForRider(trip);
+};
+
+exports.getVendorTrips = async (vendorId, { status } = {}, page = 1, limit = 10) => {
+  const query = { vendor: vendorId };
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (page - 1) * limit;
+  const [trips, total] = await Promise.all([
+    DeliveryTrip.find(query)
+      .populate('rider', 'fullName mobileNumber')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    DeliveryTrip.countDocuments(query),
+  ]);
+
+  return {
+    data: trips,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+exports.getVendorTrip = async (vendorId, tripId) => {
+  const trip = await DeliveryTrip.findOne({ _id: tripId, vendor: vendorId })
+    .populate('rider', 'fullName mobileNumber')
+    .lean();
+  if (!trip) {
+    throw new Error('Trip not found');
+  }
+  return trip;
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Vendor = require('../models/Vendor');
 const { uploadToCloudinary } = require('../utils/cloudinary');
 const { getPostOfficeDetails } = require('../utils/postOfficeAPI');
@@ -142,6 +143,7 @@ const createVendorData = async (vendor, data, files, adminId) => {
     permissions,
     serviceRadius,
     handlingChargePercentage,
+    gstNumber,
   } = data;
 
   const finalBankName = (bankName || bank_name || '').trim();
@@ -208,6 +210,7 @@ const createVendorData = async (vendor, data, files, adminId) => {
   vendor.createdBy = adminId;
   vendor.serviceRadius = serviceRadius ? parseFloat(serviceRadius) : 5; // Default service radius of 5 km
   vendor.handlingChargePercentage = handlingChargePercentage !== undefined ? parseFloat(handlingChargePercentage) : 0; // Default handling charge percentage 0
+  vendor.gstNumber = gstNumber || undefined;
 
   updateVendorPermissions(vendor, permissions);
 
@@ -267,6 +270,7 @@ const updateVendorData = async (vendor, data, files) => {
     permissions,
     handlingChargePercentage,
     serviceRadius,
+    gstNumber,
   } = data;
 
   if (vendorName !== undefined) {
@@ -345,6 +349,10 @@ const updateVendorData = async (vendor, data, files) => {
     vendor.handlingChargePercentage = parseFloat(handlingChargePercentage);
   }
 
+  if (gstNumber !== undefined) {
+    vendor.gstNumber = gstNumber || undefined;
+  }
+
   if (files) {
     const uploadedFiles = await uploadVendorFiles(files);
 
@@ -365,10 +373,88 @@ const updateVendorData = async (vendor, data, files) => {
   return vendor;
 };
 
+const DEFAULT_SERVICE_RADIUS_KM = 5;
+// Widest radius a caller may ask for, whatever the client sends
+const MAX_SEARCH_RADIUS_KM = parseFloat(process.env.MAX_SEARCH_RADIUS_KM) || 25;
+
+/**
+ * Active stores that deliver around a point, nearest first, with their
+ * distance in km. A store with a drawn service area is included when the point
+ * is inside one of its zones or `pinCode` is one of its PIN codes. Other stores
+ * are included when within `radius` km of the point or when the point is
+ * inside their own serviceRadius. `radius` is capped at MAX_SEARCH_RADIUS_KM.
+ * `vendorIds` limits the stores considered.
+ */
+const getNearbyVendors = async (latitude, longitude, radius = 0, { pinCode, vendorIds } = {}) => {
+  const searchRadius = Math.min(Math.max(Number(radius) || 0, 0), MAX_SEARCH_RADIUS_KM);
+  const point = { type: 'Point', coordinates: [longitude, latitude] };
+  const baseQuery = { isActive: true, storeId: { $exists: true, $ne: null } };
+  if (vendorIds) {
+    baseQuery._id = { $in: vendorIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+
+  const nearStage = (query, maxDistanceKm) => ({
+    $geoNear: {
+      near: point,
+      key: 'storeAddress.location',
+      distanceField: 'distance',
+      distanceMultiplier: 0.001,
+      spherical: true,
+      query,
+      ...(maxDistanceKm !== undefined && { maxDistance: maxDistanceKm * 1000 }),
+    },
+  });
+  const project = { $project: { storeName: 1, vendorName: 1, storeAddress: 1, serviceRadius: 1, distance: 1 } };
+
+  // Stores with a drawn service area deliver wherever it covers, however far
+  const zoneVendorIds = await Vendor.distinct('_id', {
+    ...baseQuery,
+    'serviceArea.zones.boundary': { $geoIntersects: { $geometry: point } },
+  });
+  const inArea = [];
+  if (zoneVendorIds.length > 0) {
+    inArea.push({ _id: { $in: zoneVendorIds } });
+  }
+  if (pinCode) {
+    inArea.push({ 'serviceArea.pinCodes': pinCode });
+  }
+
+  // Other stores: nothing past the widest service radius can deliver here
+  const widest = await Vendor.findOne(baseQuery).sort({ serviceRadius: -1 }).select('serviceRadius').lean();
+  const maxDistanceKm = Math.max(searchRadius, DEFAULT_SERVICE_RADIUS_KM, widest?.serviceRadius || 0);
+
+  const [byRadius, byArea] = await Promise.all([
+    Vendor.aggregate([
+      nearStage({
+        ...baseQuery,
+        'serviceArea.zones.0': { $exists: false },
+        'serviceArea.pinCodes.0': { $exists: false },
+      }, maxDistanceKm),
+      {
+        $match: {
+          $expr: {
+            $lte: ['$distance', { $max: [searchRadius, { $ifNull: ['$serviceRadius', DEFAULT_SERVICE_RADIUS_KM] }] }],
+          },
+        },
+      },
+      project,
+    ]),
+    inArea.length > 0 ? Vendor.aggregate([nearStage({ ...baseQuery, $or: inArea }), project]) : [],
+  ]);
+
+  const vendors = [...byRadius, ...byArea].sort((a, b) => a.distance - b.distance);
+
+  return vendors.map(vendor => ({
+    ...vendor,
+    distance: parseFloat(vendor.distance.toFixed(2)),
+  }));
+};
+
 module.exports = {
   uploadVendorFiles,
   updateVendorPermissions,
   createVendorData,
   updateVendorData,
+  getNearbyVendors,
 };
 
@@ -0,0 +1,442 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const { addNotificationJob } = require('../utils/queue');
+const { roundAmount } = require('../utils/amount');
+const { getId } = require('../utils/ids');
+const logger = require('../utils/logger');
+
+// Days a released cashback credit stays spendable (0 = never expires)
+const parsedExpiryDays = parseInt(process.env.CASHBACK_EXPIRY_DAYS, 10);
+const CASHBACK_EXPIRY_DAYS = Number.isNaN(parsedExpiryDays) ? 90 : parsedExpiryDays;
+
+// Share of an order's total that may be paid from the wallet
+const parsedRedemptionPercentage = parseFloat(process.env.WALLET_MAX_REDEMPTION_PERCENTAGE);
+const MAX_REDEMPTION_PERCENTAGE = Number.isNaN(parsedRedemptionPercentage) ? 100 : parsedRedemptionPercentage;
+
+const getExpiryDate = () => (CASHBACK_EXPIRY_DAYS > 0
+  ? new Date(Date.now() + CASHBACK_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  : undefined);
+
+// Aggregations do not cast ids, so the filter always carries an ObjectId
+const spendableFilter = (userId) => ({
+  user: new mongoose.Types.ObjectId(getId(userId)),
+  type: 'credit',
+  status: 'available',
+  remainingAmount: { $gt: 0 },
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+const notifyUser = async (userId, title, message, data) => {
+  try {
+    await addNotificationJob({
+      userId,
+      recipientType: 'user',
+      type: 'wallet',
+      title,
+      message,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Failed to queue wallet notification for user ${userId}:`, error);
+  }
+};
+
+/**
+ * Recompute the spendable balance from the ledger and cache it on the user
+ */
+const syncBalance = async (userId) => {
+  const [result] = await WalletTransaction.aggregate([
+    { $match: spendableFilter(userId) },
+    { $group: { _id: null, balance: { $sum: '$remainingAmount' } } },
+  ]);
+  const balance = roundAmount(result?.balance || 0);
+
+  await User.updateOne({ _id: userId }, { $set: { cashback: balance } });
+
+  return balance;
+};
+
+/**
+ * Close out credits that passed their expiry with money left on them.
+ * Each one is zeroed atomically and a matching expiry debit is written.
+ */
+const expireCredits = async (userId) => {
+  const expired = await WalletTransaction.find({
+    user: userId,
+    type: 'credit',
+    status: 'available',
+    expiresAt: { $lte: new Date() },
+  }).select('_id');
+
+  for (const { _id } of expired) {
+    const before = await WalletTransaction.findOneAndUpdate(
+      { _id, status: 'available' },
+      { $set: { status: 'expired', remainingAmount: 0, updatedAt: new Date() } },
+      { new: false }
+    );
+
+    if (before && before.remainingAmount > 0) {
+      await WalletTransaction.create({
+        user: userId,
+        order: before.order,
+        orderNumber: before.orderNumber,
+        type: 'debit',
+        source: 'expiry',
+        status: 'completed',
+        amount: before.remainingAmount,
+        allocations: [{ transaction: before._id, amount: before.remainingAmount }],
+        description: `${before.description || 'Wallet credit'} expired`,
+      });
+    }
+  }
+
+  return expired.length;
+};
+
+/**
+ * Draw `amount` from the user's spendable credits, soonest expiry first and
+ * credits that never expire last. Every draw is a guarded decrement, so two
+ * redemptions cannot spend the same money.
+ * Returns the allocations; short of `amount` only when `allowPartial` is set.
+ */
+const drawCredits = async (userId, amount, { allowPartial = false } = {}) => {
+  const allocations = [];
+  let outstanding = roundAmount(amount);
+
+  for (let attempt = 0; attempt < 3 && outstanding > 0; attempt++) {
+    const credits = await WalletTransaction.find(spendableFilter(userId)).select('remainingAmount expiresAt createdAt');
+    if (credits.length === 0) {
+      break;
+    }
+
+    credits.sort((a, b) => (a.expiresAt ? a.expiresAt.getTime() : Infinity) - (b.expiresAt ? b.expiresAt.getTime() : Infinity)
+      || a.createdAt - b.createdAt);
+
+    for (const credit of credits) {
+      if (outstanding <= 0) {
+        break;
+      }
+      const take = roundAmount(Math.min(outstanding, credit.remainingAmount));
+      const updated = await WalletTransaction.findOneAndUpdate(
+        { _id: credit._id, status: 'available', remainingAmount: { $gte: take } },
+        { $inc: { remainingAmount: -take }, $set: { updatedAt: new Date() } },
+        { new: true }
+      );
+      // Spent or expired by a concurrent request - the next pass re-reads
+      if (updated) {
+        allocations.push({ transaction: credit._id, amount: take });
+        outstanding = roundAmount(outstanding - take);
+      }
+    }
+  }
+
+  if (outstanding > 0 && !allowPartial) {
+    await restoreAllocations(allocations);
+    throw new Error('Insufficient wallet balance');
+  }
+
+  return allocations;
+};
+
+/**
+ * Put drawn money back on the credits it came from. A credit that expired in
+ * the meantime stays expired - the money would have lapsed with it.
+ */
+const restoreAllocations = async (allocations = []) => {
+  for (const allocation of allocations) {
+    await WalletTransaction.updateOne(
+      { _id: allocation.transaction, status: 'available' },
+      { $inc: { remainingAmount: allocation.amount }, $set: { updatedAt: new Date() } }
+    );
+  }
+};
+
+/**
+ * Spendable balance after expiring lapsed credits
+ */
+exports.getBalance = async (userId) => {
+  await expireCredits(userId);
+  return syncBalance(userId);
+};
+
+/**
+ * Balance, cashback still waiting on delivery, and the next credit to expire
+ */
+exports.getWalletSummary = async (userId) => {
+  const balance = await exports.getBalance(userId);
+
+  const [pending, nextExpiring] = await Promise.all([
+    WalletTransaction.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(getId(userId)), type: 'credit', status: 'pending' } },
+      { $group: { _id: null, amount: { $sum: '$remainingAmount' } } },
+    ]),
+    WalletTransaction.findOne({ ...spendableFilter(userId), expiresAt: { $gt: new Date() } })
+      .sort({ expiresAt: 1 })
+      .select('remainingAmount expiresAt'),
+  ]);
+
+  return {
+    balance,
+    pendingCashback: roundAmount(pending[0]?.amount || 0),
+    nextExpiry: nextExpiring ? {
+      amount: nextExpiring.remainingAmount,
+      expiresAt: nextExpiring.expiresAt,
+    } : null,
+    currency: 'INR',
+  };
+};
+
+/**
+ * Ledger entries for a user, newest first
+ */
+exports.getTransactions = async (userId, { type, source, status } = {}, page = 1, limit = 20) => {
+  const skip = (page - 1) * limit;
+  const query = { user: userId };
+
+  if (type) {
+    query.type = type;
+  }
+  if (source) {
+    query.source = source;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const [transactions, total] = await Promise.all([
+    WalletTransaction.find(query)
+      .select('-allocations -user')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    WalletTransaction.countDocuments(query),
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Most of `total` the wallet may pay, given a spendable `balance`
+ */
+exports.getRedeemableAmount = (balance, total) => roundAmount(Math.max(0, Math.min(
+  balance,
+  (total * MAX_REDEMPTION_PERCENTAGE) / 100
+)));
+
+/**
+ * Spend wallet balance on an order. Throws when the balance is short.
+ * Returns the debit entry - pass it to `cancelRedemption` if the order fails.
+ */
+exports.redeemForOrder = async (userId, amount, { orderId, orderNumber } = {}) => {
+  const redeemAmount = roundAmount(amount);
+  if (redeemAmount <= 0) {
+    return null;
+  }
+
+  await expireCredits(userId);
+  const allocations = await drawCredits(userId, redeemAmount);
+
+  let debit;
+  try {
+    debit = await WalletTransaction.create({
+      user: userId,
+      order: orderId,
+      orderNumber,
+      type: 'debit',
+      source: 'redemption',
+      status: 'completed',
+      amount: redeemAmount,
+      allocations,
+      description: orderNumber ? `Paid for order ${orderNumber}` : 'Paid for order',
+    });
+  } catch (error) {
+    await restoreAllocations(allocations);
+    throw error;
+  }
+
+  await syncBalance(userId);
+
+  return debit;
+};
+
+/**
+ * Undo a redemption whose order was never placed
+ */
+exports.cancelRedemption = async (debit) => {
+  if (!debit) {
+    return;
+  }
+
+  const cancelled = await WalletTransaction.findOneAndUpdate(
+    { _id: debit._id, status: 'completed' },
+    { $set: { status: 'cancelled', updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (cancelled) {
+    await restoreAllocations(cancelled.allocations);
+    await syncBalance(cancelled.user);
+  }
+};
+
+/**
+ * Record cashback earned on an order. It stays pending until the order is
+ * delivered; items added later top up the same pending credit.
+ */
+exports.creditPendingCashback = async (order, amount) => {
+  const creditAmount = roundAmount(amount || 0);
+  if (creditAmount <= 0) {
+    return null;
+  }
+
+  return WalletTransaction.findOneAndUpdate(
+    { user: getId(order.user), order: order._id, source: 'cashback', status: 'pending' },
+    {
+      $inc: { amount: creditAmount, remainingAmount: creditAmount },
+      $set: { updatedAt: new Date() },
+      $setOnInsert: {
+        type: 'credit',
+        orderNumber: order.orderNumber,
+        description: `Cashback on order ${order.orderNumber}`,
+        createdAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Make an order's pending cashback spendable once it is delivered.
+ * Safe to call repeatedly - only pending credits are released.
+ */
+exports.releaseOrderCashback = async (order) => {
+  const userId = getId(order.user);
+  const now = new Date();
+
+  const pending = await WalletTransaction.find({ order: order._id, source: 'cashback', status: 'pending' });
+  let released = 0;
+
+  for (const credit of pending) {
+    const updated = await WalletTransaction.findOneAndUpdate(
+      { _id: credit._id, status: 'pending' },
+      { $set: { status: 'available', availableAt: now, expiresAt: getExpiryDate(), updatedAt: now } },
+      { new: true }
+    );
+    if (updated) {
+      released = roundAmount(released + updated.remainingAmount);
+    }
+  }
+
+  if (released <= 0) {
+    return 0;
+  }
+
+  await syncBalance(userId);
+  logger.info(`Cashback of ${released} released for order ${order.orderNumber}`);
+
+  await notifyUser(
+    userId,
+    'Cashback Credited',
+    `₹${released} cashback for order ${order.orderNumber} is now in your wallet.`,
+    { orderId: order._id, orderNumber: order.orderNumber, amount: released }
+  );
+
+  return released;
+};
+
+/**
+ * Take back cashback for cancelled or returned items. Cashback that is still
+ * pending is simply reduced; released cashback is debited from the balance,
+ * never below zero. Returns the amount actually reversed.
+ */
+exports.reverseOrderCashback = async (userId, order, amount) => {
+  let outstanding = roundAmount(amount || 0);
+  if (outstanding <= 0) {
+    return 0;
+  }
+
+  const pending = await WalletTransaction.findOne({ order: order._id, source: 'cashback', status: 'pending' });
+  if (pending && pending.remainingAmount > 0) {
+    const take = roundAmount(Math.min(outstanding, pending.remainingAmount));
+    const updated = await WalletTransaction.findOneAndUpdate(
+      { _id: pending._id, status: 'pending', remainingAmount: { $gte: take } },
+      { $inc: { amount: -take, remainingAmount: -take }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    if (updated) {
+      outstanding = roundAmount(outstanding - take);
+      if (updated.remainingAmount <= 0) {
+        await WalletTransaction.updateOne(
+          { _id: updated._id, status: 'pending', remainingAmount: { $lte: 0 } },
+          { $set: { status: 'cancelled', updatedAt: new Date() } }
+        );
+      }
+    }
+  }
+
+  if (outstanding > 0) {
+    await expireCredits(userId);
+    const allocations = await drawCredits(userId, outstanding, { allowPartial: true });
+    const drawn = roundAmount(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+
+    if (drawn > 0) {
+      await WalletTransaction.create({
+        user: userId,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        type: 'debit',
+        source: 'reversal',
+        status: 'completed',
+        amount: drawn,
+        allocations,
+        description: `Cashback reversed for order ${order.orderNumber}`,
+      });
+      await syncBalance(userId);
+    }
+    outstanding = roundAmount(outstanding - drawn);
+  }
+
+  return roundAmount((amount || 0) - outstanding);
+};
+
+/**
+ * Pay a refund into the wallet. Refunds of redeemed cashback expire like
+ * cashback does; refunds of money the customer paid do not.
+ */
+exports.creditRefund = async (userId, amount, { order, description, expires = false } = {}) => {
+  const creditAmount = roundAmount(amount || 0);
+  if (creditAmount <= 0) {
+    return null;
+  }
+
+  const credit = await WalletTransaction.create({
+    user: userId,
+    order: order?._id,
+    orderNumber: order?.orderNumber,
+    type: 'credit',
+    source: 'refund',
+    status: 'available',
+    amount: creditAmount,
+    remainingAmount: creditAmount,
+    availableAt: new Date(),
+    expiresAt: expires ? getExpiryDate() : undefined,
+    description: description || (order ? `Refund for order ${order.orderNumber}` : 'Refund'),
+  });
+
+  await syncBalance(userId);
+
+  return credit;
+};
+
+exports.syncBalance = syncBalance;
+exports.expireCredits = expireCredits;
+exports.CASHBACK_EXPIRY_DAYS = CASHBACK_EXPIRY_DAYS;
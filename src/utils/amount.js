@@ -0,0 +1,29 @@
+/**
+ * Money amounts are rupees with two decimals (paise).
+ */
+
+const roundAmount = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Split `amount` by `weights`, rounded to paise. The rounding remainder goes
+ * to the last part so the parts always add back up to `amount`. Without any
+ * weight the amount is split equally.
+ */
+const splitAmount = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return roundAmount(amount - allocated);
+    }
+    const part = totalWeight > 0 ? roundAmount((amount * weight) / totalWeight) : roundAmount(amount / weights.length);
+    allocated += part;
+    return part;
+  });
+};
+
+module.exports = {
+  roundAmount,
+  splitAmount,
+};
@@ -0,0 +1,103 @@
+/**
+ * Coordinates are stored as plain `latitude`/`longitude` numbers, which the
+ * API reads and writes, and mirrored on save into a GeoJSON Point `location`
+ * that the 2dsphere indexes and $geoNear work on.
+ */
+
+const toPoint = (latitude, longitude) => {
+  if (latitude === undefined || latitude === null || latitude === '' ||
+      longitude === undefined || longitude === null || longitude === '') {
+    return undefined;
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (Number.isNaN(lat) || Number.isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return undefined;
+  }
+
+  // GeoJSON puts longitude first
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Aggregation version of toPoint, for backfilling documents in place
+const toPointExpression = (latitudeField, longitudeField) => ({
+  $cond: [
+    {
+      $and: [
+        { $isNumber: latitudeField },
+        { $isNumber: longitudeField },
+        { $gte: [latitudeField, -90] },
+        { $lte: [latitudeField, 90] },
+        { $gte: [longitudeField, -180] },
+        { $lte: [longitudeField, 180] },
+      ],
+    },
+    { type: 'Point', coordinates: [longitudeField, latitudeField] },
+    '$$REMOVE',
+  ],
+});
+
+// Whether `location` has a usable latitude and longitude
+const hasCoordinates = (location) => !!location
+  && location.latitude !== undefined && location.latitude !== null && location.latitude !== ''
+  && location.longitude !== undefined && location.longitude !== null && location.longitude !== ''
+  && !Number.isNaN(Number(location.latitude)) && !Number.isNaN(Number(location.longitude));
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * Returns distance in kilometers
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Radius of the Earth in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c; // Distance in kilometers
+};
+
+const isPosition = (position) => Array.isArray(position)
+  && position.length === 2
+  && position.every(value => typeof value === 'number' && Number.isFinite(value))
+  && position[0] >= -180 && position[0] <= 180
+  && position[1] >= -90 && position[1] <= 90;
+
+// A closed ring: at least 4 positions with the last one repeating the first
+const isLinearRing = (ring) => Array.isArray(ring)
+  && ring.length >= 4
+  && ring.every(isPosition)
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygonCoordinates = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+/**
+ * Shape check for a GeoJSON Polygon or MultiPolygon. MongoDB still rejects
+ * self-intersecting rings when the 2dsphere index is written.
+ */
+const isValidBoundary = (boundary) => {
+  if (!boundary || typeof boundary !== 'object') {
+    return false;
+  }
+  if (boundary.type === 'Polygon') {
+    return isPolygonCoordinates(boundary.coordinates);
+  }
+  if (boundary.type === 'MultiPolygon') {
+    return Array.isArray(boundary.coordinates)
+      && boundary.coordinates.length > 0
+      && boundary.coordinates.every(isPolygonCoordinates);
+  }
+  return false;
+};
+
+module.exports = {
+  calculateDistance,
+  hasCoordinates,
+  toPoint,
+  toPointExpression,
+  isValidBoundary,
+};
@@ -0,0 +1,6 @@
+// String id of a document, a populated reference or a raw ObjectId
+const getId = (value) => (value?._id || value)?.toString();
+
+module.exports = {
+  getId,
+};
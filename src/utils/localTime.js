@@ -0,0 +1,44 @@
+/**
+ * Store-local time. Store hours, delivery slots, settlement cycles and rider
+ * days are all counted in one local time zone, a fixed offset from UTC.
+ */
+
+// Offset of store-local time from UTC in minutes (IST by default)
+const parsedOffset = parseInt(process.env.STORE_TIMEZONE_OFFSET_MINUTES, 10);
+const TIMEZONE_OFFSET_MINUTES = Number.isNaN(parsedOffset) ? 330 : parsedOffset;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const OFFSET_MS = TIMEZONE_OFFSET_MINUTES * MINUTE_MS;
+
+// "HH:mm" => minutes since midnight
+const parseClock = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Start of the store-local day containing `date`, as a UTC instant
+const startOfLocalDay = (date) => {
+  const local = new Date(date).getTime() + OFFSET_MS;
+  return new Date(local - (local % DAY_MS) - OFFSET_MS);
+};
+
+// Store-local "YYYY-MM-DD" of a date or timestamp
+const toLocalDate = (date) => new Date(new Date(date).getTime() + OFFSET_MS).toISOString().slice(0, 10);
+
+// Store-local weekday (0 = Sunday) of a date or timestamp
+const toLocalWeekday = (date) => new Date(new Date(date).getTime() + OFFSET_MS).getUTCDay();
+
+// "YYYY-MM-DD" (store-local) => the instant that day starts
+const parseLocalDate = (value) => new Date(new Date(`${value}T00:00:00.000Z`).getTime() - OFFSET_MS);
+
+module.exports = {
+  TIMEZONE_OFFSET_MINUTES,
+  MINUTE_MS,
+  DAY_MS,
+  parseClock,
+  startOfLocalDay,
+  toLocalDate,
+  toLocalWeekday,
+  parseLocalDate,
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+/**
+ * Payment provider registry.
+ *
+ * Every provider adapter must implement:
+ *  - createIntent({ amount, currency, receipt, notes }) => { intentId, amount, currency, clientPayload }
+ *  - verifyWebhook(rawBody, headers) => boolean
+ *  - parseWebhook(body) => { intentId, transactionId, status: 'completed' | 'failed', failureReason }
+ *  - verifyCallback({ intentId, transactionId, status, signature }) => boolean
+ *  - createRefund({ intentId, transactionId, amount, currency, reason, reference }) => { refundId, amount, status }
+ *    `reference` is the idempotency key: repeating a call with it must return
+ *    the same refund instead of refunding again.
+ */
+const REQUIRED_METHODS = ['createIntent', 'verifyWebhook', 'parseWebhook', 'verifyCallback', 'createRefund'];
+
+const providers = new Map();
+
+const registerProvider = (name, provider) => {
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider "${name}" is missing methods: ${missing.join(', ')}`);
+  }
+  providers.set(name, provider);
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Outside production the mock gateway is the default. In production a real
+ * provider has to be configured with PAYMENT_PROVIDER.
+ */
+const getProvider = (name = process.env.PAYMENT_PROVIDER || (isProduction() ? undefined : 'mock')) => {
+  if (!name) {
+    throw new Error('Payment provider is not configured');
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not registered`);
+  }
+  return provider;
+};
+
+const safeCompare = (expected, received) => {
+  if (!expected || !received) {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(String(expected));
+  const receivedBuffer = Buffer.from(String(received));
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Local mock gateway - signs payloads with a shared HMAC secret so the whole
+ * intent -> callback/webhook -> order update flow can run without a real gateway.
+ * Never registered in production. Without MOCK_PAYMENT_SECRET nothing verifies.
+ */
+const getMockSecret = () => process.env.MOCK_PAYMENT_SECRET || null;
+
+const mockSign = (data) => {
+  const secret = getMockSecret();
+  if (!secret) {
+    throw new Error('MOCK_PAYMENT_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+};
+
+const mockProvider = {
+  name: 'mock',
+
+  createIntent: async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+    const intentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      intentId,
+      amount,
+      currency,
+      clientPayload: {
+        provider: 'mock',
+        intentId,
+        amount,
+        currency,
+        receipt,
+        notes,
+      },
+    };
+  },
+
+  verifyWebhook: (rawBody, headers = {}) => {
+    if (!getMockSecret()) {
+      return false;
+    }
+    const signature = headers['x-mock-signature'];
+    return safeCompare(mockSign(rawBody || ''), signature);
+  },
+
+  parseWebhook: (body = {}) => ({
+    intentId: body.intentId,
+    transactionId: body.transactionId,
+    status: body.status === 'success' ? 'completed' : 'failed',
+    failureReason: body.status === 'success' ? undefined : (body.failureReason || 'Payment failed at gateway'),
+  }),
+
+  verifyCallback: ({ intentId, transactionId, status, signature }) => {
+    if (!getMockSecret()) {
+      return false;
+    }
+    return safeCompare(mockSign(`${intentId}|${transactionId}|${status}`), signature);
+  },
+
+  createRefund: async ({ intentId, amount, currency = 'INR', reference }) => ({
+    refundId: reference
+      ? `mock_rf_${crypto.createHash('sha256').update(`${intentId}|${reference}`).digest('hex').slice(0, 20)}`
+      : `mock_rf_${crypto.randomBytes(10).toString('hex')}`,
+    amount,
+    currency,
+    status: 'processed',
+  }),
+
+  /**
+   * Build a signed webhook exactly as the gateway would send it (mock only)
+   */
+  simulateWebhook: (intentId, outcome = 'success', failureReason) => {
+    const body = {
+      intentId,
+      transactionId: `mock_txn_${crypto.randomBytes(10).toString('hex')}`,
+      status: outcome === 'success' ? 'success' : 'failed',
+    };
+    if (body.status === 'failed') {
+      body.failureReason = failureReason || 'Simulated payment failure';
+    }
+    const rawBody = JSON.stringify(body);
+    return {
+      body,
+      rawBody,
+      headers: { 'x-mock-signature': mockSign(rawBody) },
+    };
+  },
+};
+
+if (!isProduction()) {
+  registerProvider('mock', mockProvider);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  safeCompare,
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Push providers deliver `{ title, body, data }` to device tokens and
+ * resolve to `{ sent, failed, invalidTokens }`. Tokens reported invalid are
+ * dropped by the caller. `console` and `file` are local stand-ins; a real
+ * provider (FCM, APNs, ...) is added with registerProvider and picked with
+ * PUSH_PROVIDER.
+ */
+const providers = {
+  console: {
+    send: async (tokens, payload) => {
+      logger.info(`[push] ${payload.title} -> ${tokens.length} device(s): ${payload.body}`);
+      return { sent: tokens.length, failed: 0, invalidTokens: [] };
+    },
+  },
+  file: {
+    send: async (tokens, payload) => {
+      const file = process.env.PUSH_LOG_FILE || path.join(__dirname, '../../logs/push.log');
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify({ sentAt: new Date().toISOString(), tokens, ...payload })}\n`);
+      return { sent: tokens.length, failed: 0, invalidTokens: [] };
+    },
+  },
+};
+
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('Push provider must have a send function');
+  }
+  providers[name] = provider;
+};
+
+const getProviderName = () => process.env.PUSH_PROVIDER || 'console';
+
+const sendPush = async (tokens, payload) => {
+  const name = getProviderName();
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Push provider ${name} is not registered`);
+  }
+
+  const result = await provider.send(tokens, payload);
+  return {
+    provider: name,
+    sent: result?.sent || 0,
+    failed: result?.failed || 0,
+    invalidTokens: result?.invalidTokens || [],
+  };
+};
+
+module.exports = {
+  sendPush,
+  registerProvider,
+  getProviderName,
+};
@@ -12,6 +12,7 @@ let emailQueue = null;
 let smsQueue = null;
 let notificationQueue = null;
 let imageProcessingQueue = null;
+let productImportQueue = null;
 
 const createQueue = (name, redisConfig) => {
   try {
@@ -108,6 +109,7 @@ const initializeQueues = () => {
     smsQueue = createQueue('sms', {});
     notificationQueue = createQueue('notifications', {});
     imageProcessingQueue = createQueue('image-processing', {});
+    productImportQueue = createQueue('product-import', {});
     logger.info('Queues initialized successfully');
   } else {
     logger.warn('Redis not configured. Queues will not be available.');
@@ -130,12 +132,30 @@ const addSMSJob = async (data, options = {}) => {
   return await smsQueue.add(data, options);
 };
 
+/**
+ * Queue a notification for the notification worker. Without Redis, or when
+ * queueing fails, it is delivered in the background of this process instead
+ * of being dropped.
+ */
 const addNotificationJob = async (data, options = {}) => {
-  if (!notificationQueue) {
-    logger.warn('Notification queue not initialized');
-    return null;
+  if (notificationQueue) {
+    try {
+      return await notificationQueue.add(data, options);
+    } catch (error) {
+      logger.error('Failed to queue notification, delivering it inline:', error);
+    }
+  } else {
+    logger.warn('Notification queue not initialized, delivering notification inline');
   }
-  return await notificationQueue.add(data, options);
+
+  // Required here: the notification service loads modules that load this one
+  const notificationService = require('../services/notificationService');
+  setImmediate(() => {
+    notificationService.deliver(data).catch((error) => {
+      logger.error(`Inline delivery of ${data.type || 'general'} notification to ${data.recipientType || 'user'} ${data.userId} failed:`, error);
+    });
+  });
+  return null;
 };
 
 const addImageProcessingJob = async (data, options = {}) => {
@@ -146,6 +166,18 @@ const addImageProcessingJob = async (data, options = {}) => {
   return await imageProcessingQueue.add(data, options);
 };
 
+const addProductImportJob = async (data, options = {}) => {
+  if (!productImportQueue) {
+    logger.warn('Product import queue not initialized');
+    return null;
+  }
+  return await productImportQueue.add(data, options);
+};
+
+// Workers are required before initializeQueues runs, so they read the queue here
+const getProductImportQueue = () => productImportQueue;
+const getNotificationQueue = () => notificationQueue;
+
 const getQueueStats = async () => {
   const stats = {};
   
@@ -168,6 +200,11 @@ const getQueueStats = async () => {
     const imageStats = await imageProcessingQueue.getJobCounts();
     stats.imageProcessing = imageStats;
   }
+
+  if (productImportQueue) {
+    const importStats = await productImportQueue.getJobCounts();
+    stats.productImport = importStats;
+  }
   
   return stats;
 };
@@ -178,6 +215,9 @@ module.exports = {
   addSMSJob,
   addNotificationJob,
   addImageProcessingJob,
+  addProductImportJob,
+  getProductImportQueue,
+  getNotificationQueue,
   getQueueStats,
   emailQueue,
   smsQueue,
@@ -0,0 +1,51 @@
+/**
+ * Tokens for typo tolerant product search without an external search engine.
+ *
+ * Each word is stored together with every variant that has one letter
+ * deleted ("milk" -> "ilk", "mlk", "mik", "mil"). Two words within one typo
+ * of each other (a missing, extra, wrong or swapped letter) always share at
+ * least one of these, so a query can find them with a plain `$in` lookup.
+ */
+
+// Shorter words only match exactly, otherwise "tea" would also find "pea" and "ten"
+const MIN_FUZZY_LENGTH = 4;
+const MAX_WORD_LENGTH = 30;
+
+const normalizeText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const tokenize = (text) => normalizeText(text)
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(word => word.length > 0 && word.length <= MAX_WORD_LENGTH);
+
+const getWordVariants = (word) => {
+  const variants = new Set([word]);
+  if (word.length >= MIN_FUZZY_LENGTH) {
+    for (let i = 0; i < word.length; i++) {
+      variants.add(word.slice(0, i) + word.slice(i + 1));
+    }
+  }
+  return [...variants];
+};
+
+/**
+ * Words and one-typo variants of all the given texts, for `Product.searchTerms`
+ */
+const buildSearchTerms = (texts = []) => {
+  const terms = new Set();
+  texts.forEach((text) => {
+    tokenize(text).forEach((word) => {
+      getWordVariants(word).forEach(variant => terms.add(variant));
+    });
+  });
+  return [...terms];
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  getWordVariants,
+  buildSearchTerms,
+};
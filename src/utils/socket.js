@@ -1,6 +1,12 @@
 const logger = require('./logger');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const Rider = require('../models/Rider');
+const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+const Admin = require('../models/Admin');
+const riderTrackingService = require('../services/riderTrackingService');
+const riderAvailabilityService = require('../services/riderAvailabilityService');
 
 let io = null;
 let socketIOAvailable = false;
@@ -16,6 +22,52 @@ try {
   socketIOAvailable = false;
 }
 
+/**
+ * Let a socket follow an order: `subscribe_order` joins the `shipment:<id>`
+ * rooms of the shipments the viewer may see, where `rider_location` events
+ * arrive, and acknowledges with the current tracking snapshot. A vendor only
+ * joins their own shipment's room, so they never see other vendors' riders.
+ */
+const registerOrderTracking = (socket) => {
+  const viewer = { role: socket.role, id: socket.accountId };
+
+  socket.on('subscribe_order', async (data, callback) => {
+    const ack = typeof callback === 'function' ? callback : () => {};
+    const orderId = data?.orderId;
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return ack({ success: false, error: 'Invalid order ID' });
+    }
+
+    try {
+      const tracking = await riderTrackingService.getOrderTracking(orderId, viewer);
+      const shipmentIds = await riderTrackingService.getViewableShipmentIds(orderId, viewer);
+      socket.join(shipmentIds.map(shipmentId => `shipment:${shipmentId}`));
+      ack({ success: true, data: tracking });
+    } catch (error) {
+      logger.debug(`Order ${orderId} subscription by ${viewer.role} ${viewer.id} rejected: ${error.message}`);
+      ack({ success: false, error: error.message });
+    }
+  });
+
+  socket.on('unsubscribe_order', async (data, callback) => {
+    const ack = typeof callback === 'function' ? callback : () => {};
+    const orderId = data?.orderId;
+
+    if (!mongoose.isValidObjectId(orderId)) {
+      return ack({ success: false, error: 'Invalid order ID' });
+    }
+
+    try {
+      const shipmentIds = await riderTrackingService.getViewableShipmentIds(orderId, viewer);
+      shipmentIds.forEach(shipmentId => socket.leave(`shipment:${shipmentId}`));
+      ack({ success: true });
+    } catch (error) {
+      ack({ success: false, error: error.message });
+    }
+  });
+};
+
 /**
  * Initialize Socket.io server
  */
@@ -64,9 +116,25 @@ const initializeSocket = (server) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
+
+        // Users, vendors and admins connect to follow orders
         if (decoded.role !== 'rider') {
-          return next(new Error('Only riders can connect to this socket'));
+          const models = { user: User, vendor: Vendor, admin: Admin };
+          if (!models[decoded.role]) {
+            return next(new Error('Unsupported account type'));
+          }
+
+          const account = await models[decoded.role].findById(decoded.id).select('isActive');
+          if (!account) {
+            return next(new Error('Account not found'));
+          }
+          if (account.isActive === false) {
+            return next(new Error('Account is inactive'));
+          }
+
+          socket.role = decoded.role;
+          socket.accountId = decoded.id;
+          return next();
         }
 
         // Verify rider exists and is active
@@ -83,6 +151,8 @@ const initializeSocket = (server) => {
           return next(new Error('Rider account is not approved'));
         }
 
+        socket.role = 'rider';
+        socket.accountId = decoded.id;
         socket.riderId = decoded.id;
         socket.rider = rider;
         next();
@@ -93,6 +163,22 @@ const initializeSocket = (server) => {
     });
 
     io.on('connection', (socket) => {
+      registerOrderTracking(socket);
+
+      if (socket.role !== 'rider') {
+        logger.info(`${socket.role} connected: ${socket.accountId} (Socket ID: ${socket.id})`);
+        // Personal room, plus one shared by all admins
+        socket.join(`${socket.role}:${socket.accountId}`);
+        if (socket.role === 'admin') {
+          socket.join('admins');
+        }
+        socket.emit('connected', {
+          success: true,
+          message: 'Connected to order tracking service',
+        });
+        return;
+      }
+
       const riderId = socket.riderId;
       logger.info(`Rider connected: ${riderId} (Socket ID: ${socket.id})`);
 
@@ -102,6 +188,14 @@ const initializeSocket = (server) => {
       // Join rider to their personal room
       socket.join(`rider:${riderId}`);
 
+      // Online riders stay online while the app keeps talking to us
+      const touchAvailability = () => {
+        riderAvailabilityService.touch(riderId).catch((error) => {
+          logger.error(`Updating last seen for rider ${riderId} failed:`, error);
+        });
+      };
+      touchAvailability();
+
       // Send connection confirmation
       socket.emit('connected', {
         success: true,
@@ -109,10 +203,39 @@ const initializeSocket = (server) => {
         riderId: riderId,
       });
 
-      // Handle disconnect
+      socket.on('heartbeat', (data, callback) => {
+        touchAvailability();
+        if (typeof callback === 'function') {
+          callback({ success: true });
+        }
+      });
+
+      // GPS pings while on an active order, passed on to the shipment rooms
+      socket.on('location_update', async (data, callback) => {
+        const ack = typeof callback === 'function' ? callback : () => {};
+        touchAvailability();
+        try {
+          const locations = await riderTrackingService.recordLocation(riderId, data || {});
+          if (!locations) {
+            return ack({ success: true, throttled: true });
+          }
+
+          locations.forEach((location) => {
+            io.to(`shipment:${location.shipmentId}`).emit('rider_location', location);
+          });
+          ack({ success: true, orders: locations.length });
+        } catch (error) {
+          logger.debug(`Location update from rider ${riderId} rejected: ${error.message}`);
+          ack({ success: false, error: error.message });
+        }
+      });
+
+      // Disconnecting does not take the rider offline; the stale sweep does
+      // once they stay silent
       socket.on('disconnect', () => {
         logger.info(`Rider disconnected: ${riderId} (Socket ID: ${socket.id})`);
         connectedRiders.delete(riderId.toString());
+        riderTrackingService.forgetRider(riderId);
       });
 
       // Handle errors
@@ -260,6 +383,46 @@ const notifyRiderOrderUpdate = (riderId, orderData) => {
   }
 };
 
+/**
+ * Tell the vendor and admins that no rider accepted a shipment
+ */
+const notifyDispatchEscalation = (vendorId, escalation) => {
+  if (!socketIOAvailable || !io) {
+    logger.debug(`Socket.io not available. Skipping dispatch escalation for vendor ${vendorId}`);
+    return;
+  }
+
+  try {
+    const payload = {
+      type: 'dispatch_escalated',
+      ...escalation,
+      timestamp: new Date().toISOString(),
+    };
+    io.to(`vendor:${vendorId}`).to('admins').emit('dispatch_escalated', payload);
+  } catch (error) {
+    logger.error(`Error sending dispatch escalation for vendor ${vendorId}:`, error);
+  }
+};
+
+/**
+ * Push an inbox notification to a user, vendor or rider's personal room.
+ * Returns whether it was emitted.
+ */
+const sendNotification = (recipientType, recipientId, notification) => {
+  if (!socketIOAvailable || !io) {
+    logger.debug(`Socket.io not available. Skipping notification for ${recipientType} ${recipientId}`);
+    return false;
+  }
+
+  try {
+    io.to(`${recipientType}:${recipientId}`).emit('notification', notification);
+    return true;
+  } catch (error) {
+    logger.error(`Error sending notification to ${recipientType} ${recipientId}:`, error);
+    return false;
+  }
+};
+
 /**
  * Get connected riders count
  */
@@ -283,6 +446,8 @@ module.exports = {
   sendOrderAssignmentRequest,
   sendOrderAssignmentRequestToRiders,
   notifyRiderOrderUpdate,
+  notifyDispatchEscalation,
+  sendNotification,
   getConnectedRidersCount,
   isRiderConnected,
 };
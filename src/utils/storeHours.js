@@ -0,0 +1,129 @@
+/**
+ * Whether a store is taking orders, from its weekly hours, holidays and the
+ * vendor's pause switch. Hours and holidays are in store-local time.
+ */
+
+const {
+  MINUTE_MS,
+  DAY_MS,
+  parseClock,
+  startOfLocalDay,
+  toLocalDate,
+  toLocalWeekday,
+} = require('./localTime');
+
+const DAY_MINUTES = 24 * 60;
+// How far ahead to look for the next opening
+const LOOKAHEAD_DAYS = 14;
+
+/**
+ * Opening windows of a weekday in minutes since midnight. A closing time at
+ * or before the opening time runs past midnight. Without weekly hours the
+ * store is open all day, every day.
+ */
+const getDayWindows = (storeHours, weekday) => {
+  const weekly = storeHours?.weekly || [];
+  if (weekly.length === 0) {
+    return [{ open: 0, close: DAY_MINUTES }];
+  }
+
+  return weekly
+    .filter(entry => entry.day === weekday)
+    .map((entry) => {
+      const open = parseClock(entry.openTime);
+      const close = parseClock(entry.closeTime);
+      return { open, close: close <= open ? close + DAY_MINUTES : close };
+    })
+    .sort((a, b) => a.open - b.open);
+};
+
+const isHoliday = (storeHours, dayStart) => {
+  const date = toLocalDate(dayStart);
+  return (storeHours?.holidays || []).some(holiday => holiday.date === date);
+};
+
+// Open by the hours and holidays alone, ignoring the pause switch
+const isWithinHours = (storeHours, at) => {
+  const dayStart = startOfLocalDay(at).getTime();
+  const minute = (at.getTime() - dayStart) / MINUTE_MS;
+
+  if (!isHoliday(storeHours, dayStart) &&
+      getDayWindows(storeHours, toLocalWeekday(dayStart)).some(window => minute >= window.open && minute < window.close)) {
+    return true;
+  }
+
+  // A window from the day before that runs past midnight
+  const previousDayStart = dayStart - DAY_MS;
+  return !isHoliday(storeHours, previousDayStart) &&
+    getDayWindows(storeHours, toLocalWeekday(previousDayStart)).some(window => minute + DAY_MINUTES < window.close);
+};
+
+const getNextOpening = (storeHours, from) => {
+  if (isWithinHours(storeHours, from)) {
+    return from;
+  }
+
+  const firstDay = startOfLocalDay(from).getTime();
+  for (let day = 0; day <= LOOKAHEAD_DAYS; day++) {
+    const dayStart = firstDay + day * DAY_MS;
+    if (isHoliday(storeHours, dayStart)) {
+      continue;
+    }
+    const window = getDayWindows(storeHours, toLocalWeekday(dayStart))
+      .find(entry => dayStart + entry.open * MINUTE_MS > from.getTime());
+    if (window) {
+      return new Date(dayStart + window.open * MINUTE_MS);
+    }
+  }
+
+  return null;
+};
+
+// A pause with a resume time in the past has ended by itself
+const isPaused = (orderPause, at) => !!orderPause?.isPaused &&
+  (!orderPause.resumeAt || new Date(orderPause.resumeAt) > at);
+
+/**
+ * `{ isOpen, status, nextOpenAt }` of a vendor (with `storeHours` and
+ * `orderPause`) at `at`. Status is open, paused, holiday or closed.
+ */
+const getStoreStatus = (vendor, at = new Date()) => {
+  const storeHours = vendor?.storeHours;
+  const orderPause = vendor?.orderPause;
+
+  if (isPaused(orderPause, at)) {
+    return {
+      isOpen: false,
+      status: 'paused',
+      reason: orderPause.reason || undefined,
+      resumeAt: orderPause.resumeAt || null,
+      nextOpenAt: orderPause.resumeAt ? getNextOpening(storeHours, new Date(orderPause.resumeAt)) : null,
+    };
+  }
+
+  if (isWithinHours(storeHours, at)) {
+    return { isOpen: true, status: 'open', nextOpenAt: null };
+  }
+
+  return {
+    isOpen: false,
+    status: isHoliday(storeHours, startOfLocalDay(at)) ? 'holiday' : 'closed',
+    nextOpenAt: getNextOpening(storeHours, at),
+  };
+};
+
+// Short reason shown on unavailable items
+const getClosedReason = (status) => {
+  if (status.status === 'paused') {
+    return 'Store is not taking orders right now';
+  }
+  if (status.status === 'holiday') {
+    return 'Store is closed for a holiday';
+  }
+  return 'Store is closed';
+};
+
+module.exports = {
+  getStoreStatus,
+  getClosedReason,
+};
@@ -1,21 +1,21 @@
-const { notificationQueue } = require('../utils/queue');
+const { getNotificationQueue } = require('../utils/queue');
+const notificationService = require('../services/notificationService');
 
-if (notificationQueue) {
-  notificationQueue.process(async (job) => {
-    const { userId, type, title, message, data } = job.data;
-    
-    try {
-      // TODO: Implement notification logic (e.g., push notifications, in-app notifications, etc.)
-      // Example:
-      // await createNotification({ userId, type, title, message, data });
-      // await sendPushNotification(userId, { title, message });
-      
-      return { success: true, userId, type };
-    } catch (error) {
-      throw error;
-    }
-  });
-}
+// Called once the queues exist, i.e. after initializeQueues
+const startNotificationWorker = () => {
+  const notificationQueue = getNotificationQueue();
 
-module.exports = notificationQueue;
+  if (notificationQueue) {
+    notificationQueue.process(async (job) => {
+      const { userId, type } = job.data;
 
+      const notification = await notificationService.deliver(job.data, job.id);
+
+      return { success: true, userId, type, notificationId: notification._id };
+    });
+  }
+
+  return notificationQueue;
+};
+
+module.exports = { startNotificationWorker };
@@ -0,0 +1,21 @@
+const { getProductImportQueue } = require('../utils/queue');
+const productImportService = require('../services/productImportService');
+
+// Called once the queues exist, i.e. after initializeQueues
+const startProductImportWorker = () => {
+  const productImportQueue = getProductImportQueue();
+
+  if (productImportQueue) {
+    productImportQueue.process(async (job) => {
+      const { importId, rows } = job.data;
+
+      const result = await productImportService.processImport(importId, rows);
+
+      return { success: true, importId, status: result.status };
+    });
+  }
+
+  return productImportQueue;
+};
+
+module.exports = { startProductImportWorker };
@@ -0,0 +1,34 @@
+const { roundAmount, splitAmount } = require('../src/utils/amount');
+
+describe('amount', () => {
+  describe('roundAmount', () => {
+    it('rounds to paise', () => {
+      expect(roundAmount(1.005)).toBe(1.01);
+      expect(roundAmount(0.1 + 0.2)).toBe(0.3);
+      expect(roundAmount(-2.345)).toBe(-2.34);
+    });
+  });
+
+  describe('splitAmount', () => {
+    it('splits in proportion to the weights', () => {
+      expect(splitAmount(100, [1, 3])).toEqual([25, 75]);
+    });
+
+    it('puts the rounding remainder on the last part', () => {
+      const parts = splitAmount(100, [1, 1, 1]);
+
+      expect(parts).toEqual([33.33, 33.33, 33.34]);
+      expect(parts.reduce((sum, part) => sum + part, 0)).toBeCloseTo(100, 10);
+    });
+
+    it('splits equally when all weights are zero', () => {
+      expect(splitAmount(10, [0, 0])).toEqual([5, 5]);
+      expect(splitAmount(10, [0, 0, 0])).toEqual([3.33, 3.33, 3.34]);
+    });
+
+    it('handles a single part and nothing to split', () => {
+      expect(splitAmount(49.99, [5])).toEqual([49.99]);
+      expect(splitAmount(0, [2, 3])).toEqual([0, 0]);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../src/models/IdempotencyKey', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+}));
+
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { idempotent } = require('../src/middleware/idempotency');
+
+// Mirrors POST /api/checkout/order/create as Express passes it to the middleware
+const buildRequest = ({ key = 'key-1', path = '/order/create', body = { addressId: 'a1', paymentMethod: 'cod' }, user = { _id: 'user-1' } } = {}) => ({
+  method: 'POST',
+  baseUrl: '/api/checkout',
+  path,
+  body,
+  user,
+  get: jest.fn(header => (header === 'idempotency-key' ? key : undefined)),
+});
+
+const buildResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+// Let the queued finalize promise settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Hash the middleware stores for `req`, taken from a first run that claims the key
+const getRequestHash = async (req) => {
+  IdempotencyKey.create.mockResolvedValueOnce({});
+  await idempotent(req, buildResponse(), jest.fn());
+  const hash = IdempotencyKey.create.mock.calls[IdempotencyKey.create.mock.calls.length - 1][0].requestHash;
+  IdempotencyKey.create.mockClear();
+  return hash;
+};
+
+describe('idempotency middleware', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  it('does nothing without the header', async () => {
+    const req = buildRequest();
+    req.get.mockReturnValue(undefined);
+    const next = jest.fn();
+    await idempotent(req, buildResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects a blank or oversized key', async () => {
+    for (const key of ['   ', 'k'.repeat(256)]) {
+      const res = buildResponse();
+      const next = jest.fn();
+      await idempotent(buildRequest({ key }), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    }
+  });
+
+  it('needs an authenticated user', async () => {
+    const res = buildResponse();
+    await idempotent(buildRequest({ user: null }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('hashes the same payload the same way whatever the key order', async () => {
+    const first = await getRequestHash(buildRequest({ body: { a: 1, b: { c: 2, d: 3 } } }));
+    const second = await getRequestHash(buildRequest({ body: { b: { d: 3, c: 2 }, a: 1 } }));
+    const different = await getRequestHash(buildRequest({ body: { a: 2, b: { c: 2, d: 3 } } }));
+
+    expect(second).toBe(first);
+    expect(different).not.toBe(first);
+  });
+
+  it('scopes the request hash to the endpoint', async () => {
+    const create = await getRequestHash(buildRequest());
+    const cancel = await getRequestHash(buildRequest({ path: '/order/o1/cancel' }));
+    const reorder = await getRequestHash(buildRequest({ path: '/order/o1/reorder' }));
+
+    expect(new Set([create, cancel, reorder]).size).toBe(3);
+  });
+
+  it('rejects a key reused on another endpoint', async () => {
+    const createHash = await getRequestHash(buildRequest());
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash: createHash,
+      status: 'completed',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      updatedAt: new Date(),
+    });
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await idempotent(buildRequest({ path: '/order/o1/cancel' }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('runs the first request and stores a successful response', async () => {
+    IdempotencyKey.create.mockResolvedValue({});
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    const req = buildRequest();
+    const res = buildResponse();
+    const originalJson = res.json;
+    const next = jest.fn();
+
+    await idempotent(req, res, next);
+    expect(next).toHaveBeenCalledWith();
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      key: 'key-1',
+      user: 'user-1',
+      path: '/api/checkout/order/create',
+    }));
+
+    res.status(201).json({ success: true, data: { orderNumber: 'RB1' } });
+    expect(originalJson).not.toHaveBeenCalled();
+    await flush();
+
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ user: 'user-1', key: 'key-1' }),
+      { $set: expect.objectContaining({ status: 'completed', responseStatus: 201, responseBody: { success: true, data: { orderNumber: 'RB1' } } }) }
+    );
+    expect(originalJson).toHaveBeenCalledWith({ success: true, data: { orderNumber: 'RB1' } });
+  });
+
+  it('releases the key when the request fails', async () => {
+    IdempotencyKey.create.mockResolvedValue({});
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+    const res = buildResponse();
+    const originalJson = res.json;
+
+    await idempotent(buildRequest(), res, jest.fn());
+    res.status(400).json({ success: false, error: 'Cart is empty' });
+    await flush();
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith(expect.objectContaining({ key: 'key-1', status: 'processing' }));
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+    expect(originalJson).toHaveBeenCalledWith({ success: false, error: 'Cart is empty' });
+  });
+
+  it('replays a completed response for the same payload', async () => {
+    const req = buildRequest();
+    const requestHash = await getRequestHash(req);
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash,
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { success: true, data: { orderNumber: 'RB1' } },
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      updatedAt: new Date(),
+    });
+    const res = buildResponse();
+    const next = jest.fn();
+
+    await idempotent(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { orderNumber: 'RB1' } });
+  });
+
+  it('rejects a reused key with a different payload', async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash: 'another-request',
+      status: 'completed',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      updatedAt: new Date(),
+    });
+    const res = buildResponse();
+
+    await idempotent(buildRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('rejects a repeat while the first request is still running', async () => {
+    const req = buildRequest();
+    const requestHash = await getRequestHash(req);
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash,
+      status: 'processing',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      updatedAt: new Date(),
+    });
+    const res = buildResponse();
+
+    await idempotent(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(IdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('takes over a lock left behind by a request that died', async () => {
+    const req = buildRequest();
+    const requestHash = await getRequestHash(req);
+    const updatedAt = new Date(Date.now() - 5 * 60 * 1000);
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError());
+    IdempotencyKey.findOne.mockResolvedValue({
+      _id: 'record-1',
+      requestHash,
+      status: 'processing',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      updatedAt,
+    });
+    IdempotencyKey.findOneAndUpdate.mockResolvedValue({ _id: 'record-1' });
+    const next = jest.fn();
+
+    await idempotent(req, buildResponse(), next);
+
+    expect(IdempotencyKey.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'record-1', updatedAt },
+      expect.any(Object),
+      { new: true }
+    );
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('passes lookup errors on', async () => {
+    const error = new Error('connection lost');
+    IdempotencyKey.create.mockRejectedValue(error);
+    const next = jest.fn();
+
+    await idempotent(buildRequest(), buildResponse(), next);
+
+    expect(next).toHaveBeenCalledWith(error);
+  });
+});
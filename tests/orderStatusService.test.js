@@ -0,0 +1,167 @@
+const {
+  canTransition,
+  getAllowedTransitions,
+  getSourceStatuses,
+  assertTransition,
+  assertDerivedTransition,
+  transitionOrder,
+  buildTransitionUpdate,
+  buildTrackingTimeline,
+} = require('../src/services/orderStatusService');
+
+describe('orderStatusService', () => {
+  describe('canTransition', () => {
+    it('lets each actor make only its own moves', () => {
+      expect(canTransition('user', 'pending', 'cancelled')).toBe(true);
+      expect(canTransition('user', 'ready', 'cancelled')).toBe(false);
+      expect(canTransition('vendor', 'pending', 'confirmed')).toBe(true);
+      expect(canTransition('rider', 'ready', 'out_for_delivery')).toBe(true);
+      expect(canTransition('rider', 'pending', 'confirmed')).toBe(false);
+    });
+
+    it('only lets the rider and the system deliver', () => {
+      expect(canTransition('rider', 'out_for_delivery', 'delivered')).toBe(true);
+      expect(canTransition('system', 'out_for_delivery', 'delivered')).toBe(true);
+      expect(canTransition('vendor', 'out_for_delivery', 'delivered')).toBe(false);
+      expect(canTransition('admin', 'out_for_delivery', 'delivered')).toBe(false);
+    });
+
+    it('only lets the system refund delivered or cancelled orders', () => {
+      expect(canTransition('system', 'delivered', 'refunded')).toBe(true);
+      expect(canTransition('system', 'cancelled', 'refunded')).toBe(true);
+      expect(canTransition('admin', 'cancelled', 'refunded')).toBe(false);
+      expect(canTransition('system', 'ready', 'refunded')).toBe(false);
+    });
+
+    it('knows nothing about unknown actors or statuses', () => {
+      expect(getAllowedTransitions('courier', 'pending')).toEqual([]);
+      expect(getAllowedTransitions('user', 'delivered')).toEqual([]);
+    });
+  });
+
+  describe('getSourceStatuses', () => {
+    it('lists the statuses an actor can reach a status from', () => {
+      expect(getSourceStatuses('rider', 'delivered')).toEqual(['out_for_delivery']);
+      expect(getSourceStatuses('user', 'cancelled')).toEqual(['pending', 'confirmed', 'processing']);
+      expect(getSourceStatuses('vendor', 'delivered')).toEqual([]);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('rejects unknown actors and statuses', () => {
+      expect(() => assertTransition('courier', 'pending', 'confirmed')).toThrow('Unknown status actor: courier');
+      expect(() => assertTransition('admin', 'pending', 'shipped')).toThrow('Invalid order status: shipped');
+    });
+
+    it('names the allowed moves when a move is rejected', () => {
+      expect(() => assertTransition('user', 'pending', 'delivered'))
+        .toThrow('Invalid status transition from pending to delivered for user. Allowed: cancelled');
+      expect(() => assertTransition('user', 'delivered', 'cancelled'))
+        .toThrow('No further changes are allowed');
+    });
+
+    it('allows an admin delivery only as an override', () => {
+      expect(() => assertTransition('admin', 'out_for_delivery', 'delivered')).toThrow('Invalid status transition');
+      expect(() => assertTransition('admin', 'out_for_delivery', 'delivered', { override: true })).not.toThrow();
+    });
+
+    it('checks overrides against their own table', () => {
+      expect(() => assertTransition('admin', 'ready', 'delivered', { override: true }))
+        .toThrow('Status cannot be overridden from ready to delivered by admin');
+      expect(() => assertTransition('vendor', 'out_for_delivery', 'delivered', { override: true }))
+        .toThrow('Status cannot be overridden');
+    });
+  });
+
+  describe('assertDerivedTransition', () => {
+    it('lets an order skip ahead to catch up with its shipments', () => {
+      expect(() => assertDerivedTransition('user', 'pending', 'ready')).not.toThrow();
+      expect(() => assertDerivedTransition('vendor', 'confirmed', 'delivered')).not.toThrow();
+    });
+
+    it('checks other moves against the actor', () => {
+      expect(() => assertDerivedTransition('vendor', 'ready', 'processing')).not.toThrow();
+      expect(() => assertDerivedTransition('system', 'out_for_delivery', 'ready')).not.toThrow();
+      expect(() => assertDerivedTransition('user', 'ready', 'cancelled'))
+        .toThrow('Invalid status transition from ready to cancelled for user');
+      expect(() => assertDerivedTransition('system', 'delivered', 'ready'))
+        .toThrow('Invalid status transition from delivered to ready for system');
+    });
+  });
+
+  describe('transitionOrder', () => {
+    it('moves the order and records the history entry', () => {
+      const order = { status: 'pending', statusHistory: [] };
+
+      transitionOrder(order, 'cancelled', { actor: 'user', actorId: 'u1', reason: 'Changed my mind' });
+
+      expect(order.status).toBe('cancelled');
+      expect(order.cancelledBy).toBe('user');
+      expect(order.cancellationReason).toBe('Changed my mind');
+      expect(order.cancelledAt).toBeInstanceOf(Date);
+      expect(order.statusHistory).toHaveLength(1);
+      expect(order.statusHistory[0]).toMatchObject({
+        status: 'cancelled',
+        fromStatus: 'pending',
+        actor: 'user',
+        actorId: 'u1',
+        note: 'Changed my mind',
+        override: false,
+      });
+    });
+
+    it('leaves the order untouched when the move is not allowed', () => {
+      const order = { status: 'delivered', statusHistory: [] };
+
+      expect(() => transitionOrder(order, 'cancelled', { actor: 'vendor' })).toThrow();
+      expect(order.status).toBe('delivered');
+      expect(order.statusHistory).toHaveLength(0);
+    });
+  });
+
+  describe('buildTransitionUpdate', () => {
+    it('flags overridden moves in the history entry', () => {
+      const update = buildTransitionUpdate('delivered', {
+        actor: 'admin',
+        fromStatus: 'out_for_delivery',
+        note: 'Customer confirmed on call',
+        override: true,
+      });
+
+      expect(update.$set.status).toBe('delivered');
+      expect(update.$set.deliveredAt).toBeInstanceOf(Date);
+      expect(update.$push.statusHistory).toMatchObject({
+        status: 'delivered',
+        fromStatus: 'out_for_delivery',
+        actor: 'admin',
+        override: true,
+      });
+    });
+
+    it('records riders cancelling as the system', () => {
+      const update = buildTransitionUpdate('cancelled', { actor: 'rider', fromStatus: 'ready' });
+      expect(update.$set.cancelledBy).toBe('system');
+    });
+  });
+
+  describe('buildTrackingTimeline', () => {
+    it('marks the steps up to the current status as completed', () => {
+      const createdAt = new Date('2026-01-01T10:00:00Z');
+      const timeline = buildTrackingTimeline({
+        status: 'processing',
+        createdAt,
+        statusHistory: [
+          { status: 'confirmed', actor: 'vendor', changedAt: new Date('2026-01-01T10:05:00Z') },
+          { status: 'processing', actor: 'vendor', changedAt: new Date('2026-01-01T10:10:00Z') },
+        ],
+      });
+
+      expect(timeline.currentStatus).toBe('processing');
+      expect(timeline.isTerminal).toBe(false);
+      expect(timeline.history[0]).toMatchObject({ status: 'pending', at: createdAt });
+      expect(timeline.steps.filter(step => step.completed).map(step => step.status))
+        .toEqual(['pending', 'confirmed', 'processing']);
+      expect(timeline.steps.find(step => step.current).status).toBe('processing');
+    });
+  });
+});
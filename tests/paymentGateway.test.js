@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const ENV_KEYS = ['NODE_ENV', 'PAYMENT_PROVIDER', 'MOCK_PAYMENT_SECRET'];
+
+const loadGateway = () => {
+  let gateway;
+  jest.isolateModules(() => {
+    gateway = require('../src/utils/paymentGateway');
+  });
+  return gateway;
+};
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+describe('paymentGateway', () => {
+  const savedEnv = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => {
+      savedEnv[key] = process.env[key];
+    });
+    process.env.NODE_ENV = 'test';
+    delete process.env.PAYMENT_PROVIDER;
+    process.env.MOCK_PAYMENT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach((key) => {
+      if (savedEnv[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = savedEnv[key];
+      }
+    });
+  });
+
+  describe('mock provider signatures', () => {
+    it('accepts a webhook signed with the secret', () => {
+      const provider = loadGateway().getProvider();
+      const { rawBody, headers } = provider.simulateWebhook('mock_pi_1');
+
+      expect(provider.verifyWebhook(rawBody, headers)).toBe(true);
+    });
+
+    it('rejects a tampered or unsigned webhook', () => {
+      const provider = loadGateway().getProvider();
+      const { rawBody, headers } = provider.simulateWebhook('mock_pi_1');
+      const tampered = rawBody.replace('"success"', '"failed"');
+
+      expect(provider.verifyWebhook(tampered, headers)).toBe(false);
+      expect(provider.verifyWebhook(rawBody, {})).toBe(false);
+      expect(provider.verifyWebhook(rawBody, { 'x-mock-signature': sign('other-secret', rawBody) })).toBe(false);
+    });
+
+    it('checks the callback signature over intent, transaction and status', () => {
+      const provider = loadGateway().getProvider();
+      const signature = sign('test-secret', 'mock_pi_1|mock_txn_1|success');
+
+      expect(provider.verifyCallback({ intentId: 'mock_pi_1', transactionId: 'mock_txn_1', status: 'success', signature })).toBe(true);
+      expect(provider.verifyCallback({ intentId: 'mock_pi_1', transactionId: 'mock_txn_1', status: 'failed', signature })).toBe(false);
+      expect(provider.verifyCallback({ intentId: 'mock_pi_2', transactionId: 'mock_txn_1', status: 'success', signature })).toBe(false);
+    });
+
+    it('verifies nothing without a secret', () => {
+      const provider = loadGateway().getProvider();
+      const { rawBody, headers } = provider.simulateWebhook('mock_pi_1');
+      const signature = sign('test-secret', 'mock_pi_1|mock_txn_1|success');
+
+      delete process.env.MOCK_PAYMENT_SECRET;
+
+      expect(provider.verifyWebhook(rawBody, headers)).toBe(false);
+      expect(provider.verifyCallback({ intentId: 'mock_pi_1', transactionId: 'mock_txn_1', status: 'success', signature })).toBe(false);
+      expect(() => provider.simulateWebhook('mock_pi_1')).toThrow('MOCK_PAYMENT_SECRET is not configured');
+    });
+  });
+
+  describe('mock provider refunds', () => {
+    it('returns the same refund for a repeated reference', async () => {
+      const provider = loadGateway().getProvider();
+      const first = await provider.createRefund({ intentId: 'mock_pi_1', amount: 50, reference: 'RET1' });
+      const repeated = await provider.createRefund({ intentId: 'mock_pi_1', amount: 50, reference: 'RET1' });
+      const other = await provider.createRefund({ intentId: 'mock_pi_1', amount: 50, reference: 'RET2' });
+
+      expect(repeated.refundId).toBe(first.refundId);
+      expect(other.refundId).not.toBe(first.refundId);
+    });
+  });
+
+  describe('safeCompare', () => {
+    it('compares signatures of any length without throwing', () => {
+      const { safeCompare } = loadGateway();
+
+      expect(safeCompare('abc', 'abc')).toBe(true);
+      expect(safeCompare('abc', 'abd')).toBe(false);
+      expect(safeCompare('abc', 'abcd')).toBe(false);
+      expect(safeCompare('abc', undefined)).toBe(false);
+    });
+  });
+
+  describe('getProvider', () => {
+    it('defaults to the mock gateway outside production', () => {
+      expect(loadGateway().getProvider().name).toBe('mock');
+    });
+
+    it('does not register the mock gateway in production', () => {
+      process.env.NODE_ENV = 'production';
+      const gateway = loadGateway();
+
+      expect(() => gateway.getProvider()).toThrow('Payment provider is not configured');
+      expect(() => gateway.getProvider('mock')).toThrow('Payment provider "mock" is not registered');
+    });
+
+    it('only registers complete providers', () => {
+      const gateway = loadGateway();
+
+      expect(() => gateway.registerProvider('partial', { createIntent: () => {} }))
+        .toThrow('Payment provider "partial" is missing methods: verifyWebhook, parseWebhook, verifyCallback, createRefund');
+    });
+  });
+});
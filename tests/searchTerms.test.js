@@ -0,0 +1,42 @@
+const { normalizeText, tokenize, getWordVariants, buildSearchTerms } = require('../src/utils/searchTerms');
+
+describe('searchTerms', () => {
+  it('normalizes case and accents', () => {
+    expect(normalizeText('Crème BRÛLÉE')).toBe('creme brulee');
+    expect(normalizeText(undefined)).toBe('');
+  });
+
+  it('splits text into words', () => {
+    expect(tokenize('Amul Taaza, 500ml (Toned)')).toEqual(['amul', 'taaza', '500ml', 'toned']);
+    expect(tokenize(`ok ${'x'.repeat(31)}`)).toEqual(['ok']);
+  });
+
+  it('adds every one-letter deletion of longer words', () => {
+    expect(getWordVariants('milk').sort()).toEqual(['ilk', 'mik', 'mil', 'milk', 'mlk']);
+  });
+
+  it('keeps short words exact', () => {
+    expect(getWordVariants('tea')).toEqual(['tea']);
+  });
+
+  it('does not repeat variants of doubled letters', () => {
+    expect(getWordVariants('eggs').sort()).toEqual(['egg', 'eggs', 'egs', 'ggs']);
+  });
+
+  it('gives words one typo apart a shared term', () => {
+    const stored = new Set(buildSearchTerms(['Basmati Rice']));
+    const typos = ['basmti', 'basmatii', 'basmato', 'bsamati'];
+
+    typos.forEach((typo) => {
+      expect(getWordVariants(typo).some(variant => stored.has(variant))).toBe(true);
+    });
+  });
+
+  it('merges the terms of all texts without duplicates', () => {
+    const terms = buildSearchTerms(['Milk', 'milk powder']);
+
+    expect(terms).toContain('milk');
+    expect(terms).toContain('powder');
+    expect(terms.filter(term => term === 'milk')).toHaveLength(1);
+  });
+});
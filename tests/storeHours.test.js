@@ -0,0 +1,77 @@
+const { getStoreStatus, getClosedReason } = require('../src/utils/storeHours');
+
+// Store-local time is IST (UTC+05:30). 2026-10-19 is a Monday.
+const ist = (value) => new Date(`${value}+05:30`);
+
+const weekdayHours = {
+  weekly: [1, 2, 3, 4, 5].map(day => ({ day, openTime: '09:00', closeTime: '21:00' })),
+};
+
+describe('storeHours.getStoreStatus', () => {
+  it('treats a store without weekly hours as always open', () => {
+    expect(getStoreStatus({}, ist('2026-10-19T03:00:00'))).toEqual({ isOpen: true, status: 'open', nextOpenAt: null });
+  });
+
+  it('is open inside the hours of the day', () => {
+    const status = getStoreStatus({ storeHours: weekdayHours }, ist('2026-10-19T10:00:00'));
+    expect(status.isOpen).toBe(true);
+    expect(status.status).toBe('open');
+  });
+
+  it('reports the next opening once closed', () => {
+    expect(getStoreStatus({ storeHours: weekdayHours }, ist('2026-10-19T21:00:00'))).toEqual({
+      isOpen: false,
+      status: 'closed',
+      nextOpenAt: ist('2026-10-20T09:00:00'),
+    });
+  });
+
+  it('skips days without hours when looking for the next opening', () => {
+    const status = getStoreStatus({ storeHours: weekdayHours }, ist('2026-10-24T12:00:00'));
+    expect(status.status).toBe('closed');
+    expect(status.nextOpenAt).toEqual(ist('2026-10-26T09:00:00'));
+  });
+
+  it('keeps a window that closes after midnight open into the next day', () => {
+    const storeHours = { weekly: [{ day: 5, openTime: '18:00', closeTime: '02:00' }] };
+
+    expect(getStoreStatus({ storeHours }, ist('2026-10-23T23:30:00')).isOpen).toBe(true);
+    expect(getStoreStatus({ storeHours }, ist('2026-10-24T01:30:00')).isOpen).toBe(true);
+    expect(getStoreStatus({ storeHours }, ist('2026-10-24T02:00:00')).isOpen).toBe(false);
+  });
+
+  it('stays closed on holidays', () => {
+    const storeHours = { ...weekdayHours, holidays: [{ date: '2026-10-20' }] };
+    const status = getStoreStatus({ storeHours }, ist('2026-10-20T10:00:00'));
+
+    expect(status).toEqual({
+      isOpen: false,
+      status: 'holiday',
+      nextOpenAt: ist('2026-10-21T09:00:00'),
+    });
+    expect(getClosedReason(status)).toBe('Store is closed for a holiday');
+  });
+
+  it('is paused until the resume time, then opens by itself', () => {
+    const vendor = {
+      storeHours: weekdayHours,
+      orderPause: { isPaused: true, reason: 'Stocktaking', resumeAt: ist('2026-10-19T12:00:00') },
+    };
+
+    const paused = getStoreStatus(vendor, ist('2026-10-19T10:00:00'));
+    expect(paused).toMatchObject({
+      isOpen: false,
+      status: 'paused',
+      reason: 'Stocktaking',
+      nextOpenAt: ist('2026-10-19T12:00:00'),
+    });
+    expect(getClosedReason(paused)).toBe('Store is not taking orders right now');
+
+    expect(getStoreStatus(vendor, ist('2026-10-19T12:30:00')).isOpen).toBe(true);
+  });
+
+  it('stays paused without a resume time', () => {
+    const status = getStoreStatus({ orderPause: { isPaused: true } }, ist('2026-10-19T10:00:00'));
+    expect(status).toMatchObject({ isOpen: false, status: 'paused', nextOpenAt: null });
+  });
+});
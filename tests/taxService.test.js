@@ -0,0 +1,25 @@
+const { extractHsnCode } = require('../src/services/taxService');
+
+describe('taxService.extractHsnCode', () => {
+  it('finds a bare HSN code', () => {
+    expect(extractHsnCode('0401')).toBe('0401');
+    expect(extractHsnCode('040110')).toBe('040110');
+    expect(extractHsnCode(19053100)).toBe('19053100');
+  });
+
+  it('finds the code next to a SKU', () => {
+    expect(extractHsnCode('MILK-500/0401')).toBe('0401');
+    expect(extractHsnCode('SKU123 HSN 21069099')).toBe('21069099');
+  });
+
+  it('ignores digit runs of other lengths', () => {
+    expect(extractHsnCode('SKU123')).toBeNull();
+    expect(extractHsnCode('12345')).toBeNull();
+    expect(extractHsnCode('1234567')).toBeNull();
+  });
+
+  it('returns null without a value', () => {
+    expect(extractHsnCode(undefined)).toBeNull();
+    expect(extractHsnCode('')).toBeNull();
+  });
+});
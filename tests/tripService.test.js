@@ -0,0 +1,49 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { planRoute } = require('../src/services/tripService');
+
+// Points along the equator, 0.01 degrees (about 1.11 km) apart
+const point = (id, longitude) => ({ id, latitude: 0, longitude });
+
+describe('tripService.planRoute', () => {
+  it('visits drops outward from the store', () => {
+    const route = planRoute(point('store', 0), [point('c', 0.03), point('a', 0.01), point('b', 0.02)]);
+
+    expect(route.map(stop => stop.id)).toEqual(['a', 'b', 'c']);
+    route.forEach((stop) => {
+      expect(stop.legDistanceKm).toBeCloseTo(1.11, 2);
+    });
+  });
+
+  it('untangles a route that nearest neighbour leaves crossed', () => {
+    // Nearest neighbour goes a, b, c, d and crosses itself; 2-opt swaps b and c
+    const route = planRoute({ latitude: 0, longitude: 0 }, [
+      { id: 'd', latitude: 0.04, longitude: 0.04 },
+      { id: 'b', latitude: 0.02, longitude: 0.03 },
+      { id: 'c', latitude: 0.03, longitude: 0.01 },
+      { id: 'a', latitude: 0.01, longitude: 0.02 },
+    ]);
+
+    expect(route.map(stop => stop.id)).toEqual(['a', 'c', 'b', 'd']);
+  });
+
+  it('keeps the first point fixed without an origin', () => {
+    const route = planRoute(null, [point('start', 0.02), point('far', 0.05), point('near', 0.03)]);
+
+    expect(route.map(stop => stop.id)).toEqual(['start', 'near', 'far']);
+    expect(route[0].legDistanceKm).toBe(0);
+  });
+
+  it('ignores an origin without coordinates', () => {
+    const route = planRoute({ latitude: null, longitude: null }, [point('a', 0.01), point('b', 0.02)]);
+
+    expect(route.map(stop => stop.id)).toEqual(['a', 'b']);
+    expect(route[0].legDistanceKm).toBe(0);
+  });
+
+  it('keeps the point data and handles an empty trip', () => {
+    expect(planRoute(point('store', 0), [])).toEqual([]);
+    expect(planRoute(point('store', 0), [{ ...point('a', 0.01), shipment: 's1' }])[0])
+      .toMatchObject({ id: 'a', shipment: 's1' });
+  });
+});